@@ -1,7 +1,7 @@
 // POC - Audit Materials System - Complete App.js with Document Linking Modal
 // Orchestrator (ES Modules)
 
-import { auditAll, auditWithApprovalDetection } from "./modules/services/auditService.js";
+import { auditAll, auditWithApprovalDetection, applyOverrides, applyQuestionedCosts } from "./modules/services/auditService.js";
 import { readExcelFile, mapExcelRows, readExcelAsAOA, mapRowsFromAOA, detectHeaderRow } from "./modules/services/excelService.js";
 import { normalizeGLSpreadsheet } from "./modules/services/apiService.js";
 import { renderGLTable, filterData } from "./modules/ui/tableView.js";
@@ -9,12 +9,23 @@ import { updateDashboard as updateDashboardUI } from "./modules/ui/dashboard.js"
 import { generateReport as genReport, exportToPDF as exportPDF } from "./modules/reports/reportService.js";
 import { renderLogDashboard, initializeLogDashboard, destroyLogDashboard } from "./modules/ui/logDashboard.js";
 import { debugLogger } from "./modules/utils/debugLogger.js";
+import { initRuleEditor } from "./modules/ui/ruleEditor.js";
+import { initPerDiemAdmin } from "./modules/ui/perDiemAdmin.js";
+import { initFxRatesAdmin } from "./modules/ui/fxRatesAdmin.js";
+import { initIndirectRates } from "./modules/ui/indirectRates.js";
+import { initContractAdmin } from "./modules/ui/contractAdmin.js";
+import { initMappingProfiles } from "./modules/ui/mappingProfiles.js";
+import { initImportSettings } from "./modules/ui/importSettings.js";
+import { initLaborReconciliation } from "./modules/ui/laborReconciliation.js";
+import { initCardReconciliation } from "./modules/ui/cardReconciliation.js";
+import { chooseSheets } from "./modules/ui/sheetSelect.js";
+import { reviewImport } from "./modules/ui/importReport.js";
 
 import {
-  saveGLEntries,
+  stageGLImport, commitGLImport, discardGLImport,
   serverLLMReview, serverLLMMapColumns,
   ingestDocuments, listDocItems, getRequirements, fetchGLEntries,
-  linkDocItem, unlinkDocItem
+  linkDocItem, unlinkDocItem, runServerAudit, fetchRules, fetchTravelChecks, fetchCompensation, fetchContracts, fetchContractBurn
 } from "./modules/services/apiService.js";
 
 import { farRules as builtinFarRules } from "./modules/data/farRules.js";
@@ -40,10 +51,14 @@ class FARComplianceApp {
   constructor() {
     this.glData = [];
     this.auditResults = [];
+    this.contractBurn = null; // /api/contracts/burn for the dashboard funding charts
+    this.ceilingChecks = {}; // { travelChecks, compensationChecks, contracts } from /api/travel/checks, /api/compensation and /api/contracts
     this.charts = {
       complianceChart: null,
       violationsChart: null,
-      amountChart: null
+      amountChart: null,
+      burnChart: null,
+      fundingChart: null
     };
     this.uploadedFile = null;
     this.farRules = [];
@@ -101,6 +116,15 @@ class FARComplianceApp {
       this.setupDocsUI();
       this.setupAdminUI();
       this.setupDocumentModal();
+      initRuleEditor(this).catch(e => console.warn('Rule editor unavailable:', e));
+      initPerDiemAdmin(this).catch(e => console.warn('Per-diem admin unavailable:', e));
+      initFxRatesAdmin(this).catch(e => console.warn('FX rate admin unavailable:', e));
+      initIndirectRates(this);
+      initLaborReconciliation(this);
+      initCardReconciliation(this);
+      initContractAdmin(this).catch(e => console.warn('Contract registry unavailable:', e));
+      initMappingProfiles(this).catch(e => console.warn('Mapping profiles unavailable:', e));
+      initImportSettings(this).catch(e => console.warn('GL import settings unavailable:', e));
 
       // Safe loading with error handling
       try {
@@ -116,6 +140,7 @@ class FARComplianceApp {
 
       this.renderGLTable();
       this.updateDashboard();
+      this.loadContractBurn();
 
       // Safe async operations
       try {
@@ -193,6 +218,14 @@ class FARComplianceApp {
         }
       }
 
+      // Server rule set (built-in + config file + saved overrides) wins when available
+      try {
+        const data = await fetchRules(this.apiBaseUrl);
+        if (Array.isArray(data.rules) && data.rules.length) {
+          this.farRules = data.rules.filter(r => r.enabled !== false);
+        }
+      } catch (_) {}
+
     } catch (e) {
       console.warn('Failed to load config. Using defaults.', e);
     }
@@ -215,6 +248,19 @@ class FARComplianceApp {
             category: row.category,
             vendor: row.vendor,
             contractNumber: row.contract_number,
+            employeeId: row.employee_id,
+            project: row.project || '',
+            task: row.task || '',
+            org: row.org || '',
+            documentNumber: row.document_number || '',
+            lineNumber: row.line_number || '',
+            poNumber: row.po_number || '',
+            debit: row.debit ?? null,
+            credit: row.credit ?? null,
+            currency: row.currency || 'USD',
+            originalAmount: row.original_amount ?? null,
+            fxRate: row.fx_rate ?? null,
+            fxDate: row.fx_date || null,
             attachmentsCount: row.attachmentsCount || 0,
             hasReceipt: row.hasReceipt || false,
             approvalsCount: row.approvalsCount || 0,
@@ -222,7 +268,11 @@ class FARComplianceApp {
             docSummary: row.doc_summary,
             docFlagUnallowable: row.doc_flag_unallowable,
             document_match_score: row.document_match_score || 0,
-            documentMatchQuality: row.documentMatchQuality || ''
+            documentMatchQuality: row.documentMatchQuality || '',
+            override: row.override || null,
+            sourceFileId: row.source_file_id || null,
+            sourceSheet: row.source_sheet || null,
+            sourceRow: row.source_row ?? null
           }));
           console.log(`Loaded ${this.glData.length} existing GL entries from server`);
           this.logPerformance('Load Existing GL Data', perfStart, `${this.glData.length} rows`);
@@ -269,22 +319,98 @@ class FARComplianceApp {
   async runInitialAudit() {
     if (this.glData && this.glData.length > 0 && this.farRules && this.farRules.length > 0) {
       try {
+        await this.loadCeilingChecks();
         // Use enhanced audit with approval detection if documents are available
         if (this.docs && (this.docs.documents?.length > 0 || this.docs.items?.length > 0)) {
           console.log("Running enhanced audit with approval detection...");
-          this.auditResults = await auditWithApprovalDetection(this.glData, this.farRules, this.docs, this.config);
+          this.auditResults = applyQuestionedCosts(await auditWithApprovalDetection(this.glData, this.farRules, this.docs, this.auditOptions()), this.docs, this.farRules, this.ceilingChecks);
           console.log("Enhanced audit completed with", this.auditResults.length, "results");
         } else {
           // Fallback to standard audit if no documents
           console.log("Running standard audit (no documents available for approval detection)...");
-          this.auditResults = auditAll(this.glData, this.farRules, this.config);
+          this.auditResults = (await this.auditOnServer()) || this.auditLocally();
           console.log("Standard audit completed with", this.auditResults.length, "results");
         }
       } catch (error) {
         console.warn("Enhanced audit failed, falling back to standard audit:", error.message);
-        this.auditResults = auditAll(this.glData, this.farRules, this.config);
+        this.auditResults = this.auditLocally();
         console.log("Fallback audit completed with", this.auditResults.length, "results");
       }
+      this.auditResults = applyOverrides(this.auditResults);
+    }
+  }
+
+  // Record (or clear, with null) the auditor override for a row and refresh the views
+  setRowOverride(glId, override) {
+    const withOverride = (row) => String(row.id) === String(glId) ? { ...row, override } : row;
+    this.glData = (this.glData || []).map(withOverride);
+    this.auditResults = applyOverrides((this.auditResults || []).map(withOverride));
+    this.renderGLTable();
+    this.updateDashboard();
+  }
+
+  // Rule audit in the browser, with the unallowable split from linked document line items
+  auditLocally() {
+    return applyQuestionedCosts(auditAll(this.glData, this.farRules, this.auditOptions()), this.docs, this.farRules, this.ceilingChecks);
+  }
+
+  // Audit config plus the contract registry (rule applicability by contract type)
+  auditOptions() {
+    return { ...this.config, contracts: this.ceilingChecks.contracts || [] };
+  }
+
+  // Ceiling checks need server-side data: the GSA per-diem table (31.205-46),
+  // payroll totals per employee against the compensation cap (31.205-6(p))
+  // and the contract registry
+  async loadCeilingChecks() {
+    this.ceilingChecks = {};
+    if (!this.apiBaseUrl) return;
+    const [travel, compensation, contracts] = await Promise.allSettled([
+      fetchTravelChecks(this.apiBaseUrl),
+      fetchCompensation(this.apiBaseUrl),
+      fetchContracts(this.apiBaseUrl)
+    ]);
+    if (travel.status === "fulfilled") this.ceilingChecks.travelChecks = travel.value.checks || [];
+    else console.warn("Per-diem checks unavailable:", travel.reason?.message);
+    if (compensation.status === "fulfilled") this.ceilingChecks.compensationChecks = compensation.value.checks || [];
+    else console.warn("Compensation checks unavailable:", compensation.reason?.message);
+    if (contracts.status === "fulfilled") this.ceilingChecks.contracts = contracts.value.contracts || [];
+    else console.warn("Contract registry unavailable:", contracts.reason?.message);
+  }
+
+  // Run the FAR audit on the server so stored results match what the UI shows.
+  // Returns null when the server can't audit every loaded row; callers then audit locally.
+  async auditOnServer() {
+    if (!this.apiBaseUrl) return null;
+    try {
+      const data = await runServerAudit(this.apiBaseUrl);
+      const byId = new Map((data.results || []).map(r => [String(r.gl_entry_id), r]));
+      if (!this.glData.every(row => byId.has(String(row.id)))) return null;
+      return this.glData.map(row => {
+        const r = byId.get(String(row.id));
+        return {
+          ...row,
+          status: r.status,
+          farIssue: r.far_issue,
+          farSection: r.far_section || "",
+          farSections: (r.matches || []).map(m => m.section),
+          matches: r.matches || [],
+          ruleVersion: r.rule_version ?? null,
+          ruleStatus: r.rule_status || r.status,
+          override: r.override || null,
+          allowableAmount: r.allowable_amount ?? (Number(row.amount) || 0),
+          unallowableAmount: r.unallowable_amount ?? 0,
+          ruleUnallowableAmount: r.rule_unallowable_amount ?? r.unallowable_amount ?? 0,
+          unallowableBasis: r.unallowable_basis || "none",
+          unallowableLines: r.unallowable_lines || [],
+          perDiem: r.per_diem || null,
+          compensation: r.compensation || null,
+          contract: r.contract || null
+        };
+      });
+    } catch (e) {
+      console.warn("Server audit unavailable, auditing locally:", e.message);
+      return null;
     }
   }
 
@@ -1371,8 +1497,8 @@ class FARComplianceApp {
 
   handleFileUpload(file) {
     const name = (file.name || '').toLowerCase();
-    if (!name.match(/\.(xlsx|xls|csv)$/i)) {
-      alert('Please upload a spreadsheet file (.xlsx, .xls, .csv)');
+    if (!name.match(/\.(xlsx|xls|csv|iif|ofx|qfx|qbo|txt|prn|rpt)$/i)) {
+      alert('Please upload a spreadsheet or accounting export (.xlsx, .xls, .csv, .iif, .ofx, .qfx, .qbo, .txt, .prn)');
       return;
     }
 
@@ -1410,10 +1536,14 @@ class FARComplianceApp {
 
       console.log('📁 Processing file:', this.uploadedFile.name);
       let normalized = null;
+      let sheets = null;
+      let sourceFileId = null;
       try {
         // Prefer server-side normalization (GPT + robust parsing)
-        const resp = await normalizeGLSpreadsheet(this.apiBaseUrl, this.uploadedFile, { useLLM: true });
+        const resp = await normalizeGLSpreadsheet(this.apiBaseUrl, this.uploadedFile, { useLLM: true, sheets: 'all' });
         normalized = resp.rows || [];
+        sheets = resp.sheets || null;
+        sourceFileId = resp.fileMetadata?.id || null;
         console.log('✅ Server normalization produced rows:', normalized.length);
       } catch (e) {
         // Handle duplicate file errors
@@ -1427,8 +1557,10 @@ class FARComplianceApp {
           );
           if (allowOverride) {
             try {
-              const resp = await normalizeGLSpreadsheet(this.apiBaseUrl, this.uploadedFile, { useLLM: true, allowDuplicate: true });
+              const resp = await normalizeGLSpreadsheet(this.apiBaseUrl, this.uploadedFile, { useLLM: true, allowDuplicate: true, sheets: 'all' });
               normalized = resp.rows || [];
+              sheets = resp.sheets || null;
+              sourceFileId = resp.fileMetadata?.id || null;
               console.log('✅ Server normalization with override produced rows:', normalized.length);
             } catch (retryError) {
               console.warn('Server normalization with override failed:', retryError.message);
@@ -1448,8 +1580,10 @@ class FARComplianceApp {
           );
           if (allowOverride) {
             try {
-              const resp = await normalizeGLSpreadsheet(this.apiBaseUrl, this.uploadedFile, { useLLM: true, allowDuplicate: true });
+              const resp = await normalizeGLSpreadsheet(this.apiBaseUrl, this.uploadedFile, { useLLM: true, allowDuplicate: true, sheets: 'all' });
               normalized = resp.rows || [];
+              sheets = resp.sheets || null;
+              sourceFileId = resp.fileMetadata?.id || null;
               console.log('✅ Server normalization with filename override produced rows:', normalized.length);
             } catch (retryError) {
               console.warn('Server normalization with filename override failed:', retryError.message);
@@ -1466,26 +1600,70 @@ class FARComplianceApp {
 
       if (!normalized) {
         // Fallback to client-side parser for XLSX-only
+        if (/\.(iif|ofx|qfx|qbo|txt|prn|rpt)$/i.test(this.uploadedFile.name)) {
+          throw new Error('QuickBooks, OFX and Costpoint exports are read by the server, which could not process this file.');
+        }
         if (typeof XLSX === 'undefined') {
           throw new Error('Excel processing library not loaded. Please refresh the page and try again.');
         }
         const jsonData = await readExcelFile(this.uploadedFile);
         console.log('📊 Raw Excel data:', jsonData.length, 'rows');
         normalized = mapExcelRows(jsonData);
+        const counts = new Map();
+        normalized.forEach(r => counts.set(r.sourceSheet, (counts.get(r.sourceSheet) || 0) + 1));
+        sheets = [...counts].map(([name, entryCount]) => ({ name, entryCount, suggested: true }));
+      }
+
+      // Sheet-selection step for workbooks with more than one populated tab
+      if (sheets && sheets.filter(s => s.entryCount > 0).length > 1) {
+        const chosen = await chooseSheets(sheets, this.uploadedFile.name);
+        if (!chosen) {
+          console.log('User cancelled worksheet selection');
+          return;
+        }
+        normalized = normalized.filter(r => chosen.includes(r.sourceSheet));
+        console.log(`📑 Importing ${normalized.length} rows from sheets: ${chosen.join(', ')}`);
+      }
+      if (sourceFileId) normalized = normalized.map(r => ({ ...r, sourceFileId }));
+
+      // Remembered so the Admin tab can save this file's column mapping as a profile
+      const mappedSheet = (sheets || []).find(s => s.headers && normalized.some(r => r.sourceSheet === s.name));
+      if (mappedSheet) {
+        this.lastNormalization = { filename: this.uploadedFile.name, sheet: mappedSheet.name, headers: mappedSheet.headers, mapping: mappedSheet.mapping, profile: mappedSheet.profile };
+        if (mappedSheet.profile) console.log(`🗂️ Columns mapped by saved profile "${mappedSheet.profile.name}"`);
       }
 
       this.glData = normalized;
       console.log('✅ Mapped GL data:', this.glData.length, 'entries');
 
+      // Staged import: the server validates every row, and only accepted rows are committed
+      let staged = null;
       try {
-        if (this.apiBaseUrl) {
-          const result = await saveGLEntries(this.apiBaseUrl, this.glData);
-          if (result && Array.isArray(result.ids)) {
-            this.glData = this.glData.map((row, i) => ({ ...row, id: result.ids[i] || row.id }));
-          }
-        }
+        if (this.apiBaseUrl) staged = await stageGLImport(this.apiBaseUrl, this.glData, this.uploadedFile.name);
       } catch (serverError) {
-        console.warn('Server save failed (continuing with local data):', serverError.message);
+        console.warn('Server import failed (continuing with local data):', serverError.message);
+      }
+      if (staged) {
+        const { report } = staged.import;
+        const changed = report.changes && (report.changes.updated || report.changes.removed);
+        const options = report.issues.length || changed
+          ? await reviewImport(report, { filename: this.uploadedFile.name, issueCodes: staged.issue_codes })
+          : {};
+        if (!options) {
+          await discardGLImport(this.apiBaseUrl, staged.import.id).catch(() => {});
+          console.log('User cancelled GL import after validation');
+          return;
+        }
+        const result = await commitGLImport(this.apiBaseUrl, staged.import.id, options);
+        // Foreign-currency rows come back with their USD amount and the rate used
+        this.glData = result.entries.map(({ index, id, amount, original_amount, fx_rate, fx_date }) => ({
+          ...this.glData[index],
+          id,
+          ...(original_amount != null ? { amount, originalAmount: original_amount, fxRate: fx_rate, fxDate: fx_date } : {})
+        }));
+        console.log(result.mode === 'upsert'
+          ? `✅ Incremental GL load: ${result.inserted} inserted, ${result.updated} updated, ${result.unchanged} unchanged, ${result.removed.length} removed, ${result.skipped.length} skipped`
+          : `✅ Imported ${result.inserted} GL entries, skipped ${result.skipped.length}`);
       }
 
       await this.runInitialAudit();
@@ -1636,7 +1814,15 @@ class FARComplianceApp {
       date: /date|when|time/i,
       category: /category|type|class|group/i,
       vendor: /vendor|supplier|payee|company/i,
-      contractNumber: /contract|agreement|po|purchase.*order/i
+      poNumber: /^po\b|purchase.*order/i,
+      contractNumber: /contract|agreement/i,
+      employeeId: /employee|emp.*(id|no)|personnel|staff.*id/i,
+      project: /project|proj/i,
+      task: /task|wbs/i,
+      org: /^org|organization|department|cost.*center/i,
+      documentNumber: /journal|voucher|document.*(no|num)|^je\b/i,
+      debit: /debit|^dr\b/i,
+      credit: /credit|^cr\b/i
     };
 
     for (let i = 0; i < headers.length; i++) {
@@ -1690,18 +1876,20 @@ class FARComplianceApp {
       });
 
       try {
+        await this.loadCeilingChecks();
         // Use enhanced audit with approval detection if documents are available
         if (this.docs && (this.docs.documents?.length > 0 || this.docs.items?.length > 0)) {
           console.log("Running enhanced audit with approval detection...");
-          this.auditResults = await auditWithApprovalDetection(this.glData, this.farRules, this.docs, this.config);
+          this.auditResults = applyQuestionedCosts(await auditWithApprovalDetection(this.glData, this.farRules, this.docs, this.auditOptions()), this.docs, this.farRules, this.ceilingChecks);
         } else {
           console.log("Running standard audit (no documents available)...");
-          this.auditResults = auditAll(this.glData, this.farRules, this.config);
+          this.auditResults = (await this.auditOnServer()) || this.auditLocally();
         }
       } catch (error) {
         console.warn("Enhanced audit failed, falling back to standard audit:", error.message);
-        this.auditResults = auditAll(this.glData, this.farRules, this.config);
+        this.auditResults = this.auditLocally();
       }
+      this.auditResults = applyOverrides(this.auditResults);
 
       console.log("Audit completed. Results count:", this.auditResults.length);
       console.log("Sample audit result:", this.auditResults[0]);
@@ -1712,6 +1900,7 @@ class FARComplianceApp {
 
       this.renderGLTable();
       this.updateDashboard();
+      this.loadContractBurn();
 
       const auditCount = this.auditResults.length;
       const redCount = this.auditResults.filter(r => r.status === 'RED').length;
@@ -1833,12 +2022,24 @@ class FARComplianceApp {
 
   updateDashboard() {
     try {
-      updateDashboardUI(this.auditResults, this.glData, this.charts);
+      updateDashboardUI(this.auditResults, this.glData, this.charts, this.contractBurn);
     } catch (error) {
       console.error("Error updating dashboard:", error);
     }
   }
 
+  // Funding burn per contract for the dashboard charts; burn follows the
+  // server's audit results, so refresh after audits and on the dashboard tab
+  async loadContractBurn() {
+    if (!this.apiBaseUrl) return;
+    try {
+      this.contractBurn = await fetchContractBurn(this.apiBaseUrl);
+      this.updateDashboard();
+    } catch (e) {
+      console.warn("Contract burn unavailable:", e.message);
+    }
+  }
+
   switchTab(tabName) {
     document.querySelectorAll(".tab-content").forEach((tab) => {
       tab.classList.remove("active");
@@ -1857,6 +2058,7 @@ class FARComplianceApp {
     if (tabName === "dashboard") {
       // Refresh GL data before rendering dashboard to show latest
       this.refreshGLView(true).catch(() => {});
+      this.loadContractBurn();
     } else if (tabName === "logs") {
       this.initializeLogsTab();
     } else if (tabName === "review") {
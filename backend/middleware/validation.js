@@ -180,6 +180,23 @@ export function validateParams(schema) {
 }
 
 // Common validation schemas
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+export const validDate = (s) => DATE_RE.test(s) && !Number.isNaN(Date.parse(s));
+
+/**
+ * Optional ?from=&to= period (YYYY-MM-DD, from <= to). Sends a 400 and returns
+ * null when either is malformed.
+ */
+export function readPeriod(req, res) {
+  const from = req.query.from ? String(req.query.from) : null;
+  const to = req.query.to ? String(req.query.to) : null;
+  if ((from && !validDate(from)) || (to && !validDate(to)) || (from && to && from > to)) {
+    res.status(400).json({ ok: false, error: 'from/to must be YYYY-MM-DD with from <= to', code: 'INVALID_PERIOD' });
+    return null;
+  }
+  return { from, to };
+}
+
 export const schemas = {
   glEntry: {
     description: { 
@@ -1,5 +1,5 @@
 // Simple JSON file-based config persistence for environments without SQLite
-// Stores only app/LLM/DI configs; not intended for high-write paths.
+// Stores app/LLM/DI configs, FAR rule overrides, rule set versions, auditor overrides, contracts, GL column-mapping profiles, timesheets, card transactions, per-diem rates, FX rates, the compensation cap table, the indirect pool mapping and contract burn alert settings; not intended for high-write paths.
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -39,6 +39,21 @@ export function loadAllConfigs(memory) {
       if (data.app_config && typeof data.app_config === 'object') memory.appConfig = data.app_config;
       if (data.llm_config && typeof data.llm_config === 'object') memory.llm = data.llm_config;
       if (data.di_config && typeof data.di_config === 'object') memory.di = data.di_config;
+      if (Array.isArray(data.far_rules)) memory.ruleOverrides = data.far_rules;
+      if (Array.isArray(data.rule_versions)) memory.ruleVersions = data.rule_versions;
+      if (Array.isArray(data.audit_overrides)) memory.auditOverrides = data.audit_overrides;
+      if (Array.isArray(data.contracts)) memory.contracts = data.contracts;
+      if (Array.isArray(data.mapping_profiles)) memory.mappingProfiles = data.mapping_profiles;
+      if (Array.isArray(data.timesheets)) memory.timesheets = data.timesheets;
+      if (Array.isArray(data.card_transactions)) memory.cardTransactions = data.card_transactions;
+      if (data.timesheet_config && typeof data.timesheet_config === 'object') memory.timesheetConfig = data.timesheet_config;
+      if (Array.isArray(data.per_diem_rates)) memory.perDiemRates = data.per_diem_rates;
+      if (Array.isArray(data.fx_rates)) memory.fxRates = data.fx_rates;
+      if (data.compensation_config && typeof data.compensation_config === 'object') memory.compensation = data.compensation_config;
+      if (data.indirect_pools && typeof data.indirect_pools === 'object') memory.indirectPools = data.indirect_pools;
+      if (data.contract_burn_config && typeof data.contract_burn_config === 'object') memory.contractBurn = data.contract_burn_config;
+      if (data.gl_import_config && typeof data.gl_import_config === 'object') memory.glImportConfig = data.gl_import_config;
+      if (data.contract_burn_alerts && typeof data.contract_burn_alerts === 'object') memory.contractBurnAlerts = data.contract_burn_alerts;
     }
   } catch (_) {}
 }
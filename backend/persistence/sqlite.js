@@ -31,9 +31,36 @@ function ensureTables(db) {
       category TEXT,
       vendor TEXT,
       contract_number TEXT,
+      employee_id TEXT,
+      project TEXT,
+      task TEXT,
+      org TEXT,
+      document_number TEXT,
+      line_number TEXT,
+      po_number TEXT,
+      debit REAL,
+      credit REAL,
+      currency TEXT,
+      original_amount REAL,
+      fx_rate REAL,
+      fx_date TEXT,
       created_at TEXT,
       doc_summary TEXT,
-      doc_flag_unallowable INTEGER DEFAULT 0
+      doc_flag_unallowable INTEGER DEFAULT 0,
+      source_file_id TEXT,
+      source_sheet TEXT,
+      source_row INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS gl_files (
+      id TEXT PRIMARY KEY,
+      filename TEXT,
+      hash TEXT,
+      size INTEGER,
+      storage_path TEXT,
+      uploaded_at TEXT,
+      entry_count INTEGER,
+      superseded_by TEXT,
+      processing_json TEXT
     );
     CREATE TABLE IF NOT EXISTS documents (
       id TEXT PRIMARY KEY,
@@ -63,6 +90,9 @@ function ensureTables(db) {
       date TEXT,
       amount REAL,
       currency TEXT,
+      original_amount REAL,
+      fx_rate REAL,
+      fx_date TEXT,
       details_json TEXT,
       text_excerpt TEXT
     );
@@ -78,6 +108,121 @@ function ensureTables(db) {
       key TEXT PRIMARY KEY,
       value_json TEXT
     );
+    CREATE TABLE IF NOT EXISTS audit_results (
+      gl_entry_id TEXT PRIMARY KEY,
+      status TEXT,
+      far_issue TEXT,
+      far_section TEXT,
+      matches_json TEXT,
+      rule_version INTEGER,
+      rule_set_hash TEXT,
+      audited_at TEXT,
+      allowable_amount REAL,
+      unallowable_amount REAL,
+      unallowable_basis TEXT,
+      unallowable_lines_json TEXT,
+      per_diem_json TEXT,
+      compensation_json TEXT
+    );
+    CREATE TABLE IF NOT EXISTS far_rules (
+      section TEXT PRIMARY KEY,
+      rule_json TEXT,
+      enabled INTEGER DEFAULT 1,
+      updated_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS rule_set_versions (
+      id INTEGER PRIMARY KEY,
+      hash TEXT,
+      created_at TEXT,
+      rule_count INTEGER,
+      note TEXT,
+      rules_json TEXT
+    );
+    CREATE TABLE IF NOT EXISTS audit_overrides (
+      id TEXT PRIMARY KEY,
+      gl_entry_id TEXT,
+      status TEXT,
+      rule_status TEXT,
+      reason TEXT,
+      user TEXT,
+      document_id TEXT,
+      created_at TEXT,
+      revoked_at TEXT,
+      revoked_by TEXT,
+      revoke_reason TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_overrides_gl ON audit_overrides (gl_entry_id);
+    CREATE TABLE IF NOT EXISTS contracts (
+      id TEXT PRIMARY KEY,
+      contract_number TEXT UNIQUE,
+      contract_type TEXT,
+      pop_start TEXT,
+      pop_end TEXT,
+      ceiling REAL,
+      funded_amount REAL,
+      customer_agency TEXT,
+      created_at TEXT,
+      updated_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS mapping_profiles (
+      id TEXT PRIMARY KEY,
+      name TEXT,
+      source_system TEXT,
+      fingerprint TEXT,
+      headers_json TEXT,
+      mapping_json TEXT,
+      created_at TEXT,
+      updated_at TEXT,
+      last_used_at TEXT,
+      use_count INTEGER DEFAULT 0
+    );
+    CREATE TABLE IF NOT EXISTS timesheet_entries (
+      id TEXT PRIMARY KEY,
+      document_id TEXT,
+      source TEXT,
+      employee_id TEXT,
+      employee_name TEXT,
+      work_date TEXT,
+      hours REAL,
+      charge_code TEXT,
+      labor_category TEXT,
+      rate REAL,
+      approved INTEGER,
+      approver TEXT,
+      approved_at TEXT,
+      created_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_timesheet_entries_doc ON timesheet_entries (document_id);
+    CREATE TABLE IF NOT EXISTS card_transactions (
+      id TEXT PRIMARY KEY,
+      source TEXT,
+      txn_date TEXT,
+      posted_date TEXT,
+      amount REAL,
+      merchant TEXT,
+      description TEXT,
+      card TEXT,
+      cardholder TEXT,
+      reference TEXT,
+      created_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS per_diem_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fiscal_year INTEGER,
+      state TEXT,
+      destination TEXT,
+      county TEXT,
+      season_begin INTEGER,
+      season_end INTEGER,
+      lodging REAL,
+      mie REAL
+    );
+    CREATE TABLE IF NOT EXISTS fx_rates (
+      currency TEXT,
+      rate_date TEXT,
+      usd_rate REAL,
+      PRIMARY KEY (currency, rate_date)
+    );
   `);
 
   // Migrate existing documents table to add missing columns
@@ -97,6 +242,75 @@ function ensureTables(db) {
   } catch (migrationError) {
     console.warn('⚠️ SQLite migration warning:', migrationError.message);
   }
+
+  try {
+    const glColumns = db.pragma('table_info(gl_entries)').map(col => col.name);
+    if (!glColumns.includes('employee_id')) {
+      console.log('🔧 Migrating SQLite: Adding employee_id column to gl_entries table');
+      db.exec('ALTER TABLE gl_entries ADD COLUMN employee_id TEXT');
+    }
+    if (!glColumns.includes('source_file_id')) {
+      console.log('🔧 Migrating SQLite: Adding source_file_id/source_sheet/source_row columns to gl_entries table');
+      db.exec('ALTER TABLE gl_entries ADD COLUMN source_file_id TEXT');
+      db.exec('ALTER TABLE gl_entries ADD COLUMN source_sheet TEXT');
+      db.exec('ALTER TABLE gl_entries ADD COLUMN source_row INTEGER');
+    }
+    if (!glColumns.includes('project')) {
+      console.log('🔧 Migrating SQLite: Adding project/task/org/document_number/po_number/debit/credit columns to gl_entries table');
+      for (const col of ['project TEXT', 'task TEXT', 'org TEXT', 'document_number TEXT', 'po_number TEXT', 'debit REAL', 'credit REAL']) {
+        db.exec(`ALTER TABLE gl_entries ADD COLUMN ${col}`);
+      }
+    }
+    if (!glColumns.includes('line_number')) {
+      console.log('🔧 Migrating SQLite: Adding line_number column to gl_entries table');
+      db.exec('ALTER TABLE gl_entries ADD COLUMN line_number TEXT');
+    }
+    if (!glColumns.includes('currency')) {
+      console.log('🔧 Migrating SQLite: Adding currency/original_amount/fx_rate/fx_date columns to gl_entries table');
+      for (const col of ['currency TEXT', 'original_amount REAL', 'fx_rate REAL', 'fx_date TEXT']) {
+        db.exec(`ALTER TABLE gl_entries ADD COLUMN ${col}`);
+      }
+    }
+    const itemColumns = db.pragma('table_info(doc_items)').map(col => col.name);
+    if (!itemColumns.includes('original_amount')) {
+      console.log('🔧 Migrating SQLite: Adding original_amount/fx_rate/fx_date columns to doc_items table');
+      for (const col of ['original_amount REAL', 'fx_rate REAL', 'fx_date TEXT']) {
+        db.exec(`ALTER TABLE doc_items ADD COLUMN ${col}`);
+      }
+    }
+  } catch (migrationError) {
+    console.warn('⚠️ SQLite migration warning:', migrationError.message);
+  }
+
+  try {
+    const auditColumns = db.pragma('table_info(audit_results)').map(col => col.name);
+    if (!auditColumns.includes('matches_json')) {
+      console.log('🔧 Migrating SQLite: Adding matches_json column to audit_results table');
+      db.exec('ALTER TABLE audit_results ADD COLUMN matches_json TEXT');
+    }
+    if (!auditColumns.includes('rule_version')) {
+      console.log('🔧 Migrating SQLite: Adding rule_version/rule_set_hash columns to audit_results table');
+      db.exec('ALTER TABLE audit_results ADD COLUMN rule_version INTEGER');
+      db.exec('ALTER TABLE audit_results ADD COLUMN rule_set_hash TEXT');
+    }
+    if (!auditColumns.includes('unallowable_amount')) {
+      console.log('🔧 Migrating SQLite: Adding allowable/unallowable amount columns to audit_results table');
+      db.exec('ALTER TABLE audit_results ADD COLUMN allowable_amount REAL');
+      db.exec('ALTER TABLE audit_results ADD COLUMN unallowable_amount REAL');
+      db.exec('ALTER TABLE audit_results ADD COLUMN unallowable_basis TEXT');
+      db.exec('ALTER TABLE audit_results ADD COLUMN unallowable_lines_json TEXT');
+    }
+    if (!auditColumns.includes('per_diem_json')) {
+      console.log('🔧 Migrating SQLite: Adding per_diem_json column to audit_results table');
+      db.exec('ALTER TABLE audit_results ADD COLUMN per_diem_json TEXT');
+    }
+    if (!auditColumns.includes('compensation_json')) {
+      console.log('🔧 Migrating SQLite: Adding compensation_json column to audit_results table');
+      db.exec('ALTER TABLE audit_results ADD COLUMN compensation_json TEXT');
+    }
+  } catch (migrationError) {
+    console.warn('⚠️ SQLite migration warning:', migrationError.message);
+  }
 }
 
 export function setupSQLite(memory) {
@@ -134,8 +348,16 @@ export function setupSQLite(memory) {
   ensureTables(db);
 
   const insertGl = db.prepare(`INSERT OR REPLACE INTO gl_entries
-    (id, account_number, description, amount, date, category, vendor, contract_number, created_at, doc_summary, doc_flag_unallowable)
-    VALUES (@id, @account_number, @description, @amount, @date, @category, @vendor, @contract_number, @created_at, @doc_summary, @doc_flag_unallowable)`);
+    (id, account_number, description, amount, date, category, vendor, contract_number, employee_id, created_at, doc_summary, doc_flag_unallowable,
+     source_file_id, source_sheet, source_row, project, task, org, document_number, line_number, po_number, debit, credit,
+     currency, original_amount, fx_rate, fx_date)
+    VALUES (@id, @account_number, @description, @amount, @date, @category, @vendor, @contract_number, @employee_id, @created_at, @doc_summary, @doc_flag_unallowable,
+     @source_file_id, @source_sheet, @source_row, @project, @task, @org, @document_number, @line_number, @po_number, @debit, @credit,
+     @currency, @original_amount, @fx_rate, @fx_date)`);
+
+  const insertGLFile = db.prepare(`INSERT OR REPLACE INTO gl_files
+    (id, filename, hash, size, storage_path, uploaded_at, entry_count, superseded_by, processing_json)
+    VALUES (@id, @filename, @hash, @size, @storage_path, @uploaded_at, @entry_count, @superseded_by, @processing_json)`);
 
   const insertDoc = db.prepare(`INSERT OR REPLACE INTO documents
     (id, filename, mime_type, text_content, created_at, doc_type, file_url, meta_json)
@@ -146,8 +368,8 @@ export function setupSQLite(memory) {
     VALUES (@id, @document_id, @approver, @title, @date, @decision, @comments, @targetType)`);
 
   const insertDocItem = db.prepare(`INSERT OR REPLACE INTO doc_items
-    (id, document_id, kind, vendor, date, amount, currency, details_json, text_excerpt)
-    VALUES (@id, @document_id, @kind, @vendor, @date, @amount, @currency, @details_json, @text_excerpt)`);
+    (id, document_id, kind, vendor, date, amount, currency, original_amount, fx_rate, fx_date, details_json, text_excerpt)
+    VALUES (@id, @document_id, @kind, @vendor, @date, @amount, @currency, @original_amount, @fx_rate, @fx_date, @details_json, @text_excerpt)`);
 
   const insertLink = db.prepare(`INSERT OR REPLACE INTO gl_doc_links
     (document_item_id, gl_entry_id, score, doc_summary, doc_flag_unallowable)
@@ -158,6 +380,52 @@ export function setupSQLite(memory) {
   const deleteDocItemsForDoc = db.prepare(`DELETE FROM doc_items WHERE document_id = ?`);
   const deleteApprovalsForDoc = db.prepare(`DELETE FROM document_approvals WHERE document_id = ?`);
 
+  const insertAuditResult = db.prepare(`INSERT OR REPLACE INTO audit_results
+    (gl_entry_id, status, far_issue, far_section, matches_json, rule_version, rule_set_hash, audited_at,
+     allowable_amount, unallowable_amount, unallowable_basis, unallowable_lines_json, per_diem_json, compensation_json)
+    VALUES (@gl_entry_id, @status, @far_issue, @far_section, @matches_json, @rule_version, @rule_set_hash, @audited_at,
+     @allowable_amount, @unallowable_amount, @unallowable_basis, @unallowable_lines_json, @per_diem_json, @compensation_json)`);
+
+  const insertRule = db.prepare(`INSERT OR REPLACE INTO far_rules
+    (section, rule_json, enabled, updated_at)
+    VALUES (@section, @rule_json, @enabled, @updated_at)`);
+  const deleteRuleStmt = db.prepare(`DELETE FROM far_rules WHERE section = ?`);
+  const insertRuleVersion = db.prepare(`INSERT OR REPLACE INTO rule_set_versions
+    (id, hash, created_at, rule_count, note, rules_json)
+    VALUES (@id, @hash, @created_at, @rule_count, @note, @rules_json)`);
+
+  const insertOverride = db.prepare(`INSERT OR REPLACE INTO audit_overrides
+    (id, gl_entry_id, status, rule_status, reason, user, document_id, created_at, revoked_at, revoked_by, revoke_reason)
+    VALUES (@id, @gl_entry_id, @status, @rule_status, @reason, @user, @document_id, @created_at, @revoked_at, @revoked_by, @revoke_reason)`);
+
+  const insertContract = db.prepare(`INSERT OR REPLACE INTO contracts
+    (id, contract_number, contract_type, pop_start, pop_end, ceiling, funded_amount, customer_agency, created_at, updated_at)
+    VALUES (@id, @contract_number, @contract_type, @pop_start, @pop_end, @ceiling, @funded_amount, @customer_agency, @created_at, @updated_at)`);
+  const deleteContractStmt = db.prepare(`DELETE FROM contracts WHERE id = ?`);
+
+  const insertMappingProfile = db.prepare(`INSERT OR REPLACE INTO mapping_profiles
+    (id, name, source_system, fingerprint, headers_json, mapping_json, created_at, updated_at, last_used_at, use_count)
+    VALUES (@id, @name, @source_system, @fingerprint, @headers_json, @mapping_json, @created_at, @updated_at, @last_used_at, @use_count)`);
+  const deleteMappingProfileStmt = db.prepare(`DELETE FROM mapping_profiles WHERE id = ?`);
+
+  const insertTimesheetEntry = db.prepare(`INSERT OR REPLACE INTO timesheet_entries
+    (id, document_id, source, employee_id, employee_name, work_date, hours, charge_code, labor_category, rate, approved, approver, approved_at, created_at)
+    VALUES (@id, @document_id, @source, @employee_id, @employee_name, @work_date, @hours, @charge_code, @labor_category, @rate, @approved, @approver, @approved_at, @created_at)`);
+  const deleteTimesheetEntryStmt = db.prepare(`DELETE FROM timesheet_entries WHERE id = ?`);
+  const deleteTimesheetsForDoc = db.prepare(`DELETE FROM timesheet_entries WHERE document_id = ?`);
+
+  const insertCardTransaction = db.prepare(`INSERT OR REPLACE INTO card_transactions
+    (id, source, txn_date, posted_date, amount, merchant, description, card, cardholder, reference, created_at)
+    VALUES (@id, @source, @txn_date, @posted_date, @amount, @merchant, @description, @card, @cardholder, @reference, @created_at)`);
+  const deleteCardTransactionStmt = db.prepare(`DELETE FROM card_transactions WHERE id = ?`);
+
+  const insertPerDiemRate = db.prepare(`INSERT INTO per_diem_rates
+    (fiscal_year, state, destination, county, season_begin, season_end, lodging, mie)
+    VALUES (@fiscal_year, @state, @destination, @county, @season_begin, @season_end, @lodging, @mie)`);
+  const deletePerDiemYear = db.prepare(`DELETE FROM per_diem_rates WHERE fiscal_year IS ?`);
+
+  const insertFxRate = db.prepare(`INSERT OR REPLACE INTO fx_rates (currency, rate_date, usd_rate) VALUES (@currency, @rate_date, @usd_rate)`);
+
   const saveConfigStmt = db.prepare(`INSERT OR REPLACE INTO kv_config (key, value_json) VALUES (?, ?)`);
   const readConfigStmt = db.prepare(`SELECT value_json FROM kv_config WHERE key = ?`);
 
@@ -170,16 +438,45 @@ export function setupSQLite(memory) {
           id: r.id,
           account_number: r.account_number,
           description: r.description,
-          amount: Number(r.amount || 0),
+          // Foreign rows stay unconverted (null) until a rate is loaded
+          amount: r.amount == null && r.original_amount != null ? null : Number(r.amount || 0),
           date: r.date ? new Date(r.date) : null,
           category: r.category,
           vendor: r.vendor,
           contract_number: r.contract_number,
+          employee_id: r.employee_id || null,
+          project: r.project || null,
+          task: r.task || null,
+          org: r.org || null,
+          document_number: r.document_number || null,
+          line_number: r.line_number || null,
+          po_number: r.po_number || null,
+          debit: r.debit ?? null,
+          credit: r.credit ?? null,
+          currency: r.currency || null,
+          original_amount: r.original_amount ?? null,
+          fx_rate: r.fx_rate ?? null,
+          fx_date: r.fx_date || null,
           created_at: r.created_at ? new Date(r.created_at) : new Date(),
           doc_summary: r.doc_summary || null,
           doc_flag_unallowable: !!r.doc_flag_unallowable,
+          source_file_id: r.source_file_id || null,
+          source_sheet: r.source_sheet || null,
+          source_row: r.source_row ?? null,
         }));
       }
+      // Load uploaded GL file metadata (provenance for gl_entries.source_file_id)
+      memory.uploadedGLFiles = db.prepare('SELECT * FROM gl_files ORDER BY uploaded_at').all().map(f => ({
+        id: f.id,
+        filename: f.filename,
+        hash: f.hash,
+        size: f.size,
+        storagePath: f.storage_path || null,
+        uploadedAt: f.uploaded_at,
+        entryCount: f.entry_count,
+        supersededBy: f.superseded_by || null,
+        processing: f.processing_json ? (() => { try { return JSON.parse(f.processing_json); } catch { return {}; } })() : {},
+      }));
       // Load documents
       const docs = db.prepare('SELECT * FROM documents').all();
       const approvals = db.prepare('SELECT * FROM document_approvals').all();
@@ -213,6 +510,9 @@ export function setupSQLite(memory) {
         date: i.date,
         amount: i.amount,
         currency: i.currency,
+        original_amount: i.original_amount ?? null,
+        fx_rate: i.fx_rate ?? null,
+        fx_date: i.fx_date || null,
         details: (i.details_json ? (() => { try { return JSON.parse(i.details_json); } catch { return {}; } })() : {}),
         text_excerpt: i.text_excerpt,
       }));
@@ -225,20 +525,181 @@ export function setupSQLite(memory) {
         doc_summary: l.doc_summary || null,
         doc_flag_unallowable: !!l.doc_flag_unallowable,
       }));
+      // Load audit results
+      const audits = db.prepare('SELECT * FROM audit_results').all();
+      memory.auditResults = audits.map(a => ({
+        gl_entry_id: String(a.gl_entry_id),
+        status: a.status,
+        far_issue: a.far_issue,
+        far_section: a.far_section,
+        matches: (a.matches_json ? (() => { try { return JSON.parse(a.matches_json); } catch { return []; } })() : []),
+        rule_version: a.rule_version ?? null,
+        rule_set_hash: a.rule_set_hash || null,
+        audited_at: a.audited_at,
+        allowable_amount: a.allowable_amount ?? null,
+        unallowable_amount: a.unallowable_amount ?? null,
+        unallowable_basis: a.unallowable_basis || null,
+        unallowable_lines: (a.unallowable_lines_json ? (() => { try { return JSON.parse(a.unallowable_lines_json); } catch { return []; } })() : []),
+        per_diem: (a.per_diem_json ? (() => { try { return JSON.parse(a.per_diem_json); } catch { return null; } })() : null),
+        compensation: (a.compensation_json ? (() => { try { return JSON.parse(a.compensation_json); } catch { return null; } })() : null),
+      }));
+      // Load FAR rule overrides
+      const ruleRows = db.prepare('SELECT * FROM far_rules').all();
+      memory.ruleOverrides = ruleRows.map(r => ({
+        section: r.section,
+        rule: (r.rule_json ? (() => { try { return JSON.parse(r.rule_json); } catch { return null; } })() : null),
+        enabled: r.enabled !== 0,
+        updated_at: r.updated_at,
+      }));
+      // Load rule set versions
+      const versions = db.prepare('SELECT * FROM rule_set_versions ORDER BY id').all();
+      memory.ruleVersions = versions.map(v => ({
+        id: v.id,
+        hash: v.hash,
+        created_at: v.created_at,
+        rule_count: v.rule_count,
+        note: v.note || null,
+        rules: (v.rules_json ? (() => { try { return JSON.parse(v.rules_json); } catch { return []; } })() : []),
+      }));
+      // Load auditor overrides (full history, including revoked)
+      const overrides = db.prepare('SELECT * FROM audit_overrides ORDER BY created_at').all();
+      memory.auditOverrides = overrides.map(o => ({
+        id: o.id,
+        gl_entry_id: String(o.gl_entry_id),
+        status: o.status,
+        rule_status: o.rule_status || null,
+        reason: o.reason,
+        user: o.user,
+        document_id: o.document_id || null,
+        created_at: o.created_at,
+        revoked_at: o.revoked_at || null,
+        revoked_by: o.revoked_by || null,
+        revoke_reason: o.revoke_reason || null,
+      }));
+      // Load the contract registry
+      memory.contracts = db.prepare('SELECT * FROM contracts ORDER BY contract_number').all().map(c => ({
+        ...c,
+        ceiling: c.ceiling ?? null,
+        funded_amount: c.funded_amount ?? null,
+      }));
+      // Load column-mapping profiles
+      memory.mappingProfiles = db.prepare('SELECT * FROM mapping_profiles ORDER BY name').all().map(p => ({
+        id: p.id,
+        name: p.name,
+        source_system: p.source_system || null,
+        fingerprint: p.fingerprint,
+        headers: (() => { try { return JSON.parse(p.headers_json || '[]'); } catch { return []; } })(),
+        mapping: (() => { try { return JSON.parse(p.mapping_json || '{}'); } catch { return {}; } })(),
+        created_at: p.created_at,
+        updated_at: p.updated_at,
+        last_used_at: p.last_used_at || null,
+        use_count: p.use_count || 0,
+      }));
+      // Load timesheet entries
+      memory.timesheets = db.prepare('SELECT * FROM timesheet_entries ORDER BY work_date, employee_id').all().map(t => ({
+        id: t.id,
+        document_id: t.document_id || null,
+        source: t.source || null,
+        employee_id: t.employee_id,
+        employee_name: t.employee_name || null,
+        date: t.work_date,
+        hours: Number(t.hours),
+        charge_code: t.charge_code,
+        labor_category: t.labor_category || null,
+        rate: t.rate ?? null,
+        approved: !!t.approved,
+        approver: t.approver || null,
+        approved_at: t.approved_at || null,
+        created_at: t.created_at,
+      }));
+      // Load corporate card transactions
+      memory.cardTransactions = db.prepare('SELECT * FROM card_transactions ORDER BY txn_date, id').all().map(t => ({
+        id: t.id,
+        source: t.source || null,
+        date: t.txn_date,
+        posted_date: t.posted_date || null,
+        amount: Number(t.amount),
+        merchant: t.merchant,
+        description: t.description || null,
+        card: t.card || null,
+        cardholder: t.cardholder || null,
+        reference: t.reference || null,
+        created_at: t.created_at,
+      }));
+      // Load GSA per-diem rates
+      const perDiem = db.prepare('SELECT * FROM per_diem_rates ORDER BY id').all();
+      memory.perDiemRates = perDiem.map(r => ({
+        fiscal_year: r.fiscal_year ?? null,
+        state: r.state || '',
+        destination: r.destination || '',
+        county: r.county || '',
+        season_begin: r.season_begin ?? null,
+        season_end: r.season_end ?? null,
+        lodging: Number(r.lodging),
+        mie: Number(r.mie),
+      }));
+      // Load FX rates
+      memory.fxRates = db.prepare('SELECT * FROM fx_rates ORDER BY currency, rate_date').all().map(r => ({
+        currency: r.currency,
+        date: r.rate_date,
+        usd_rate: Number(r.usd_rate),
+      }));
       // Load configs
       try { const t = readConfigStmt.get('app_config'); if (t?.value_json) memory.appConfig = JSON.parse(t.value_json); } catch {}
       try { const t = readConfigStmt.get('llm_config'); if (t?.value_json) memory.llm = JSON.parse(t.value_json); } catch {}
       try { const t = readConfigStmt.get('di_config'); if (t?.value_json) memory.di = JSON.parse(t.value_json); } catch {}
+      try { const t = readConfigStmt.get('compensation_config'); if (t?.value_json) memory.compensation = JSON.parse(t.value_json); } catch {}
+      try { const t = readConfigStmt.get('indirect_pools'); if (t?.value_json) memory.indirectPools = JSON.parse(t.value_json); } catch {}
+      try { const t = readConfigStmt.get('timesheet_config'); if (t?.value_json) memory.timesheetConfig = JSON.parse(t.value_json); } catch {}
+      try { const t = readConfigStmt.get('contract_burn_config'); if (t?.value_json) memory.contractBurn = JSON.parse(t.value_json); } catch {}
+      try { const t = readConfigStmt.get('gl_import_config'); if (t?.value_json) memory.glImportConfig = JSON.parse(t.value_json); } catch {}
+      try { const t = readConfigStmt.get('contract_burn_alerts'); if (t?.value_json) memory.contractBurnAlerts = JSON.parse(t.value_json); } catch {}
     } catch (e) {
       console.warn('[sqlite] loadAll failed:', e?.message || e);
     }
   }
 
+  // Optional gl_entries columns for callers that predate them
+  const EMPTY_GL_EXTRAS = {
+    source_file_id: null, source_sheet: null, source_row: null,
+    project: null, task: null, org: null, document_number: null, line_number: null, po_number: null, debit: null, credit: null,
+    currency: null, original_amount: null, fx_rate: null, fx_date: null,
+  };
+
   function insertGLEntries(rows) {
-    const tx = db.transaction((arr) => { arr.forEach(r => insertGl.run(r)); });
+    const tx = db.transaction((arr) => { arr.forEach(r => insertGl.run({ ...EMPTY_GL_EXTRAS, ...r })); });
     tx(rows);
   }
 
+  // Entries dropped by an incremental load, with their audit results and document links
+  const deleteGlStmt = db.prepare(`DELETE FROM gl_entries WHERE id = ?`);
+  const deleteAuditResultStmt = db.prepare(`DELETE FROM audit_results WHERE gl_entry_id = ?`);
+  const deleteGlLinksStmt = db.prepare(`DELETE FROM gl_doc_links WHERE gl_entry_id = ?`);
+  function deleteGLEntries(ids) {
+    const tx = db.transaction((arr) => {
+      arr.forEach(id => {
+        deleteGlLinksStmt.run(String(id));
+        deleteAuditResultStmt.run(String(id));
+        deleteGlStmt.run(String(id));
+      });
+    });
+    tx(ids);
+  }
+
+  function saveGLFile(f) {
+    insertGLFile.run({
+      id: f.id,
+      filename: f.filename,
+      hash: f.hash,
+      size: f.size ?? null,
+      storage_path: f.storagePath || null,
+      uploaded_at: f.uploadedAt,
+      entry_count: f.entryCount ?? 0,
+      superseded_by: f.supersededBy || null,
+      processing_json: JSON.stringify(f.processing || {}),
+    });
+  }
+
   function saveDocument(doc, approvalsArr) {
     insertDoc.run(doc);
     const tx = db.transaction((arr, docId) => {
@@ -257,6 +718,9 @@ export function setupSQLite(memory) {
         date: i.date || null,
         amount: typeof i.amount === 'number' ? i.amount : null,
         currency: i.currency || null,
+        original_amount: i.original_amount ?? null,
+        fx_rate: i.fx_rate ?? null,
+        fx_date: i.fx_date || null,
         details_json: JSON.stringify(i.details || {}),
         text_excerpt: i.text_excerpt || null,
       }));
@@ -273,6 +737,184 @@ export function setupSQLite(memory) {
     deleteLink.run(String(document_item_id), String(gl_entry_id));
   }
 
+  function saveAuditResults(results) {
+    const tx = db.transaction((arr) => {
+      arr.forEach(r => insertAuditResult.run({
+        gl_entry_id: String(r.gl_entry_id),
+        status: r.status,
+        far_issue: r.far_issue || null,
+        far_section: r.far_section || null,
+        matches_json: JSON.stringify(r.matches || []),
+        rule_version: r.rule_version ?? null,
+        rule_set_hash: r.rule_set_hash || null,
+        audited_at: r.audited_at || new Date().toISOString(),
+        allowable_amount: r.allowable_amount ?? null,
+        unallowable_amount: r.unallowable_amount ?? null,
+        unallowable_basis: r.unallowable_basis || null,
+        unallowable_lines_json: JSON.stringify(r.unallowable_lines || []),
+        per_diem_json: r.per_diem ? JSON.stringify(r.per_diem) : null,
+        compensation_json: r.compensation ? JSON.stringify(r.compensation) : null,
+      }));
+    });
+    tx(results || []);
+  }
+
+  function saveRuleOverride(o) {
+    insertRule.run({
+      section: String(o.section),
+      rule_json: o.rule ? JSON.stringify(o.rule) : null,
+      enabled: o.enabled === false ? 0 : 1,
+      updated_at: o.updated_at || new Date().toISOString(),
+    });
+  }
+
+  function deleteRuleOverride(section) {
+    deleteRuleStmt.run(String(section));
+  }
+
+  function saveRuleVersion(v) {
+    insertRuleVersion.run({
+      id: v.id,
+      hash: v.hash,
+      created_at: v.created_at,
+      rule_count: v.rule_count,
+      note: v.note || null,
+      rules_json: JSON.stringify(v.rules || []),
+    });
+  }
+
+  function saveAuditOverride(o) {
+    insertOverride.run({
+      id: String(o.id),
+      gl_entry_id: String(o.gl_entry_id),
+      status: o.status,
+      rule_status: o.rule_status || null,
+      reason: o.reason || null,
+      user: o.user || null,
+      document_id: o.document_id || null,
+      created_at: o.created_at,
+      revoked_at: o.revoked_at || null,
+      revoked_by: o.revoked_by || null,
+      revoke_reason: o.revoke_reason || null,
+    });
+  }
+
+  function saveContract(record) {
+    insertContract.run({
+      id: record.id,
+      contract_number: record.contract_number,
+      contract_type: record.contract_type,
+      pop_start: record.pop_start || null,
+      pop_end: record.pop_end || null,
+      ceiling: record.ceiling ?? null,
+      funded_amount: record.funded_amount ?? null,
+      customer_agency: record.customer_agency || null,
+      created_at: record.created_at,
+      updated_at: record.updated_at,
+    });
+  }
+
+  function deleteContract(id) {
+    deleteContractStmt.run(id);
+  }
+
+  function saveMappingProfile(record) {
+    insertMappingProfile.run({
+      id: record.id,
+      name: record.name,
+      source_system: record.source_system || null,
+      fingerprint: record.fingerprint,
+      headers_json: JSON.stringify(record.headers || []),
+      mapping_json: JSON.stringify(record.mapping || {}),
+      created_at: record.created_at,
+      updated_at: record.updated_at,
+      last_used_at: record.last_used_at || null,
+      use_count: record.use_count || 0,
+    });
+  }
+
+  function deleteMappingProfile(id) {
+    deleteMappingProfileStmt.run(id);
+  }
+
+  function saveTimesheetEntries(rows) {
+    const tx = db.transaction(() => {
+      (rows || []).forEach(t => insertTimesheetEntry.run({
+        id: t.id,
+        document_id: t.document_id || null,
+        source: t.source || null,
+        employee_id: t.employee_id,
+        employee_name: t.employee_name || null,
+        work_date: t.date,
+        hours: t.hours,
+        charge_code: t.charge_code,
+        labor_category: t.labor_category || null,
+        rate: t.rate ?? null,
+        approved: t.approved ? 1 : 0,
+        approver: t.approver || null,
+        approved_at: t.approved_at || null,
+        created_at: t.created_at,
+      }));
+    });
+    tx();
+  }
+
+  function deleteTimesheetEntry(id) {
+    deleteTimesheetEntryStmt.run(id);
+  }
+
+  function deleteTimesheetsForDocument(documentId) {
+    deleteTimesheetsForDoc.run(documentId);
+  }
+
+  function saveCardTransactions(rows) {
+    const tx = db.transaction(() => {
+      (rows || []).forEach(t => insertCardTransaction.run({
+        id: t.id,
+        source: t.source || null,
+        txn_date: t.date,
+        posted_date: t.posted_date || null,
+        amount: t.amount,
+        merchant: t.merchant,
+        description: t.description || null,
+        card: t.card || null,
+        cardholder: t.cardholder || null,
+        reference: t.reference || null,
+        created_at: t.created_at,
+      }));
+    });
+    tx();
+  }
+
+  function deleteCardTransaction(id) {
+    deleteCardTransactionStmt.run(id);
+  }
+
+  // Replace all rates for the given fiscal years in one transaction
+  function replacePerDiemRates(fiscalYears, rates) {
+    const tx = db.transaction(() => {
+      (fiscalYears || []).forEach(fy => deletePerDiemYear.run(fy ?? null));
+      (rates || []).forEach(r => insertPerDiemRate.run({
+        fiscal_year: r.fiscal_year ?? null,
+        state: r.state || '',
+        destination: r.destination || '',
+        county: r.county || '',
+        season_begin: r.season_begin ?? null,
+        season_end: r.season_end ?? null,
+        lodging: r.lodging,
+        mie: r.mie,
+      }));
+    });
+    tx();
+  }
+
+  function saveFxRates(rates) {
+    const tx = db.transaction(() => {
+      (rates || []).forEach(r => insertFxRate.run({ currency: r.currency, rate_date: r.date, usd_rate: r.usd_rate }));
+    });
+    tx();
+  }
+
   function saveConfig(key, obj) {
     try { saveConfigStmt.run(String(key), JSON.stringify(obj || {})); } catch (e) {}
   }
@@ -296,10 +938,28 @@ export function setupSQLite(memory) {
     db,
     loadAll,
     insertGLEntries,
+    deleteGLEntries,
+    saveGLFile,
     saveDocument,
     saveDocItems,
     saveLinks,
     removeLink,
+    saveAuditResults,
+    saveRuleOverride,
+    deleteRuleOverride,
+    saveRuleVersion,
+    saveAuditOverride,
+    saveContract,
+    deleteContract,
+    saveMappingProfile,
+    deleteMappingProfile,
+    saveTimesheetEntries,
+    deleteTimesheetEntry,
+    deleteTimesheetsForDocument,
+    saveCardTransactions,
+    deleteCardTransaction,
+    replacePerDiemRates,
+    saveFxRates,
     saveConfig,
     clearDocumentRelatedData,
   };
@@ -0,0 +1,133 @@
+import express from 'express';
+import { auditEntries, summarizeResults, mergeResults, auditOptions } from '../services/auditEngine.js';
+import { checkBurnAlerts } from '../services/contractBurn.js';
+import { ensureCurrentVersion, findVersion, versionAt, describeVersion, diffAuditResults } from '../services/ruleVersions.js';
+import { applyOverrides, activeOverrides, describeOverride } from '../services/auditOverrides.js';
+import { logger, LogCategory } from '../services/logService.js';
+const router = express.Router();
+
+const STATUSES = ['RED', 'YELLOW', 'GREEN'];
+
+// Run the FAR audit over all GL entries (or the given ids) and persist the results.
+// Stored results are the rule outcome; responses apply auditor overrides on top.
+router.post('/run', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const ids = Array.isArray(req.body?.ids) ? new Set(req.body.ids.map(String)) : null;
+        const entries = ids
+            ? memory.glEntries.filter(e => ids.has(String(e.id)))
+            : memory.glEntries;
+
+        const version = ensureCurrentVersion(memory, sqlite);
+        const started = Date.now();
+        const results = auditEntries(entries, version, auditOptions(memory));
+
+        memory.auditResults = ids ? mergeResults(memory.auditResults, results) : results;
+        try {
+            if (sqlite) {
+                if (!ids) sqlite.db.exec('DELETE FROM audit_results;');
+                sqlite.saveAuditResults(results);
+            }
+        } catch (dbError) {
+            console.error('Failed to persist audit results to SQLite:', dbError);
+        }
+        checkBurnAlerts(memory, sqlite);
+
+        const effective = applyOverrides(results, memory);
+        const summary = summarizeResults(effective);
+        logger.info(LogCategory.FAR_AUDIT, 'FAR audit completed', {
+            audited: results.length,
+            rules: version.rule_count,
+            rule_version: version.id,
+            red: summary.RED,
+            yellow: summary.YELLOW,
+            overridden: effective.filter(r => r.override).length,
+            questioned_cost: summary.questioned_cost,
+            duration_ms: Date.now() - started
+        });
+
+        res.json({ ok: true, audited: results.length, rulesCount: version.rule_count, ruleVersion: describeVersion(version), summary, results: effective });
+    } catch (e) {
+        console.error('FAR audit failed:', e);
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Latest stored audit results with overrides applied, optionally filtered by (effective) status
+router.get('/results', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ ok: false, error: `status must be one of ${STATUSES.join(', ')}`, code: 'INVALID_STATUS' });
+        }
+        const limit = Math.min(Number(req.query.limit) || 1000, 5000);
+        const offset = Number(req.query.offset) || 0;
+
+        const all = applyOverrides(memory.auditResults, memory);
+        const filtered = status ? all.filter(r => r.status === status) : all;
+        res.json({
+            results: filtered.slice(offset, offset + limit),
+            total: filtered.length,
+            summary: summarizeResults(all),
+            limit,
+            offset
+        });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Overrides currently in force across all GL entries
+router.get('/overrides', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const overrides = Array.from(activeOverrides(memory).values()).map(o => describeOverride(o, memory));
+        res.json({ overrides, total: overrides.length });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Re-run the audit under a historical rule set (by version id or as of a date)
+// and diff it against the current rules. Nothing is persisted.
+router.post('/replay', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const { version: versionId, at } = req.body || {};
+        const historical = versionId != null ? findVersion(memory, versionId) : (at ? versionAt(memory, at) : null);
+        if (!historical) {
+            return res.status(404).json({ ok: false, error: 'Rule set version not found (pass version or at)', code: 'VERSION_NOT_FOUND' });
+        }
+        const ids = Array.isArray(req.body?.ids) ? new Set(req.body.ids.map(String)) : null;
+        const entries = ids ? memory.glEntries.filter(e => ids.has(String(e.id))) : memory.glEntries;
+
+        const current = ensureCurrentVersion(memory, sqlite);
+        const options = auditOptions(memory);
+        const before = auditEntries(entries, historical, options);
+        const after = auditEntries(entries, current, options);
+        const byId = new Map(entries.map(e => [String(e.id), e]));
+        const changed = diffAuditResults(before, after).map(c => ({
+            ...c,
+            description: byId.get(c.gl_entry_id)?.description ?? null,
+            amount: byId.get(c.gl_entry_id)?.amount ?? null
+        }));
+
+        res.json({
+            ok: true,
+            historical: describeVersion(historical),
+            current: describeVersion(current),
+            audited: entries.length,
+            summary: { historical: summarizeResults(before), current: summarizeResults(after) },
+            changedCount: changed.length,
+            changed
+        });
+    } catch (e) {
+        console.error('Audit replay failed:', e);
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
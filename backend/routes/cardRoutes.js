@@ -0,0 +1,87 @@
+import express from 'express';
+import multer from 'multer';
+import {
+    readCardStatement, parseCardTable, importCardTransactions, deleteCardTransaction, reconcileCards
+} from '../services/cardTransactions.js';
+import { logger, LogCategory } from '../services/logService.js';
+import { readPeriod } from '../middleware/validation.js';
+// Mounted at /api/cards
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+function invalidStatement(res, error) {
+    return res.status(400).json({ ok: false, error, code: 'INVALID_CARD_STATEMENT' });
+}
+
+// Import a card statement: multipart "file" (CSV, XLSX, OFX/QFX/QBO) or JSON { rows: [[header...], [...]] }.
+// Transactions already imported from an overlapping statement are skipped.
+router.post('/import', upload.single('file'), async (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        let parsed;
+        try {
+            if (req.file) parsed = await readCardStatement(req.file.buffer, req.file.originalname);
+            else if (Array.isArray(req.body?.rows)) parsed = parseCardTable(req.body.rows);
+            else return invalidStatement(res, 'Provide a statement file or rows');
+        } catch (readError) {
+            return invalidStatement(res, readError.message);
+        }
+        if (!parsed.records.length) return invalidStatement(res, 'No card transactions found');
+
+        const source = req.file?.originalname || 'rows';
+        const { rows, duplicates } = importCardTransactions(memory, sqlite, parsed.records, { source });
+        const charges = rows.filter(r => r.amount > 0);
+        const amount = Math.round(charges.reduce((s, r) => s + r.amount, 0) * 100) / 100;
+        logger.info(LogCategory.GL_OPERATIONS, 'Card statement imported', {
+            source, imported: rows.length, duplicates, skipped: parsed.skipped, charges: charges.length, amount
+        });
+        res.json({ ok: true, imported: rows.length, duplicates, skipped: parsed.skipped, charges: charges.length, amount, total: memory.cardTransactions.length });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Stored transactions, filtered by ?card=&from=&to=
+router.get('/transactions', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const period = readPeriod(req, res);
+        if (!period) return;
+        const card = String(req.query.card || '');
+        const rows = (memory.cardTransactions || []).filter(t =>
+            (!card || t.card === card) &&
+            (!period.from || t.date >= period.from) &&
+            (!period.to || t.date <= period.to));
+        res.json({ total: rows.length, transactions: rows });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Charges without receipts, receipts without charges, charges not in the GL (?from=&to=)
+router.get('/reconciliation', async (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const period = readPeriod(req, res);
+        if (!period) return;
+        res.json(await reconcileCards(memory, period));
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.delete('/transactions/:id', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const row = (memory.cardTransactions || []).find(t => t.id === String(req.params.id));
+        if (!row) return res.status(404).json({ ok: false, error: 'Card transaction not found', code: 'CARD_TRANSACTION_NOT_FOUND' });
+        deleteCardTransaction(memory, sqlite, row);
+        res.json({ ok: true, transaction: row });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
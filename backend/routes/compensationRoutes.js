@@ -0,0 +1,59 @@
+import express from 'express';
+import { analyzeCompensation, compensationConfig, normalizeCompensationConfig, saveCompensationConfig } from '../services/compensation.js';
+import { logger, LogCategory } from '../services/logService.js';
+// Mounted at /api/compensation
+const router = express.Router();
+
+// Payroll totals per employee and fiscal year against the 31.205-6(p) cap,
+// plus each payroll entry's share of the excess. ?status=OVER narrows employees.
+router.get('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const { employees, byEntry } = analyzeCompensation(memory);
+        const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+        const over = employees.filter(e => e.status === 'OVER');
+        res.json({
+            summary: {
+                employees: employees.length,
+                over: over.length,
+                no_cap: employees.filter(e => e.status === 'NO_CAP').length,
+                no_cap_years: [...new Set(employees.filter(e => e.status === 'NO_CAP').map(e => e.fiscal_year))].sort(),
+                excess_total: Math.round(over.reduce((s, e) => s + e.excess, 0) * 100) / 100
+            },
+            employees: status ? employees.filter(e => e.status === status) : employees,
+            checks: Array.from(byEntry.values())
+        });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Cap table, fiscal year start and payroll account/keyword criteria
+router.get('/config', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        res.json({ config: compensationConfig(memory), source: memory.compensation ? 'stored' : 'config/compensationCaps.json' });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.put('/config', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const { config, errors } = normalizeCompensationConfig(req.body || {});
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: errors.join('; '), code: 'INVALID_COMPENSATION_CONFIG' });
+        }
+        saveCompensationConfig(memory, sqlite, config);
+        logger.info(LogCategory.FAR_AUDIT, 'Compensation cap table updated', {
+            caps: config.caps.map(c => `FY${c.fiscal_year}: ${c.amount}`)
+        });
+        res.json({ ok: true, config });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,158 @@
+import express from 'express';
+import {
+    normalizeContract, findContract, findContractById, createContract, updateContract, deleteContract,
+    describeContracts, unknownContractNumbers, entriesForContract
+} from '../services/contracts.js';
+import { computeBurn, burnConfig, normalizeBurnConfig, saveBurnConfig, checkBurnAlerts } from '../services/contractBurn.js';
+import { CONTRACT_TYPES } from '../../modules/services/contractRules.js';
+import { logger, LogCategory } from '../services/logService.js';
+// Mounted at /api/contracts
+const router = express.Router();
+
+function invalidContract(res, errors) {
+    return res.status(400).json({ ok: false, error: errors.join('; '), code: 'INVALID_CONTRACT' });
+}
+
+function notFound(res) {
+    return res.status(404).json({ ok: false, error: 'Contract not found', code: 'CONTRACT_NOT_FOUND' });
+}
+
+// Re-audit the GL entries billed to these contract numbers so the rule
+// applicability and period-of-performance findings follow the registry.
+// Unregistered numbers go too: their flag depends on the registry being non-empty.
+function reaudit(req, ...numbers) {
+    const memory = req.app.locals.memory;
+    const unknown = unknownContractNumbers(memory).map(u => u.contract_number);
+    const ids = [...numbers.filter(Boolean), ...unknown].flatMap(n => entriesForContract(memory, n).map(e => e.id));
+    if (ids.length) req.app.locals.auditGLEntries?.(ids);
+    // Funding or ceiling edits move burn percentages even without a re-audit
+    checkBurnAlerts(memory, req.app.locals.sqlite);
+    return ids.length;
+}
+
+router.get('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        res.json({ contracts: describeContracts(memory), types: CONTRACT_TYPES });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Contract numbers billed in the GL but missing from the registry
+router.get('/unknown', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        res.json({ unknown: unknownContractNumbers(memory) });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Funding burn per contract: monthly allowable cost, run rate and projected
+// exhaustion of funding and ceiling (?as_of=YYYY-MM-DD)
+router.get('/burn', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const asOf = req.query.as_of ? String(req.query.as_of) : null;
+        if (asOf && (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || Number.isNaN(Date.parse(asOf)))) {
+            return res.status(400).json({ ok: false, error: 'as_of must be YYYY-MM-DD', code: 'INVALID_QUERY' });
+        }
+        res.json(computeBurn(memory, { asOf }));
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.get('/burn/config', (req, res) => {
+    const memory = req.app.locals.memory;
+    res.json({ config: burnConfig(memory), custom: !!memory.contractBurn });
+});
+
+// Replace the alert percentages / run-rate window: { alert_percents: [75, 90, 100], lookback_months: 3 }
+router.put('/burn/config', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const { config, errors } = normalizeBurnConfig(req.body || {});
+        if (errors.length) return res.status(400).json({ ok: false, error: errors.join('; '), code: 'INVALID_BURN_CONFIG' });
+        saveBurnConfig(memory, sqlite, config);
+        const alerts = checkBurnAlerts(memory, sqlite);
+        logger.info(LogCategory.CONTRACT_FUNDING, 'Contract burn alert settings updated', { ...config, alerts });
+        res.json({ ok: true, config, alerts });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.get('/:id', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const record = findContractById(memory, req.params.id);
+        if (!record) return notFound(res);
+        res.json({ contract: record });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.post('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const { contract, errors } = normalizeContract(req.body || {});
+        if (errors.length) return invalidContract(res, errors);
+        if (findContract(memory.contracts, contract.contract_number)) {
+            return res.status(409).json({ ok: false, error: `Contract ${contract.contract_number} already exists`, code: 'CONTRACT_EXISTS' });
+        }
+        const record = createContract(memory, sqlite, contract);
+        const reaudited = reaudit(req, record.contract_number);
+        logger.info(LogCategory.FAR_AUDIT, 'Contract registered', {
+            contract_number: record.contract_number,
+            contract_type: record.contract_type,
+            reaudited
+        });
+        res.status(201).json({ ok: true, contract: record, reaudited });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.put('/:id', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const record = findContractById(memory, req.params.id);
+        if (!record) return notFound(res);
+        const { contract, errors } = normalizeContract(req.body || {}, record);
+        if (errors.length) return invalidContract(res, errors);
+        const clash = findContract(memory.contracts, contract.contract_number);
+        if (clash && clash.id !== record.id) {
+            return res.status(409).json({ ok: false, error: `Contract ${contract.contract_number} already exists`, code: 'CONTRACT_EXISTS' });
+        }
+        const previousNumber = record.contract_number;
+        updateContract(memory, sqlite, record, contract);
+        const reaudited = reaudit(req, previousNumber, previousNumber !== record.contract_number ? record.contract_number : null);
+        logger.info(LogCategory.FAR_AUDIT, 'Contract updated', { contract_number: record.contract_number, reaudited });
+        res.json({ ok: true, contract: record, reaudited });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.delete('/:id', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const record = findContractById(memory, req.params.id);
+        if (!record) return notFound(res);
+        deleteContract(memory, sqlite, record);
+        const reaudited = reaudit(req, record.contract_number);
+        logger.info(LogCategory.FAR_AUDIT, 'Contract removed', { contract_number: record.contract_number, reaudited });
+        res.json({ ok: true, contract: record, reaudited });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import multer from 'multer';
 import { processDocumentWorkflow, batchProcessDocuments } from '../services/documentWorkflow.js';
+import { fxConverter } from '../services/fxRates.js';
 const router = express.Router();
 
 const upload = multer({ 
@@ -82,7 +83,7 @@ router.post('/process-document', upload.single('document'), async (req, res) =>
         const result = await processDocumentWorkflow(
             req.file.buffer,
             glEntries,
-            { ...options, fileType: req.file.mimetype, filename: req.file.originalname }
+            { ...options, fileType: req.file.mimetype, filename: req.file.originalname, convert: fxConverter(req.app.locals.memory || {}) }
         );
         
         res.json({
@@ -0,0 +1,87 @@
+import express from 'express';
+import multer from 'multer';
+import { parseFxCSV, importFxRates, reconvertPending, convertToUSD, currencyCode } from '../services/fxRates.js';
+import { sqliteGLRow } from '../services/glImport.js';
+import { logger, LogCategory } from '../services/logService.js';
+// Mounted at /api/fx
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Import an FX rate CSV (multipart "file" or JSON { csv }); replaces the rate
+// for each currency and date in the file. Receipts and GL rows that were
+// waiting for one of these rates are converted and their GL entries re-audited.
+router.post('/rates/import', upload.single('file'), (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const text = req.file ? req.file.buffer.toString('utf-8') : String(req.body?.csv || '');
+        if (!text.trim()) return res.status(400).json({ ok: false, error: 'Provide a CSV file or csv text', code: 'INVALID_CSV' });
+        let parsed;
+        try {
+            parsed = parseFxCSV(text);
+        } catch (parseError) {
+            return res.status(400).json({ ok: false, error: parseError.message, code: 'INVALID_CSV' });
+        }
+        if (!parsed.rates.length) return res.status(400).json({ ok: false, error: 'No rates found in CSV', code: 'INVALID_CSV' });
+
+        const result = importFxRates(memory, sqlite, parsed.rates);
+        const { docItems, glEntries } = reconvertPending(memory);
+        try {
+            if (sqlite && docItems.length) sqlite.saveDocItems(docItems);
+            if (sqlite && glEntries.length) sqlite.insertGLEntries(glEntries.map(sqliteGLRow));
+        } catch (dbError) {
+            console.error('Failed to persist converted amounts to SQLite:', dbError);
+        }
+        const itemIds = new Set(docItems.map(i => String(i.id)));
+        const auditIds = new Set(glEntries.map(g => String(g.id)));
+        for (const link of memory.glDocLinks || []) {
+            if (itemIds.has(String(link.document_item_id))) auditIds.add(String(link.gl_entry_id));
+        }
+        if (auditIds.size) req.app.locals.auditGLEntries?.([...auditIds]);
+        const reconverted = { doc_items: docItems.length, gl_entries: glEntries.length };
+        logger.info(LogCategory.GL_OPERATIONS, 'FX rates imported', { ...result, skipped: parsed.skipped, reconverted });
+        res.json({ ok: true, ...result, skipped: parsed.skipped, reconverted, total: memory.fxRates.length });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Loaded rates, optionally filtered by ?currency=&from=&to=
+router.get('/rates', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const currency = String(req.query.currency || '').toUpperCase();
+        const from = req.query.from ? String(req.query.from) : null;
+        const to = req.query.to ? String(req.query.to) : null;
+        const all = memory.fxRates || [];
+        const rates = all.filter(r =>
+            (!currency || r.currency === currency) &&
+            (!from || r.date >= from) &&
+            (!to || r.date <= to));
+        const currencies = [...new Set(all.map(r => r.currency))].sort();
+        res.json({ total: all.length, currencies, rates });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// USD value of ?amount=&currency=&date= at the rate that applies on that date
+router.get('/convert', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const currency = currencyCode(req.query.currency);
+        const amount = Number(req.query.amount);
+        if (!currency || req.query.amount == null || !Number.isFinite(amount)) {
+            return res.status(400).json({ ok: false, error: 'amount and a supported currency code are required', code: 'INVALID_QUERY' });
+        }
+        const conversion = convertToUSD(memory.fxRates, amount, currency, req.query.date);
+        if (conversion.amount == null) {
+            return res.status(404).json({ ok: false, error: `No ${currency} rate loaded for this date`, code: 'RATE_NOT_FOUND' });
+        }
+        res.json({ ok: true, ...conversion });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
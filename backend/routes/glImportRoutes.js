@@ -0,0 +1,139 @@
+import express from 'express';
+import {
+    findImport, importSummary, stageImport, commitImport, applyUpdate, sqliteGLRow, fxFields, ISSUE_CODES,
+    IMPORT_MODES, KEY_FIELDS, importConfig, normalizeImportConfig, saveImportConfig
+} from '../services/glImport.js';
+import { logger, LogCategory } from '../services/logService.js';
+// Mounted at /api/gl/imports
+const router = express.Router();
+
+const MAX_STAGED_ROWS = 20000;
+
+function notFound(res) {
+    return res.status(404).json({ ok: false, error: 'Staged import not found', code: 'IMPORT_NOT_FOUND' });
+}
+
+router.get('/config', (req, res) => {
+    const memory = req.app.locals.memory;
+    res.json({ config: importConfig(memory), custom: !!memory.glImportConfig, modes: IMPORT_MODES, key_fields: Object.keys(KEY_FIELDS) });
+});
+
+// Default import mode and natural key: { mode: 'upsert', natural_key: ['documentNumber', 'lineNumber', 'date', 'amount'] }
+router.put('/config', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const { config, errors } = normalizeImportConfig(req.body || {});
+        if (errors.length) return res.status(400).json({ ok: false, error: errors.join('; '), code: 'INVALID_IMPORT_CONFIG' });
+        saveImportConfig(memory, sqlite, config);
+        logger.info(LogCategory.GL_OPERATIONS, 'GL import settings updated', config);
+        res.json({ ok: true, config });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Stage normalized rows and return the validation report:
+// { entries: [...camelCase rows from /api/gl/normalize], filename, mode: 'append' | 'upsert' (default from config) }
+router.post('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    const entries = req.body?.entries;
+    if (!Array.isArray(entries) || !entries.length || entries.some(e => !e || typeof e !== 'object')) {
+        return res.status(400).json({ ok: false, error: 'entries must be a non-empty array of objects', code: 'INVALID_IMPORT' });
+    }
+    if (entries.length > MAX_STAGED_ROWS) {
+        return res.status(400).json({ ok: false, error: `At most ${MAX_STAGED_ROWS} rows can be staged at once`, code: 'INVALID_IMPORT' });
+    }
+    const mode = req.body.mode == null ? null : String(req.body.mode);
+    if (mode && !IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({ ok: false, error: `mode must be one of ${IMPORT_MODES.join(', ')}`, code: 'INVALID_IMPORT' });
+    }
+    try {
+        const stage = stageImport(memory, entries, { filename: req.body.filename ? String(req.body.filename) : null, mode });
+        logger.info(LogCategory.GL_OPERATIONS, 'GL import staged', {
+            import_id: stage.id, filename: stage.filename, mode: stage.mode, total: stage.report.total, accepted: stage.report.accepted, rejected: stage.report.rejected
+        });
+        res.status(201).json({ ok: true, import: importSummary(stage), issue_codes: ISSUE_CODES });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.get('/:id', (req, res) => {
+    const stage = findImport(req.app.locals.memory, req.params.id);
+    if (!stage) return notFound(res);
+    res.json({ import: importSummary(stage), issue_codes: ISSUE_CODES });
+});
+
+// Write the accepted rows: { exclude_rows: [index], skip_codes: ['DUPLICATE_ENTRY'], remove_missing: false }
+// Upsert stages update matched entries in place; remove_missing also deletes
+// the entries the report listed as removed.
+router.post('/:id/commit', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    const stage = findImport(memory, req.params.id);
+    if (!stage) return notFound(res);
+    if (stage.status !== 'staged') {
+        return res.status(409).json({ ok: false, error: `Import is already ${stage.status}`, code: 'IMPORT_CLOSED' });
+    }
+    const excludeRows = Array.isArray(req.body?.exclude_rows) ? req.body.exclude_rows : [];
+    const skipCodes = Array.isArray(req.body?.skip_codes) ? req.body.skip_codes.map(String) : [];
+    const unknown = skipCodes.filter(c => !ISSUE_CODES[c]);
+    if (unknown.length) {
+        return res.status(400).json({ ok: false, error: `Unknown issue code(s): ${unknown.join(', ')}`, code: 'INVALID_IMPORT' });
+    }
+    try {
+        const { records, indexes, skipped, updates = [], unchanged = [], removed = [] } = commitImport(memory, stage, {
+            excludeRows, skipCodes, removeMissing: req.body?.remove_missing === true
+        });
+        memory.glEntries.push(...records);
+        const updated = updates.map(u => applyUpdate(u.entry, u.record));
+        const removedIds = new Set(removed.map(g => String(g.id)));
+        if (removedIds.size) {
+            memory.glEntries = memory.glEntries.filter(g => !removedIds.has(String(g.id)));
+            memory.auditResults = memory.auditResults.filter(r => !removedIds.has(String(r.gl_entry_id)));
+            memory.glDocLinks = memory.glDocLinks.filter(l => !removedIds.has(String(l.gl_entry_id)));
+        }
+        try {
+            const written = [...records, ...updated];
+            if (sqlite && written.length) sqlite.insertGLEntries(written.map(sqliteGLRow));
+            if (sqlite && removedIds.size) sqlite.deleteGLEntries([...removedIds]);
+        } catch (dbError) {
+            console.error('Failed to persist committed GL import to SQLite:', dbError);
+        }
+        const ids = records.map(r => r.id);
+        const auditIds = [...ids, ...updated.map(g => g.id)];
+        if (auditIds.length) req.app.locals.auditGLEntries?.(auditIds);
+        logger.info(LogCategory.GL_OPERATIONS, 'GL import committed', {
+            import_id: stage.id, filename: stage.filename, mode: stage.mode, inserted: ids.length, updated: updated.length,
+            unchanged: unchanged.length, removed: removedIds.size, skipped: skipped.length
+        });
+        // Converted foreign-currency rows carry their USD amount and rate back to the client
+        const entries = indexes.map((index, i) => ({ index, id: ids[i], action: 'insert', ...fxFields(records[i]) }));
+        if (stage.mode === 'upsert') {
+            entries.push(...updates.map(u => ({ index: u.index, id: u.entry.id, action: 'update', fields: u.fields, ...fxFields(u.entry) })));
+            entries.push(...unchanged.map(u => ({ ...u, action: 'unchanged' })));
+            entries.sort((a, b) => a.index - b.index);
+            return res.json({
+                ok: true, mode: stage.mode, inserted: ids.length, updated: updated.length, unchanged: unchanged.length,
+                removed: [...removedIds], entries, skipped
+            });
+        }
+        res.json({ ok: true, mode: stage.mode, inserted: ids.length, entries, skipped });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.delete('/:id', (req, res) => {
+    const memory = req.app.locals.memory;
+    const stage = findImport(memory, req.params.id);
+    if (!stage) return notFound(res);
+    if (stage.status !== 'staged') {
+        return res.status(409).json({ ok: false, error: `Import is already ${stage.status}`, code: 'IMPORT_CLOSED' });
+    }
+    Object.assign(stage, { status: 'discarded', entries: [], parsed: [] });
+    res.json({ ok: true, import: importSummary(stage) });
+});
+
+export default router;
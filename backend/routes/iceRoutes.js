@@ -0,0 +1,41 @@
+import express from 'express';
+import { buildIceSchedules, exportIceWorkbook } from '../services/iceSchedules.js';
+import { logger, LogCategory } from '../services/logService.js';
+import { readPeriod } from '../middleware/validation.js';
+// Mounted at /api/ice
+const router = express.Router();
+
+// Schedule data as JSON (preview)
+router.get('/schedules', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const period = readPeriod(req, res);
+        if (!period) return;
+        res.json(buildIceSchedules(memory, period));
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Schedules H and I as an XLSX workbook
+router.get('/schedules.xlsx', async (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const period = readPeriod(req, res);
+        if (!period) return;
+        const schedules = buildIceSchedules(memory, period);
+        const buffer = await exportIceWorkbook(schedules);
+        const suffix = [period.from, period.to].filter(Boolean).join('_to_') || 'all';
+        logger.info(LogCategory.FAR_AUDIT, 'ICE schedules exported', {
+            period,
+            contracts: schedules.schedule_h.length
+        });
+        res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.set('Content-Disposition', `attachment; filename="ice-schedules-${suffix}.xlsx"`);
+        res.send(Buffer.from(buffer));
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
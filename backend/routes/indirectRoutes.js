@@ -0,0 +1,49 @@
+import express from 'express';
+import { computeIndirectRates, poolConfig, normalizePoolConfig, savePoolConfig } from '../services/indirectRates.js';
+import { logger, LogCategory } from '../services/logService.js';
+import { readPeriod } from '../middleware/validation.js';
+// Mounted at /api/indirect
+const router = express.Router();
+
+// Pool totals, bases and provisional rates for ?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/rates', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const period = readPeriod(req, res);
+        if (!period) return;
+        res.json(computeIndirectRates(memory, period));
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Chart-of-accounts-to-pool mapping
+router.get('/config', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        res.json({ config: poolConfig(memory), source: memory.indirectPools ? 'stored' : 'config/indirectPools.json' });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.put('/config', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const { config, errors } = normalizePoolConfig(req.body || {});
+        if (errors.length) {
+            return res.status(400).json({ ok: false, error: errors.join('; '), code: 'INVALID_POOL_CONFIG' });
+        }
+        savePoolConfig(memory, sqlite, config);
+        logger.info(LogCategory.FAR_AUDIT, 'Indirect pool mapping updated', {
+            groups: config.groups.length,
+            pools: config.pools.map(p => p.id)
+        });
+        res.json({ ok: true, config });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
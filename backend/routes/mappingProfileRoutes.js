@@ -0,0 +1,83 @@
+import express from 'express';
+import {
+    PROFILE_FIELDS, normalizeProfile, findProfileById, matchProfile, createProfile, updateProfile, deleteProfile
+} from '../services/mappingProfiles.js';
+import { logger, LogCategory } from '../services/logService.js';
+// Mounted at /api/mapping-profiles
+const router = express.Router();
+
+function invalidProfile(res, errors) {
+    return res.status(400).json({ ok: false, error: errors.join('; '), code: 'INVALID_MAPPING_PROFILE' });
+}
+
+function notFound(res) {
+    return res.status(404).json({ ok: false, error: 'Mapping profile not found', code: 'PROFILE_NOT_FOUND' });
+}
+
+// Two profiles for one header set would make auto-apply ambiguous
+function headerClash(res, existing) {
+    return res.status(409).json({ ok: false, error: `Profile "${existing.name}" already covers these headers`, code: 'PROFILE_EXISTS', profile_id: existing.id });
+}
+
+router.get('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    res.json({ profiles: memory.mappingProfiles || [], fields: PROFILE_FIELDS });
+});
+
+// Profile that would be auto-applied to a header row: { headers: [...] }
+router.post('/match', (req, res) => {
+    const memory = req.app.locals.memory;
+    const headers = req.body?.headers;
+    if (!Array.isArray(headers)) return invalidProfile(res, ['headers must be an array']);
+    res.json({ profile: matchProfile(memory, headers) });
+});
+
+router.post('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const { profile, errors } = normalizeProfile(req.body || {});
+        if (errors.length) return invalidProfile(res, errors);
+        const existing = matchProfile(memory, profile.headers);
+        if (existing) return headerClash(res, existing);
+        const record = createProfile(memory, sqlite, profile);
+        logger.info(LogCategory.GL_OPERATIONS, 'Mapping profile created', { profile: record.name, source_system: record.source_system, columns: record.headers.length });
+        res.status(201).json({ ok: true, profile: record });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.put('/:id', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const record = findProfileById(memory, req.params.id);
+        if (!record) return notFound(res);
+        const { profile, errors } = normalizeProfile(req.body || {}, record);
+        if (errors.length) return invalidProfile(res, errors);
+        const existing = matchProfile(memory, profile.headers);
+        if (existing && existing.id !== record.id) return headerClash(res, existing);
+        updateProfile(memory, sqlite, record, profile);
+        logger.info(LogCategory.GL_OPERATIONS, 'Mapping profile updated', { profile: record.name });
+        res.json({ ok: true, profile: record });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.delete('/:id', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const record = findProfileById(memory, req.params.id);
+        if (!record) return notFound(res);
+        deleteProfile(memory, sqlite, record);
+        logger.info(LogCategory.GL_OPERATIONS, 'Mapping profile removed', { profile: record.name });
+        res.json({ ok: true, profile: record });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
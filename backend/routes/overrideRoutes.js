@@ -0,0 +1,84 @@
+import express from 'express';
+import { OVERRIDE_STATUSES, overrideHistory, activeOverrides, describeOverride, createOverride, revokeOverride } from '../services/auditOverrides.js';
+import { logger, LogCategory } from '../services/logService.js';
+import { checkBurnAlerts } from '../services/contractBurn.js';
+// Mounted at /api/gl/:id/overrides
+const router = express.Router({ mergeParams: true });
+
+function findEntry(memory, id) {
+    return memory.glEntries.find(e => String(e.id) === String(id)) || null;
+}
+
+function invalidOverride(res, error) {
+    return res.status(400).json({ ok: false, error, code: 'INVALID_OVERRIDE' });
+}
+
+// Override in force plus the full history (newest first)
+router.get('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const id = String(req.params.id);
+        if (!findEntry(memory, id)) return res.status(404).json({ ok: false, error: 'GL entry not found', code: 'GL_NOT_FOUND' });
+        const rule = (memory.auditResults || []).find(r => r.gl_entry_id === id) || null;
+        res.json({
+            gl_entry_id: id,
+            rule_status: rule?.status || null,
+            active: describeOverride(activeOverrides(memory).get(id), memory),
+            history: overrideHistory(memory, id).map(o => describeOverride(o, memory))
+        });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Record an auditor decision: { status, reason, user, document_id? }
+router.post('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const id = String(req.params.id);
+        if (!findEntry(memory, id)) return res.status(404).json({ ok: false, error: 'GL entry not found', code: 'GL_NOT_FOUND' });
+        const status = String(req.body?.status || '').toUpperCase();
+        const reason = String(req.body?.reason || '').trim();
+        const user = String(req.body?.user || '').trim();
+        const documentId = req.body?.document_id ? String(req.body.document_id) : null;
+        if (!OVERRIDE_STATUSES.includes(status)) return invalidOverride(res, `status must be one of ${OVERRIDE_STATUSES.join(', ')}`);
+        if (!reason) return invalidOverride(res, 'reason is required');
+        if (!user) return invalidOverride(res, 'user is required');
+        if (documentId && !(memory.documents || []).some(d => String(d.id) === documentId)) {
+            return res.status(400).json({ ok: false, error: 'Supporting document not found', code: 'DOCUMENT_NOT_FOUND' });
+        }
+
+        const rule = (memory.auditResults || []).find(r => r.gl_entry_id === id) || null;
+        const record = createOverride(memory, sqlite, id, { status, reason, user, document_id: documentId, rule_status: rule?.status });
+        logger.info(LogCategory.FAR_AUDIT, 'Audit override recorded', {
+            gl_entry_id: id,
+            rule_status: rule?.status || null,
+            status,
+            user
+        });
+        // Overrides move allowable dollars, and with them contract funding burn
+        checkBurnAlerts(memory, sqlite);
+        res.status(201).json({ ok: true, override: describeOverride(record, memory) });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Revoke the override in force (history is kept): { user?, reason? }
+router.delete('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const id = String(req.params.id);
+        const record = revokeOverride(memory, sqlite, id, { user: req.body?.user, reason: req.body?.reason });
+        if (!record) return res.status(404).json({ ok: false, error: 'No active override for this GL entry', code: 'OVERRIDE_NOT_FOUND' });
+        logger.info(LogCategory.FAR_AUDIT, 'Audit override revoked', { gl_entry_id: id, user: record.revoked_by });
+        checkBurnAlerts(memory, sqlite);
+        res.json({ ok: true, override: describeOverride(record, memory) });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,214 @@
+import express from 'express';
+import { validateRule } from '../../modules/services/ruleConditions.js';
+import { listRules, findRule, getActiveRules, sanitizeRule, upsertRuleOverride, removeRuleOverride } from '../services/ruleStore.js';
+import { loadFixtures, runFixtures, dryRunGL, proposedRuleSet } from '../services/ruleTester.js';
+import { auditOptions } from '../services/auditEngine.js';
+import { ensureCurrentVersion, findVersion, versionAt, describeVersion } from '../services/ruleVersions.js';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+import { logger, LogCategory } from '../services/logService.js';
+const router = express.Router();
+
+function persistOverride(req, entry, note) {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        if (sqlite) sqlite.saveRuleOverride(entry);
+        else saveFileConfig('far_rules', memory.ruleOverrides);
+    } catch (persistError) {
+        console.error('Failed to persist FAR rule override:', persistError);
+    }
+    return ensureCurrentVersion(memory, sqlite, note);
+}
+
+function persistRemoval(req, section, note) {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        if (sqlite) sqlite.deleteRuleOverride(section);
+        else saveFileConfig('far_rules', memory.ruleOverrides);
+    } catch (persistError) {
+        console.error('Failed to remove FAR rule override:', persistError);
+    }
+    return ensureCurrentVersion(memory, sqlite, note);
+}
+
+function invalidRule(res, errors) {
+    return res.status(400).json({ ok: false, error: `Invalid rule: ${errors.join('; ')}`, code: 'INVALID_RULE', details: errors });
+}
+
+// Fixture gate for rule edits: refuse a change that makes a passing fixture fail,
+// unless the request carries ?force=true. Returns true when a response was sent.
+function blockedByFixtures(req, res, proposal) {
+    if (String(req.query.force) === 'true') return false;
+    const memory = req.app.locals.memory;
+    const fixtures = loadFixtures();
+    if (!fixtures.length) return false;
+    const { rules } = proposedRuleSet(memory, proposal);
+    const alreadyFailing = new Set(runFixtures(getActiveRules(memory), fixtures).failures.map(f => f.id));
+    const failures = runFixtures(rules, fixtures).failures.filter(f => !alreadyFailing.has(f.id));
+    if (!failures.length) return false;
+    logger.info(LogCategory.FAR_AUDIT, 'FAR rule change blocked by fixtures', { section: proposal.rule?.section || proposal.section, failed: failures.length });
+    res.status(422).json({
+        ok: false,
+        error: `Change would break ${failures.length} rule fixture(s); resend with ?force=true to save anyway`,
+        code: 'RULE_TEST_FAILED',
+        failures
+    });
+    return true;
+}
+
+// Effective rule set (built-in, config file and saved overrides), including disabled rules
+router.get('/', (req, res) => {
+    try {
+        res.json({ rules: listRules(req.app.locals.memory) });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Rule set history (without rule bodies)
+router.get('/versions', (req, res) => {
+    try {
+        res.json({ versions: (req.app.locals.memory.ruleVersions || []).map(describeVersion) });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Rule set in force at a given date/time (?date=2025-03-31 means end of that day)
+router.get('/versions/at', (req, res) => {
+    try {
+        const raw = String(req.query.date || '');
+        const when = /^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T23:59:59.999Z` : raw;
+        if (!raw || !Number.isFinite(new Date(when).getTime())) {
+            return res.status(400).json({ ok: false, error: 'date query parameter is required (ISO date or timestamp)', code: 'INVALID_DATE' });
+        }
+        const version = versionAt(req.app.locals.memory, when);
+        if (!version) return res.status(404).json({ ok: false, error: 'No rule set version recorded at that date', code: 'VERSION_NOT_FOUND' });
+        res.json({ version: describeVersion(version), rules: version.rules });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.get('/versions/:id', (req, res) => {
+    try {
+        const version = findVersion(req.app.locals.memory, req.params.id);
+        if (!version) return res.status(404).json({ ok: false, error: 'Rule set version not found', code: 'VERSION_NOT_FOUND' });
+        res.json({ version: describeVersion(version), rules: version.rules });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Dry-run a proposed rule set ({ rules }, { rule } or { section, enabled })
+// against the expected-outcome fixtures and the loaded GL. Nothing is saved.
+router.post('/test', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const { rules, errors } = proposedRuleSet(memory, req.body || {});
+        if (errors.length) return invalidRule(res, errors);
+        const fixtures = runFixtures(rules);
+        const gl = dryRunGL(memory.glEntries, getActiveRules(memory), rules, auditOptions(memory));
+        res.json({
+            ok: true,
+            passed: fixtures.failed === 0,
+            rulesCount: rules.length,
+            fixtures: { total: fixtures.total, passed: fixtures.passed, failed: fixtures.failed, results: fixtures.results },
+            gl
+        });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.get('/:section', (req, res) => {
+    try {
+        const { rule, base, override } = findRule(req.app.locals.memory, req.params.section);
+        if (!rule) return res.status(404).json({ ok: false, error: 'Rule not found', code: 'RULE_NOT_FOUND' });
+        res.json({ rule, default: base, override });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Add a new rule section
+router.post('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const rule = sanitizeRule(req.body);
+        const errors = validateRule(rule);
+        if (errors.length) return invalidRule(res, errors);
+        if (findRule(memory, rule.section).rule) {
+            return res.status(409).json({ ok: false, error: `Rule ${rule.section} already exists`, code: 'RULE_EXISTS' });
+        }
+        if (blockedByFixtures(req, res, { rule, enabled: req.body?.enabled })) return;
+        const entry = upsertRuleOverride(memory, rule.section, { rule, enabled: req.body?.enabled !== false });
+        const version = persistOverride(req, entry, `created ${rule.section}`);
+        logger.info(LogCategory.FAR_AUDIT, 'FAR rule created', { section: rule.section, rule_version: version.id });
+        res.status(201).json({ ok: true, rule: findRule(memory, rule.section).rule, ruleVersion: describeVersion(version) });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Replace a rule; built-in/config rules are overridden for this section, never modified
+router.put('/:section', (req, res) => {
+    const memory = req.app.locals.memory;
+    const section = req.params.section;
+    try {
+        const rule = sanitizeRule({ ...req.body, section });
+        const errors = validateRule(rule);
+        if (errors.length) return invalidRule(res, errors);
+        const enabled = req.body?.enabled ?? findRule(memory, section).rule?.enabled;
+        if (blockedByFixtures(req, res, { rule, enabled })) return;
+        const entry = upsertRuleOverride(memory, section, {
+            rule,
+            enabled: req.body?.enabled === undefined ? undefined : req.body.enabled !== false
+        });
+        const version = persistOverride(req, entry, `updated ${section}`);
+        logger.info(LogCategory.FAR_AUDIT, 'FAR rule updated', { section, rule_version: version.id });
+        res.json({ ok: true, rule: findRule(memory, section).rule, ruleVersion: describeVersion(version) });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Enable or disable a rule without changing its definition
+router.patch('/:section', (req, res) => {
+    const memory = req.app.locals.memory;
+    const section = req.params.section;
+    try {
+        if (typeof req.body?.enabled !== 'boolean') {
+            return res.status(400).json({ ok: false, error: 'enabled must be true or false', code: 'INVALID_RULE' });
+        }
+        if (!findRule(memory, section).rule) {
+            return res.status(404).json({ ok: false, error: 'Rule not found', code: 'RULE_NOT_FOUND' });
+        }
+        if (blockedByFixtures(req, res, { section, enabled: req.body.enabled })) return;
+        const entry = upsertRuleOverride(memory, section, { enabled: req.body.enabled });
+        const version = persistOverride(req, entry, `${req.body.enabled ? 'enabled' : 'disabled'} ${section}`);
+        logger.info(LogCategory.FAR_AUDIT, `FAR rule ${req.body.enabled ? 'enabled' : 'disabled'}`, { section, rule_version: version.id });
+        res.json({ ok: true, rule: findRule(memory, section).rule, ruleVersion: describeVersion(version) });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Drop the override: built-in/config rules revert to their default, custom rules are deleted
+router.delete('/:section', (req, res) => {
+    const memory = req.app.locals.memory;
+    const section = req.params.section;
+    try {
+        const removed = removeRuleOverride(memory, section);
+        if (!removed) return res.status(404).json({ ok: false, error: 'No saved rule for this section', code: 'RULE_NOT_FOUND' });
+        const { rule } = findRule(memory, section);
+        const version = persistRemoval(req, section, `${rule ? 'reverted' : 'deleted'} ${section}`);
+        logger.info(LogCategory.FAR_AUDIT, rule ? 'FAR rule reverted to default' : 'FAR rule deleted', { section, rule_version: version.id });
+        res.json({ ok: true, section, reverted: !!rule, rule, ruleVersion: describeVersion(version) });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
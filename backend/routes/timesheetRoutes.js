@@ -0,0 +1,158 @@
+import express from 'express';
+import multer from 'multer';
+import {
+    parseTimesheetTable, readTimesheetFile, importTimesheets, setTimesheetApproval, deleteTimesheetEntry,
+    timesheetFlags, reconcileLabor, timesheetConfig, normalizeTimesheetConfig, saveTimesheetConfig
+} from '../services/timesheets.js';
+import { logger, LogCategory } from '../services/logService.js';
+import { readPeriod } from '../middleware/validation.js';
+// Mounted at /api/timesheets
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+function invalidTimesheet(res, error) {
+    return res.status(400).json({ ok: false, error, code: 'INVALID_TIMESHEET' });
+}
+
+// Import a CSV/XLSX timesheet (multipart "file") or JSON { rows: [[header...], [...]] }.
+// approved=true marks every row approved (e.g. an export from an approved timekeeping system).
+router.post('/import', upload.single('file'), async (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        let aoa;
+        try {
+            if (req.file) aoa = await readTimesheetFile(req.file.buffer, req.file.originalname);
+            else if (Array.isArray(req.body?.rows)) aoa = req.body.rows;
+            else return invalidTimesheet(res, 'Provide a timesheet file or rows');
+        } catch (readError) {
+            return invalidTimesheet(res, readError.message);
+        }
+        let parsed;
+        try {
+            parsed = parseTimesheetTable(aoa);
+        } catch (parseError) {
+            return invalidTimesheet(res, parseError.message);
+        }
+        if (!parsed.records.length) return invalidTimesheet(res, 'No timesheet rows found');
+
+        const allApproved = String(req.body?.approved || '').toLowerCase() === 'true';
+        const approver = req.body?.approver ? String(req.body.approver).trim() : null;
+        const records = allApproved ? parsed.records.map(r => ({ ...r, approved: true, approver: r.approver || approver })) : parsed.records;
+        const { rows, duplicates } = importTimesheets(memory, sqlite, records, { source: req.file?.originalname || 'rows' });
+        const hours = rows.reduce((s, r) => s + r.hours, 0);
+        logger.info(LogCategory.GL_OPERATIONS, 'Timesheets imported', {
+            source: req.file?.originalname || 'rows',
+            imported: rows.length,
+            duplicates,
+            skipped: parsed.skipped,
+            hours,
+            unapproved: rows.filter(r => !r.approved).length
+        });
+        res.json({ ok: true, imported: rows.length, duplicates, skipped: parsed.skipped, hours, total: memory.timesheets.length });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Stored rows, filtered by ?employee_id=&charge_code=&approved=&from=&to=
+router.get('/', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const period = readPeriod(req, res);
+        if (!period) return;
+        const employee = String(req.query.employee_id || '');
+        const code = String(req.query.charge_code || '').toUpperCase();
+        const approved = req.query.approved === undefined ? null : String(req.query.approved) === 'true';
+        const rows = (memory.timesheets || []).filter(t =>
+            (!employee || t.employee_id === employee) &&
+            (!code || String(t.charge_code).toUpperCase() === code) &&
+            (approved === null || t.approved === approved) &&
+            (!period.from || t.date >= period.from) &&
+            (!period.to || t.date <= period.to));
+        res.json({ total: rows.length, hours: rows.reduce((s, t) => s + t.hours, 0), timesheets: rows });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Unapproved time, days over the hour limit, charges after a contract ended
+router.get('/flags', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const flags = timesheetFlags(memory);
+        const summary = flags.reduce((s, f) => ({ ...s, [f.type]: (s[f.type] || 0) + 1 }), {});
+        res.json({ summary, flags });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Hours x rate vs labor GL per contract and month (?from=&to=)
+router.get('/reconciliation', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const period = readPeriod(req, res);
+        if (!period) return;
+        res.json(reconcileLabor(memory, period));
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.get('/config', (req, res) => {
+    const memory = req.app.locals.memory;
+    res.json({ config: timesheetConfig(memory), custom: !!memory.timesheetConfig });
+});
+
+router.put('/config', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const { config, errors } = normalizeTimesheetConfig(req.body || {});
+        if (errors.length) return res.status(400).json({ ok: false, error: errors.join('; '), code: 'INVALID_TIMESHEET_CONFIG' });
+        saveTimesheetConfig(memory, sqlite, config);
+        logger.info(LogCategory.GL_OPERATIONS, 'Timesheet rules updated', { max_daily_hours: config.max_daily_hours, rates: config.rates.length });
+        res.json({ ok: true, config });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Record or withdraw supervisor approval: { approved: true|false, approver }
+router.patch('/:id/approval', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const row = (memory.timesheets || []).find(t => t.id === String(req.params.id));
+        if (!row) return res.status(404).json({ ok: false, error: 'Timesheet entry not found', code: 'TIMESHEET_NOT_FOUND' });
+        const approved = req.body?.approved === true;
+        const approver = String(req.body?.approver || '').trim();
+        if (approved && !approver) return invalidTimesheet(res, 'approver is required to approve');
+        setTimesheetApproval(memory, sqlite, row, { approved, approver });
+        logger.info(LogCategory.FAR_AUDIT, approved ? 'Timesheet approved' : 'Timesheet approval withdrawn', {
+            timesheet_id: row.id,
+            employee_id: row.employee_id,
+            date: row.date,
+            approver: row.approver
+        });
+        res.json({ ok: true, timesheet: row });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+router.delete('/:id', (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const row = (memory.timesheets || []).find(t => t.id === String(req.params.id));
+        if (!row) return res.status(404).json({ ok: false, error: 'Timesheet entry not found', code: 'TIMESHEET_NOT_FOUND' });
+        deleteTimesheetEntry(memory, sqlite, row);
+        res.json({ ok: true, timesheet: row });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
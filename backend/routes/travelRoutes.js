@@ -0,0 +1,87 @@
+import express from 'express';
+import multer from 'multer';
+import { parsePerDiemCSV, importRates, findRate, travelChecker } from '../services/travelPerDiem.js';
+import { logger, LogCategory } from '../services/logService.js';
+// Mounted at /api/travel
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Import a GSA per-diem CSV (multipart "file" or JSON { csv }); replaces the
+// rates for each fiscal year in the file. Optional fiscal_year when the file has none.
+router.post('/per-diem/import', upload.single('file'), (req, res) => {
+    const memory = req.app.locals.memory;
+    const sqlite = req.app.locals.sqlite;
+    try {
+        const text = req.file ? req.file.buffer.toString('utf-8') : String(req.body?.csv || '');
+        if (!text.trim()) return res.status(400).json({ ok: false, error: 'Provide a CSV file or csv text', code: 'INVALID_CSV' });
+        let parsed;
+        try {
+            parsed = parsePerDiemCSV(text, { fiscalYear: req.body?.fiscal_year });
+        } catch (parseError) {
+            return res.status(400).json({ ok: false, error: parseError.message, code: 'INVALID_CSV' });
+        }
+        if (!parsed.rates.length) return res.status(400).json({ ok: false, error: 'No rates found in CSV', code: 'INVALID_CSV' });
+
+        const result = importRates(memory, sqlite, parsed.rates);
+        logger.info(LogCategory.FAR_AUDIT, 'Per-diem rates imported', { ...result, skipped: parsed.skipped });
+        res.json({ ok: true, ...result, skipped: parsed.skipped, total: memory.perDiemRates.length });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Loaded rates, optionally filtered by ?state=&city=&fiscal_year=
+router.get('/per-diem', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const state = String(req.query.state || '').toUpperCase();
+        const city = String(req.query.city || '').toLowerCase();
+        const fy = Number(req.query.fiscal_year) || null;
+        const rates = (memory.perDiemRates || []).filter(r =>
+            (!state || r.state === state) &&
+            (!city || r.destination.toLowerCase().includes(city) || r.county.toLowerCase().includes(city)) &&
+            (!fy || r.fiscal_year === fy));
+        const fiscalYears = [...new Set((memory.perDiemRates || []).map(r => r.fiscal_year).filter(Boolean))].sort();
+        res.json({ total: memory.perDiemRates.length, fiscal_years: fiscalYears, rates });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Rate that applies to ?city=&state=&date=
+router.get('/per-diem/lookup', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        if (!req.query.state) return res.status(400).json({ ok: false, error: 'state is required', code: 'INVALID_QUERY' });
+        const rate = findRate(memory.perDiemRates, { city: req.query.city, state: req.query.state, date: req.query.date });
+        if (!rate) return res.status(404).json({ ok: false, error: 'No per-diem rate loaded for this locality', code: 'RATE_NOT_FOUND' });
+        res.json({ ok: true, rate });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+// Per-diem check for every travel GL entry
+router.get('/checks', (req, res) => {
+    const memory = req.app.locals.memory;
+    try {
+        const check = travelChecker(memory);
+        const checks = memory.glEntries.map(check).filter(Boolean);
+        const over = checks.filter(c => c.status === 'OVER');
+        res.json({
+            rates_loaded: (memory.perDiemRates || []).length,
+            summary: {
+                checked: checks.length,
+                over: over.length,
+                no_locality: checks.filter(c => c.status === 'NO_LOCALITY').length,
+                no_units: checks.filter(c => c.status === 'NO_UNITS').length,
+                excess_total: Math.round(over.reduce((s, c) => s + c.excess, 0) * 100) / 100
+            },
+            checks
+        });
+    } catch (e) {
+        res.status(500).json({ ok: false, error: e.message });
+    }
+});
+
+export default router;
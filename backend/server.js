@@ -12,8 +12,33 @@ import { scoreMatch, hasUnallowableKeyword } from './services/match.js';
 import { setupSQLite } from './persistence/sqlite.js';
 import { loadAllConfigs as loadFileConfigs, saveConfig as saveFileConfig } from './persistence/fileStore.js';
 import documentRoutes from './routes/documentRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import ruleRoutes from './routes/ruleRoutes.js';
+import overrideRoutes from './routes/overrideRoutes.js';
+import travelRoutes from './routes/travelRoutes.js';
+import compensationRoutes from './routes/compensationRoutes.js';
+import indirectRoutes from './routes/indirectRoutes.js';
+import iceRoutes from './routes/iceRoutes.js';
+import contractRoutes from './routes/contractRoutes.js';
+import timesheetRoutes from './routes/timesheetRoutes.js';
+import cardRoutes from './routes/cardRoutes.js';
+import fxRoutes from './routes/fxRoutes.js';
+import mappingProfileRoutes from './routes/mappingProfileRoutes.js';
+import glImportRoutes from './routes/glImportRoutes.js';
+import { auditEntries, mergeResults, auditOptions } from './services/auditEngine.js';
+import { loadDefaultRates } from './services/travelPerDiem.js';
+import { fxConverter, amountLabel, loadDefaultFxRates, currencyCode, detectCurrency } from './services/fxRates.js';
+import { fiscalYearStartError, migrateFiscalYearStart } from './services/fiscalYear.js';
+import { checkBurnAlerts } from './services/contractBurn.js';
+import { parseTimesheetText, importTimesheets } from './services/timesheets.js';
+import { ensureCurrentVersion } from './services/ruleVersions.js';
+import { applyOverrides } from './services/auditOverrides.js';
 import { processDocumentWorkflow } from './services/documentWorkflow.js';
+import { isPDFFile, extractPdfText } from './services/pdfService.js';
 import { normalizeSpreadsheet } from './services/spreadsheetNormalizer.js';
+import { GL_FILES_DIR, recordGLFile, findGLFile, entrySource, clearGLFiles } from './services/glFiles.js';
+import { glRecord, sqliteGLRow, importConfig } from './services/glImport.js';
+import { matchProfile, indexMapping, findProfileById, recordProfileUse } from './services/mappingProfiles.js';
 import { httpLogger } from './middleware/httpLogger.js';
 import { validateRequest, validateQuery, validateParams, schemas } from './middleware/validation.js';
 import { rateLimit } from './middleware/rateLimiter.js';
@@ -41,14 +66,31 @@ app.use(httpLogger());
 
 // In-memory storage (no database)
 const memory = {
-  glEntries: [], // { id, account_number, description, amount, date, category, vendor, contract_number, created_at, doc_summary, doc_flag_unallowable }
+  glEntries: [], // { id, account_number, description, amount, date, category, vendor, contract_number, employee_id, project, task, org, document_number, line_number, po_number, debit, credit, created_at, doc_summary, doc_flag_unallowable }
   appConfig: {}, // free-form config from /api/config
   llm: {},       // llm config from /api/llm-config
   documents: [], // { id, filename, mime_type, text_content, meta, created_at, doc_type, approvals: [] }
-  docItems: [],  // { id, document_id, kind, vendor, date, amount, currency, details, text_excerpt }
+  docItems: [],  // { id, document_id, kind, vendor, date, amount (USD), currency, original_amount, fx_rate, fx_date, details, text_excerpt }
   glDocLinks: [],// { document_item_id, gl_entry_id, score, doc_summary, doc_flag_unallowable }
   di: {},        // Azure Document Intelligence config
   uploadedGLFiles: [], // { id, filename, hash, size, uploadedAt, entryCount, processing }
+  glImports: [], // { id, status, filename, mode, report, entries, ... } staged GL imports awaiting commit (not persisted)
+  glImportConfig: null, // { mode, natural_key } incremental load settings; null = append mode, see services/glImport.js
+  auditResults: [], // { gl_entry_id, status, far_issue, far_section, matches, audited_at }
+  ruleOverrides: [], // { section, rule, enabled, updated_at } layered over built-in FAR rules
+  ruleVersions: [], // { id, hash, created_at, rule_count, note, rules } one per distinct rule set
+  auditOverrides: [], // { id, gl_entry_id, status, rule_status, reason, user, document_id, created_at, revoked_at, ... } auditor decisions, never deleted
+  perDiemRates: [], // { fiscal_year, state, destination, county, season_begin, season_end, lodging, mie } GSA rate table
+  fxRates: [], // { currency, date, usd_rate } USD per unit of currency, see services/fxRates.js
+  compensation: null, // { fiscal_year_start_month, payroll, caps } 31.205-6(p) cap table; null = config/compensationCaps.json
+  indirectPools: null, // { groups, pools } chart-of-accounts-to-pool mapping; null = config/indirectPools.json
+  mappingProfiles: [], // { id, name, source_system, headers, fingerprint, mapping: { field: header } } saved GL column mappings
+  contracts: [], // { id, contract_number, contract_type, pop_start, pop_end, ceiling, funded_amount, customer_agency } contract registry
+  contractBurn: null, // { alert_percents, lookback_months } funding burn alerts; null = defaults in services/contractBurn.js
+  contractBurnAlerts: {}, // { [CONTRACT_NUMBER]: { funded, ceiling } } last alerted percentage per contract
+  timesheets: [], // { id, document_id, source, employee_id, employee_name, date, hours, charge_code, labor_category, rate, approved, approver, approved_at } labor hours
+  timesheetConfig: null, // { max_daily_hours, variance_tolerance_percent, labor, rates } null = config/timesheetRules.json
+  cardTransactions: [], // { id, source, date, posted_date, amount, merchant, description, card, cardholder, reference } corporate card charges (positive) and credits
 };
 
 // Robust amount parser for server-side GL ingestion
@@ -183,6 +225,20 @@ app.locals.memory = memory;
 
 // Document processing routes
 app.use('/api/document-processing', documentRoutes);
+// Server-side FAR audit
+app.use('/api/audit', auditRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/gl/:id/overrides', overrideRoutes);
+app.use('/api/travel', travelRoutes);
+app.use('/api/fx', fxRoutes);
+app.use('/api/compensation', compensationRoutes);
+app.use('/api/indirect', indirectRoutes);
+app.use('/api/ice', iceRoutes);
+app.use('/api/contracts', contractRoutes);
+app.use('/api/timesheets', timesheetRoutes);
+app.use('/api/cards', cardRoutes);
+app.use('/api/mapping-profiles', mappingProfileRoutes);
+app.use('/api/gl/imports', glImportRoutes);
 // Serve uploaded documents (receipts) for preview — prefer persistent storage
 const PERSIST_DIR = process.env.UPLOAD_DIR || '/home/uploads';
 let UPLOAD_DIR = PERSIST_DIR;
@@ -202,6 +258,7 @@ const deployment = "gpt-4o";
 // Optional SQLite persistence (loads existing state into memory)
 console.log('🗄️ Initializing SQLite persistence...');
 const sqlite = setupSQLite(memory);
+app.locals.sqlite = sqlite;
 
 if (sqlite) {
   console.log('✅ SQLite persistence initialized successfully');
@@ -217,6 +274,42 @@ if (sqlite) {
   loadFileConfigs(memory);
 }
 
+// Record the rule set in force at startup (picks up edits to config/farRules.json)
+try {
+  ensureCurrentVersion(memory, sqlite, 'startup');
+} catch (e) {
+  console.error('Failed to record rule set version:', e);
+}
+
+// Fiscal year start month moves from the compensation config to the app config
+migrateFiscalYearStart(memory, sqlite);
+
+// Seed the GSA per-diem table from config/perDiemRates.csv on first run
+loadDefaultRates(memory, sqlite);
+// Seed the FX rate table from config/fxRates.csv on first run
+loadDefaultFxRates(memory, sqlite);
+
+// Audit the given GL entries (FAR rules, linked document line items for the
+// unallowable split, per-diem and compensation-cap ceilings), store the results
+// and log any contract that has crossed a funding alert threshold
+function auditGLEntries(ids) {
+  try {
+    const idSet = new Set(Array.from(ids || [], String));
+    if (!idSet.size) return;
+    // An employee's other payroll rows share the compensation-cap excess
+    const employees = new Set(memory.glEntries.filter(e => idSet.has(String(e.id)) && e.employee_id).map(e => String(e.employee_id)));
+    const entries = memory.glEntries.filter(e => idSet.has(String(e.id)) || (e.employee_id && employees.has(String(e.employee_id))));
+    const results = auditEntries(entries, ensureCurrentVersion(memory, sqlite), auditOptions(memory));
+    memory.auditResults = mergeResults(memory.auditResults, results);
+    if (sqlite) sqlite.saveAuditResults(results);
+    checkBurnAlerts(memory, sqlite);
+  } catch (auditError) {
+    console.error('Failed to audit GL entries:', auditError);
+  }
+}
+// Routers that change audit inputs (e.g. the contract registry) re-audit through this
+app.locals.auditGLEntries = auditGLEntries;
+
 function recomputeAttachmentFlags() {
   try {
     const byGl = new Map();
@@ -316,7 +409,8 @@ app.post('/api/health/check/:service', async (req, res) => {
   }
 });
 
-// Persist GL entries (expects { entries: [...] })
+// Persist GL entries (expects { entries: [...] }). Prefer the staged import
+// (/api/gl/imports), which validates each row and commits only accepted ones.
 app.post('/api/gl', validateRequest({
   entries: {
     type: 'isArray',
@@ -340,40 +434,27 @@ app.post('/api/gl', validateRequest({
 }), async (req, res) => {
   const entries = req.body.entries;
   try {
+    // Foreign-currency rows need a rate loaded for their date (see /api/fx)
+    const convert = fxConverter(memory);
+    for (let i = 0; i < entries.length; i++) {
+      const e = entries[i];
+      if (e.currency == null || e.currency === '') continue;
+      if (!currencyCode(e.currency)) {
+        return res.status(400).json({ ok: false, error: `Entry ${i} has an unknown currency "${e.currency}"`, code: 'INVALID_CURRENCY' });
+      }
+      if (convert(parseAmountLoose(e.amount), e.currency, e.date).amount == null) {
+        return res.status(400).json({ ok: false, error: `Entry ${i}: no ${currencyCode(e.currency)} rate loaded for ${e.date || 'its date'}`, code: 'FX_RATE_MISSING' });
+      }
+    }
     const ids = [];
     for (const e of entries) {
-      const id = crypto.randomUUID();
-      memory.glEntries.push({
-        id,
-        account_number: e.accountNumber ?? null,
-        description: e.description ?? null,
-        amount: parseAmountLoose(e.amount),
-        date: e.date ? new Date(e.date) : null,
-        category: e.category ?? null,
-        vendor: e.vendor ?? null,
-        contract_number: e.contractNumber ?? null,
-        created_at: new Date(),
-      });
-      ids.push(id);
+      const record = glRecord(memory, e, parseAmountLoose(e.amount));
+      memory.glEntries.push(record);
+      ids.push(record.id);
     }
     try {
       if (sqlite) {
-        const rows = ids.map((id) => {
-          const e = memory.glEntries.find(x => x.id === id);
-          return {
-            id,
-            account_number: e.account_number,
-            description: e.description,
-            amount: e.amount,
-            date: e.date ? new Date(e.date).toISOString() : null,
-            category: e.category,
-            vendor: e.vendor,
-            contract_number: e.contract_number,
-            created_at: e.created_at ? new Date(e.created_at).toISOString() : new Date().toISOString(),
-            doc_summary: e.doc_summary || null,
-            doc_flag_unallowable: e.doc_flag_unallowable ? 1 : 0,
-          };
-        });
+        const rows = ids.map((id) => sqliteGLRow(memory.glEntries.find(x => x.id === id)));
         console.log('💾 Saving GL entries to SQLite:', rows.length, 'entries');
         sqlite.insertGLEntries(rows);
         console.log('✅ GL entries saved to SQLite successfully');
@@ -381,6 +462,8 @@ app.post('/api/gl', validateRequest({
     } catch (dbError) {
       console.error("Failed to persist GL entries to SQLite:", dbError);
     }
+    // Audit new rows right away so the server always has a status for every entry
+    auditGLEntries(ids);
     res.json({ inserted: ids.length, ids });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -401,6 +484,8 @@ app.delete('/api/gl/:id', validateParams({
   try {
     const initialCount = memory.glEntries.length;
     memory.glEntries = memory.glEntries.filter(entry => entry.id !== id);
+    memory.auditResults = memory.auditResults.filter(r => r.gl_entry_id !== String(id));
+    // Override history is kept (as in SQLite); see services/auditOverrides.js
     const finalCount = memory.glEntries.length;
     
     if (initialCount === finalCount) {
@@ -424,6 +509,8 @@ app.delete('/api/gl', async (req, res) => {
   try {
     const deletedCount = memory.glEntries.length;
     memory.glEntries = [];
+    memory.auditResults = [];
+    // Override history is kept (as in SQLite); see services/auditOverrides.js
     console.log(`Deleted all GL entries (${deletedCount} entries cleared)`);
     logger.info(LogCategory.GL_OPERATIONS, `All GL entries cleared`, { 
       deleted_count: deletedCount,
@@ -447,14 +534,32 @@ app.get('/api/gl', validateQuery(schemas.pagination), async (req, res) => {
       if (dbt !== da) return dbt - da;
       return String(b.id).localeCompare(String(a.id));
     });
-    const page = sorted.slice(offset, offset + limit);
+    const auditById = new Map(applyOverrides(memory.auditResults, memory).map(r => [r.gl_entry_id, r]));
+    const page = sorted.slice(offset, offset + limit).map(e => {
+      const a = auditById.get(String(e.id));
+      return {
+        ...e,
+        audit_status: a?.status || null,
+        rule_status: a?.rule_status || null,
+        allowable_amount: a?.allowable_amount ?? null,
+        unallowable_amount: a?.unallowable_amount ?? null,
+        unallowable_basis: a?.unallowable_basis || null,
+        override: a?.override || null,
+        far_issue: a?.far_issue || null,
+        far_section: a?.far_section || null,
+        far_matches: a?.matches || [],
+        rule_version: a?.rule_version ?? null,
+        audited_at: a?.audited_at || null,
+      };
+    });
     res.json({ rows: page, limit, offset });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// App config (persist thresholds/anomaly config)
+// App config (persist thresholds/anomaly config and the company's
+// fiscal_year_start_month)
 app.get('/api/config', async (req, res) => {
   try {
     res.json(memory.appConfig || {});
@@ -465,6 +570,8 @@ app.get('/api/config', async (req, res) => {
 
 app.put('/api/config', async (req, res) => {
   const value = req.body || {};
+  const fyError = fiscalYearStartError(value.fiscal_year_start_month);
+  if (fyError) return res.status(400).json({ ok: false, error: fyError, code: 'INVALID_CONFIG' });
   try {
     memory.appConfig = value;
     try {
@@ -886,7 +993,7 @@ app.get('/api/llm-config', async (req, res) => {
 async function callOpenAIForMapping(headers, sampleRows) {
   const system = {
     role: 'system',
-    content: 'You map spreadsheet headers to standardized GL fields. Return strictly JSON: {"mapping":{"accountNumber":"<header or index>","description":"<header or index>","amount":"<header or index>","date":"<header or index>","category":"<header or index>","vendor":"<header or index>","contractNumber":"<header or index>","debit":"<header or index>","credit":"<header or index>"},"headerRowIndex":0}. If amount is not explicit, suggest debit/credit columns. If a field is absent, return "" for it. Never include extra text.'
+    content: 'You map spreadsheet headers to standardized GL fields. Return strictly JSON: {"mapping":{"accountNumber":"<header or index>","description":"<header or index>","amount":"<header or index>","date":"<header or index>","category":"<header or index>","vendor":"<header or index>","contractNumber":"<header or index>","employeeId":"<header or index>","project":"<header or index>","task":"<header or index>","org":"<header or index>","documentNumber":"<header or index>","poNumber":"<header or index>","debit":"<header or index>","credit":"<header or index>"},"headerRowIndex":0}. documentNumber is the journal/voucher number. If amount is not explicit, suggest debit/credit columns. If a field is absent, return "" for it. Never include extra text.'
   };
   const user = {
     role: 'user',
@@ -917,6 +1024,13 @@ app.post('/api/llm-map', async (req, res) => {
     if (!Array.isArray(headers) || headers.length === 0) {
       return res.status(400).json({ error: 'headers must be a non-empty array' });
     }
+    // A saved profile for this header set answers without an LLM call
+    const profile = matchProfile(memory, headers);
+    if (profile) {
+      recordProfileUse(memory, sqlite, profile);
+      const mapping = Object.fromEntries(Object.entries(profile.mapping).map(([field, header]) => [field, header || '']));
+      return res.json({ mapping, headerRowIndex: 0, profile: { id: profile.id, name: profile.name } });
+    }
     const r = await callOpenAIForMapping(headers, sampleRows);
     res.json(r);
   } catch (e) {
@@ -960,9 +1074,10 @@ const upload = multer({
 
 async function extractTextFromBuffer(buffer, mimeType, filename) {
   try {
-    if ((mimeType || '').includes('pdf') || filename.toLowerCase().endsWith('.pdf')) {
-      // PDF parsing temporarily disabled - return placeholder
-      return 'PDF content parsing not available';
+    if (isPDFFile(mimeType, filename)) {
+      // Text layer only; scanned pages are OCR'd by the document workflow
+      const { text } = await extractPdfText(buffer);
+      return text;
     }
     if (filename.toLowerCase().endsWith('.docx') || (mimeType || '').includes('officedocument')) {
       const r = await mammoth.extractRawText({ buffer });
@@ -1074,7 +1189,7 @@ function itemsFromAzureResult(az) {
         vendor: vendor || undefined,
         date: date || undefined,
         amount: typeof total === 'number' ? total : undefined,
-        currency: 'USD',
+        currency: currencyCode(fields.Total?.valueCurrency?.currencyCode) || detectCurrency(fields.Total?.valueCurrency?.currencySymbol) || 'USD',
         details: { lines: items },
         textExcerpt: undefined,
       });
@@ -1308,9 +1423,12 @@ app.post('/api/docs/ingest', rateLimit('upload'), upload.array('files', 10), asy
             // Run document workflow (includes Tesseract OCR)
             codexResult = await processDocumentWorkflow(f.buffer, glEntries, {
               fileType: f.mimetype,
-              filename: f.originalname
+              filename: f.originalname,
+              convert: fxConverter(memory)
             });
             console.log('🎯 OCR processing result:', codexResult.processing_status);
+            // Scanned PDFs have no text layer; classification and the LLM fallback use the OCR text
+            if (!text && codexResult.ocr_data?.raw_text) text = codexResult.ocr_data.raw_text;
 
             if (codexResult.processing_status === 'success' && codexResult.extracted_data) {
               // Update document with OCR results
@@ -1323,8 +1441,9 @@ app.post('/api/docs/ingest', rateLimit('upload'), upload.array('files', 10), asy
                 kind: 'receipt',
                 vendor: codexResult.extracted_data.merchant || 'Unknown',
                 date: codexResult.extracted_data.date,
-                amount: codexResult.extracted_data.amount || 0,
-                currency: 'USD',
+                // Document currency; converted to USD with the other items below
+                amount: codexResult.extracted_data.original_amount ?? (codexResult.extracted_data.amount || 0),
+                currency: codexResult.extracted_data.currency || 'USD',
                 details: {
                   confidence: codexResult.extracted_data.confidence_scores,
                   processing_method: codexResult.processing_method
@@ -1395,21 +1514,41 @@ app.post('/api/docs/ingest', rateLimit('upload'), upload.array('files', 10), asy
           } catch (_) {}
         }
       } catch (_) {}
+      // Timesheets become labor hour records for the labor-to-GL reconciliation
+      // (a replaced document's earlier rows are dropped either way)
+      let timesheetEntries = 0;
+      try {
+        const { records } = docRecord.doc_type === 'timesheet'
+          ? parseTimesheetText(text || docRecord.text_content || '', docRecord.approvals)
+          : { records: [] };
+        if (records.length || replacingDocument) {
+          timesheetEntries = importTimesheets(memory, sqlite, records, { document_id: docId, source: f.originalname }).rows.length;
+          if (timesheetEntries) console.log('🕒 Parsed', timesheetEntries, 'timesheet rows from', f.originalname);
+        }
+      } catch (timesheetError) {
+        console.warn('⚠️ Timesheet parsing failed for', f.originalname, ':', timesheetError.message);
+      }
+      // Items are matched and audited in USD; foreign amounts keep their original value and rate
+      const convert = fxConverter(memory);
       const itemRows = items.map((it) => {
         const id = crypto.randomUUID();
+        const fx = convert(it.amount || null, it.currency, it.date);
         const row = {
           id,
           document_id: docId,
           kind: it.kind || null,
           vendor: it.vendor || null,
           date: it.date || null,
-          amount: it.amount || null,
-          currency: it.currency || null,
+          amount: fx.amount,
+          currency: fx.currency,
+          original_amount: fx.original_amount,
+          fx_rate: fx.fx_rate,
+          fx_date: fx.fx_date,
           details: it.details || {},
           text_excerpt: it.textExcerpt || null,
         };
         memory.docItems.push(row);
-        return { id, ...it };
+        return { id, ...it, ...fx };
       });
 
       // Consider all GL entries for matching (no date filter)
@@ -1426,7 +1565,7 @@ app.post('/api/docs/ingest', rateLimit('upload'), upload.array('files', 10), asy
           const matchedGL = gl.find(g => g.id === primaryMatch.gl_entry_id);
           if (matchedGL) {
             const descLines = Array.isArray(it?.details?.lines) ? it.details.lines.map(l => l?.desc).filter(Boolean) : [];
-            const summary = [it.vendor, it.date, `$${it.amount}`, ...descLines].filter(Boolean).join(' | ');
+            const summary = [it.vendor, it.date, amountLabel(it), ...descLines].filter(Boolean).join(' | ');
             const unallowable = descLines.some(d => hasUnallowableKeyword(d));
             
             matchedGL.doc_summary = summary || null;
@@ -1500,7 +1639,7 @@ app.post('/api/docs/ingest', rateLimit('upload'), upload.array('files', 10), asy
         }
         if (ok && chosenId) {
           const descLines = Array.isArray(it?.details?.lines) ? it.details.lines.map(l => l?.desc).filter(Boolean) : [];
-          const summary = [it.vendor, it.date, `$${it.amount}`, ...descLines].filter(Boolean).join(' | ');
+          const summary = [it.vendor, it.date, amountLabel(it), ...descLines].filter(Boolean).join(' | ');
           const unallowable = descLines.some(d => hasUnallowableKeyword(d));
           const gle = memory.glEntries.find(x => x.id === chosenId);
           if (gle) {
@@ -1518,19 +1657,7 @@ app.post('/api/docs/ingest', rateLimit('upload'), upload.array('files', 10), asy
         if (sqlite && updatedGl.size > 0) {
           const rows = Array.from(updatedGl).map((gid) => {
             const e = memory.glEntries.find(x => String(x.id) === gid);
-            return e ? ({
-              id: String(e.id),
-              account_number: e.account_number,
-              description: e.description,
-              amount: e.amount,
-              date: e.date ? new Date(e.date).toISOString() : null,
-              category: e.category,
-              vendor: e.vendor,
-              contract_number: e.contract_number,
-              created_at: e.created_at ? new Date(e.created_at).toISOString() : new Date().toISOString(),
-              doc_summary: e.doc_summary || null,
-              doc_flag_unallowable: e.doc_flag_unallowable ? 1 : 0,
-            }) : null;
+            return e ? sqliteGLRow(e) : null;
           }).filter(Boolean);
           if (rows.length) sqlite.insertGLEntries(rows);
         }
@@ -1558,6 +1685,9 @@ app.post('/api/docs/ingest', rateLimit('upload'), upload.array('files', 10), asy
             date: i.date,
             amount: typeof i.amount === 'number' ? i.amount : null,
             currency: i.currency || 'USD',
+            original_amount: i.original_amount,
+            fx_rate: i.fx_rate,
+            fx_date: i.fx_date,
             details: i.details || {},
             text_excerpt: i.text_excerpt || null
           })));
@@ -1590,6 +1720,7 @@ app.post('/api/docs/ingest', rateLimit('upload'), upload.array('files', 10), asy
           confidence: codexResult?.extracted_data?.confidence_scores?.overall || null,
           items_created: itemRows.length,
           links_created: links.length,
+          timesheet_entries: timesheetEntries,
           replaced: !!replacingDocument,
           ocr_data: codexResult ? {
             vendor: codexResult.extracted_data?.merchant,
@@ -1614,6 +1745,8 @@ app.post('/api/docs/ingest', rateLimit('upload'), upload.array('files', 10), asy
     // Refresh attachment counts on GL entries
     recomputeAttachmentFlags();
     console.log('🔄 Recomputed attachment flags');
+    // Linked line items change the unallowable split
+    auditGLEntries(new Set(memory.glDocLinks.map(l => l.gl_entry_id)));
 
     const successful = results.filter(r => r.success).length;
     const failed = results.filter(r => !r.success).length;
@@ -1776,7 +1909,7 @@ app.listen(port, '0.0.0.0', () => {
 // Normalize GL spreadsheet (CSV/XLSX) using LLM-assisted header detection and robust parsing
 const glUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } });
 
-// Track uploaded GL files in memory for duplicate detection
+// Uploaded GL files: duplicate detection and entry lineage (persisted in SQLite gl_files)
 memory.uploadedGLFiles = memory.uploadedGLFiles || [];
 
 app.post('/api/gl/normalize', rateLimit('upload'), glUpload.single('file'), async (req, res) => {
@@ -1787,9 +1920,14 @@ app.post('/api/gl/normalize', rateLimit('upload'), glUpload.single('file'), asyn
     const fileHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
     const filename = req.file.originalname.toLowerCase();
 
+    // Incremental loads (?mode=upsert or the configured default) re-pull the same
+    // export on purpose, so the upsert report replaces duplicate-file blocking
+    const incremental = String(req.query.mode || importConfig(memory).mode) === 'upsert';
+
     // Check for exact duplicate (same hash)
-    const exactDuplicate = memory.uploadedGLFiles.find(f => f.hash === fileHash);
-    if (exactDuplicate) {
+    const current = memory.uploadedGLFiles.filter(f => !f.supersededBy);
+    const exactDuplicate = current.find(f => f.hash === fileHash);
+    if (exactDuplicate && !incremental) {
       return res.status(400).json({
         ok: false,
         error: 'This exact Excel file has already been uploaded',
@@ -1803,8 +1941,8 @@ app.post('/api/gl/normalize', rateLimit('upload'), glUpload.single('file'), asyn
     }
 
     // Check for filename duplicate (same name, different content)
-    const filenameDuplicate = memory.uploadedGLFiles.find(f => f.filename.toLowerCase() === filename);
-    if (filenameDuplicate && req.query.allowDuplicate !== 'true') {
+    const filenameDuplicate = current.find(f => f.filename.toLowerCase() === filename);
+    if (filenameDuplicate && !incremental && req.query.allowDuplicate !== 'true') {
       return res.status(400).json({
         ok: false,
         error: 'A file with this name has already been uploaded. Use allowDuplicate=true to override.',
@@ -1818,37 +1956,52 @@ app.post('/api/gl/normalize', rateLimit('upload'), glUpload.single('file'), asyn
     }
 
     const useLLM = String(req.query.useLLM ?? 'true').toLowerCase() !== 'false';
-    const { rows, mapping, headerRowIndex, logs, warnings, errors } = await normalizeSpreadsheet(req.file.buffer, { filename: req.file.originalname, useLLM });
+    // ?sheets=all or a comma-separated list of worksheet names/indexes; default is every sheet with GL data
+    const sheetParam = String(req.query.sheets || '').trim();
+    const sheetSelection = !sheetParam ? null : sheetParam.toLowerCase() === 'all' ? 'all' : sheetParam.split(',').map(s => s.trim()).filter(Boolean);
+    // Saved column-mapping profiles are applied to matching header rows unless ?useProfiles=false
+    const useProfiles = String(req.query.useProfiles ?? 'true').toLowerCase() !== 'false';
+    const profileFor = useProfiles ? (headers) => {
+      const profile = matchProfile(memory, headers);
+      return profile ? { id: profile.id, name: profile.name, mapping: indexMapping(profile, headers) } : null;
+    } : null;
+    let normalized;
+    try {
+      normalized = await normalizeSpreadsheet(req.file.buffer, { filename: req.file.originalname, useLLM, sheets: sheetSelection, profileFor });
+    } catch (sheetError) {
+      if (sheetError.code === 'INVALID_SHEET') return res.status(400).json({ ok: false, error: sheetError.message, code: 'INVALID_SHEET' });
+      throw sheetError;
+    }
+    const { rows, mapping, headerRowIndex, sheets, format, logs, warnings, errors } = normalized;
+    const usedProfiles = new Set(sheets.filter(s => s.selected && s.profile).map(s => s.profile.id));
+    usedProfiles.forEach(id => {
+      const profile = findProfileById(memory, id);
+      if (profile) recordProfileUse(memory, sqlite, profile);
+    });
 
-    // Store file metadata for duplicate detection
-    const fileMetadata = {
-      id: crypto.randomUUID(),
-      filename: req.file.originalname,
+    // Keep the file and its metadata; an allowed re-upload supersedes the earlier file of the same name
+    const fileMetadata = recordGLFile(memory, sqlite, UPLOAD_DIR, {
+      file: req.file,
       hash: fileHash,
-      size: req.file.size,
-      uploadedAt: new Date().toISOString(),
       entryCount: rows.length,
       processing: {
+        format,
         mapping,
         headerRowIndex,
+        sheets: sheets.map(({ name, headerRowIndex, entryCount, selected }) => ({ name, headerRowIndex, entryCount, selected })),
         logs,
         warnings,
         errors
       }
-    };
-
-    // Remove old entry with same filename if allowing duplicates
-    if (filenameDuplicate && req.query.allowDuplicate === 'true') {
-      memory.uploadedGLFiles = memory.uploadedGLFiles.filter(f => f.filename.toLowerCase() !== filename);
-    }
-
-    memory.uploadedGLFiles.push(fileMetadata);
+    });
 
     res.json({
       ok: true,
       rows,
+      format,
       mapping,
       headerRowIndex,
+      sheets,
       logs,
       warnings,
       errors,
@@ -1868,12 +2021,21 @@ app.post('/api/gl/normalize', rateLimit('upload'), glUpload.single('file'), asyn
 // Get list of uploaded GL files
 app.get('/api/gl/files', (req, res) => {
   try {
+    const imported = new Map();
+    for (const e of memory.glEntries) {
+      if (e.source_file_id) imported.set(e.source_file_id, (imported.get(e.source_file_id) || 0) + 1);
+    }
     const files = (memory.uploadedGLFiles || []).map(f => ({
       id: f.id,
       filename: f.filename,
       size: f.size,
+      hash: f.hash,
       uploadedAt: f.uploadedAt,
-      entryCount: f.entryCount
+      entryCount: f.entryCount,
+      importedCount: imported.get(f.id) || 0,
+      supersededBy: f.supersededBy || null,
+      stored: !!f.storagePath,
+      sheets: f.processing?.sheets || []
     }));
     res.json({ success: true, files });
   } catch (e) {
@@ -1881,6 +2043,29 @@ app.get('/api/gl/files', (req, res) => {
   }
 });
 
+// Original uploaded workbook, byte for byte
+app.get('/api/gl/files/:id/download', (req, res) => {
+  const record = findGLFile(memory, req.params.id);
+  if (!record) return res.status(404).json({ ok: false, error: 'GL file not found', code: 'GL_FILE_NOT_FOUND' });
+  const filePath = record.storagePath ? path.join(UPLOAD_DIR, record.storagePath) : null;
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(410).json({ ok: false, error: 'The original file is no longer stored', code: 'SOURCE_UNAVAILABLE' });
+  }
+  res.download(filePath, record.filename);
+});
+
+// Source lineage for one GL entry: file, sheet, row and the original raw cells
+app.get('/api/gl/:id/source', async (req, res) => {
+  try {
+    const entry = memory.glEntries.find(e => String(e.id) === String(req.params.id));
+    if (!entry) return res.status(404).json({ ok: false, error: 'GL entry not found', code: 'GL_NOT_FOUND' });
+    res.json({ ok: true, ...(await entrySource(memory, UPLOAD_DIR, entry)) });
+  } catch (e) {
+    if (e.code && e.status) return res.status(e.status).json({ ok: false, error: e.message, code: e.code });
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 // Get list of uploaded documents
 app.get('/api/documents/files', (req, res) => {
   try {
@@ -1919,6 +2104,7 @@ app.post('/api/docs/link', express.json(), (req, res) => {
     if (!exists) memory.glDocLinks.push({ document_item_id: dId, gl_entry_id: gId, score: 1.0 });
     recomputeAttachmentFlags();
     try { if (sqlite) sqlite.saveLinks([{ document_item_id: dId, gl_entry_id: gId, score: 1.0 }]); } catch (_) {}
+    auditGLEntries([gId]);
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -1933,6 +2119,7 @@ app.delete('/api/docs/link', express.json(), (req, res) => {
     memory.glDocLinks = memory.glDocLinks.filter(l => !(String(l.document_item_id) === dId && String(l.gl_entry_id) === gId));
     recomputeAttachmentFlags();
     try { if (sqlite) sqlite.removeLink(dId, gId); } catch (_) {}
+    auditGLEntries([gId]);
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -2001,8 +2188,16 @@ app.post('/api/docs/reprocess', express.json(), async (req, res) => {
       // Run the document workflow which includes Tesseract OCR
       const result = await processDocumentWorkflow(fileBuffer, codexGLEntries, {
         fileType: doc.mime_type || (doc.filename?.toLowerCase().endsWith('.pdf') ? 'application/pdf' : undefined),
-        filename: doc.filename
+        filename: doc.filename,
+        convert: fxConverter(memory)
       });
+      const ed = result.extracted_data || {};
+      const fx = {
+        currency: ed.currency || 'USD',
+        original_amount: ed.original_amount ?? null,
+        fx_rate: ed.fx_rate ?? null,
+        fx_date: ed.fx_date ?? null
+      };
 
       if (result.processing_status === 'success') {
         // Update the document with OCR results
@@ -2021,7 +2216,7 @@ app.post('/api/docs/reprocess', express.json(), async (req, res) => {
           existingItems.forEach(item => {
             item.vendor = result.extracted_data?.merchant || item.vendor;
             item.date = result.extracted_data?.date || item.date;
-            item.amount = result.extracted_data?.amount || item.amount;
+            if (ed.amount != null || ed.original_amount != null) Object.assign(item, { amount: ed.amount, ...fx });
             item.details = {
               ...item.details,
               confidence: result.extracted_data?.confidence_scores,
@@ -2036,8 +2231,8 @@ app.post('/api/docs/reprocess', express.json(), async (req, res) => {
             kind: 'receipt',
             vendor: result.extracted_data?.merchant || 'Unknown',
             date: result.extracted_data?.date || null,
-            amount: result.extracted_data?.amount || 0,
-            currency: 'USD',
+            amount: result.extracted_data?.amount ?? (fx.original_amount == null ? 0 : null),
+            ...fx,
             details: {
               confidence: result.extracted_data?.confidence_scores,
               processing_method: result.processing_method
@@ -2130,13 +2325,15 @@ app.put('/api/di-config', express.json(), (req, res) => {
 });
 
 // ---------- Admin: Clear Data ----------
-function safeClearUploadsDir() {
+// keep: top-level entries to leave in place (e.g. GL source workbooks when only documents are cleared)
+function safeClearUploadsDir(keep = []) {
   try {
     console.log(`🗑️ Clearing uploads directory: ${UPLOAD_DIR}`);
     const entries = fs.readdirSync(UPLOAD_DIR, { withFileTypes: true });
     console.log(`📁 Found ${entries.length} entries to delete:`, entries.map(e => e.name));
 
     for (const ent of entries) {
+      if (keep.includes(ent.name)) continue;
       // Only remove subfolders/files; keep UPLOAD_DIR itself mounted
       const p = path.join(UPLOAD_DIR, ent.name);
       try {
@@ -2156,14 +2353,16 @@ app.delete('/api/admin/clear-gl', (req, res) => {
   try {
     memory.glEntries = [];
     memory.glDocLinks = [];
-    memory.uploadedGLFiles = [];
+    memory.auditResults = [];
+    memory.auditOverrides = [];
+    clearGLFiles(memory, sqlite, UPLOAD_DIR);
     recomputeAttachmentFlags();
     try {
       if (sqlite?.db) {
-        sqlite.db.exec('DELETE FROM gl_doc_links; DELETE FROM gl_entries;');
+        sqlite.db.exec('DELETE FROM gl_doc_links; DELETE FROM audit_results; DELETE FROM audit_overrides; DELETE FROM gl_entries;');
       }
     } catch (_) {}
-    res.json({ ok: true, cleared: ['gl_entries', 'gl_doc_links'] });
+    res.json({ ok: true, cleared: ['gl_entries', 'gl_files', 'gl_doc_links', 'audit_results', 'audit_overrides'] });
   } catch (e) {
     res.status(500).json({ error: e.message || 'Failed to clear GL' });
   }
@@ -2174,7 +2373,7 @@ app.delete('/api/admin/clear-docs', (req, res) => {
     memory.documents = [];
     memory.docItems = [];
     memory.glDocLinks = [];
-    safeClearUploadsDir();
+    safeClearUploadsDir([GL_FILES_DIR]);
     recomputeAttachmentFlags();
     try {
       if (sqlite?.db) {
@@ -2197,10 +2396,12 @@ app.delete('/api/admin/clear-all', (req, res) => {
     memory.documents = [];
     memory.docItems = [];
     memory.glDocLinks = [];
-    memory.uploadedGLFiles = [];
+    memory.auditResults = [];
+    memory.auditOverrides = [];
 
-    // Clear uploaded files
+    // Clear uploaded files (documents and GL source workbooks)
     console.log('📁 Clearing uploaded files');
+    clearGLFiles(memory, sqlite, UPLOAD_DIR);
     safeClearUploadsDir();
 
     // Recompute flags
@@ -2216,6 +2417,8 @@ app.delete('/api/admin/clear-all', (req, res) => {
           'DELETE FROM document_approvals;',
           'DELETE FROM doc_items;',
           'DELETE FROM documents;',
+          'DELETE FROM audit_results;',
+          'DELETE FROM audit_overrides;',
           'DELETE FROM gl_entries;'
         ].join('\n'));
         console.log('✅ Database tables cleared successfully');
@@ -2230,7 +2433,7 @@ app.delete('/api/admin/clear-all', (req, res) => {
     console.log('🎉 Clear-all operation completed successfully');
     res.json({
       ok: true,
-      cleared: ['gl_entries', 'documents', 'doc_items', 'document_approvals', 'gl_doc_links', 'uploads'],
+      cleared: ['gl_entries', 'gl_files', 'documents', 'doc_items', 'document_approvals', 'gl_doc_links', 'audit_results', 'audit_overrides', 'uploads'],
       timestamp: new Date().toISOString()
     });
   } catch (e) {
@@ -57,9 +57,9 @@ export function extractApprovalsFromText(text) {
 
   // Pass 1: single-line patterns
   const patterns = [
-    /(approved|approval|authorized|authorised)\s*(?:by|:)?\s*([A-Z][a-zA-Z.'-]+(?:\s+[A-Z][a-zA-Z.'-]+){0,3})(?:\s*[,-]\s*([A-Za-z /&-]{2,50}))?(?:.*?\b(on|dated|date[: ]*)\s*(.+))?/i,
-    /(reviewed|verified)\s*(?:by|:)?\s*([A-Z][a-zA-Z.'-]+(?:\s+[A-Z][a-zA-Z.'-]+){0,3})(?:\s*[,-]\s*([A-Za-z /&-]{2,50}))?(?:.*?\b(on|dated|date[: ]*)\s*(.+))?/i,
-    /(authorized|authorised)\s*(?:by|:)?\s*([A-Z][a-zA-Z.'-]+(?:\s+[A-Z][a-zA-Z.'-]+){0,3})(?:\s*[,-]\s*([A-Za-z /&-]{2,50}))?(?:.*?\b(on|dated|date[: ]*)\s*(.+))?/i,
+    /(approved|approval|authorized|authorised)\s*(?:by\s*:?|:)?\s*([A-Z][a-zA-Z.'-]+(?:\s+[A-Z][a-zA-Z.'-]+){0,3})(?:\s*[,-]\s*([A-Za-z /&-]{2,50}))?(?:.*?\b(on|dated|date[: ]*)\s*(.+))?/i,
+    /(reviewed|verified)\s*(?:by\s*:?|:)?\s*([A-Z][a-zA-Z.'-]+(?:\s+[A-Z][a-zA-Z.'-]+){0,3})(?:\s*[,-]\s*([A-Za-z /&-]{2,50}))?(?:.*?\b(on|dated|date[: ]*)\s*(.+))?/i,
+    /(authorized|authorised)\s*(?:by\s*:?|:)?\s*([A-Z][a-zA-Z.'-]+(?:\s+[A-Z][a-zA-Z.'-]+){0,3})(?:\s*[,-]\s*([A-Za-z /&-]{2,50}))?(?:.*?\b(on|dated|date[: ]*)\s*(.+))?/i,
   ];
 
   for (const ln of lines) {
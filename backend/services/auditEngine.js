@@ -0,0 +1,110 @@
+// Server-side FAR audit engine. Runs the same auditItem() the browser uses
+// so reports, exports and API clients see identical RED/YELLOW/GREEN results.
+import {
+  auditItemForContract, computeUnallowable, applyPerDiemCheck, applyCompensationCheck, itemLinesUSD
+} from '../../modules/services/auditService.js';
+import { applicableRules } from '../../modules/services/contractRules.js';
+import { travelChecker } from './travelPerDiem.js';
+import { compensationChecker } from './compensation.js';
+
+// GL entries are stored snake_case; auditItem works on the client's camelCase shape
+export function toAuditInput(entry) {
+  return {
+    id: entry.id,
+    accountNumber: entry.account_number ?? null,
+    description: entry.description ?? '',
+    amount: Number(entry.amount || 0),
+    date: entry.date || null,
+    category: entry.category ?? null,
+    vendor: entry.vendor ?? null,
+    contractNumber: entry.contract_number ?? null,
+    employeeId: entry.employee_id ?? null,
+    project: entry.project ?? null,
+    task: entry.task ?? null,
+    org: entry.org ?? null,
+    documentNumber: entry.document_number ?? null,
+    lineNumber: entry.line_number ?? null,
+    poNumber: entry.po_number ?? null,
+  };
+}
+
+// Line items of the documents linked to each GL entry, in USD: gl_entry_id -> lines
+export function lineItemsLookup(memory) {
+  const itemsById = new Map((memory.docItems || []).map(i => [String(i.id), i]));
+  const byGl = new Map();
+  for (const link of memory.glDocLinks || []) {
+    const item = itemsById.get(String(link.document_item_id));
+    if (!Array.isArray(item?.details?.lines)) continue;
+    const lines = itemLinesUSD(item);
+    const key = String(link.gl_entry_id);
+    byGl.set(key, [...(byGl.get(key) || []), ...lines]);
+  }
+  return (entry) => byGl.get(String(entry.id)) || [];
+}
+
+// The options auditEntries needs to reproduce a live audit of the loaded data:
+// document line items, per-diem and compensation checks, contract registry
+export function auditOptions(memory) {
+  return {
+    linesFor: lineItemsLookup(memory),
+    travelFor: travelChecker(memory),
+    compensationFor: compensationChecker(memory),
+    contracts: memory.contracts,
+  };
+}
+
+// Audit entries under a rule set version (see ruleVersions.js) and stamp each
+// result with that version so it can be reproduced later. options.linesFor(entry)
+// supplies document line items for the unallowable-amount split and
+// options.travelFor(entry) / options.compensationFor(entry) the ceiling checks
+// (see travelPerDiem.js and compensation.js); options.contracts, the contract
+// registry, limits rules by contract type (see contractRules.js).
+export function auditEntries(entries, version, options = {}) {
+  const auditedAt = new Date().toISOString();
+  const linesFor = options.linesFor || (() => []);
+  const travelFor = options.travelFor || (() => null);
+  const compensationFor = options.compensationFor || (() => null);
+  return (entries || []).map((entry) => {
+    const input = toAuditInput(entry);
+    const perDiem = travelFor(entry);
+    const compensation = compensationFor(entry);
+    const r = applyCompensationCheck(applyPerDiemCheck(auditItemForContract(input, version.rules, options), perDiem), compensation);
+    const costs = computeUnallowable(input, r.status, linesFor(entry), applicableRules(version.rules, input, options.contracts),
+      (perDiem?.excess || 0) + (compensation?.excess || 0), compensation?.excess ? 'comp_cap' : 'per_diem');
+    return {
+      gl_entry_id: String(entry.id),
+      status: r.status,
+      far_issue: r.farIssue,
+      far_section: r.farSection || null,
+      matches: r.matches || [],
+      allowable_amount: costs.allowableAmount,
+      unallowable_amount: costs.unallowableAmount,
+      unallowable_basis: costs.unallowableBasis,
+      unallowable_lines: costs.unallowableLines,
+      per_diem: perDiem,
+      compensation,
+      contract: r.contract,
+      rule_version: version.id,
+      rule_set_hash: version.hash,
+      audited_at: auditedAt,
+    };
+  });
+}
+
+export function summarizeResults(results) {
+  const summary = { total: 0, RED: 0, YELLOW: 0, GREEN: 0, questioned_cost: 0 };
+  for (const r of results || []) {
+    summary.total++;
+    if (summary[r.status] !== undefined) summary[r.status]++;
+    summary.questioned_cost += Number(r.unallowable_amount) || 0;
+  }
+  summary.questioned_cost = Math.round(summary.questioned_cost * 100) / 100;
+  return summary;
+}
+
+// Replace results for the audited entries, keeping results for everything else
+export function mergeResults(existing, fresh) {
+  const byId = new Map((existing || []).map(r => [String(r.gl_entry_id), r]));
+  for (const r of fresh || []) byId.set(String(r.gl_entry_id), r);
+  return Array.from(byId.values());
+}
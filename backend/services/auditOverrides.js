@@ -0,0 +1,107 @@
+// Auditor overrides: a reviewed GL entry keeps its rule result, and the latest
+// unrevoked override supplies the status everyone sees. Records are never
+// deleted; revoking one stamps it so the full history stays available.
+import { randomUUID } from 'crypto';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+import { overrideUnallowable } from '../../modules/services/auditService.js';
+
+export const OVERRIDE_STATUSES = ['RED', 'YELLOW', 'GREEN'];
+
+// Newest first
+export function overrideHistory(memory, glEntryId) {
+  return (memory.auditOverrides || [])
+    .filter(o => o.gl_entry_id === String(glEntryId))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+// gl_entry_id -> override currently in force
+export function activeOverrides(memory) {
+  const byId = new Map();
+  for (const o of memory.auditOverrides || []) {
+    if (o.revoked_at) continue;
+    const current = byId.get(o.gl_entry_id);
+    if (!current || String(o.created_at) > String(current.created_at)) byId.set(o.gl_entry_id, o);
+  }
+  return byId;
+}
+
+export function describeOverride(o, memory) {
+  if (!o) return null;
+  const doc = o.document_id ? (memory?.documents || []).find(d => String(d.id) === String(o.document_id)) : null;
+  return {
+    id: o.id,
+    gl_entry_id: o.gl_entry_id,
+    status: o.status,
+    rule_status: o.rule_status || null,
+    reason: o.reason,
+    user: o.user,
+    document_id: o.document_id || null,
+    document: doc ? { id: doc.id, filename: doc.filename, file_url: doc.file_url || null } : null,
+    created_at: o.created_at,
+    revoked_at: o.revoked_at || null,
+    revoked_by: o.revoked_by || null,
+    revoke_reason: o.revoke_reason || null,
+  };
+}
+
+// Audit result with the override applied: status and amounts are the effective
+// values, rule_status / rule_unallowable_amount what the FAR rules said
+export function applyOverride(result, override, memory, amount = 0) {
+  const ruleUnallowable = result.unallowable_amount ?? 0;
+  const base = { ...result, rule_status: result.status, rule_unallowable_amount: ruleUnallowable };
+  if (!override) return { ...base, override: null };
+  const unallowable = overrideUnallowable(override.status, ruleUnallowable, amount);
+  return {
+    ...base,
+    status: override.status,
+    unallowable_amount: unallowable,
+    allowable_amount: Math.round(((Number(amount) || 0) - unallowable) * 100) / 100,
+    override: describeOverride(override, memory),
+  };
+}
+
+export function applyOverrides(results, memory) {
+  const active = activeOverrides(memory);
+  const amounts = new Map((memory.glEntries || []).map(e => [String(e.id), Number(e.amount) || 0]));
+  return (results || []).map(r => applyOverride(r, active.get(String(r.gl_entry_id)), memory, amounts.get(String(r.gl_entry_id))));
+}
+
+function persist(memory, sqlite, record) {
+  try {
+    if (sqlite) sqlite.saveAuditOverride(record);
+    else saveFileConfig('audit_overrides', memory.auditOverrides);
+  } catch (persistError) {
+    console.error('Failed to persist audit override:', persistError);
+  }
+}
+
+export function createOverride(memory, sqlite, glEntryId, { status, reason, user, document_id, rule_status }) {
+  const record = {
+    id: randomUUID(),
+    gl_entry_id: String(glEntryId),
+    status,
+    rule_status: rule_status || null,
+    reason,
+    user,
+    document_id: document_id ? String(document_id) : null,
+    created_at: new Date().toISOString(),
+    revoked_at: null,
+    revoked_by: null,
+    revoke_reason: null,
+  };
+  if (!memory.auditOverrides) memory.auditOverrides = [];
+  memory.auditOverrides.push(record);
+  persist(memory, sqlite, record);
+  return record;
+}
+
+// Revoke the override in force; the rule result applies again
+export function revokeOverride(memory, sqlite, glEntryId, { user, reason } = {}) {
+  const record = activeOverrides(memory).get(String(glEntryId));
+  if (!record) return null;
+  record.revoked_at = new Date().toISOString();
+  record.revoked_by = user || null;
+  record.revoke_reason = reason || null;
+  persist(memory, sqlite, record);
+  return record;
+}
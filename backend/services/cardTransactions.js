@@ -0,0 +1,282 @@
+// Corporate card transactions: statements imported from CSV/XLSX exports or
+// OFX/QFX downloads, kept apart from the GL, then reconciled to uploaded
+// receipts (scoreMatch, as document linking does) and to GL entries
+// (findGLMatches). Unreceipted charges and charges never posted to the GL are
+// where unallowable card spend usually hides.
+import crypto from 'crypto';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+import { parse } from './spreadsheetNormalizer.js';
+import { findExportParser } from './exportParsers.js';
+import { parseAmountStrict } from './glImport.js';
+import { parseDay, cellText } from './timesheets.js';
+import { scoreMatch } from './match.js';
+import { findGLMatches, preprocessGLEntries } from './glMatcher.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const norm = (s) => String(s ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// GL postings are matched within this many days and dollars of the charge
+const GL_MATCH = { maxDateDiff: 10, maxAmountDiff: 1.0, minScore: 60, maxResults: 5 };
+// Receipts outside the charges' dates by more than this are not expected on the card
+const RECEIPT_WINDOW_DAYS = 7;
+
+const HEADER_PATTERNS = {
+  date: /^(trans(action)?\.?\s*date|date|purchase date|txn date|date of charge)$/,
+  posted_date: /^post(ed|ing)?\s*date$/,
+  merchant: /^(merchant|merchant name|payee|vendor|supplier)$/,
+  description: /^(description|memo|details|transaction description|extended details)$/,
+  amount: /^(amount|transaction amount|charge amount|billing amount|amount \(usd\))$/,
+  debit: /^(debit|charges?)$/,
+  credit: /^(credit|payments?|credits?)$/,
+  card: /card\s*(number|no|#)|last\s*(4|four)|^account\s*(#|no|number)?$/,
+  cardholder: /card\s*(member|holder)|cardholder|^employee( name)?$|name on card/,
+  reference: /^(reference|ref|reference number|transaction id|fitid)$/,
+};
+
+// Statement amount; a trailing CR or minus ("1,234.56 CR", "45.00-") is a credit
+const amountOf = (v) => {
+  const suffix = typeof v === 'string' ? v.trim().match(/^(.*?)\s*(CR|DR|-)$/i) : null;
+  if (!suffix) return parseAmountStrict(v);
+  const n = parseAmountStrict(suffix[1]);
+  return n == null || suffix[2].toUpperCase() === 'DR' ? n : -n;
+};
+
+/**
+ * Parse one statement table (first row with date and amount columns is the
+ * header). Charges are positive; when most amounts in a file are negative
+ * (the issuer's sign convention) every amount is flipped, unless `signed`
+ * says the amounts are already charge-positive. Returns { records, skipped }.
+ */
+export function parseCardTable(aoa, { card = null, signed = false } = {}) {
+  const rows = (aoa || []).map(r => (r || []).map(cellText));
+  const headerIdx = rows.findIndex(r => {
+    const h = r.map(norm);
+    return h.some(c => HEADER_PATTERNS.date.test(c)) && h.some(c => HEADER_PATTERNS.amount.test(c) || HEADER_PATTERNS.debit.test(c));
+  });
+  if (headerIdx < 0) throw new Error('Card statement must have date and amount columns');
+  const headers = rows[headerIdx].map(norm);
+  const idx = {};
+  for (const [field, re] of Object.entries(HEADER_PATTERNS)) {
+    idx[field] = headers.findIndex((h, i) => re.test(h) && !Object.values(idx).includes(i));
+  }
+  const at = (r, field) => (idx[field] >= 0 ? r[idx[field]] : undefined);
+
+  const records = [];
+  let skipped = 0;
+  for (const r of rows.slice(headerIdx + 1)) {
+    const date = parseDay(at(r, 'date')) || parseDay(at(r, 'posted_date'));
+    let amount = amountOf(at(r, 'amount'));
+    if (amount == null && (idx.debit >= 0 || idx.credit >= 0)) {
+      const debit = amountOf(at(r, 'debit'));
+      const credit = amountOf(at(r, 'credit'));
+      amount = debit == null && credit == null ? null : Math.abs(debit || 0) - Math.abs(credit || 0);
+    }
+    const description = String(at(r, 'description') ?? '').trim();
+    const merchant = String(at(r, 'merchant') ?? '').trim() || description;
+    if (!date || amount == null || !merchant) {
+      if (r.some(c => String(c ?? '').trim())) skipped++;
+      continue;
+    }
+    const cardDigits = String(at(r, 'card') ?? card ?? '').replace(/\D/g, '');
+    records.push({
+      date,
+      posted_date: parseDay(at(r, 'posted_date')),
+      amount: round2(amount),
+      merchant,
+      description: description || merchant,
+      card: cardDigits ? cardDigits.slice(-4) : null,
+      cardholder: String(at(r, 'cardholder') ?? '').trim() || null,
+      reference: String(at(r, 'reference') ?? '').trim() || null,
+    });
+  }
+  if (!signed && records.filter(r => r.amount < 0).length > records.filter(r => r.amount > 0).length) {
+    records.forEach(r => { r.amount = -r.amount; });
+  }
+  return { records, skipped };
+}
+
+/**
+ * Read a statement file (CSV, XLSX, OFX/QFX/QBO) into records. OFX amounts
+ * are already charge-positive, and each account's statement keeps its card
+ * number. Returns { records, skipped }.
+ */
+export async function readCardStatement(buffer, filename = '') {
+  const sheets = await parse.sheets(buffer, { filename });
+  // A statement of refunds is still refunds, so OFX signs are never flipped
+  const signed = findExportParser(filename, buffer)?.kind === 'ofx';
+  const records = [];
+  let skipped = 0;
+  let readable = 0;
+  for (const sheet of sheets.filter(s => !s.hidden && s.rows.length > 1)) {
+    let parsed;
+    try {
+      parsed = parseCardTable(sheet.rows, { card: /^Card \d{4}/.test(sheet.name) ? sheet.name.slice(5, 9) : null, signed });
+    } catch (_) {
+      continue;
+    }
+    readable++;
+    records.push(...parsed.records);
+    skipped += parsed.skipped;
+  }
+  if (!readable) throw new Error('Card statement must have date and amount columns');
+  return { records, skipped };
+}
+
+// Same charge in an earlier statement: the issuer reference, else card/date/amount/description
+const dedupeKey = (t) => (t.reference
+  ? `ref|${norm(t.card)}|${norm(t.reference)}`
+  : `${norm(t.card)}|${t.date}|${Number(t.amount).toFixed(2)}|${norm(t.description)}`);
+
+/**
+ * Store parsed records. Rows already imported from an overlapping statement
+ * are skipped; identical rows within one file are kept (two equal charges
+ * on one day are real). Returns { rows, duplicates }.
+ */
+export function importCardTransactions(memory, sqlite, records, { source = 'import' } = {}) {
+  const existing = new Set((memory.cardTransactions || []).map(dedupeKey));
+  const now = new Date().toISOString();
+  const rows = [];
+  let duplicates = 0;
+  for (const r of records) {
+    if (existing.has(dedupeKey(r))) { duplicates++; continue; }
+    rows.push({ id: crypto.randomUUID(), source, ...r, created_at: now });
+  }
+  memory.cardTransactions = [...(memory.cardTransactions || []), ...rows];
+  persist(memory, sqlite, () => sqlite.saveCardTransactions(rows));
+  return { rows, duplicates };
+}
+
+export function deleteCardTransaction(memory, sqlite, row) {
+  memory.cardTransactions = (memory.cardTransactions || []).filter(t => t.id !== row.id);
+  persist(memory, sqlite, () => sqlite.deleteCardTransaction(row.id));
+  return row;
+}
+
+function persist(memory, sqlite, writeSqlite) {
+  try {
+    if (sqlite) writeSqlite();
+    else saveFileConfig('card_transactions', memory.cardTransactions);
+  } catch (persistError) {
+    console.error('Failed to persist card transactions:', persistError);
+  }
+}
+
+// ============== Reconciliation =================
+
+const inPeriod = (day, from, to) => !!day && (!from || day >= from) && (!to || day <= to);
+const shiftDay = (day, days) => new Date(Date.parse(day) + days * 86400000).toISOString().slice(0, 10);
+const dayOf = (value) => {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+};
+
+// Receipt-like document items: receipts, and items whose kind was not classified
+const isReceipt = (item) => !item.kind || item.kind === 'receipt';
+
+// One-to-one pairing: best-scoring pairs first, each side used once
+function assignPairs(candidates) {
+  const left = new Map();
+  const usedRight = new Set();
+  for (const c of candidates.sort((a, b) => b.score - a.score)) {
+    if (left.has(c.left) || usedRight.has(c.right)) continue;
+    left.set(c.left, c);
+    usedRight.add(c.right);
+  }
+  return left;
+}
+
+// Receipt match rule of document linking: stricter when both sides name a vendor that differs
+function receiptAccepted(sc) {
+  if (sc.score < 0.6) return false;
+  if (!sc.vendorPresentBoth || sc.vendorMatch) return true;
+  return sc.amountExact && sc.dateClose;
+}
+
+const txnView = (t) => ({
+  id: t.id, date: t.date, amount: t.amount, merchant: t.merchant, description: t.description,
+  card: t.card, cardholder: t.cardholder, reference: t.reference, source: t.source,
+});
+
+/**
+ * Match card charges (positive amounts) in the period to receipts and to GL
+ * entries, one-to-one. Returns the three exception buckets: `no_receipt`
+ * (charges without a receipt), `receipts_without_charge` (receipts dated
+ * within the statement dates, ± a week, that no charge accounts for) and
+ * `not_in_gl` (charges with no GL posting), plus every charge's matches.
+ */
+export async function reconcileCards(memory, { from = null, to = null } = {}) {
+  const charges = (memory.cardTransactions || []).filter(t => inPeriod(t.date, from, to) && t.amount > 0);
+  const credits = (memory.cardTransactions || []).filter(t => inPeriod(t.date, from, to) && t.amount < 0);
+
+  const days = charges.map(t => t.date).sort();
+  const windowFrom = from || (days.length ? shiftDay(days[0], -RECEIPT_WINDOW_DAYS) : null);
+  const windowTo = to || (days.length ? shiftDay(days[days.length - 1], RECEIPT_WINDOW_DAYS) : null);
+  const receipts = (memory.docItems || []).filter(i => isReceipt(i) && Number(i.amount) > 0 && inPeriod(dayOf(i.date), windowFrom, windowTo));
+
+  const receiptCandidates = [];
+  for (const t of charges) {
+    for (const item of receipts) {
+      const sc = scoreMatch({ amount: t.amount, vendor: t.merchant, date: t.date }, item);
+      if (receiptAccepted(sc)) receiptCandidates.push({ left: t.id, right: String(item.id), score: sc.score, item });
+    }
+  }
+  const receiptFor = assignPairs(receiptCandidates);
+
+  // GL entries bucketed by whole dollars so each charge only scores nearby amounts
+  const byDollar = new Map();
+  for (const g of preprocessGLEntries(memory.glEntries || [])) {
+    const k = Math.round(g.amount);
+    if (!byDollar.has(k)) byDollar.set(k, []);
+    byDollar.get(k).push(g);
+  }
+  const glCandidates = [];
+  for (const t of charges) {
+    const k = Math.round(t.amount);
+    const nearby = [k - 1, k, k + 1].flatMap(d => byDollar.get(d) || []);
+    if (!nearby.length) continue;
+    const matches = await findGLMatches({ amount: { value: t.amount }, date: { value: t.date }, merchant: { value: t.merchant } }, nearby, GL_MATCH);
+    for (const m of matches) glCandidates.push({ left: t.id, right: String(m.gl_entry_id), score: m.match_score, match: m });
+  }
+  const glFor = assignPairs(glCandidates);
+
+  const transactions = charges.map(t => {
+    const r = receiptFor.get(t.id);
+    const g = glFor.get(t.id);
+    return {
+      ...txnView(t),
+      receipt: r ? { document_item_id: r.right, document_id: r.item.document_id, vendor: r.item.vendor, date: dayOf(r.item.date), amount: Number(r.item.amount), score: Math.round(r.score * 100) } : null,
+      gl: g ? { gl_entry_id: g.right, score: g.score, match_type: g.match.match_type, description: g.match.gl_description, amount: g.match.gl_amount, date: g.match.gl_date } : null,
+    };
+  }).sort((a, b) => a.date.localeCompare(b.date));
+
+  const matchedReceipts = new Set([...receiptFor.values()].map(r => r.right));
+  const noReceipt = transactions.filter(t => !t.receipt);
+  const notInGL = transactions.filter(t => !t.gl);
+  const receiptsWithoutCharge = receipts.filter(i => !matchedReceipts.has(String(i.id))).map(i => ({
+    document_item_id: String(i.id), document_id: i.document_id, vendor: i.vendor || null, date: dayOf(i.date), amount: Number(i.amount),
+  }));
+  const total = (list) => round2(list.reduce((s, t) => s + Number(t.amount), 0));
+
+  return {
+    period: { from, to },
+    summary: {
+      charges: charges.length,
+      charge_amount: total(charges),
+      credits: credits.length,
+      credit_amount: total(credits),
+      with_receipt: charges.length - noReceipt.length,
+      with_gl: charges.length - notInGL.length,
+      no_receipt: noReceipt.length,
+      no_receipt_amount: total(noReceipt),
+      receipts_without_charge: receiptsWithoutCharge.length,
+      receipts_without_charge_amount: total(receiptsWithoutCharge),
+      not_in_gl: notInGL.length,
+      not_in_gl_amount: total(notInGL),
+    },
+    no_receipt: noReceipt,
+    receipts_without_charge: receiptsWithoutCharge,
+    not_in_gl: notInGL,
+    transactions,
+  };
+}
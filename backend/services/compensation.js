@@ -0,0 +1,139 @@
+// Compensation cap analysis (FAR 31.205-6(p)): payroll GL entries are summed
+// per employee and fiscal year and compared with the statutory benchmark in
+// force for that year. Whatever is paid after the running total passes the cap
+// is the questioned amount, so each entry carries its own share of the excess.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+import { fiscalYearFor, fiscalYearStartMonth } from './fiscalYear.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const COMPENSATION_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'compensationCaps.json');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function readDefaults() {
+  try {
+    return JSON.parse(fs.readFileSync(COMPENSATION_CONFIG_PATH, 'utf-8'));
+  } catch (e) {
+    console.warn('⚠️ Could not read config/compensationCaps.json:', e.message);
+    return { payroll: { account_prefixes: [], keywords: [] }, caps: [] };
+  }
+}
+
+// Stored config (PUT /api/compensation/config) or the shipped defaults
+export function compensationConfig(memory) {
+  return memory.compensation || normalizeCompensationConfig(readDefaults()).config;
+}
+
+/**
+ * Validate and normalize a config body. Returns { config, errors }.
+ */
+export function normalizeCompensationConfig(body = {}) {
+  const errors = [];
+  const list = (v) => (Array.isArray(v) ? v : []).map(s => String(s).trim()).filter(Boolean);
+  const caps = (Array.isArray(body.caps) ? body.caps : []).map((c, i) => {
+    const fy = Number(c?.fiscal_year);
+    const amount = Number(c?.amount);
+    if (!Number.isInteger(fy)) errors.push(`caps[${i}].fiscal_year must be a year`);
+    if (!(amount > 0)) errors.push(`caps[${i}].amount must be a positive number`);
+    return { fiscal_year: fy, amount, note: c?.note ? String(c.note) : '' };
+  }).sort((a, b) => a.fiscal_year - b.fiscal_year);
+  if (!caps.length) errors.push('caps must list at least one fiscal year');
+  const payroll = {
+    account_prefixes: list(body.payroll?.account_prefixes),
+    keywords: list(body.payroll?.keywords).map(k => k.toLowerCase()),
+  };
+  if (!payroll.account_prefixes.length && !payroll.keywords.length) errors.push('payroll needs account_prefixes or keywords');
+  return { config: { payroll, caps }, errors };
+}
+
+export function saveCompensationConfig(memory, sqlite, config) {
+  memory.compensation = config;
+  try {
+    if (sqlite) sqlite.saveConfig('compensation_config', config);
+    else saveFileConfig('compensation_config', config);
+  } catch (persistError) {
+    console.error('Failed to persist compensation config:', persistError);
+  }
+  return config;
+}
+
+// Latest cap whose fiscal year is on or before the given one. The cap is
+// adjusted every year, so years after the newest listed cap have none (NO_CAP)
+// rather than inheriting a stale amount.
+export function capFor(caps, fiscalYear) {
+  let found = null;
+  let newest = null;
+  for (const c of caps || []) {
+    if (newest == null || c.fiscal_year > newest) newest = c.fiscal_year;
+    if (c.fiscal_year <= fiscalYear && (!found || c.fiscal_year > found.fiscal_year)) found = c;
+  }
+  return fiscalYear > newest ? null : found;
+}
+
+export function isPayrollEntry(entry, payroll = {}) {
+  if (!entry?.employee_id) return false;
+  const account = String(entry.account_number || '');
+  if ((payroll.account_prefixes || []).some(p => account.startsWith(p))) return true;
+  const text = `${entry.description || ''} ${entry.category || ''}`.toLowerCase();
+  return (payroll.keywords || []).some(k => text.includes(k));
+}
+
+/**
+ * Aggregate payroll entries per employee and fiscal year.
+ * Returns { employees: [{ employee_id, fiscal_year, total, cap, excess, status, entry_count }],
+ *           byEntry: Map(gl_entry_id -> check) } where check.excess is that entry's share.
+ */
+export function analyzeCompensation(memory) {
+  const config = compensationConfig(memory);
+  const startMonth = fiscalYearStartMonth(memory);
+  const groups = new Map();
+  for (const entry of memory.glEntries || []) {
+    if (!isPayrollEntry(entry, config.payroll)) continue;
+    const fy = fiscalYearFor(entry.date, startMonth);
+    if (!fy) continue;
+    const key = `${String(entry.employee_id).trim().toLowerCase()}|${fy}`;
+    if (!groups.has(key)) groups.set(key, { employee_id: String(entry.employee_id).trim(), fiscal_year: fy, entries: [] });
+    groups.get(key).entries.push(entry);
+  }
+
+  const employees = [];
+  const byEntry = new Map();
+  for (const g of groups.values()) {
+    const cap = capFor(config.caps, g.fiscal_year);
+    const sorted = [...g.entries].sort((a, b) =>
+      (new Date(a.date).getTime() - new Date(b.date).getTime()) || String(a.id).localeCompare(String(b.id)));
+    const total = round2(sorted.reduce((s, e) => s + (Number(e.amount) || 0), 0));
+    const excess = cap ? round2(Math.max(0, total - cap.amount)) : 0;
+    const status = !cap ? 'NO_CAP' : excess > 0 ? 'OVER' : 'WITHIN';
+    employees.push({ employee_id: g.employee_id, fiscal_year: g.fiscal_year, total, cap: cap?.amount ?? null, excess, status, entry_count: sorted.length });
+
+    let running = 0;
+    for (const e of sorted) {
+      const before = running;
+      running += Number(e.amount) || 0;
+      const share = cap ? round2(Math.max(0, running - Math.max(before, cap.amount))) : 0;
+      byEntry.set(String(e.id), {
+        gl_entry_id: String(e.id),
+        employee_id: g.employee_id,
+        fiscal_year: g.fiscal_year,
+        total,
+        cap: cap?.amount ?? null,
+        status: share > 0 ? 'OVER' : status === 'NO_CAP' ? 'NO_CAP' : 'WITHIN',
+        excess: share,
+      });
+    }
+  }
+  employees.sort((a, b) => (b.excess - a.excess) || a.employee_id.localeCompare(b.employee_id) || a.fiscal_year - b.fiscal_year);
+  return { config, employees, byEntry };
+}
+
+// (entry) => check | null, with the per-employee totals computed once
+export function compensationChecker(memory) {
+  const { byEntry } = analyzeCompensation(memory);
+  return (entry) => byEntry.get(String(entry.id)) || null;
+}
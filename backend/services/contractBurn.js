@@ -0,0 +1,207 @@
+// Contract funding burn: allowable GL cost per registered contract by month,
+// compared with the contract's funded amount and ceiling, with a projection of
+// when each runs out at the recent burn rate. Crossing a configured percentage
+// is logged once per threshold (see checkBurnAlerts).
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+import { applyOverrides } from './auditOverrides.js';
+import { logger, LogCategory } from './logService.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const DEFAULT_CONFIG = { alert_percents: [75, 90, 100], lookback_months: 3 };
+const BASES = [['funded', 'funded_amount'], ['ceiling', 'ceiling']];
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// Stored config (PUT /api/contracts/burn/config) or the defaults
+export function burnConfig(memory) {
+  return memory.contractBurn || DEFAULT_CONFIG;
+}
+
+/**
+ * Validate a config body: { alert_percents: [75, 90, 100], lookback_months: 3 }.
+ * Returns { config, errors }.
+ */
+export function normalizeBurnConfig(body = {}) {
+  const errors = [];
+  const percents = (Array.isArray(body.alert_percents) ? body.alert_percents : []).map(Number);
+  if (!percents.length) errors.push('alert_percents must list at least one percentage');
+  percents.filter(p => !(p > 0 && p <= 1000)).forEach(p => errors.push(`alert percentage ${p} must be between 0 and 1000`));
+  const lookback = Number(body.lookback_months ?? DEFAULT_CONFIG.lookback_months);
+  if (!Number.isInteger(lookback) || lookback < 1 || lookback > 24) errors.push('lookback_months must be 1-24');
+  return { config: { alert_percents: [...new Set(percents)].sort((a, b) => a - b), lookback_months: lookback }, errors };
+}
+
+export function saveBurnConfig(memory, sqlite, config) {
+  memory.contractBurn = config;
+  try {
+    if (sqlite) sqlite.saveConfig('contract_burn_config', config);
+    else saveFileConfig('contract_burn_config', config);
+  } catch (persistError) {
+    console.error('Failed to persist contract burn config:', persistError);
+  }
+  return config;
+}
+
+const normalizeNumber = (n) => String(n ?? '').trim().toUpperCase();
+const dayOf = (date) => {
+  const d = date ? new Date(date) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : null;
+};
+
+function addMonths(month, n) {
+  const [y, m] = month.split('-').map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + n, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + Math.ceil(n));
+  return d.toISOString().slice(0, 10);
+}
+
+// Highest configured percentage at or below the consumed percentage
+function thresholdCrossed(percent, percents) {
+  if (percent == null) return null;
+  return percents.filter(p => percent >= p).pop() ?? null;
+}
+
+/**
+ * Burn per registered contract. options: { asOf } (YYYY-MM-DD); without it
+ * each contract is measured as of its latest dated GL entry, so historical
+ * ledgers still get a meaningful run rate.
+ * Spend is allowable cost: the audit's unallowable amount (after auditor
+ * overrides) is never billable, so it does not consume funding.
+ */
+export function computeBurn(memory, { asOf = null, config = burnConfig(memory) } = {}) {
+  const audit = new Map(applyOverrides(memory.auditResults, memory).map(r => [String(r.gl_entry_id), r]));
+  const byContract = new Map((memory.contracts || []).map(c => [normalizeNumber(c.contract_number), { contract: c, entries: [] }]));
+  for (const e of memory.glEntries || []) {
+    const slot = byContract.get(normalizeNumber(e.contract_number));
+    const day = dayOf(e.date);
+    if (slot && day && (!asOf || day <= asOf)) slot.entries.push({ e, day });
+  }
+
+  const contracts = [...byContract.values()].map(({ contract, entries }) => {
+    const months = new Map();
+    let cost = 0;
+    let allowable = 0;
+    let latest = null;
+    for (const { e, day } of entries) {
+      const amount = Number(e.amount) || 0;
+      const ok = amount - (Number(audit.get(String(e.id))?.unallowable_amount) || 0);
+      const m = months.get(day.slice(0, 7)) || { cost: 0, allowable: 0 };
+      m.cost += amount;
+      m.allowable += ok;
+      months.set(day.slice(0, 7), m);
+      cost += amount;
+      allowable += ok;
+      if (!latest || day > latest) latest = day;
+    }
+
+    // Monthly series from the first charge to the as-of month, gaps filled
+    const asOfDay = asOf || latest;
+    const series = [];
+    if (months.size) {
+      let running = 0;
+      const last = asOfDay.slice(0, 7);
+      for (let m = [...months.keys()].sort()[0]; m <= last; m = addMonths(m, 1)) {
+        const v = months.get(m) || { cost: 0, allowable: 0 };
+        running += v.allowable;
+        series.push({ month: m, cost: round2(v.cost), allowable: round2(v.allowable), cumulative: round2(running) });
+      }
+    }
+    // Contracts younger than the lookback average over the months they have
+    const recent = series.slice(-config.lookback_months);
+    const burnRate = recent.length ? recent.reduce((s, m) => s + m.allowable, 0) / recent.length : 0;
+
+    const measures = {};
+    for (const [basis, field] of BASES) {
+      const limit = contract[field];
+      if (limit == null) { measures[basis] = null; continue; }
+      const remaining = limit - allowable;
+      const percent = limit > 0 ? Math.round((allowable / limit) * 10000) / 100 : null;
+      let exhausted = null;
+      if (remaining <= 0) exhausted = asOfDay;
+      else if (burnRate > 0 && asOfDay) exhausted = addDays(asOfDay, (remaining / burnRate) * DAYS_PER_MONTH);
+      measures[basis] = {
+        limit: round2(limit),
+        remaining: round2(remaining),
+        percent,
+        threshold_crossed: thresholdCrossed(percent, config.alert_percents),
+        projected_exhaustion: exhausted,
+        after_pop_end: !!(exhausted && contract.pop_end && exhausted > contract.pop_end),
+      };
+    }
+
+    return {
+      id: contract.id,
+      contract_number: contract.contract_number,
+      contract_type: contract.contract_type,
+      customer_agency: contract.customer_agency || null,
+      pop_start: contract.pop_start || null,
+      pop_end: contract.pop_end || null,
+      as_of: asOfDay,
+      entries: entries.length,
+      cost: round2(cost),
+      allowable: round2(allowable),
+      burn_rate: round2(burnRate),
+      funded: measures.funded,
+      ceiling: measures.ceiling,
+      months: series,
+    };
+  });
+
+  return { as_of: asOf, config, contracts };
+}
+
+/**
+ * Log each contract the first time its spend crosses a configured percentage
+ * of funding or ceiling. The last threshold logged per contract and basis is
+ * kept (memory.contractBurnAlerts) so restarts and re-audits stay quiet;
+ * falling back below a threshold re-arms it.
+ */
+export function checkBurnAlerts(memory, sqlite) {
+  try {
+    const state = memory.contractBurnAlerts || {};
+    const alerts = [];
+    let changed = false;
+    for (const c of computeBurn(memory).contracts) {
+      const key = normalizeNumber(c.contract_number);
+      const prev = state[key] || {};
+      const next = {};
+      for (const [basis] of BASES) {
+        const crossed = c[basis]?.threshold_crossed ?? null;
+        next[basis] = crossed;
+        if (crossed != null && (prev[basis] == null || crossed > prev[basis])) {
+          alerts.push({ contract: c, basis, threshold: crossed });
+        }
+        if (crossed !== (prev[basis] ?? null)) changed = true;
+      }
+      state[key] = next;
+    }
+    for (const { contract: c, basis, threshold } of alerts) {
+      const m = c[basis];
+      const log = threshold >= 100 ? logger.error : logger.warn;
+      log(LogCategory.CONTRACT_FUNDING, `Contract ${c.contract_number} reached ${threshold}% of ${basis === 'funded' ? 'funding' : 'ceiling'}`, {
+        contract_number: c.contract_number,
+        basis,
+        threshold,
+        percent: m.percent,
+        spent: c.allowable,
+        limit: m.limit,
+        remaining: m.remaining,
+        burn_rate: c.burn_rate,
+        projected_exhaustion: m.projected_exhaustion,
+      });
+    }
+    if (changed) {
+      memory.contractBurnAlerts = state;
+      if (sqlite) sqlite.saveConfig('contract_burn_alerts', state);
+      else saveFileConfig('contract_burn_alerts', state);
+    }
+    return alerts.length;
+  } catch (e) {
+    console.error('Failed to check contract burn alerts:', e);
+    return 0;
+  }
+}
@@ -0,0 +1,124 @@
+// Contract registry: contract type, period of performance, ceiling, funding and
+// customer for each contract number billed in the GL. The audit uses it to limit
+// rules by contract type and to flag out-of-period or unregistered charges
+// (see modules/services/contractRules.js).
+import { randomUUID } from 'crypto';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+import { CONTRACT_TYPE_CODES, findContract } from '../../modules/services/contractRules.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function optionalAmount(value, field, errors) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) errors.push(`${field} must be a non-negative number`);
+  return n;
+}
+
+function optionalDate(value, field, errors) {
+  if (!value) return null;
+  const s = String(value).slice(0, 10);
+  if (!DATE_RE.test(s) || Number.isNaN(Date.parse(s))) errors.push(`${field} must be YYYY-MM-DD`);
+  return s;
+}
+
+/**
+ * Validate a create/update body, merged over the existing record on update.
+ * Returns { contract, errors }.
+ */
+export function normalizeContract(body = {}, existing = null) {
+  const merged = { ...(existing || {}), ...body };
+  const errors = [];
+  const contract = {
+    contract_number: String(merged.contract_number || '').trim(),
+    contract_type: String(merged.contract_type || '').trim().toUpperCase(),
+    pop_start: optionalDate(merged.pop_start, 'pop_start', errors),
+    pop_end: optionalDate(merged.pop_end, 'pop_end', errors),
+    ceiling: optionalAmount(merged.ceiling, 'ceiling', errors),
+    funded_amount: optionalAmount(merged.funded_amount, 'funded_amount', errors),
+    customer_agency: merged.customer_agency ? String(merged.customer_agency).trim() : null,
+  };
+  if (!contract.contract_number) errors.push('contract_number is required');
+  if (!CONTRACT_TYPE_CODES.includes(contract.contract_type)) errors.push(`contract_type must be one of ${CONTRACT_TYPE_CODES.join(', ')}`);
+  if (contract.pop_start && contract.pop_end && contract.pop_start > contract.pop_end) errors.push('pop_start must be on or before pop_end');
+  if (contract.ceiling != null && contract.funded_amount != null && contract.funded_amount > contract.ceiling) {
+    errors.push('funded_amount cannot exceed ceiling');
+  }
+  return { contract, errors };
+}
+
+function persist(memory, sqlite, record, removed = false) {
+  try {
+    if (sqlite) removed ? sqlite.deleteContract(record.id) : sqlite.saveContract(record);
+    else saveFileConfig('contracts', memory.contracts);
+  } catch (persistError) {
+    console.error('Failed to persist contract:', persistError);
+  }
+}
+
+export function findContractById(memory, id) {
+  return (memory.contracts || []).find(c => c.id === String(id)) || null;
+}
+
+export { findContract };
+
+export function createContract(memory, sqlite, contract) {
+  const now = new Date().toISOString();
+  const record = { id: randomUUID(), ...contract, created_at: now, updated_at: now };
+  if (!memory.contracts) memory.contracts = [];
+  memory.contracts.push(record);
+  persist(memory, sqlite, record);
+  return record;
+}
+
+export function updateContract(memory, sqlite, record, contract) {
+  Object.assign(record, contract, { updated_at: new Date().toISOString() });
+  persist(memory, sqlite, record);
+  return record;
+}
+
+export function deleteContract(memory, sqlite, record) {
+  memory.contracts = (memory.contracts || []).filter(c => c.id !== record.id);
+  persist(memory, sqlite, record, true);
+  return record;
+}
+
+const normalizeNumber = (n) => String(n ?? '').trim().toUpperCase();
+
+// GL entry ids billed to a contract number (case-insensitive)
+export function entriesForContract(memory, contractNumber) {
+  const key = normalizeNumber(contractNumber);
+  return (memory.glEntries || []).filter(e => key && normalizeNumber(e.contract_number) === key);
+}
+
+// Registry rows with how much GL activity each one has
+export function describeContracts(memory) {
+  const usage = new Map();
+  for (const e of memory.glEntries || []) {
+    const key = normalizeNumber(e.contract_number);
+    if (!key) continue;
+    const u = usage.get(key) || { gl_entries: 0, gl_total: 0 };
+    u.gl_entries++;
+    u.gl_total += Number(e.amount) || 0;
+    usage.set(key, u);
+  }
+  return (memory.contracts || []).map(c => {
+    const u = usage.get(normalizeNumber(c.contract_number)) || { gl_entries: 0, gl_total: 0 };
+    return { ...c, gl_entries: u.gl_entries, gl_total: Math.round(u.gl_total * 100) / 100 };
+  });
+}
+
+// Contract numbers used in the GL that are not registered
+export function unknownContractNumbers(memory) {
+  const known = new Set((memory.contracts || []).map(c => normalizeNumber(c.contract_number)));
+  const unknown = new Map();
+  for (const e of memory.glEntries || []) {
+    const number = String(e.contract_number ?? '').trim();
+    if (!number || known.has(normalizeNumber(number))) continue;
+    const u = unknown.get(normalizeNumber(number)) || { contract_number: number, gl_entries: 0, gl_total: 0 };
+    u.gl_entries++;
+    u.gl_total = Math.round((u.gl_total + (Number(e.amount) || 0)) * 100) / 100;
+    unknown.set(normalizeNumber(number), u);
+  }
+  return [...unknown.values()].sort((a, b) => b.gl_entries - a.gl_entries);
+}
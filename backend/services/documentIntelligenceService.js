@@ -220,6 +220,7 @@ function extractReceiptTotal(fields) {
   if (totalField && totalField.valueCurrency) {
     return {
       value: totalField.valueCurrency.amount,
+      currency: totalField.valueCurrency.currencyCode || null,
       confidence: totalField.confidence || 0.8
     };
   }
@@ -262,6 +263,7 @@ function extractInvoiceTotal(fields) {
   if (totalField && totalField.valueCurrency) {
     return {
       value: totalField.valueCurrency.amount,
+      currency: totalField.valueCurrency.currencyCode || null,
       confidence: totalField.confidence || 0.8
     };
   }
@@ -1,5 +1,7 @@
 import axios from 'axios';
 import { analyzeReceipt, analyzeInvoice } from './documentIntelligenceService.js';
+import { currencyCode, detectCurrency } from './fxRates.js';
+import { parseAmountStrict } from './glImport.js';
 
 /**
  * Enhanced document processing with Azure AI Vision object detection
@@ -49,6 +51,10 @@ async function processDocument(imageBuffer, tesseractResult, options = {}) {
             try {
                 result = await analyzeReceipt(imageBuffer);
             } catch (error) {
+                result = { success: false, error: error.message };
+            }
+            // Unconfigured or unreachable (offline) Document Intelligence reports failure instead of throwing
+            if (!result?.success) {
                 console.log('Document Intelligence failed, falling back to OCR text extraction...');
                 result = extractFromTextRegex(extractedText, 'receipt');
             }
@@ -57,6 +63,10 @@ async function processDocument(imageBuffer, tesseractResult, options = {}) {
             try {
                 result = await analyzeInvoice(imageBuffer);
             } catch (error) {
+                result = { success: false, error: error.message };
+            }
+            // Unconfigured or unreachable (offline) Document Intelligence reports failure instead of throwing
+            if (!result?.success) {
                 console.log('Document Intelligence failed, falling back to OCR text extraction...');
                 result = extractFromTextRegex(extractedText, 'invoice');
             }
@@ -156,7 +166,7 @@ async function processWithMistralOCR(imageBuffer, options = {}) {
                 content: [
                     {
                         type: "text",
-                        text: "Extract the amount, date, and merchant/vendor name from this document. Also provide the raw OCR text from the document. Return in JSON format with fields: amount, date, merchant, rawOcrText."
+                        text: "Extract the amount, date, and merchant/vendor name from this document, and the ISO currency code of the amount. Also provide the raw OCR text from the document. Return in JSON format with fields: amount, currency, date, merchant, rawOcrText."
                     },
                     {
                         type: "image_url",
@@ -243,7 +253,7 @@ function extractMistralData(mistralResponse) {
         if (extractedData.documentType || extractedData.classification || extractedData.category) {
             // Return Mistral's classification as-is with minimal processing
             return {
-                amount: extractedData.amount ? normalizeAmount(extractedData.amount) : { value: null, confidence: 0 },
+                amount: extractedData.amount ? normalizeAmount(extractedData.amount, extractedData.currency) : { value: null, confidence: 0 },
                 date: extractedData.date ? normalizeDate(extractedData.date) : { value: null, confidence: 0 },
                 merchant: extractedData.merchant || extractedData.vendor ? normalizeMerchant(extractedData.merchant || extractedData.vendor) : { value: null, confidence: 0 },
                 confidence: extractedData.confidence || 0.8,
@@ -256,7 +266,7 @@ function extractMistralData(mistralResponse) {
         }
 
         // Fallback to old behavior for receipt/invoice-like responses
-        const normalizedAmount = normalizeAmount(extractedData.amount);
+        const normalizedAmount = normalizeAmount(extractedData.amount, extractedData.currency);
         const normalizedDate = normalizeDate(extractedData.date);
         const normalizedMerchant = normalizeMerchant(extractedData.merchant);
 
@@ -289,14 +299,18 @@ function extractMistralData(mistralResponse) {
 
 function extractWithRegex(content) {
     // Fallback regex extraction if JSON parsing fails
-    const amountMatch = content.match(/(?:amount|total|sum)[:\s]*\$?([0-9]+\.?[0-9]*)/i);
-    const dateMatch = content.match(/(?:date)[:\s]*([0-9]{1,2}[\/\-][0-9]{1,2}[\/\-][0-9]{2,4})/i);
+    // The amount keeps its currency code or symbol, leading or trailing ("EUR 11.00",
+    // "€1.234,56", "1.234,56 EUR"), for normalizeAmount
+    const amountMatch = content.match(/(?:amount|(?<!sub)total|sum)[:\s]*((?:[a-z]{3}\s?|[^\s\w]{1,2}\s?)?[0-9](?:[0-9.,]*[0-9])?(?:\s?(?:[a-z]{3}\b|[€£¥₹]))?)/i);
+    const dateMatch = content.match(/(?:date)[:\s]*([0-9]{1,2}[\/\-][0-9]{1,2}[\/\-][0-9]{2,4}|[0-9]{4}-[0-9]{1,2}-[0-9]{1,2})/i);
     const merchantMatch = content.match(/(?:merchant|vendor|company)[:\s]*([a-zA-Z0-9\s]+)/i);
+    // OCR'd and PDF receipts usually open with the merchant name
+    const firstLine = content.split('\n').map(l => l.trim()).find(l => /[a-z]{3}/i.test(l) && !/\d{3}/.test(l));
 
     return {
-        amount: amountMatch ? amountMatch[1] : null,
+        amount: amountMatch ? amountMatch[1].trim() : null,
         date: dateMatch ? dateMatch[1] : null,
-        merchant: merchantMatch ? merchantMatch[1].trim() : null
+        merchant: merchantMatch ? merchantMatch[1].trim() : (firstLine || null)
     };
 }
 
@@ -359,13 +373,16 @@ function extractFromTextRegex(text, docType = 'receipt') {
     }
 }
 
-function normalizeAmount(amount) {
+// Currency from an explicit code, else from a symbol or code in the amount text.
+// Symbols and codes are dropped before parsing, so "€1.234,56" and
+// "1.234,56 EUR" read as 1234.56 (decimal commas as in parseAmountStrict)
+function normalizeAmount(amount, currency = null) {
     if (!amount) return { value: null, confidence: 0 };
     
-    const numericAmount = parseFloat(amount.toString().replace(/[^0-9.]/g, ''));
-    if (isNaN(numericAmount)) return { value: null, confidence: 0 };
+    const numericAmount = parseAmountStrict(typeof amount === 'number' ? amount : String(amount).replace(/[^\d.,()-]/g, ''));
+    if (numericAmount == null) return { value: null, confidence: 0 };
     
-    return { value: numericAmount, confidence: 0.7 }; // Medium confidence for Mistral extractions
+    return { value: numericAmount, currency: currencyCode(currency) || detectCurrency(amount), confidence: 0.7 }; // Medium confidence for Mistral extractions
 }
 
 function normalizeDate(date) {
@@ -1,11 +1,16 @@
 import { performTesseractOCR } from './ocrService.js';
+import { performPdfOCR } from './pdfService.js';
 import { processDocument } from './documentProcessor.js';
 import { findGLMatches, preprocessGLEntries } from './glMatcher.js';
+import { BASE_CURRENCY, detectCurrencyInText } from './fxRates.js';
 
 function generateDocumentId() {
     return `DOC-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
 }
 
+// options.convert(amount, currency, date) (fxRates.js fxConverter) gives the
+// USD value a foreign-currency document is matched on; without it amounts are
+// matched as read.
 async function processDocumentWorkflow(imageBuffer, glEntries, options = {}) {
     const documentId = generateDocumentId();
     const startTime = Date.now();
@@ -16,15 +21,13 @@ async function processDocumentWorkflow(imageBuffer, glEntries, options = {}) {
 
         let tesseractResult = null;
 
-        // Skip Tesseract OCR for PDF files as it doesn't support them
+        // PDFs: text layer per page, Tesseract on rendered pages that have none.
+        // A PDF with no readable text still goes on to processing (filename hints).
         if (isPDF) {
-            console.log(`[${documentId}] Skipping Tesseract OCR for PDF file`);
-            tesseractResult = {
-                success: false,
-                extractedText: '',
-                rawText: '',
-                confidence: 0
-            };
+            tesseractResult = await performPdfOCR(imageBuffer);
+            console.log(tesseractResult.success
+                ? `[${documentId}] PDF read (${tesseractResult.metadata.method}, ${tesseractResult.rawText.length} chars)`
+                : `[${documentId}] No text read from PDF: ${tesseractResult.error}`);
         } else {
             tesseractResult = await performTesseractOCR(imageBuffer);
             if (!tesseractResult.success) {
@@ -50,7 +53,19 @@ async function processDocumentWorkflow(imageBuffer, glEntries, options = {}) {
             maxResults: options.maxResults || 10
         };
         
-        const glMatches = await findGLMatches(processingResult.data, processedGLEntries, matchOptions);
+        const data = processingResult.data;
+        const currency = data.amount?.currency
+            || detectCurrencyInText(tesseractResult.rawText || data.rawOcrText || '')
+            || BASE_CURRENCY;
+        const fx = options.convert
+            ? options.convert(data.amount?.value ?? null, currency, data.date?.value)
+            : { amount: data.amount?.value ?? null, currency, original_amount: null, fx_rate: null, fx_date: null };
+        if (fx.currency !== BASE_CURRENCY) {
+            console.log(`[${documentId}] Amount in ${fx.currency}: ${fx.fx_rate ? `USD ${fx.amount} at ${fx.fx_rate} (${fx.fx_date})` : 'no FX rate loaded, matching without amount'}`);
+        }
+        const matchData = { ...data, amount: { ...data.amount, value: fx.amount } };
+
+        const glMatches = await findGLMatches(matchData, processedGLEntries, matchOptions);
         console.log(`[${documentId}] Found ${glMatches.length} GL matches`);
         
         const processingTime = Date.now() - startTime;
@@ -60,7 +75,12 @@ async function processDocumentWorkflow(imageBuffer, glEntries, options = {}) {
             processing_method: processingResult.method,
             processing_time_ms: processingTime,
             extracted_data: {
-                amount: processingResult.data.amount.value,
+                // USD; the document's own amount and currency are kept beside it
+                amount: fx.amount,
+                currency: fx.currency,
+                original_amount: fx.original_amount,
+                fx_rate: fx.fx_rate,
+                fx_date: fx.fx_date,
                 date: processingResult.data.date.value,
                 merchant: processingResult.data.merchant.value,
                 description: processingResult.data.description?.value || null,
@@ -115,7 +135,7 @@ async function processDocumentWorkflow(imageBuffer, glEntries, options = {}) {
                 raw_text: tesseractResult.rawText || '',
                 success: tesseractResult.success,
                 confidence: tesseractResult.confidence || 0,
-                method: isPDF ? 'skipped_pdf' : 'tesseract'
+                method: isPDF ? tesseractResult.metadata?.method || 'pdf_failed' : 'tesseract'
             }
         };
         
@@ -142,7 +162,7 @@ async function processDocumentWorkflow(imageBuffer, glEntries, options = {}) {
                 raw_text: '',
                 success: false,
                 confidence: 0,
-                method: isPDF ? 'skipped_pdf' : 'failed'
+                method: isPDF ? 'pdf_failed' : 'failed'
             }
         };
     }
@@ -0,0 +1,299 @@
+/**
+ * Parsers for accounting-system exports that are not plain spreadsheets
+ *
+ * - QuickBooks IIF (tab-delimited !TRNS/!SPL transaction blocks)
+ * - OFX / QFX / QBO bank and card statements (SGML 1.x and XML 2.x)
+ * - Costpoint extracts, delimited or fixed-width (header row over a dashed rule)
+ *
+ * Each parser turns a file into the same worksheets bufferToSheets() returns
+ * for CSV/XLSX ({ name, index, hidden, rows (AOA), rowNumbers }) plus the
+ * column `mapping` for its known layout, so normalizeSpreadsheet() skips
+ * header detection and the LLM for them. Parsers are chosen by file extension
+ * first, then by sniffing the start of the file; registerExportParser() adds
+ * more.
+ */
+
+import { parse as parseCSV } from 'csv-parse/sync';
+
+const LOWER_ALNUM = s => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Column indexes by GL field for a header row, from [field, column name] pairs
+function mappingFor(headers, columns) {
+  const norm = headers.map(LOWER_ALNUM);
+  const mapping = {};
+  for (const [field, names] of Object.entries(columns)) {
+    for (const name of names) {
+      const i = norm.indexOf(LOWER_ALNUM(name));
+      if (i >= 0) { mapping[field] = i; break; }
+    }
+  }
+  return mapping;
+}
+
+const baseName = (filename, fallback) => String(filename || fallback).replace(/^.*[\\/]/, '');
+
+// 1-based line number of each character offset, for source-row lineage
+function lineCounter(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i >= 0; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return (offset) => {
+    let lo = 0, hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+}
+
+// "9/15/26" or "09/15/2026" (QuickBooks writes US dates) -> 2026-09-15
+function usDate(value) {
+  const m = String(value || '').trim().match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/);
+  if (!m) return String(value || '').trim();
+  const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+  return `${year}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+}
+
+// ============== QuickBooks IIF =================
+
+const IIF_HEADERS = ['Transaction ID', 'Line', 'Type', 'Date', 'Account', 'Name', 'Class', 'Doc Num', 'Memo', 'Description', 'Amount', 'Debit', 'Credit'];
+
+/**
+ * One row per TRNS/SPL line. The transaction id (TRNSID, else DOCNUM, else
+ * its position in the file) is the journal number and lines are numbered
+ * within it. IIF amounts are signed debits, so they are also split into
+ * debit/credit for the journal balance check. Lines without a memo are
+ * described by the transaction's memo or name.
+ */
+function parseIIF(buffer, { filename } = {}) {
+  const lines = new TextDecoder().decode(buffer).split(/\r?\n/);
+  const layouts = {};
+  const rows = [IIF_HEADERS];
+  const rowNumbers = [0];
+  let txn = null;
+  let count = 0;
+  lines.forEach((line, i) => {
+    const cells = line.split('\t').map(c => c.trim().replace(/^"(.*)"$/, '$1'));
+    const tag = cells[0].toUpperCase();
+    if (tag.startsWith('!')) { layouts[tag.slice(1)] = cells.map(c => c.toUpperCase()); return; }
+    if (tag === 'ENDTRNS') { txn = null; return; }
+    if (tag !== 'TRNS' && tag !== 'SPL') return;
+    const layout = layouts[tag] || [];
+    const get = (col) => { const at = layout.indexOf(col); return at >= 0 ? cells[at] || '' : ''; };
+    if (tag === 'TRNS' || !txn) {
+      count += 1;
+      txn = { id: get('TRNSID') || get('DOCNUM') || String(count), memo: get('MEMO'), name: get('NAME'), line: 0 };
+    }
+    txn.line += 1;
+    const amount = Number(String(get('AMOUNT')).replace(/,/g, ''));
+    const hasAmount = get('AMOUNT') !== '' && Number.isFinite(amount);
+    rows.push([
+      txn.id, String(txn.line), get('TRNSTYPE'), usDate(get('DATE')), get('ACCNT'), get('NAME'), get('CLASS'), get('DOCNUM'),
+      get('MEMO'), get('MEMO') || txn.memo || get('NAME') || txn.name || get('TRNSTYPE'), get('AMOUNT'),
+      hasAmount && amount > 0 ? amount : '', hasAmount && amount < 0 ? -amount : '',
+    ]);
+    rowNumbers.push(i + 1);
+  });
+  const mapping = mappingFor(IIF_HEADERS, {
+    documentNumber: ['Transaction ID'], lineNumber: ['Line'], date: ['Date'], accountNumber: ['Account'], vendor: ['Name'],
+    org: ['Class'], description: ['Description'], amount: ['Amount'], debit: ['Debit'], credit: ['Credit'],
+  });
+  return [{ name: baseName(filename, 'upload.iif'), index: 0, hidden: false, rows, rowNumbers, headerRowIndex: 0, mapping }];
+}
+
+// ============== OFX / QFX / QBO =================
+
+const OFX_HEADERS = ['Date', 'Payee', 'Description', 'Amount', 'Statement Amount', 'Transaction ID', 'Type', 'Check Number', 'Account'];
+
+// Value of an OFX element; SGML files leave elements unclosed
+function ofxValue(block, tag) {
+  const m = block.match(new RegExp(`<${tag}>\\s*([^<\\r\\n]*)`, 'i'));
+  return m ? m[1].trim() : '';
+}
+
+// 20260915120000.000[-5:EST] -> 2026-09-15
+const ofxDate = (v) => (/^\d{8}/.test(v) ? `${v.slice(0, 4)}-${v.slice(4, 6)}-${v.slice(6, 8)}` : v);
+
+/**
+ * One worksheet per statement (bank STMTRS or card CCSTMTRS), named by the
+ * account's last four digits. Statement amounts are negative for charges and
+ * withdrawals; `Amount` flips the sign so spending is positive like a GL
+ * debit, and `Statement Amount` keeps the original. FITID is the journal
+ * number, so re-pulled statements match by natural key.
+ */
+function parseOFX(buffer, { filename } = {}) {
+  const text = new TextDecoder().decode(buffer);
+  const lineOf = lineCounter(text);
+  const statements = [...text.matchAll(/<(CCSTMTRS|STMTRS)>([\s\S]*?)(?:<\/\1>|$)/gi)];
+  const sheets = statements.map((stmt, index) => {
+    const card = stmt[1].toUpperCase() === 'CCSTMTRS';
+    const account = ofxValue(stmt[2], 'ACCTID');
+    const rows = [OFX_HEADERS];
+    const rowNumbers = [lineOf(stmt.index)];
+    const body = stmt[2];
+    for (const trn of body.matchAll(/<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi)) {
+      const block = trn[1];
+      const raw = ofxValue(block, 'TRNAMT');
+      const amount = Number(raw);
+      const name = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE');
+      const memo = ofxValue(block, 'MEMO');
+      rows.push([
+        ofxDate(ofxValue(block, 'DTPOSTED') || ofxValue(block, 'DTUSER')), name,
+        [name, memo].filter(Boolean).join(' - '), raw !== '' && Number.isFinite(amount) ? -amount : raw, raw,
+        ofxValue(block, 'FITID'), ofxValue(block, 'TRNTYPE'), ofxValue(block, 'CHECKNUM'), account,
+      ]);
+      rowNumbers.push(lineOf(stmt.index + stmt[0].indexOf(body) + trn.index));
+    }
+    const last4 = account.replace(/\s/g, '').slice(-4);
+    return { name: `${card ? 'Card' : 'Account'}${last4 ? ` ${last4}` : ` ${index + 1}`}`, index, hidden: false, rows, rowNumbers };
+  });
+  // Two statements for accounts ending in the same digits still need distinct names
+  const names = new Set();
+  for (const s of sheets) {
+    if (names.has(s.name)) s.name = `${s.name} (${s.index + 1})`;
+    names.add(s.name);
+  }
+  const mapping = mappingFor(OFX_HEADERS, {
+    date: ['Date'], vendor: ['Payee'], description: ['Description'], amount: ['Amount'], documentNumber: ['Transaction ID'],
+  });
+  if (!sheets.length) return [{ name: baseName(filename, 'statement.ofx'), index: 0, hidden: false, rows: [], rowNumbers: [] }];
+  return sheets.map(s => ({ ...s, headerRowIndex: 0, mapping }));
+}
+
+// ============== Costpoint =================
+
+// Costpoint table column names (GL detail, journal and voucher extracts) by GL field, in priority order
+const COSTPOINT_COLUMNS = {
+  date: ['TRN_DT', 'EFFECT_DT', 'JE_DT', 'VCHR_DT', 'TS_DT', 'ENTR_DT', 'INVC_DT'],
+  accountNumber: ['ACCT_ID'],
+  description: ['TRN_DESC', 'JE_TRN_DESC', 'LN_DESC', 'JE_DESC', 'DESCRIPTION', 'NOTES'],
+  amount: ['TRN_AMT', 'CST_AMT', 'AMT', 'LN_AMT'],
+  debit: ['DR_AMT', 'TRN_DR_AMT'],
+  credit: ['CR_AMT', 'TRN_CR_AMT'],
+  category: ['ACCT_NAME', 'ACCT_DESC'],
+  vendor: ['VEND_NAME', 'VEND_ID'],
+  employeeId: ['EMPL_ID'],
+  project: ['PROJ_ID', 'PROJ_ABBRV_CD'],
+  org: ['ORG_ID', 'ORG_ABBRV_CD'],
+  documentNumber: ['JE_NO', 'VCHR_NO', 'RF_DOC_NO', 'DOC_NO', 'INVC_ID'],
+  lineNumber: ['JE_LN_NO', 'VCHR_LN_NO', 'LN_NO', 'POST_SEQ_NO'],
+  poNumber: ['PO_ID'],
+};
+const COSTPOINT_MARKERS = ['PROJ_ID', 'ORG_ID', 'TRN_AMT', 'FY_CD', 'PD_NO', 'S_JNL_CD'].map(LOWER_ALNUM);
+const isCostpointHeader = (cells) => {
+  const norm = cells.map(LOWER_ALNUM);
+  return norm.includes('acctid') && COSTPOINT_MARKERS.some(m => norm.includes(m));
+};
+
+// Header line index and column start offsets of a fixed-width report, or null
+function fixedLayout(lines, maxScan = 60) {
+  for (let i = 0; i < Math.min(lines.length - 1, maxScan); i++) {
+    const rule = lines[i + 1];
+    if (!lines[i].trim() || !/^[\s-]+$/.test(rule)) continue;
+    const runs = [...rule.matchAll(/-{2,}/g)].map(m => m.index);
+    if (runs.length >= 2) return { headerLine: i, starts: runs };
+  }
+  return null;
+}
+
+// "1,234.56-" and "1,234.56 CR" are report-style negatives
+const reportAmount = (v) => {
+  const m = String(v).trim().match(/^([$\d,.]+)\s*(-|CR)$/i);
+  return m ? `-${m[1]}` : v;
+};
+
+/**
+ * Delimited Costpoint extracts keep their rows as in CSV. Fixed-width ones
+ * are cut at the dashed rule under the header; repeated page titles and
+ * headers, rules, form feeds and blank lines are dropped. The mapping comes from Costpoint's
+ * column names; when it finds no amount column (another fixed-width report)
+ * the sheet is mapped like any other upload.
+ */
+function parseCostpoint(buffer, { filename } = {}) {
+  const text = new TextDecoder().decode(buffer);
+  const name = baseName(filename, 'costpoint.txt');
+  let rows = [];
+  let rowNumbers = [];
+  const lines = text.split(/\r?\n/);
+  const layout = fixedLayout(lines);
+  if (layout) {
+    // Text left of the first rule (e.g. a leading column narrower than its header) belongs to it
+    layout.starts[0] = 0;
+    const cut = (line) => layout.starts.map((start, c) => line.slice(start, layout.starts[c + 1] ?? undefined).trim());
+    const header = lines[layout.headerLine];
+    // Report title lines above the header come back on every page with a new page number
+    const pageTitle = (line) => line.replace(/\f/g, '').replace(/\d+/g, '#').trim();
+    const titles = new Set(lines.slice(0, layout.headerLine).map(pageTitle).filter(Boolean));
+    for (let i = layout.headerLine; i < lines.length; i++) {
+      const line = lines[i].replace(/\f/g, '');
+      if (!line.trim() || /^[\s-]+$/.test(line) || (i > layout.headerLine && (line === header || titles.has(pageTitle(line))))) continue;
+      rows.push(cut(line));
+      rowNumbers.push(i + 1);
+    }
+  } else {
+    const records = parseCSV(text, { relaxColumnCount: true, skip_empty_lines: true, info: true });
+    const start = Math.max(0, records.findIndex(r => isCostpointHeader(r.record)));
+    rows = records.slice(start).map(r => r.record);
+    rowNumbers = records.slice(start).map(r => r.info.lines);
+  }
+  const headers = (rows[0] || []).map(String);
+  const mapping = mappingFor(headers, COSTPOINT_COLUMNS);
+  const hasAmount = mapping.amount >= 0 || mapping.debit >= 0 || mapping.credit >= 0;
+  if (!hasAmount) return [{ name, index: 0, hidden: false, rows, rowNumbers }];
+  const amountColumns = ['amount', 'debit', 'credit'].map(f => mapping[f]).filter(i => i >= 0);
+  rows = rows.map((row, r) => (r === 0 ? row : row.map((v, c) => (amountColumns.includes(c) ? reportAmount(v) : v))));
+  return [{ name, index: 0, hidden: false, rows, rowNumbers, headerRowIndex: 0, mapping }];
+}
+
+// ============== Registry =================
+
+const PARSERS = [
+  {
+    kind: 'iif',
+    extensions: ['.iif'],
+    sniff: (head) => /^!(TRNS|SPL|HDR|ACCNT)\t/m.test(head),
+    parse: parseIIF,
+  },
+  {
+    kind: 'ofx',
+    extensions: ['.ofx', '.qfx', '.qbo'],
+    sniff: (head) => /OFXHEADER:|<\?OFX|<OFX>/i.test(head),
+    parse: parseOFX,
+  },
+  {
+    kind: 'costpoint',
+    extensions: ['.prn', '.rpt'],
+    sniff: (head) => {
+      const lines = head.split(/\r?\n/);
+      if (fixedLayout(lines)) return true;
+      return lines.slice(0, 20).some(line => isCostpointHeader(line.split(/[,\t|]/)));
+    },
+    parse: parseCostpoint,
+  },
+];
+
+/**
+ * Add a parser: { kind, extensions: ['.ext'], sniff(headText) -> boolean,
+ * parse(buffer, { filename }) -> worksheets }. Worksheets may carry
+ * `headerRowIndex` and a `mapping` of GL field -> column index. Later
+ * registrations are tried first.
+ */
+export function registerExportParser(parser) {
+  if (!parser?.kind || typeof parser.parse !== 'function') throw new Error('Export parser needs a kind and a parse function');
+  PARSERS.unshift({ extensions: [], sniff: () => false, ...parser });
+}
+
+/**
+ * Parser for a file by extension, else by content. Workbooks (zip or OLE
+ * containers) are never sniffed.
+ */
+export function findExportParser(filename = '', buffer = null) {
+  const lower = String(filename || '').toLowerCase();
+  const byExtension = PARSERS.find(p => p.extensions.some(ext => lower.endsWith(ext)));
+  if (byExtension) return byExtension;
+  if (!buffer || /\.(xlsx|xls)$/.test(lower)) return null;
+  const bytes = buffer.subarray(0, 8192);
+  if ((bytes[0] === 0x50 && bytes[1] === 0x4b) || (bytes[0] === 0xd0 && bytes[1] === 0xcf)) return null;
+  const head = new TextDecoder().decode(bytes);
+  return PARSERS.find(p => p.sniff(head)) || null;
+}
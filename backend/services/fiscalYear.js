@@ -0,0 +1,47 @@
+// Company fiscal year. The start month is a company-level setting in the app
+// config (PUT /api/config { fiscal_year_start_month }); compensation caps and
+// the ICE schedules both group costs by it.
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+
+const validMonth = (n) => Number.isInteger(n) && n >= 1 && n <= 12;
+
+// Configured start month (1-12), January when unset
+export function fiscalYearStartMonth(memory) {
+  const month = Number(memory.appConfig?.fiscal_year_start_month);
+  return validMonth(month) ? month : 1;
+}
+
+// Error message for an invalid app-config value, or null (absent is fine)
+export function fiscalYearStartError(value) {
+  if (value == null) return null;
+  return validMonth(Number(value)) ? null : 'fiscal_year_start_month must be 1-12';
+}
+
+// Startup: compensation configs stored before the start month moved to the app
+// config carry it; copy it over once so saving either config keeps it
+export function migrateFiscalYearStart(memory, sqlite) {
+  const legacy = Number(memory.compensation?.fiscal_year_start_month);
+  if (!validMonth(legacy) || memory.appConfig?.fiscal_year_start_month != null) return;
+  memory.appConfig = { ...(memory.appConfig || {}), fiscal_year_start_month: legacy };
+  const { fiscal_year_start_month, ...compensation } = memory.compensation;
+  memory.compensation = compensation;
+  try {
+    if (sqlite) {
+      sqlite.saveConfig('app_config', memory.appConfig);
+      sqlite.saveConfig('compensation_config', compensation);
+    } else {
+      saveFileConfig('app_config', memory.appConfig);
+      saveFileConfig('compensation_config', compensation);
+    }
+  } catch (persistError) {
+    console.error('Failed to persist fiscal year start month:', persistError);
+  }
+}
+
+// Contractor fiscal year, named for the calendar year it ends in
+export function fiscalYearFor(date, startMonth = 1) {
+  const d = date ? new Date(date) : null;
+  if (!d || Number.isNaN(d.getTime())) return null;
+  const year = d.getUTCFullYear();
+  return startMonth > 1 && d.getUTCMonth() + 1 >= startMonth ? year + 1 : year;
+}
@@ -0,0 +1,270 @@
+// Multi-currency support. Receipts and GL rows keep their original amount and
+// currency; matching and the FAR audit run on the USD value, converted with a
+// locally imported FX rate table keyed by date (no network). Each converted
+// record carries the rate and the rate date used.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse as parseCSV } from 'csv-parse/sync';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Loaded at startup when no rates are stored yet
+export const FX_RATES_CSV_PATH = path.join(__dirname, '..', '..', 'config', 'fxRates.csv');
+
+export const BASE_CURRENCY = 'USD';
+
+// A rate applies to later dates until a newer one is loaded, for at most this
+// long (covers quarterly tables such as the Treasury reporting rates)
+export const MAX_RATE_AGE_DAYS = 92;
+
+export const CURRENCIES = new Set(('USD EUR GBP CAD AUD NZD JPY CNY HKD SGD INR KRW CHF SEK NOK DKK PLN CZK HUF ' +
+  'MXN BRL ARS CLP COP PEN ZAR AED SAR QAR ILS TRY RUB THB PHP MYR IDR TWD VND EGP KWD').split(' '));
+
+// Prefixed dollar signs first so "C$" is not read as "$"
+const SYMBOLS = [
+  [/(?:CA|CAD|C)\$/i, 'CAD'], [/(?:AU|AUD|A)\$/i, 'AUD'], [/NZ\$/i, 'NZD'], [/HK\$/i, 'HKD'],
+  [/(?:SGD|S)\$/i, 'SGD'], [/MX\$/i, 'MXN'], [/R\$/, 'BRL'],
+  [/€/, 'EUR'], [/£/, 'GBP'], [/¥|円/, 'JPY'], [/₹|\bRs\.?(?=\s?\d)/, 'INR'], [/₩/, 'KRW'], [/₽/, 'RUB'], [/₺/, 'TRY'],
+  [/₪/, 'ILS'], [/₱/, 'PHP'], [/฿/, 'THB'], [/\bFr\.(?=\s?\d)/, 'CHF'], [/\$/, 'USD'],
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const DAY_MS = 86400000;
+
+function isoDay(value) {
+  if (value == null || value === '') return null;
+  const d = value instanceof Date ? value : new Date(String(value).trim());
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+/** Upper-case ISO code for a supported currency code in any case, or null. */
+export function currencyCode(value) {
+  const s = String(value ?? '').trim().toUpperCase();
+  return CURRENCIES.has(s) ? s : null;
+}
+
+/**
+ * Currency of one amount cell or extracted amount ("€1.234,56", "1,250.00 GBP",
+ * "C$45"), or null when it carries no marker.
+ */
+export function detectCurrency(value) {
+  if (value == null || typeof value === 'number') return null;
+  const s = String(value);
+  const code = s.toUpperCase().match(/(?:^|[^A-Z])([A-Z]{3})(?![A-Z])/);
+  if (code && CURRENCIES.has(code[1])) return code[1];
+  for (const [re, cur] of SYMBOLS) if (re.test(s)) return cur;
+  return null;
+}
+
+// Lines that carry a document's total; "subtotal" lines are not totals
+const TOTAL_LINE = /\b(?:grand\s+)?total\b|\bamount\s+(?:due|paid)\b|\bbalance\s+due\b/i;
+const SUBTOTAL_LINE = /\bsub[\s-]?total\b/i;
+
+// Currency markers next to a digit in text: { [currency]: count }. ISO codes
+// only when codes is set, so words such as "PEN" in item names are skipped.
+function countMarkers(text, { codes }) {
+  const counts = new Map();
+  const add = (cur) => counts.set(cur, (counts.get(cur) || 0) + 1);
+  if (codes) {
+    for (const m of text.matchAll(/\b([A-Z]{3})\s?\d|\d\s?([A-Z]{3})\b/g)) {
+      const cur = m[1] || m[2];
+      if (CURRENCIES.has(cur)) add(cur);
+    }
+  }
+  // Symbols before or after a digit; matched ones are blanked so "C$12" is
+  // not counted again as "$12"
+  let rest = text;
+  for (const [re, cur] of SYMBOLS) {
+    const global = new RegExp(`(?:${re.source})(?=\\s?\\d)|(?<=\\d\\s?)(?:${re.source})`, re.flags.includes('i') ? 'gi' : 'g');
+    rest = rest.replace(global, () => { add(cur); return ' '; });
+  }
+  return counts;
+}
+
+// Most frequent marker; a tie, or any "$" beside a foreign code, goes to USD
+function pickCurrency(counts) {
+  if (!counts.size) return null;
+  if (counts.has(BASE_CURRENCY)) {
+    const foreign = [...counts].filter(([cur]) => cur !== BASE_CURRENCY);
+    const top = foreign.sort((a, b) => b[1] - a[1])[0];
+    return top && top[1] > counts.get(BASE_CURRENCY) ? top[0] : BASE_CURRENCY;
+  }
+  return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Currency of a document from its text. Only the total lines count (plus the
+ * next line when the amount wraps); codes and symbols on line items are
+ * ignored, so a "GEL PEN 3.49" item does not make a receipt Peruvian soles.
+ * Without a marked total, only unambiguous symbols (€, £, C$ ...) are used.
+ */
+export function detectCurrencyInText(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const totals = [];
+  lines.forEach((line, i) => {
+    if (!TOTAL_LINE.test(line) || SUBTOTAL_LINE.test(line)) return;
+    totals.push(line);
+    if (!/\d/.test(line) && lines[i + 1]) totals.push(lines[i + 1]);
+  });
+  const fromTotals = pickCurrency(countMarkers(totals.join('\n'), { codes: true }));
+  if (fromTotals) return fromTotals;
+  return pickCurrency(countMarkers(lines.join('\n'), { codes: false }));
+}
+
+function parseRate(value) {
+  const n = Number(String(value ?? '').replace(/[,\s]/g, ''));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Parse an FX rate CSV with a date, a currency code and a rate column.
+ * The rate is USD per one unit of the currency (header "rate", "usd_rate",
+ * "to_usd"); a "per_usd" / "units_per_usd" column gives the inverse, as in
+ * tables quoted per dollar. Returns { rates, skipped }.
+ */
+export function parseFxCSV(text) {
+  const records = parseCSV(String(text || '').replace(/^﻿/, ''), { relaxColumnCount: true, skip_empty_lines: true });
+  const headerIdx = records.findIndex(r => r.some(c => /date/i.test(c)) && r.some(c => /currency|code|ccy/i.test(c)));
+  if (headerIdx < 0) throw new Error('CSV must have DATE and CURRENCY columns');
+  const headers = records[headerIdx].map(h => String(h).trim().toLowerCase());
+  const col = (re) => headers.findIndex(h => re.test(h));
+  const idx = {
+    date: col(/date/),
+    currency: col(/currency|code|ccy/),
+    perUsd: col(/per[\s_-]?(?:usd|dollar)/),
+    rate: col(/(?:to[\s_-]?usd|usd[\s_-]?(?:rate|per))|^rate$/),
+  };
+  if (idx.perUsd < 0 && idx.rate < 0) throw new Error('CSV must have a RATE (USD per unit) or PER_USD column');
+  const inverse = idx.rate < 0;
+
+  const rates = [];
+  let skipped = 0;
+  for (const row of records.slice(headerIdx + 1)) {
+    const date = isoDay(row[idx.date]);
+    const currency = currencyCode(row[idx.currency]);
+    const raw = parseRate(row[inverse ? idx.perUsd : idx.rate]);
+    if (!date || !currency || currency === BASE_CURRENCY || raw == null) { skipped++; continue; }
+    rates.push({ currency, date, usd_rate: inverse ? 1 / raw : raw });
+  }
+  return { rates, skipped };
+}
+
+// Rates indexed per currency, sorted by date; rebuilt when the table is replaced
+const indexCache = new WeakMap();
+function ratesIndex(rates) {
+  if (indexCache.has(rates)) return indexCache.get(rates);
+  const byCurrency = new Map();
+  for (const r of rates) {
+    if (!byCurrency.has(r.currency)) byCurrency.set(r.currency, []);
+    byCurrency.get(r.currency).push(r);
+  }
+  for (const list of byCurrency.values()) list.sort((a, b) => a.date.localeCompare(b.date));
+  indexCache.set(rates, byCurrency);
+  return byCurrency;
+}
+
+/**
+ * Rate for a currency on a date: the latest rate dated on or before it and no
+ * older than MAX_RATE_AGE_DAYS. Without a date the newest rate is used.
+ */
+export function findFxRate(rates, currency, date) {
+  const list = ratesIndex(rates || []).get(currencyCode(currency));
+  if (!list?.length) return null;
+  const day = isoDay(date);
+  if (!day) return list[list.length - 1];
+  let found = null;
+  for (const r of list) {
+    if (r.date > day) break;
+    found = r;
+  }
+  if (!found || (Date.parse(day) - Date.parse(found.date)) / DAY_MS > MAX_RATE_AGE_DAYS) return null;
+  return found;
+}
+
+/**
+ * USD value of an amount. Returns { amount, currency, original_amount, fx_rate,
+ * fx_date }: USD amounts pass through with no rate; a foreign amount with no
+ * rate loaded keeps its original amount and gets a null USD amount.
+ */
+export function convertToUSD(rates, amount, currency, date) {
+  const cur = currencyCode(currency) || BASE_CURRENCY;
+  const value = amount == null || amount === '' ? null : Number(amount);
+  if (value == null || !Number.isFinite(value)) return { amount: null, currency: cur, original_amount: null, fx_rate: null, fx_date: null };
+  if (cur === BASE_CURRENCY) return { amount: value, currency: cur, original_amount: null, fx_rate: null, fx_date: null };
+  const rate = findFxRate(rates, cur, date);
+  if (!rate) return { amount: null, currency: cur, original_amount: value, fx_rate: null, fx_date: null };
+  return { amount: round2(value * rate.usd_rate), currency: cur, original_amount: value, fx_rate: rate.usd_rate, fx_date: rate.date };
+}
+
+// (amount, currency, date) => conversion, over the rates loaded now
+export function fxConverter(memory) {
+  const rates = memory.fxRates || [];
+  return (amount, currency, date) => convertToUSD(rates, amount, currency, date);
+}
+
+// "$108.50 (EUR 100.00 @ 1.085)" for summaries, or "$108.50" for USD items
+export function amountLabel(item) {
+  const usd = item.amount == null ? 'unconverted' : `$${item.amount}`;
+  if (!item.currency || item.currency === BASE_CURRENCY || item.original_amount == null) return usd;
+  return `${usd} (${item.currency} ${Number(item.original_amount).toFixed(2)}${item.fx_rate ? ` @ ${item.fx_rate}` : ''})`;
+}
+
+// Replace the rates for each imported (currency, date)
+export function importFxRates(memory, sqlite, rates) {
+  const key = (r) => `${r.currency}|${r.date}`;
+  const incoming = new Set(rates.map(key));
+  memory.fxRates = [...(memory.fxRates || []).filter(r => !incoming.has(key(r))), ...rates];
+  try {
+    if (sqlite) sqlite.saveFxRates(rates);
+    else saveFileConfig('fx_rates', memory.fxRates);
+  } catch (persistError) {
+    console.error('Failed to persist FX rates:', persistError);
+  }
+  const days = rates.map(r => r.date).sort();
+  return { imported: rates.length, currencies: [...new Set(rates.map(r => r.currency))].sort(), from: days[0] || null, to: days[days.length - 1] || null };
+}
+
+/**
+ * Convert receipts and GL rows stored before a rate covered their date: a
+ * foreign currency, an original amount and no USD amount yet. They are
+ * updated in place at the rates loaded now. Returns the changed
+ * { docItems, glEntries }; the caller persists and re-audits them.
+ */
+export function reconvertPending(memory) {
+  const rates = memory.fxRates || [];
+  const pending = (r) => r.amount == null && r.original_amount != null && r.currency && r.currency !== BASE_CURRENCY;
+  const docItems = [];
+  for (const item of (memory.docItems || []).filter(pending)) {
+    const fx = convertToUSD(rates, item.original_amount, item.currency, item.date);
+    if (fx.amount == null) continue;
+    Object.assign(item, { amount: fx.amount, fx_rate: fx.fx_rate, fx_date: fx.fx_date });
+    docItems.push(item);
+  }
+  const glEntries = [];
+  for (const entry of (memory.glEntries || []).filter(pending)) {
+    const fx = convertToUSD(rates, entry.original_amount, entry.currency, entry.date);
+    if (fx.amount == null) continue;
+    // Debit and credit were kept in the row's currency until now
+    const usd = (v) => (v == null ? v : round2(v * fx.fx_rate));
+    Object.assign(entry, { amount: fx.amount, debit: usd(entry.debit), credit: usd(entry.credit), fx_rate: fx.fx_rate, fx_date: fx.fx_date });
+    glEntries.push(entry);
+  }
+  return { docItems, glEntries };
+}
+
+// Startup: load config/fxRates.csv when no rates are stored yet
+export function loadDefaultFxRates(memory, sqlite) {
+  if ((memory.fxRates || []).length || !fs.existsSync(FX_RATES_CSV_PATH)) return null;
+  try {
+    const { rates } = parseFxCSV(fs.readFileSync(FX_RATES_CSV_PATH, 'utf-8'));
+    const result = importFxRates(memory, sqlite, rates);
+    console.log(`💱 Loaded ${result.imported} FX rates from config/fxRates.csv`);
+    return result;
+  } catch (e) {
+    console.warn('⚠️ Could not load config/fxRates.csv:', e.message);
+    return null;
+  }
+}
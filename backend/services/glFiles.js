@@ -0,0 +1,135 @@
+// Uploaded GL workbooks and entry lineage. File metadata lives in
+// memory.uploadedGLFiles (SQLite gl_files); the original bytes are kept under
+// UPLOAD_DIR/gl-files/<id>/ so a GL entry's source_file_id, source_sheet and
+// source_row can be resolved back to the cells it was normalized from.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parse } from './spreadsheetNormalizer.js';
+
+export const GL_FILES_DIR = 'gl-files';
+
+// Parsed workbooks for recent source lookups; auditors tend to walk one file
+const sheetCache = new Map();
+const SHEET_CACHE_SIZE = 2;
+
+function persist(sqlite, record) {
+  try {
+    if (sqlite) sqlite.saveGLFile(record);
+  } catch (persistError) {
+    console.error('Failed to persist GL file metadata:', persistError);
+  }
+}
+
+export function findGLFile(memory, id) {
+  return (memory.uploadedGLFiles || []).find(f => f.id === String(id)) || null;
+}
+
+/**
+ * Record an uploaded GL file and keep its bytes. Earlier uploads with the same
+ * name (an approved re-upload) are marked superseded rather than dropped, so
+ * entries imported from them keep their lineage.
+ */
+export function recordGLFile(memory, sqlite, uploadDir, { file, hash, entryCount, processing }) {
+  const id = crypto.randomUUID();
+  const name = path.basename(file.originalname || 'upload').replace(/[^\w.\- ]+/g, '_');
+  let storagePath = null;
+  try {
+    const dir = path.join(uploadDir, GL_FILES_DIR, id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, name), file.buffer);
+    storagePath = path.posix.join(GL_FILES_DIR, id, name);
+  } catch (writeError) {
+    console.warn('⚠️ Could not keep GL source file:', writeError.message);
+  }
+
+  const record = {
+    id,
+    filename: file.originalname,
+    hash,
+    size: file.size,
+    storagePath,
+    uploadedAt: new Date().toISOString(),
+    entryCount,
+    supersededBy: null,
+    processing,
+  };
+  memory.uploadedGLFiles = memory.uploadedGLFiles || [];
+  for (const prev of memory.uploadedGLFiles) {
+    if (!prev.supersededBy && prev.filename.toLowerCase() === record.filename.toLowerCase()) {
+      prev.supersededBy = id;
+      persist(sqlite, prev);
+    }
+  }
+  memory.uploadedGLFiles.push(record);
+  persist(sqlite, record);
+  return record;
+}
+
+async function readSheets(uploadDir, record) {
+  if (sheetCache.has(record.id)) return sheetCache.get(record.id);
+  const buffer = fs.readFileSync(path.join(uploadDir, record.storagePath));
+  const sheets = await parse.sheets(buffer, { filename: record.filename });
+  sheetCache.set(record.id, sheets);
+  if (sheetCache.size > SHEET_CACHE_SIZE) sheetCache.delete(sheetCache.keys().next().value);
+  return sheets;
+}
+
+function sourceError(message, code, status) {
+  return Object.assign(new Error(message), { code, status });
+}
+
+// ExcelJS cell values can be formula/rich-text/hyperlink objects; keep them as-is
+// for the auditor but render dates as ISO strings
+const cellValue = (v) => (v instanceof Date ? v.toISOString() : v ?? null);
+
+/**
+ * The original cells behind a GL entry: the sheet's header row and the source
+ * row, re-read from the stored workbook. Throws errors carrying `code` and an
+ * HTTP `status` when the entry has no lineage or the file is gone.
+ */
+export async function entrySource(memory, uploadDir, entry) {
+  if (!entry.source_file_id) throw sourceError('This entry was not imported from an uploaded file', 'NO_SOURCE', 404);
+  const record = findGLFile(memory, entry.source_file_id);
+  if (!record) throw sourceError('Source file record not found', 'SOURCE_FILE_NOT_FOUND', 404);
+  const file = { id: record.id, filename: record.filename, hash: record.hash, uploadedAt: record.uploadedAt };
+  if (!record.storagePath || !fs.existsSync(path.join(uploadDir, record.storagePath))) {
+    throw sourceError('The original file is no longer stored', 'SOURCE_UNAVAILABLE', 410);
+  }
+
+  const sheets = await readSheets(uploadDir, record);
+  const sheet = entry.source_sheet != null
+    ? sheets.find(s => s.name === entry.source_sheet)
+    : sheets[0];
+  if (!sheet) throw sourceError(`Sheet "${entry.source_sheet}" not found in ${record.filename}`, 'SOURCE_UNAVAILABLE', 410);
+  const index = sheet.rowNumbers.indexOf(Number(entry.source_row));
+  if (index < 0) throw sourceError(`Row ${entry.source_row} not found in sheet "${sheet.name}"`, 'SOURCE_UNAVAILABLE', 410);
+
+  const headerRowIndex = (record.processing?.sheets || []).find(s => s.name === sheet.name)?.headerRowIndex
+    ?? record.processing?.headerRowIndex ?? 0;
+  const width = Math.max(sheet.rows[headerRowIndex]?.length || 0, sheet.rows[index].length);
+  const cells = (row) => Array.from({ length: width }, (_, i) => cellValue(row?.[i]));
+  return {
+    entry_id: entry.id,
+    file,
+    sheet: sheet.name,
+    row: sheet.rowNumbers[index],
+    header_row: sheet.rowNumbers[headerRowIndex] ?? null,
+    headers: cells(sheet.rows[headerRowIndex]),
+    cells: cells(sheet.rows[index]),
+  };
+}
+
+// Drop all file records and stored workbooks (admin clear)
+export function clearGLFiles(memory, sqlite, uploadDir) {
+  memory.uploadedGLFiles = [];
+  sheetCache.clear();
+  try {
+    fs.rmSync(path.join(uploadDir, GL_FILES_DIR), { recursive: true, force: true });
+  } catch (e) {
+    console.error('❌ Failed to remove stored GL files:', e.message);
+  }
+  try {
+    if (sqlite?.db) sqlite.db.exec('DELETE FROM gl_files;');
+  } catch (_) {}
+}
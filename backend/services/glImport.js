@@ -0,0 +1,520 @@
+// Two-phase GL import. Normalized rows are staged and validated row by row
+// (dates, amounts, accounts, duplicates, journal balance); only the accepted
+// rows are written to the GL when the stage is committed. Stages are held in
+// memory.glImports until committed or discarded and do not survive a restart.
+//
+// In upsert mode rows are matched to existing entries by a configurable
+// natural key, so a weekly re-pull of the same ledger updates changed lines in
+// place (keeping their ids, document links and overrides) instead of adding
+// them again, and reports lines that disappeared from the source.
+//
+// Rows in another currency are stored in USD at the rate for their date (see
+// fxRates.js) with the source amount, currency and rate kept alongside.
+import { randomUUID } from 'crypto';
+import { findGLFile } from './glFiles.js';
+import { BASE_CURRENCY, currencyCode, convertToUSD } from './fxRates.js';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+
+// Most recent stages kept, committed or not
+const MAX_STAGES = 20;
+
+// Severity per issue code: errors reject the row, warnings are reported only
+export const ISSUE_CODES = {
+  INVALID_DATE: 'error',
+  INVALID_AMOUNT: 'error',
+  MISSING_AMOUNT: 'error',
+  MISSING_DESCRIPTION: 'error',
+  MISSING_DATE: 'warning',
+  FUTURE_DATE: 'warning',
+  ZERO_AMOUNT: 'warning',
+  NON_NUMERIC_ACCOUNT: 'warning',
+  DUPLICATE_ROW: 'warning',
+  DUPLICATE_ENTRY: 'warning',
+  JOURNAL_IMBALANCE: 'warning',
+  DUPLICATE_KEY: 'error',
+  MISSING_KEY: 'warning',
+  INVALID_CURRENCY: 'error',
+  FX_RATE_MISSING: 'error',
+};
+
+export const IMPORT_MODES = ['append', 'upsert'];
+
+// Natural-key fields (staged camelCase name -> GL entry column)
+export const KEY_FIELDS = {
+  documentNumber: 'document_number',
+  lineNumber: 'line_number',
+  date: 'date',
+  amount: 'amount',
+  accountNumber: 'account_number',
+  description: 'description',
+  vendor: 'vendor',
+  project: 'project',
+  task: 'task',
+  org: 'org',
+  employeeId: 'employee_id',
+  poNumber: 'po_number',
+  contractNumber: 'contract_number',
+};
+
+const DEFAULT_IMPORT_CONFIG = { mode: 'append', natural_key: ['documentNumber', 'lineNumber', 'date', 'amount'] };
+
+// Columns compared to decide whether a matched entry changed
+const COMPARED_COLUMNS = [
+  'account_number', 'description', 'amount', 'date', 'category', 'vendor', 'contract_number', 'employee_id',
+  'project', 'task', 'org', 'document_number', 'line_number', 'po_number', 'debit', 'credit', 'currency', 'original_amount',
+];
+
+const NUMERIC_ACCOUNT = /^\d[\d.\-\s/]*$/;
+
+const optionalText = (v) => (v == null || String(v).trim() === '' ? null : String(v).trim());
+
+/**
+ * Amount from a number or text such as "$1,250.00", "(45.00)" or "1.234,56".
+ * Returns null when the value is blank or is not a number, rather than 0.
+ */
+export function parseAmountStrict(val) {
+  if (val === null || val === undefined) return null;
+  if (typeof val === 'number') return Number.isFinite(val) ? val : null;
+  let s = String(val).trim();
+  if (!s) return null;
+  let negative = false;
+  if (/^\(.*\)$/.test(s)) { negative = true; s = s.slice(1, -1).trim(); }
+  s = s.replace(/[$€£¥₹¢\s]/g, '').replace(/^(USD|EUR|GBP)/i, '');
+  if (s.startsWith('-')) { negative = !negative; s = s.slice(1); }
+  const hasComma = s.includes(',');
+  const hasDot = s.includes('.');
+  if (hasComma && hasDot) {
+    s = s.lastIndexOf(',') > s.lastIndexOf('.') ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  } else if (hasComma) {
+    s = /,\d{2}$/.test(s) ? s.replace(',', '.') : s.replace(/,/g, '');
+  }
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(s)) return null;
+  const n = Number(s);
+  return negative ? -n : n;
+}
+
+// yyyy-MM-dd for a date value, or null when it cannot be read
+function isoDay(value) {
+  const d = value instanceof Date ? value : new Date(String(value).trim());
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+// Stored config (PUT /api/gl/imports/config) or the defaults
+export function importConfig(memory) {
+  return memory.glImportConfig || DEFAULT_IMPORT_CONFIG;
+}
+
+/**
+ * Validate a config body: { mode: 'upsert', natural_key: ['documentNumber', 'lineNumber', 'date', 'amount'] }.
+ * Returns { config, errors }.
+ */
+export function normalizeImportConfig(body = {}) {
+  const errors = [];
+  const mode = String(body.mode ?? DEFAULT_IMPORT_CONFIG.mode);
+  if (!IMPORT_MODES.includes(mode)) errors.push(`mode must be one of ${IMPORT_MODES.join(', ')}`);
+  const fields = (Array.isArray(body.natural_key) ? body.natural_key : []).map(String);
+  if (!fields.length) errors.push('natural_key must list at least one field');
+  fields.filter(f => !KEY_FIELDS[f]).forEach(f => errors.push(`unknown natural key field "${f}"`));
+  return { config: { mode, natural_key: [...new Set(fields)] }, errors };
+}
+
+export function saveImportConfig(memory, sqlite, config) {
+  memory.glImportConfig = config;
+  try {
+    if (sqlite) sqlite.saveConfig('gl_import_config', config);
+    else saveFileConfig('gl_import_config', config);
+  } catch (persistError) {
+    console.error('Failed to persist GL import config:', persistError);
+  }
+  return config;
+}
+
+// Comparable form of one GL entry column
+function columnValue(column, value) {
+  // Entries stored before currencies were recorded are USD
+  if (column === 'currency') return String(value || BASE_CURRENCY).toUpperCase();
+  if (value == null || String(value).trim() === '') return null;
+  if (column === 'date') return isoDay(value);
+  if (['amount', 'debit', 'credit', 'original_amount'].includes(column)) return Number(value).toFixed(2);
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Natural key of a GL entry record, or null when a key field is blank. The
+ * amount is the source-currency amount, so a new FX rate does not re-key a row.
+ */
+export function naturalKey(record, fields) {
+  const parts = [];
+  for (const f of fields) {
+    const column = KEY_FIELDS[f];
+    const v = columnValue(column, column === 'amount' ? record.original_amount ?? record.amount : record[column]);
+    if (v == null) return null;
+    parts.push(v);
+  }
+  return parts.join('|');
+}
+
+// Columns whose values differ between an existing entry and its replacement
+function changedColumns(existing, next) {
+  return COMPARED_COLUMNS.filter(c => columnValue(c, existing[c]) !== columnValue(c, next[c]));
+}
+
+const duplicateKey = (day, account, amount, description, documentNumber) =>
+  [day || '', String(account ?? '').trim().toLowerCase(), amount == null ? '' : Number(amount).toFixed(2),
+    String(description ?? '').trim().toLowerCase(), String(documentNumber ?? '').trim().toLowerCase()].join('|');
+
+/**
+ * Validate staged entries (camelCase, as from /api/gl/normalize). Each issue
+ * names the row by its index in `entries` and by its sheet and 1-based source
+ * row when known. Rows with an error-severity issue are rejected.
+ */
+export function validateEntries(memory, entries, { today = new Date(), mode = 'append', keyFields = [], filename = null } = {}) {
+  const todayDay = today.toISOString().slice(0, 10);
+  const issues = [];
+  const add = (index, code, field, message) => {
+    const e = entries[index];
+    issues.push({ index, sheet: e.sourceSheet ?? null, row: e.sourceRow ?? index + 1, code, severity: ISSUE_CODES[code], field, message });
+  };
+
+  const existing = new Map();
+  for (const g of memory.glEntries || []) {
+    existing.set(duplicateKey(g.date ? isoDay(g.date) : null, g.account_number, g.amount, g.description, g.document_number), g.id);
+  }
+  const seen = new Map();
+  const seenKeys = new Map();
+  const journals = new Map();
+  const upsert = mode === 'upsert';
+
+  const parsed = entries.map((e, index) => {
+    const parseErrors = new Map((Array.isArray(e.parseErrors) ? e.parseErrors : []).map(p => [p.field, p.value]));
+
+    let day = null;
+    if (parseErrors.has('date')) add(index, 'INVALID_DATE', 'date', `Unreadable date "${parseErrors.get('date')}"`);
+    else if (optionalText(e.date) == null) add(index, 'MISSING_DATE', 'date', 'No date');
+    else if (!(day = isoDay(e.date))) add(index, 'INVALID_DATE', 'date', `Unreadable date "${e.date}"`);
+    else if (day > todayDay) add(index, 'FUTURE_DATE', 'date', `Date ${day} is in the future`);
+
+    let amount = null;
+    const sideError = parseErrors.has('debit') || parseErrors.has('credit');
+    if (parseErrors.has('amount')) add(index, 'INVALID_AMOUNT', 'amount', `Unreadable amount "${parseErrors.get('amount')}"`);
+    else if (e.amount == null || String(e.amount).trim() === '') { if (!sideError) add(index, 'MISSING_AMOUNT', 'amount', 'No amount'); }
+    else if ((amount = parseAmountStrict(e.amount)) == null) add(index, 'INVALID_AMOUNT', 'amount', `Unreadable amount "${e.amount}"`);
+    else if (amount === 0) add(index, 'ZERO_AMOUNT', 'amount', 'Amount is zero');
+    for (const side of ['debit', 'credit']) {
+      if (parseErrors.has(side)) add(index, 'INVALID_AMOUNT', side, `Unreadable ${side} "${parseErrors.get(side)}"`);
+    }
+    const currency = optionalText(e.currency);
+    const usdAmount = amount == null ? null : convertToUSD(memory.fxRates, amount, currency, day).amount;
+    if (currency && !currencyCode(currency)) add(index, 'INVALID_CURRENCY', 'currency', `Unknown currency "${currency}"`);
+    else if (amount != null && usdAmount == null) {
+      add(index, 'FX_RATE_MISSING', 'currency', `No ${currencyCode(currency)} to USD rate loaded for ${day || 'this row'}`);
+    }
+
+    if (!optionalText(e.description)) add(index, 'MISSING_DESCRIPTION', 'description', 'No description');
+    const account = optionalText(e.accountNumber);
+    if (account && !NUMERIC_ACCOUNT.test(account)) add(index, 'NON_NUMERIC_ACCOUNT', 'accountNumber', `Account "${account}" is not numeric`);
+
+    if (upsert) {
+      // Matching existing entries is the point of an upsert; only the key must be unique
+      const key = naturalKey(glRecord(memory, e, amount), keyFields);
+      if (key == null) add(index, 'MISSING_KEY', null, `Natural key (${keyFields.join(', ')}) is incomplete; the row will be added as a new entry`);
+      else if (seenKeys.has(key)) add(index, 'DUPLICATE_KEY', null, `Same natural key as row ${entries[seenKeys.get(key)].sourceRow ?? seenKeys.get(key) + 1} of this import`);
+      else seenKeys.set(key, index);
+    } else if (usdAmount != null) {
+      // Stored entries hold USD amounts
+      const key = duplicateKey(day, account, usdAmount, e.description, e.documentNumber);
+      if (seen.has(key)) add(index, 'DUPLICATE_ROW', null, `Same as row ${entries[seen.get(key)].sourceRow ?? seen.get(key) + 1} of this import`);
+      else seen.set(key, index);
+      if (existing.has(key)) add(index, 'DUPLICATE_ENTRY', null, 'Matches a GL entry already imported');
+    }
+
+    const debit = parseAmountStrict(e.debit);
+    const credit = parseAmountStrict(e.credit);
+    const documentNumber = optionalText(e.documentNumber);
+    if (documentNumber && (debit != null || credit != null)) {
+      const j = journals.get(documentNumber) || { document_number: documentNumber, debit: 0, credit: 0, indexes: [] };
+      j.debit += debit || 0;
+      j.credit += credit || 0;
+      j.indexes.push(index);
+      journals.set(documentNumber, j);
+    }
+    return { amount, debit, credit };
+  });
+
+  const imbalanced = [];
+  for (const j of journals.values()) {
+    const difference = Math.round((j.debit - j.credit) * 100) / 100;
+    if (difference === 0) continue;
+    const rows = j.indexes.map(i => entries[i].sourceRow ?? i + 1);
+    imbalanced.push({ ...j, rows, debit: Math.round(j.debit * 100) / 100, credit: Math.round(j.credit * 100) / 100, difference });
+    for (const index of j.indexes) add(index, 'JOURNAL_IMBALANCE', 'documentNumber', `Journal ${j.document_number} is out of balance by ${difference.toFixed(2)}`);
+  }
+
+  issues.sort((a, b) => a.index - b.index);
+  const rejected = new Set(issues.filter(i => i.severity === 'error').map(i => i.index));
+  const warned = new Set(issues.filter(i => i.severity === 'warning' && !rejected.has(i.index)).map(i => i.index));
+  const counts = {};
+  for (const i of issues) counts[i.code] = (counts[i.code] || 0) + 1;
+  const report = {
+    total: entries.length,
+    accepted: entries.length - rejected.size,
+    rejected: rejected.size,
+    with_warnings: warned.size,
+    counts,
+    issues,
+    journals: imbalanced,
+    mode,
+  };
+  if (upsert) {
+    report.natural_key = keyFields;
+    report.changes = changeSummary(planChanges(memory, entries, parsed, keyFields, rejected, { filename }), entries);
+  }
+  return { report, parsed };
+}
+
+// Lower-cased file names a load comes from: its uploads' names and the stage's filename
+function loadSources(memory, entries, filename) {
+  const names = new Set();
+  if (filename) names.add(String(filename).toLowerCase());
+  for (const e of entries) {
+    const file = e.sourceFileId ? findGLFile(memory, e.sourceFileId) : null;
+    if (file?.filename) names.add(file.filename.toLowerCase());
+  }
+  return names;
+}
+
+/**
+ * Match staged rows to existing GL entries by natural key. Rows not in `skip`
+ * become inserts, updates (with the changed columns) or unchanged. Existing
+ * keyed entries dated within the load's date range whose key no row carries
+ * are listed as removed when they came from an earlier upload of the same
+ * file (same name, as re-uploads supersede by name); other files' entries in
+ * the range are counted as untouched. Entries outside the range are not part
+ * of the load.
+ */
+export function planChanges(memory, entries, parsed, keyFields, skip = new Set(), { filename = null } = {}) {
+  const byKey = new Map();
+  for (const g of memory.glEntries || []) {
+    const key = naturalKey(g, keyFields);
+    if (key != null && !byKey.has(key)) byKey.set(key, g);
+  }
+  const rows = [];
+  const loadedKeys = new Set();
+  let firstDay = null;
+  let lastDay = null;
+  entries.forEach((e, index) => {
+    const record = glRecord(memory, e, parsed[index].amount);
+    const key = naturalKey(record, keyFields);
+    if (key != null) loadedKeys.add(key);
+    const day = record.date ? isoDay(record.date) : null;
+    if (day && (!firstDay || day < firstDay)) firstDay = day;
+    if (day && (!lastDay || day > lastDay)) lastDay = day;
+    if (skip.has(index)) return;
+    const match = key != null ? byKey.get(key) : null;
+    if (!match) return rows.push({ index, action: 'insert', record });
+    const fields = changedColumns(match, record);
+    rows.push({ index, action: fields.length ? 'update' : 'unchanged', record, entry: match, fields });
+  });
+  const sources = loadSources(memory, entries, filename);
+  const fromSource = (g) => {
+    const file = g.source_file_id ? findGLFile(memory, g.source_file_id) : null;
+    return !!file?.filename && sources.has(file.filename.toLowerCase());
+  };
+  const removed = [];
+  let untouched = 0;
+  for (const g of firstDay ? memory.glEntries || [] : []) {
+    const key = naturalKey(g, keyFields);
+    const day = g.date ? isoDay(g.date) : null;
+    if (key == null || loadedKeys.has(key) || !day || day < firstDay || day > lastDay) continue;
+    if (fromSource(g)) removed.push(g);
+    else untouched++;
+  }
+  return { rows, removed, untouched, range: firstDay ? { from: firstDay, to: lastDay } : null };
+}
+
+// Report form of a plan: counts plus the updated and removed lines
+function changeSummary(plan, entries) {
+  const count = (action) => plan.rows.filter(r => r.action === action).length;
+  return {
+    inserted: count('insert'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    removed: plan.removed.length,
+    untouched: plan.untouched,
+    range: plan.range,
+    updates: plan.rows.filter(r => r.action === 'update').map(r => ({
+      index: r.index, sheet: entries[r.index].sourceSheet ?? null, row: entries[r.index].sourceRow ?? r.index + 1, id: r.entry.id, fields: r.fields,
+    })),
+    removals: plan.removed.map(g => ({
+      id: g.id, date: g.date ? isoDay(g.date) : null, account_number: g.account_number ?? null, description: g.description ?? null,
+      amount: g.amount ?? null, document_number: g.document_number ?? null, line_number: g.line_number ?? null,
+    })),
+  };
+}
+
+// gl_entries row for SQLite upserts (INSERT OR REPLACE rewrites every column)
+export function sqliteGLRow(e) {
+  return {
+    id: String(e.id),
+    account_number: e.account_number,
+    description: e.description,
+    amount: e.amount,
+    date: e.date ? new Date(e.date).toISOString() : null,
+    category: e.category,
+    vendor: e.vendor,
+    contract_number: e.contract_number,
+    employee_id: e.employee_id || null,
+    project: e.project ?? null,
+    task: e.task ?? null,
+    org: e.org ?? null,
+    document_number: e.document_number ?? null,
+    line_number: e.line_number ?? null,
+    po_number: e.po_number ?? null,
+    debit: e.debit ?? null,
+    credit: e.credit ?? null,
+    currency: e.currency || null,
+    original_amount: e.original_amount ?? null,
+    fx_rate: e.fx_rate ?? null,
+    fx_date: e.fx_date || null,
+    created_at: e.created_at ? new Date(e.created_at).toISOString() : new Date().toISOString(),
+    doc_summary: e.doc_summary || null,
+    doc_flag_unallowable: e.doc_flag_unallowable ? 1 : 0,
+    source_file_id: e.source_file_id || null,
+    source_sheet: e.source_sheet ?? null,
+    source_row: e.source_row ?? null,
+  };
+}
+
+/**
+ * In-memory GL entry for a camelCase upload row. `amount` is parsed by the
+ * caller, in the row's currency; foreign amounts are converted to USD (null
+ * when no rate is loaded). Lineage is kept only when the file id is a known upload.
+ */
+export function glRecord(memory, e, amount) {
+  const sourceFile = e.sourceFileId ? findGLFile(memory, e.sourceFileId) : null;
+  const sourceRow = Number(e.sourceRow);
+  const fx = convertToUSD(memory.fxRates, amount, e.currency, e.date);
+  const usd = (v) => (v == null || fx.fx_rate == null ? v : Math.round(v * fx.fx_rate * 100) / 100);
+  return {
+    id: randomUUID(),
+    account_number: e.accountNumber ?? null,
+    description: e.description ?? null,
+    amount: fx.currency === BASE_CURRENCY ? amount : fx.amount,
+    date: e.date ? new Date(e.date) : null,
+    category: e.category ?? null,
+    vendor: e.vendor ?? null,
+    contract_number: e.contractNumber ?? null,
+    employee_id: e.employeeId ? String(e.employeeId).trim() : null,
+    project: optionalText(e.project),
+    task: optionalText(e.task),
+    org: optionalText(e.org),
+    document_number: optionalText(e.documentNumber),
+    line_number: optionalText(e.lineNumber),
+    po_number: optionalText(e.poNumber),
+    debit: usd(parseAmountStrict(e.debit)),
+    credit: usd(parseAmountStrict(e.credit)),
+    currency: fx.currency,
+    original_amount: fx.original_amount,
+    fx_rate: fx.fx_rate,
+    fx_date: fx.fx_date,
+    created_at: new Date(),
+    source_file_id: sourceFile?.id || null,
+    source_sheet: sourceFile && e.sourceSheet != null ? String(e.sourceSheet) : null,
+    source_row: sourceFile && Number.isInteger(sourceRow) && sourceRow > 0 ? sourceRow : null,
+  };
+}
+
+// Source amount and rate of a converted entry, for API responses ({} for USD)
+export function fxFields(entry) {
+  if (entry.original_amount == null) return {};
+  return { amount: entry.amount, currency: entry.currency, original_amount: entry.original_amount, fx_rate: entry.fx_rate, fx_date: entry.fx_date };
+}
+
+export function findImport(memory, id) {
+  return (memory.glImports || []).find(s => s.id === String(id)) || null;
+}
+
+// Public view of a stage (the staged rows themselves can be large)
+export function importSummary(stage) {
+  const { entries, parsed, ...rest } = stage;
+  return rest;
+}
+
+export function stageImport(memory, entries, { filename = null, mode = null } = {}) {
+  const config = importConfig(memory);
+  const { report, parsed } = validateEntries(memory, entries, { mode: mode || config.mode, keyFields: config.natural_key, filename });
+  const stage = {
+    id: randomUUID(),
+    status: 'staged',
+    filename,
+    mode: report.mode,
+    created_at: new Date().toISOString(),
+    committed_at: null,
+    inserted: null,
+    report,
+    entries,
+    parsed,
+  };
+  memory.glImports = [...(memory.glImports || []), stage].slice(-MAX_STAGES);
+  return stage;
+}
+
+/**
+ * GL records for the accepted rows of a stage, which is marked committed and
+ * releases its rows. Rows listed in `excludeRows` (indexes) or carrying an
+ * issue code in `skipCodes` are skipped as well. The caller stores the
+ * records. Returns { records, indexes, skipped }.
+ *
+ * Upsert stages are re-planned against the GL as it is now and also return
+ * `updates` ([{ index, entry, record, fields }]), `unchanged` ([{ index, id }]) and
+ * `removed` (entries missing from the load, only with `removeMissing`);
+ * applying them is likewise left to the caller.
+ */
+export function commitImport(memory, stage, { excludeRows = [], skipCodes = [], removeMissing = false } = {}) {
+  const excluded = new Set(excludeRows.map(Number));
+  const reasons = new Map();
+  for (const issue of stage.report.issues) {
+    if ((issue.severity === 'error' || skipCodes.includes(issue.code)) && !reasons.has(issue.index)) reasons.set(issue.index, issue.code);
+  }
+  const records = [];
+  const indexes = [];
+  const skipped = [];
+  const skip = new Set();
+  stage.entries.forEach((e, index) => {
+    const reason = excluded.has(index) ? 'EXCLUDED' : reasons.get(index);
+    if (reason) {
+      skipped.push({ index, sheet: e.sourceSheet ?? null, row: e.sourceRow ?? index + 1, reason });
+      skip.add(index);
+    } else if (stage.mode !== 'upsert') {
+      records.push(glRecord(memory, e, stage.parsed[index].amount));
+      indexes.push(index);
+    }
+  });
+  const result = { records, indexes, skipped };
+  if (stage.mode === 'upsert') {
+    const plan = planChanges(memory, stage.entries, stage.parsed, stage.report.natural_key, skip, { filename: stage.filename });
+    for (const row of plan.rows.filter(r => r.action === 'insert')) {
+      records.push(row.record);
+      indexes.push(row.index);
+    }
+    result.updates = plan.rows.filter(r => r.action === 'update');
+    result.unchanged = plan.rows.filter(r => r.action === 'unchanged').map(r => ({ index: r.index, id: r.entry.id, ...fxFields(r.entry) }));
+    result.removed = removeMissing ? plan.removed : [];
+  }
+  Object.assign(stage, {
+    status: 'committed', committed_at: new Date().toISOString(), inserted: records.length, skipped: skipped.length, entries: [], parsed: [],
+    ...(stage.mode === 'upsert' ? { updated: result.updates.length, unchanged: result.unchanged.length, removed: result.removed.length } : {}),
+  });
+  return result;
+}
+
+/**
+ * Apply an upsert update to an existing entry: source columns and lineage
+ * come from the new row, while the id, creation time and document review
+ * fields are kept.
+ */
+export function applyUpdate(entry, record) {
+  const { id, created_at, ...columns } = record;
+  Object.assign(entry, columns);
+  return entry;
+}
@@ -0,0 +1,195 @@
+// Incurred-cost (ICE-style) schedules built from audited GL entries, grouped by
+// contract_number. Schedule H: direct costs by contract with indirect expense
+// applied at the period's provisional rates. Schedule I: cumulative allowable
+// costs (direct plus indirect at each fiscal year's rates) by contract and
+// fiscal year through the end of the period.
+import ExcelJS from 'exceljs';
+import { applyOverrides } from './auditOverrides.js';
+import { computeIndirectRates, poolConfig, groupFor, directGroupIds, applyPoolRates } from './indirectRates.js';
+import { fiscalYearFor, fiscalYearStartMonth } from './fiscalYear.js';
+
+const NO_CONTRACT = '(no contract)';
+const MONEY_FMT = '#,##0.00;[Red](#,##0.00)';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const dayOf = (date) => {
+  const d = date ? new Date(date) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : null;
+};
+const contractOf = (entry) => String(entry.contract_number || '').trim() || NO_CONTRACT;
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Pool rates unrounded (pool / base), so applied amounts add back to the pools
+const exactRates = (rates) => new Map(rates.pools.map(p => [p.id, p.base_total ? p.pool_total / p.base_total : 0]));
+
+// First and last day of a contractor fiscal year (named for the year it ends in)
+function fiscalYearBounds(fy, startMonth) {
+  const startYear = startMonth > 1 ? fy - 1 : fy;
+  const start = `${startYear}-${pad2(startMonth)}-01`;
+  const end = new Date(Date.UTC(startYear + 1, startMonth - 1, 0)).toISOString().slice(0, 10);
+  return { from: start, to: end };
+}
+
+/**
+ * Schedule data for a period ({ from, to } YYYY-MM-DD). Amounts are allowable
+ * (audit unallowable amounts, after overrides, are excluded); questioned costs
+ * are reported alongside.
+ */
+export function buildIceSchedules(memory, { from = null, to = null } = {}) {
+  const config = poolConfig(memory);
+  const rates = computeIndirectRates(memory, { from, to, config });
+  const rateMap = exactRates(rates);
+  const direct = directGroupIds(config);
+  const groupNames = new Map(config.groups.map(g => [g.id, g.name]));
+  const audit = new Map(applyOverrides(memory.auditResults, memory).map(r => [String(r.gl_entry_id), r]));
+  const fyStart = fiscalYearStartMonth(memory);
+
+  // Schedule H: the period's direct costs per contract
+  const byContract = new Map();
+  // Schedule I: allowable direct costs per contract and fiscal year, from the first entry through `to`
+  const cumulative = new Map();
+  const years = new Set();
+
+  for (const entry of memory.glEntries || []) {
+    const day = dayOf(entry.date);
+    const group = groupFor(entry, config.groups);
+    if (!group || !direct.includes(group.id)) continue;
+    const amount = Number(entry.amount) || 0;
+    const unallowable = Number(audit.get(String(entry.id))?.unallowable_amount) || 0;
+    const contract = contractOf(entry);
+
+    if (day && (!to || day <= to)) {
+      const fy = fiscalYearFor(day, fyStart);
+      years.add(fy);
+      const c = cumulative.get(contract) || new Map();
+      const y = c.get(fy) || { groups: new Map(), questioned: 0 };
+      y.groups.set(group.id, (y.groups.get(group.id) || 0) + amount - unallowable);
+      y.questioned += unallowable;
+      c.set(fy, y);
+      cumulative.set(contract, c);
+    }
+
+    if ((from || to) && (!day || (from && day < from) || (to && day > to))) continue;
+    const row = byContract.get(contract) || { contract, groups: new Map(), questioned: 0, entries: 0 };
+    row.groups.set(group.id, (row.groups.get(group.id) || 0) + amount - unallowable);
+    row.questioned += unallowable;
+    row.entries++;
+    byContract.set(contract, row);
+  }
+
+  const scheduleH = [...byContract.values()].sort((a, b) => a.contract.localeCompare(b.contract)).map((row) => {
+    const { applied } = applyPoolRates(row.groups, config.pools, rateMap);
+    const directTotal = direct.reduce((s, id) => s + (row.groups.get(id) || 0), 0);
+    const indirectTotal = Object.values(applied).reduce((s, v) => s + v, 0);
+    return {
+      contract: row.contract,
+      entries: row.entries,
+      direct: Object.fromEntries(direct.map(id => [id, round2(row.groups.get(id) || 0)])),
+      direct_total: round2(directTotal),
+      applied,
+      total: round2(directTotal + indirectTotal),
+      questioned: round2(row.questioned),
+    };
+  });
+
+  // Each fiscal year's direct costs carry that year's rates (the last year stops at `to`)
+  const fiscalYears = [...years].filter(Boolean).sort((a, b) => a - b);
+  const yearRates = new Map(fiscalYears.map((fy) => {
+    const bounds = fiscalYearBounds(fy, fyStart);
+    const yearTo = to && to < bounds.to ? to : bounds.to;
+    const r = computeIndirectRates(memory, { from: bounds.from, to: yearTo, config });
+    return [fy, exactRates(r)];
+  }));
+  const scheduleI = [...cumulative.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([contract, byYear]) => {
+    const perYear = Object.fromEntries(fiscalYears.map((fy) => {
+      const y = byYear.get(fy);
+      if (!y) return [fy, 0];
+      const { burdened } = applyPoolRates(y.groups, config.pools, yearRates.get(fy));
+      return [fy, round2(direct.reduce((s, id) => s + (burdened.get(id) || 0), 0))];
+    }));
+    return {
+      contract,
+      by_year: perYear,
+      cumulative: round2(Object.values(perYear).reduce((s, v) => s + v, 0)),
+      questioned: round2([...byYear.values()].reduce((s, y) => s + y.questioned, 0)),
+    };
+  });
+
+  return {
+    period: { from, to },
+    generated_at: new Date().toISOString(),
+    rates: rates.pools.map(p => ({ id: p.id, name: p.name, rate_percent: p.rate_percent, pool_total: p.pool_total, base_total: p.base_total })),
+    direct_groups: direct.map(id => ({ id, name: groupNames.get(id) || id })),
+    schedule_h: scheduleH,
+    schedule_i: { fiscal_years: fiscalYears, contracts: scheduleI },
+    unmapped: rates.unmapped,
+  };
+}
+
+function styleHeader(row) {
+  row.font = { bold: true };
+  row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE5E7EB' } };
+}
+
+function addTable(sheet, headers, rows, moneyFrom) {
+  styleHeader(sheet.addRow(headers));
+  rows.forEach(values => sheet.addRow(values));
+  sheet.columns.forEach((col, i) => {
+    col.width = i === 0 ? 28 : 18;
+    if (i >= moneyFrom) col.numFmt = MONEY_FMT;
+  });
+  const totals = headers.map((_, i) => (i === 0 ? 'Total' : i >= moneyFrom ? round2(rows.reduce((s, r) => s + (Number(r[i]) || 0), 0)) : ''));
+  const totalRow = sheet.addRow(totals);
+  totalRow.font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+/**
+ * XLSX workbook (Summary, Schedule H, Schedule I) as a Buffer, built the same
+ * way as exportToXLSX in spreadsheetNormalizer.js.
+ */
+export async function exportIceWorkbook(schedules) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date(schedules.generated_at);
+  const periodLabel = `${schedules.period.from || 'beginning'} to ${schedules.period.to || 'latest'}`;
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.addRow(['Incurred Cost Schedules']).font = { bold: true, size: 14 };
+  summary.addRow(['Period', periodLabel]);
+  summary.addRow(['Generated', schedules.generated_at]);
+  summary.addRow(['Amounts are allowable costs: FAR audit unallowable amounts (after auditor overrides) are excluded.']);
+  summary.addRow([]);
+  styleHeader(summary.addRow(['Indirect Pool', 'Provisional Rate %', 'Pool Costs', 'Allocation Base']));
+  schedules.rates.forEach(r => summary.addRow([r.name, r.rate_percent, r.pool_total, r.base_total]));
+  summary.getColumn(1).width = 36;
+  [2, 3, 4].forEach(i => { summary.getColumn(i).width = 20; });
+  [3, 4].forEach(i => { summary.getColumn(i).numFmt = MONEY_FMT; });
+  if (schedules.unmapped.entries) {
+    summary.addRow([]);
+    summary.addRow([`${schedules.unmapped.entries} GL entries (${schedules.unmapped.total}) match no cost group and are not included.`]);
+  }
+
+  const h = workbook.addWorksheet('Schedule H');
+  const directHeaders = schedules.direct_groups.map(g => g.name);
+  const poolHeaders = schedules.rates.map(r => `${r.name} Applied`);
+  addTable(h,
+    ['Contract', ...directHeaders, 'Total Direct', ...poolHeaders, 'Total Costs', 'Questioned (excluded)'],
+    schedules.schedule_h.map(r => [
+      r.contract,
+      ...schedules.direct_groups.map(g => r.direct[g.id]),
+      r.direct_total,
+      ...schedules.rates.map(p => r.applied[p.id] || 0),
+      r.total,
+      r.questioned,
+    ]),
+    1);
+
+  const i = workbook.addWorksheet('Schedule I');
+  const years = schedules.schedule_i.fiscal_years;
+  addTable(i,
+    ['Contract', ...years.map(fy => `FY${fy}`), 'Cumulative Allowable', 'Questioned (excluded)'],
+    schedules.schedule_i.contracts.map(c => [c.contract, ...years.map(fy => c.by_year[fy]), c.cumulative, c.questioned]),
+    1);
+
+  return await workbook.xlsx.writeBuffer();
+}
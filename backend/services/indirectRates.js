@@ -0,0 +1,214 @@
+// Indirect cost pools and provisional rates. GL accounts map to cost groups
+// (direct labor, fringe, overhead, ...) through a configurable chart of
+// accounts; pools are built from groups and divided by their allocation base.
+// Only allowable dollars count: the audit's unallowable amount (after auditor
+// overrides) is taken out of every entry before it lands in a group.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+import { applyOverrides } from './auditOverrides.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const INDIRECT_POOLS_PATH = path.join(__dirname, '..', '..', 'config', 'indirectPools.json');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function readDefaults() {
+  try {
+    return JSON.parse(fs.readFileSync(INDIRECT_POOLS_PATH, 'utf-8'));
+  } catch (e) {
+    console.warn('⚠️ Could not read config/indirectPools.json:', e.message);
+    return { groups: [], pools: [] };
+  }
+}
+
+// Stored mapping (PUT /api/indirect/config) or the shipped defaults
+export function poolConfig(memory) {
+  return memory.indirectPools || normalizePoolConfig(readDefaults()).config;
+}
+
+/**
+ * Validate a mapping. Groups: { id, name, accounts: ["5000", "52*", "6000..6099"],
+ * categories: ["fringe"] }; pools: { id, name, groups: [...], base: [...],
+ * burdened_base }. Pools are computed in order. Returns { config, errors }.
+ */
+export function normalizePoolConfig(body = {}) {
+  const errors = [];
+  const list = (v) => (Array.isArray(v) ? v : []).map(s => String(s).trim()).filter(Boolean);
+  const groups = (Array.isArray(body.groups) ? body.groups : []).map((g, i) => {
+    const id = String(g?.id || '').trim();
+    if (!id) errors.push(`groups[${i}].id is required`);
+    const accounts = list(g?.accounts);
+    accounts.filter(a => a.includes('..') && !/^[^.]+\.\.[^.]+$/.test(a)).forEach(a => errors.push(`groups[${i}]: bad account range "${a}"`));
+    return { id, name: String(g?.name || id), accounts, categories: list(g?.categories).map(c => c.toLowerCase()) };
+  });
+  const ids = new Set();
+  groups.forEach(g => { if (g.id && ids.has(g.id)) errors.push(`duplicate group id "${g.id}"`); ids.add(g.id); });
+
+  const poolIds = new Set();
+  const pools = (Array.isArray(body.pools) ? body.pools : []).map((p, i) => {
+    const id = String(p?.id || '').trim();
+    if (!id) errors.push(`pools[${i}].id is required`);
+    else if (poolIds.has(id)) errors.push(`duplicate pool id "${id}"`);
+    poolIds.add(id);
+    const pool = { id, name: String(p?.name || id), groups: list(p?.groups), base: list(p?.base), burdened_base: !!p?.burdened_base };
+    if (!pool.groups.length) errors.push(`pools[${i}].groups must list at least one group`);
+    if (!pool.base.length) errors.push(`pools[${i}].base must list at least one group`);
+    [...pool.groups, ...pool.base].filter(g => !ids.has(g)).forEach(g => errors.push(`pools[${i}] references unknown group "${g}"`));
+    return pool;
+  });
+  return { config: { groups, pools }, errors };
+}
+
+export function savePoolConfig(memory, sqlite, config) {
+  memory.indirectPools = config;
+  try {
+    if (sqlite) sqlite.saveConfig('indirect_pools', config);
+    else saveFileConfig('indirect_pools', config);
+  } catch (persistError) {
+    console.error('Failed to persist indirect pool mapping:', persistError);
+  }
+  return config;
+}
+
+// "5000" exact, "52*" prefix, "6000..6099" inclusive range (numeric when both
+// ends are); ".." because account numbers themselves often contain hyphens
+function accountMatches(account, pattern) {
+  if (!account) return false;
+  if (pattern.endsWith('*')) return account.startsWith(pattern.slice(0, -1));
+  const range = pattern.match(/^(.+?)\.\.(.+)$/);
+  if (range) {
+    const [lo, hi] = [range[1].trim(), range[2].trim()];
+    const n = Number(account);
+    if (Number.isFinite(n) && Number.isFinite(Number(lo)) && Number.isFinite(Number(hi))) return n >= Number(lo) && n <= Number(hi);
+    return account >= lo && account <= hi;
+  }
+  return account === pattern;
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// First group whose accounts (preferred) or categories match the entry
+export function groupFor(entry, groups) {
+  const account = String(entry.account_number ?? '').trim();
+  const byAccount = groups.find(g => g.accounts.some(p => accountMatches(account, p)));
+  if (byAccount) return byAccount;
+  const category = String(entry.category || '').toLowerCase();
+  if (!category) return null;
+  return groups.find(g => g.categories.some(c => new RegExp(`(^|[^a-z0-9])${escapeRe(c)}($|[^a-z0-9])`).test(category))) || null;
+}
+
+function inPeriod(entry, from, to) {
+  if (!from && !to) return true;
+  const d = entry.date ? new Date(entry.date) : null;
+  if (!d || Number.isNaN(d.getTime())) return false;
+  const day = d.toISOString().slice(0, 10);
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+/**
+ * Pool totals, allocation bases and provisional rates for a period.
+ * options: { from, to } (YYYY-MM-DD, inclusive), config (defaults to poolConfig).
+ * Each pool allocates rate x base group; later pools see earlier allocations
+ * in their groups (e.g. fringe on indirect labor inside overhead) and, with
+ * burdened_base, in their base (e.g. a total-cost-input G&A base).
+ */
+export function computeIndirectRates(memory, { from = null, to = null, config = poolConfig(memory) } = {}) {
+  const audit = new Map(applyOverrides(memory.auditResults, memory).map(r => [String(r.gl_entry_id), r]));
+  const groups = new Map(config.groups.map(g => [g.id, { id: g.id, name: g.name, total: 0, unallowable: 0, allowable: 0, entries: 0 }]));
+  const unmapped = { total: 0, entries: 0, accounts: new Map() };
+  let unaudited = 0;
+  let considered = 0;
+
+  for (const entry of memory.glEntries || []) {
+    if (!inPeriod(entry, from, to)) continue;
+    considered++;
+    const amount = Number(entry.amount) || 0;
+    const group = groupFor(entry, config.groups);
+    if (!group) {
+      unmapped.total += amount;
+      unmapped.entries++;
+      const key = String(entry.account_number || entry.category || '(none)');
+      unmapped.accounts.set(key, (unmapped.accounts.get(key) || 0) + amount);
+      continue;
+    }
+    const a = audit.get(String(entry.id));
+    if (!a) unaudited++;
+    const unallowable = Number(a?.unallowable_amount) || 0;
+    const g = groups.get(group.id);
+    g.total += amount;
+    g.unallowable += unallowable;
+    g.allowable += amount - unallowable;
+    g.entries++;
+  }
+
+  // Allowable dollars per group, plus pool allocations as they are made
+  const burdened = new Map([...groups.values()].map(g => [g.id, g.allowable]));
+  const pools = config.pools.map((p) => {
+    const poolTotal = p.groups.reduce((s, id) => s + (burdened.get(id) || 0), 0);
+    const baseTotal = p.base.reduce((s, id) => s + (p.burdened_base ? burdened.get(id) || 0 : groups.get(id)?.allowable || 0), 0);
+    const rate = baseTotal ? poolTotal / baseTotal : null;
+    const allocations = p.base.map((id) => {
+      const amount = rate == null ? 0 : rate * (p.burdened_base ? burdened.get(id) || 0 : groups.get(id)?.allowable || 0);
+      burdened.set(id, (burdened.get(id) || 0) + amount);
+      return { group: id, amount: round2(amount) };
+    });
+    return {
+      id: p.id,
+      name: p.name,
+      groups: p.groups,
+      base: p.base,
+      burdened_base: p.burdened_base,
+      pool_total: round2(poolTotal),
+      unallowable_excluded: round2(p.groups.reduce((s, id) => s + (groups.get(id)?.unallowable || 0), 0)),
+      base_total: round2(baseTotal),
+      rate: rate == null ? null : Math.round(rate * 1e6) / 1e6,
+      rate_percent: rate == null ? null : Math.round(rate * 1e4) / 100,
+      allocations,
+    };
+  });
+
+  return {
+    period: { from, to },
+    entries: considered,
+    unaudited,
+    groups: [...groups.values()].map(g => ({ ...g, total: round2(g.total), unallowable: round2(g.unallowable), allowable: round2(g.allowable), burdened: round2(burdened.get(g.id) || 0) })),
+    pools,
+    unmapped: {
+      total: round2(unmapped.total),
+      entries: unmapped.entries,
+      accounts: [...unmapped.accounts.entries()].map(([account, total]) => ({ account, total: round2(total) }))
+        .sort((x, y) => Math.abs(y.total) - Math.abs(x.total)).slice(0, 25),
+    },
+  };
+}
+
+// Groups that only feed allocation bases (direct labor, materials, ...)
+export function directGroupIds(config) {
+  const pooled = new Set(config.pools.flatMap(p => p.groups));
+  return [...new Set(config.pools.flatMap(p => p.base))].filter(id => !pooled.has(id));
+}
+
+/**
+ * Apply pool rates to one cost objective's allowable amounts by group (e.g. a
+ * contract's direct costs), cascading like computeIndirectRates.
+ * rates: Map(pool id -> rate). Returns { applied: { [poolId]: amount }, burdened: Map }.
+ */
+export function applyPoolRates(allowableByGroup, pools, rates) {
+  const burdened = new Map(allowableByGroup);
+  const applied = {};
+  for (const p of pools) {
+    const rate = rates.get(p.id) || 0;
+    let total = 0;
+    for (const id of p.base) {
+      const amount = rate * (p.burdened_base ? burdened.get(id) || 0 : allowableByGroup.get(id) || 0);
+      burdened.set(id, (burdened.get(id) || 0) + amount);
+      total += amount;
+    }
+    applied[p.id] = round2(total);
+  }
+  return { applied, burdened };
+}
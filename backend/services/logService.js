@@ -45,7 +45,8 @@ export const LogCategory = {
   LLM_PROCESSING: 'LLM_PROCESSING',
   FAR_AUDIT: 'FAR_AUDIT',
   API_REQUEST: 'API_REQUEST',
-  SECURITY: 'SECURITY'
+  SECURITY: 'SECURITY',
+  CONTRACT_FUNDING: 'CONTRACT_FUNDING'
 };
 
 /**
@@ -0,0 +1,113 @@
+// Saved column-mapping profiles per GL source system (e.g. "Deltek Costpoint
+// export"). A profile is fingerprinted by its header set, so a new upload whose
+// header row has the same column names (in any order) is mapped from the
+// profile without LLM calls or manual remapping.
+import { randomUUID, createHash } from 'crypto';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+import { STANDARD_FIELDS } from './spreadsheetNormalizer.js';
+
+// Mappable fields: the normalized GL schema, including separate debit/credit columns
+export const PROFILE_FIELDS = STANDARD_FIELDS;
+
+const LOWER_ALNUM = s => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Order-independent hash of the non-empty header names
+export function headerFingerprint(headers) {
+  const names = [...new Set((headers || []).map(LOWER_ALNUM).filter(Boolean))].sort();
+  if (!names.length) return null;
+  return createHash('sha256').update(names.join('|')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Validate a create/update body: { name, source_system, headers: [...],
+ * mapping: { field: header name or column index } }, merged over the
+ * existing record on update. Mappings are stored by header name so column
+ * order may change between exports. Returns { profile, errors }.
+ */
+export function normalizeProfile(body = {}, existing = null) {
+  const merged = { ...(existing || {}), ...body };
+  const errors = [];
+  const headers = (Array.isArray(merged.headers) ? merged.headers : []).map(h => String(h ?? '').trim());
+  if (headers.filter(Boolean).length < 2) errors.push('headers must list at least two column names');
+
+  const byKey = new Map(headers.filter(Boolean).map(h => [LOWER_ALNUM(h), h]));
+  const raw = merged.mapping && typeof merged.mapping === 'object' ? merged.mapping : {};
+  Object.keys(raw).filter(k => !PROFILE_FIELDS.includes(k)).forEach(k => errors.push(`unknown field ${k}`));
+  const mapping = {};
+  for (const field of PROFILE_FIELDS) {
+    const v = raw[field];
+    if (v === undefined || v === null || v === '' || v === -1) { mapping[field] = null; continue; }
+    const header = typeof v === 'number' ? headers[v] : byKey.get(LOWER_ALNUM(v));
+    if (!header) errors.push(`${field} must name one of the headers`);
+    mapping[field] = header || null;
+  }
+  if (!mapping.amount && !mapping.debit && !mapping.credit) errors.push('amount (or debit/credit) must be mapped');
+
+  const profile = {
+    name: String(merged.name || '').trim(),
+    source_system: merged.source_system ? String(merged.source_system).trim() : null,
+    headers,
+    fingerprint: headerFingerprint(headers),
+    mapping,
+  };
+  if (!profile.name) errors.push('name is required');
+  return { profile, errors };
+}
+
+function persist(memory, sqlite, record, removed = false) {
+  try {
+    if (sqlite) removed ? sqlite.deleteMappingProfile(record.id) : sqlite.saveMappingProfile(record);
+    else saveFileConfig('mapping_profiles', memory.mappingProfiles);
+  } catch (persistError) {
+    console.error('Failed to persist mapping profile:', persistError);
+  }
+}
+
+export function findProfileById(memory, id) {
+  return (memory.mappingProfiles || []).find(p => p.id === String(id)) || null;
+}
+
+// Profile whose header set matches these headers exactly (order and case ignored)
+export function matchProfile(memory, headers) {
+  const fingerprint = headerFingerprint(headers);
+  return fingerprint ? (memory.mappingProfiles || []).find(p => p.fingerprint === fingerprint) || null : null;
+}
+
+// Column indexes for this header row, in the normalizer's mapping shape
+export function indexMapping(profile, headers) {
+  const index = new Map();
+  (headers || []).forEach((h, i) => { if (!index.has(LOWER_ALNUM(h))) index.set(LOWER_ALNUM(h), i); });
+  const mapping = {};
+  for (const field of PROFILE_FIELDS) {
+    const header = profile.mapping?.[field];
+    mapping[field] = header ? index.get(LOWER_ALNUM(header)) ?? -1 : -1;
+  }
+  return mapping;
+}
+
+export function createProfile(memory, sqlite, profile) {
+  const now = new Date().toISOString();
+  const record = { id: randomUUID(), ...profile, created_at: now, updated_at: now, last_used_at: null, use_count: 0 };
+  if (!memory.mappingProfiles) memory.mappingProfiles = [];
+  memory.mappingProfiles.push(record);
+  persist(memory, sqlite, record);
+  return record;
+}
+
+export function updateProfile(memory, sqlite, record, profile) {
+  Object.assign(record, profile, { updated_at: new Date().toISOString() });
+  persist(memory, sqlite, record);
+  return record;
+}
+
+export function deleteProfile(memory, sqlite, record) {
+  memory.mappingProfiles = (memory.mappingProfiles || []).filter(p => p.id !== record.id);
+  persist(memory, sqlite, record, true);
+  return record;
+}
+
+export function recordProfileUse(memory, sqlite, record) {
+  record.use_count = (record.use_count || 0) + 1;
+  record.last_used_at = new Date().toISOString();
+  persist(memory, sqlite, record);
+}
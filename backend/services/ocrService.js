@@ -1,3 +1,5 @@
+import path from 'path';
+import { createRequire } from 'module';
 import { createWorker } from 'tesseract.js';
 
 /**
@@ -10,16 +12,29 @@ import { createWorker } from 'tesseract.js';
  * - Maintains backward compatibility with existing pipeline
  */
 
+/**
+ * English traineddata for the worker: TESSERACT_LANG_PATH when set, else the
+ * bundled @tesseract.js-data/eng package so OCR runs offline, else the
+ * tesseract.js CDN default.
+ */
+function tesseractWorkerOptions() {
+    if (process.env.TESSERACT_LANG_PATH) return { langPath: process.env.TESSERACT_LANG_PATH };
+    try {
+        const pkg = createRequire(import.meta.url).resolve('@tesseract.js-data/eng/package.json');
+        return { langPath: path.join(path.dirname(pkg), '4.0.0_best_int'), cacheMethod: 'none' };
+    } catch (_) {
+        return {};
+    }
+}
+
 async function performTesseractOCR(imageBuffer, options = {}) {
     let worker;
     const startTime = Date.now();
     
     try {
         console.log('Starting Tesseract OCR...');
-        worker = await createWorker();
-        
-        await worker.loadLanguage('eng');
-        await worker.initialize('eng');
+        // OEM 1 = LSTM only; the engine mode can only be chosen when the worker is created
+        worker = await createWorker('eng', 1, tesseractWorkerOptions());
         
         // Apply OCR optimizations based on image type and options
         const ocrOptions = buildOCROptions(options);
@@ -183,7 +198,6 @@ function buildOCROptions(options = {}) {
         // Better for receipt-like documents with structured layout
         ocrConfig.parameters = {
             'tessedit_pageseg_mode': '6', // Uniform block of text
-            'tessedit_ocr_engine_mode': '1', // LSTM only
             'tessedit_char_whitelist': '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz .,()-/:$€£¥', // Common receipt characters
             'preserve_interword_spaces': '1'
         };
@@ -191,7 +205,6 @@ function buildOCROptions(options = {}) {
         // Default parameters for full document images
         ocrConfig.parameters = {
             'tessedit_pageseg_mode': '3', // Fully automatic page segmentation
-            'tessedit_ocr_engine_mode': '1', // LSTM only
             'preserve_interword_spaces': '1'
         };
     }
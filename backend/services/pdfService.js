@@ -0,0 +1,150 @@
+import path from 'path';
+import { createRequire } from 'module';
+import sharp from 'sharp';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { performTesseractOCR } from './ocrService.js';
+
+/**
+ * Local PDF reading, no cloud services required:
+ * - the text layer of each page is read with pdf.js
+ * - pages without one (scans, photographed receipts) are rendered to an image,
+ *   cleaned up with sharp and passed to Tesseract
+ * The combined result has the same shape as performTesseractOCR().
+ */
+
+// Pages read per document; long statements are cut off here
+const MAX_PAGES = Number(process.env.PDF_MAX_PAGES) || 10;
+// Render resolution; 200 DPI keeps receipt print legible for Tesseract
+const RENDER_DPI = Number(process.env.PDF_RENDER_DPI) || 200;
+// A page whose text layer is shorter than this is treated as scanned
+const MIN_TEXT_CHARS = 20;
+
+const require = createRequire(import.meta.url);
+const STANDARD_FONTS = (() => {
+    try {
+        return path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+    } catch (_) {
+        return undefined;
+    }
+})();
+
+function isPDFFile(mimeType, filename) {
+    return /pdf/i.test(mimeType || '') || String(filename || '').toLowerCase().endsWith('.pdf');
+}
+
+async function openPdf(buffer) {
+    return getDocument({
+        data: new Uint8Array(buffer),
+        standardFontDataUrl: STANDARD_FONTS,
+        isEvalSupported: false,
+        verbosity: 0
+    }).promise;
+}
+
+async function pageText(page) {
+    const content = await page.getTextContent();
+    return content.items.map(item => (item.str || '') + (item.hasEOL ? '\n' : '')).join('').trim();
+}
+
+// Grayscale, contrast-stretched PNG of one page
+async function renderPage(doc, page) {
+    const viewport = page.getViewport({ scale: RENDER_DPI / 72 });
+    const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: context, canvas, viewport }).promise;
+    const png = canvas.toBuffer('image/png');
+    return sharp(png).flatten({ background: '#ffffff' }).greyscale().normalize().png().toBuffer();
+}
+
+/**
+ * Text layer of a PDF, pages separated by blank lines. Empty for scanned PDFs.
+ * Returns { text, pageCount, pagesRead }.
+ */
+async function extractPdfText(buffer, options = {}) {
+    const doc = await openPdf(buffer);
+    try {
+        const pagesRead = Math.min(doc.numPages, options.maxPages || MAX_PAGES);
+        const pages = [];
+        for (let n = 1; n <= pagesRead; n++) {
+            pages.push(await pageText(await doc.getPage(n)));
+        }
+        return { text: pages.filter(Boolean).join('\n\n'), pageCount: doc.numPages, pagesRead };
+    } finally {
+        await doc.destroy();
+    }
+}
+
+/**
+ * Read a PDF page by page: the text layer where there is one, Tesseract on the
+ * rendered page where there is not. Returns a performTesseractOCR()-shaped
+ * result plus metadata.method (pdf_text | pdf_ocr | pdf_mixed) and per-page details.
+ */
+async function performPdfOCR(buffer, options = {}) {
+    const startTime = Date.now();
+    let doc;
+    try {
+        doc = await openPdf(buffer);
+        const pagesRead = Math.min(doc.numPages, options.maxPages || MAX_PAGES);
+        const pages = [];
+        for (let n = 1; n <= pagesRead; n++) {
+            const page = await doc.getPage(n);
+            const text = await pageText(page);
+            if (text.replace(/\s/g, '').length >= MIN_TEXT_CHARS) {
+                pages.push({ page: n, source: 'text_layer', text, confidence: 100 });
+                continue;
+            }
+            let image;
+            try {
+                image = await renderPage(doc, page);
+            } catch (renderError) {
+                console.warn(`PDF page ${n} could not be rendered for OCR:`, renderError.message);
+                pages.push({ page: n, source: 'text_layer', text, confidence: text ? 100 : 0 });
+                continue;
+            }
+            const ocr = await performTesseractOCR(image, { ...options, imageType: options.imageType || 'receipt' });
+            pages.push({ page: n, source: 'ocr', text: ocr.success ? ocr.rawText.trim() : text, confidence: ocr.success ? ocr.confidence : 0, error: ocr.error });
+        }
+
+        const rawText = pages.map(p => p.text).filter(Boolean).join('\n\n');
+        const ocrPages = pages.filter(p => p.source === 'ocr');
+        const withText = pages.filter(p => p.text);
+        const confidence = withText.length ? withText.reduce((s, p) => s + p.confidence, 0) / withText.length : 0;
+        const method = !ocrPages.length ? 'pdf_text' : ocrPages.length === pages.length ? 'pdf_ocr' : 'pdf_mixed';
+        const processingTime = Date.now() - startTime;
+        console.log(`PDF read in ${processingTime}ms: ${pages.length}/${doc.numPages} pages, ${ocrPages.length} by OCR`);
+
+        return {
+            success: rawText.length > 0,
+            error: rawText.length ? undefined : 'No text found in PDF',
+            extractedText: rawText.toLowerCase(),
+            rawText,
+            confidence,
+            processingTimeMs: processingTime,
+            metadata: {
+                method,
+                pageCount: doc.numPages,
+                pagesRead: pages.length,
+                ocrPages: ocrPages.map(p => p.page),
+                pages: pages.map(({ page, source, confidence: c, text, error }) => ({ page, source, confidence: c, chars: text.length, error }))
+            }
+        };
+    } catch (error) {
+        console.error('PDF reading error:', error.message);
+        return {
+            success: false,
+            error: error.message,
+            extractedText: '',
+            rawText: '',
+            confidence: 0,
+            processingTimeMs: Date.now() - startTime,
+            metadata: { method: 'pdf_failed' }
+        };
+    } finally {
+        if (doc) await doc.destroy().catch(() => {});
+    }
+}
+
+export {
+    isPDFFile,
+    extractPdfText,
+    performPdfOCR
+};
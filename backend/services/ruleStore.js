@@ -0,0 +1,112 @@
+// FAR rule store. Built-in rules from modules/data/farRules.js are read-only
+// defaults; config/farRules.json and per-section overrides saved through
+// /api/rules are layered on top of them by section.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateRule } from '../../modules/services/ruleConditions.js';
+import { farRules, modernComplianceRules } from '../../modules/data/farRules.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const RULES_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'farRules.json');
+
+// Fields a stored rule may carry; UI metadata (source, enabled, ...) is never persisted in rule_json
+const RULE_FIELDS = ['section', 'title', 'severity', 'keywords', 'conditions', 'description', 'weight', 'contract_types'];
+
+export function sanitizeRule(input) {
+  const rule = {};
+  for (const k of RULE_FIELDS) {
+    if (input && input[k] !== undefined) rule[k] = input[k];
+  }
+  if (typeof rule.section === 'string') rule.section = rule.section.trim();
+  if (Array.isArray(rule.keywords)) rule.keywords = rule.keywords.map(k => String(k).trim()).filter(Boolean);
+  if (Array.isArray(rule.contract_types)) {
+    rule.contract_types = rule.contract_types.map(t => String(t).trim().toUpperCase()).filter(Boolean);
+    if (!rule.contract_types.length) delete rule.contract_types;
+  }
+  return rule;
+}
+
+export function readConfigRules() {
+  try {
+    const raw = fs.readFileSync(RULES_CONFIG_PATH, 'utf-8');
+    const parsed = JSON.parse(raw);
+    // Accept either a bare array or { rules: [...] }
+    const arr = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.rules) ? parsed.rules : []);
+    return arr.filter((r) => {
+      const errors = validateRule(r);
+      if (errors.length) console.warn(`⚠️ Skipping invalid rule ${r?.section || '(no section)'} in config/farRules.json:`, errors.join('; '));
+      return errors.length === 0;
+    });
+  } catch (_) {
+    return [];
+  }
+}
+
+// Default rule per section (built-in, then config file), before any override
+function defaultRules() {
+  const bySec = new Map();
+  for (const r of [...farRules, ...modernComplianceRules]) bySec.set(r.section, { rule: r, source: 'builtin' });
+  for (const r of readConfigRules()) bySec.set(r.section, { rule: r, source: 'config' });
+  return bySec;
+}
+
+/**
+ * Effective rule set with metadata for the editor:
+ * { ...rule, enabled, source: 'builtin'|'config'|'custom', overridden, updatedAt }
+ */
+export function listRules(memory) {
+  const defaults = defaultRules();
+  const overrides = new Map((memory.ruleOverrides || []).map(o => [o.section, o]));
+  const out = [];
+  for (const [section, { rule, source }] of defaults) {
+    const o = overrides.get(section);
+    out.push({
+      ...(o?.rule || rule),
+      enabled: o ? o.enabled !== false : true,
+      source,
+      overridden: !!o,
+      updatedAt: o?.updated_at || null,
+    });
+  }
+  for (const [section, o] of overrides) {
+    if (defaults.has(section) || !o.rule) continue;
+    out.push({ ...o.rule, enabled: o.enabled !== false, source: 'custom', overridden: false, updatedAt: o.updated_at || null });
+  }
+  return out;
+}
+
+// Rules the audit should run
+export function getActiveRules(memory) {
+  return listRules(memory).filter(r => r.enabled);
+}
+
+export function findRule(memory, section) {
+  const base = defaultRules().get(section) || null;
+  const override = (memory.ruleOverrides || []).find(o => o.section === section) || null;
+  const rule = listRules(memory).find(r => r.section === section) || null;
+  return { rule, base: base?.rule || null, override };
+}
+
+export function upsertRuleOverride(memory, section, { rule, enabled }) {
+  const list = memory.ruleOverrides || (memory.ruleOverrides = []);
+  const existing = list.find(o => o.section === section);
+  const entry = {
+    section,
+    rule: rule !== undefined ? rule : (existing?.rule ?? null),
+    enabled: enabled !== undefined ? !!enabled : (existing ? existing.enabled !== false : true),
+    updated_at: new Date().toISOString(),
+  };
+  if (existing) Object.assign(existing, entry);
+  else list.push(entry);
+  return entry;
+}
+
+export function removeRuleOverride(memory, section) {
+  const list = memory.ruleOverrides || [];
+  const idx = list.findIndex(o => o.section === section);
+  if (idx === -1) return null;
+  return list.splice(idx, 1)[0];
+}
@@ -0,0 +1,98 @@
+// FAR rule test harness: expected-outcome fixtures plus a dry run against the
+// loaded GL, used to check a proposed rule set before it reaches auditors.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { auditItem } from '../../modules/services/auditService.js';
+import { validateRule } from '../../modules/services/ruleConditions.js';
+import { auditEntries, summarizeResults } from './auditEngine.js';
+import { getActiveRules, findRule, sanitizeRule } from './ruleStore.js';
+import { diffAuditResults } from './ruleVersions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_PATH = path.join(__dirname, '..', '..', 'config', 'ruleFixtures.json');
+
+// Fixture: { id, description, accountNumber?, amount?, category?, vendor?, expect: { status, section? } }
+export function loadFixtures() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf-8'));
+    const arr = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.fixtures) ? parsed.fixtures : []);
+    return arr.filter(f => f && f.expect && f.expect.status);
+  } catch (e) {
+    console.warn('⚠️ Could not read config/ruleFixtures.json:', e.message);
+    return [];
+  }
+}
+
+/**
+ * Run each fixture through auditItem. A fixture passes when the status matches
+ * and, if expect.section is given, the primary FAR section matches too.
+ */
+export function runFixtures(rules, fixtures = loadFixtures()) {
+  const results = fixtures.map((f, i) => {
+    const r = auditItem(f, rules);
+    const statusOk = r.status === f.expect.status;
+    const sectionOk = !f.expect.section || r.farSection === f.expect.section;
+    return {
+      id: f.id || `fixture-${i + 1}`,
+      description: f.description,
+      expected: { status: f.expect.status, section: f.expect.section || null },
+      actual: { status: r.status, section: r.farSection || null, sections: r.farSections },
+      passed: statusOk && sectionOk,
+    };
+  });
+  const failed = results.filter(r => !r.passed);
+  return { total: results.length, passed: results.length - failed.length, failed: failed.length, failures: failed, results };
+}
+
+// Dry-run the loaded GL under the current and proposed rules; nothing is persisted.
+// options: auditOptions(memory), so results match a live audit
+export function dryRunGL(entries, currentRules, proposedRules, options = {}) {
+  const list = entries || [];
+  const before = auditEntries(list, { id: null, hash: null, rules: currentRules }, options);
+  const after = auditEntries(list, { id: null, hash: null, rules: proposedRules }, options);
+  const byId = new Map(list.map(e => [String(e.id), e]));
+  const changed = diffAuditResults(before, after).map(c => ({
+    ...c,
+    description: byId.get(c.gl_entry_id)?.description ?? null,
+    amount: byId.get(c.gl_entry_id)?.amount ?? null,
+  }));
+  return {
+    audited: list.length,
+    summary: { current: summarizeResults(before), proposed: summarizeResults(after) },
+    changedCount: changed.length,
+    changed,
+  };
+}
+
+/**
+ * Build the proposed active rule set from a test request:
+ *   { rules: [...] }                 a complete replacement rule set
+ *   { rule: {...}, enabled? }        one rule added/replaced in the current set
+ *   { section, enabled: false }      the current set with one rule disabled
+ * Returns { rules, errors }.
+ */
+export function proposedRuleSet(memory, proposal = {}) {
+  const current = getActiveRules(memory);
+  if (Array.isArray(proposal.rules)) {
+    const rules = proposal.rules.map(sanitizeRule);
+    const errors = rules.flatMap(r => validateRule(r).map(e => `${r.section || '(no section)'}: ${e}`));
+    return { rules, errors };
+  }
+  const section = proposal.rule?.section || proposal.section;
+  if (!section) return { rules: current, errors: ['rules, rule or section is required'] };
+  let rules = current.filter(r => r.section !== section);
+  const errors = [];
+  if (proposal.rule && proposal.enabled !== false) {
+    const rule = sanitizeRule(proposal.rule);
+    errors.push(...validateRule(rule));
+    rules = [...rules, rule];
+  } else if (!proposal.rule && proposal.enabled !== false) {
+    // Re-enabling: bring back the rule definition even if it is currently disabled
+    const { rule } = findRule(memory, section);
+    if (rule) rules = [...rules, sanitizeRule(rule)];
+  }
+  return { rules, errors };
+}
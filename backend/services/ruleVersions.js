@@ -0,0 +1,99 @@
+// FAR rule-set versioning. Every distinct effective rule set gets a version row
+// (hash + timestamp + full rules), so audit results can name the rules that
+// produced them and past audits can be replayed.
+import crypto from 'crypto';
+import { getActiveRules, sanitizeRule } from './ruleStore.js';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+
+// Stable JSON: object keys sorted so the hash ignores key order
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Only rule definitions count; editor metadata (source, updatedAt, ...) does not
+export function snapshotRules(rules) {
+  return (rules || [])
+    .map(sanitizeRule)
+    .sort((a, b) => String(a.section).localeCompare(String(b.section)));
+}
+
+export function hashRules(rules) {
+  return crypto.createHash('sha256').update(canonical(snapshotRules(rules))).digest('hex');
+}
+
+export function latestVersion(memory) {
+  const list = memory.ruleVersions || [];
+  return list.length ? list[list.length - 1] : null;
+}
+
+/**
+ * Make sure the active rule set has a version row, creating one when the
+ * rules changed since the latest version. Returns the current version.
+ */
+export function ensureCurrentVersion(memory, sqlite, note = null) {
+  const rules = snapshotRules(getActiveRules(memory));
+  const hash = hashRules(rules);
+  const latest = latestVersion(memory);
+  if (latest && latest.hash === hash) return latest;
+
+  const version = {
+    id: latest ? latest.id + 1 : 1,
+    hash,
+    created_at: new Date().toISOString(),
+    rule_count: rules.length,
+    note,
+    rules,
+  };
+  if (!memory.ruleVersions) memory.ruleVersions = [];
+  memory.ruleVersions.push(version);
+  try {
+    if (sqlite) sqlite.saveRuleVersion(version);
+    else saveFileConfig('rule_versions', memory.ruleVersions);
+  } catch (persistError) {
+    console.error('Failed to persist rule set version:', persistError);
+  }
+  console.log(`📚 Rule set version ${version.id} recorded (${hash.slice(0, 12)}, ${rules.length} rules)`);
+  return version;
+}
+
+export function findVersion(memory, id) {
+  return (memory.ruleVersions || []).find(v => v.id === Number(id)) || null;
+}
+
+// Version in force at a point in time: the latest one created at or before it
+export function versionAt(memory, when) {
+  const t = new Date(when).getTime();
+  if (!Number.isFinite(t)) return null;
+  let found = null;
+  for (const v of memory.ruleVersions || []) {
+    if (new Date(v.created_at).getTime() <= t) found = v;
+  }
+  return found;
+}
+
+export function describeVersion(v) {
+  if (!v) return null;
+  return { id: v.id, hash: v.hash, created_at: v.created_at, rule_count: v.rule_count, note: v.note || null };
+}
+
+// Rows whose status or primary FAR section differ between two audit runs
+export function diffAuditResults(before, after) {
+  const afterById = new Map((after || []).map(r => [r.gl_entry_id, r]));
+  const changed = [];
+  for (const b of before || []) {
+    const a = afterById.get(b.gl_entry_id);
+    if (!a) continue;
+    if (a.status !== b.status || (a.far_section || null) !== (b.far_section || null)) {
+      changed.push({
+        gl_entry_id: b.gl_entry_id,
+        before: { status: b.status, far_issue: b.far_issue, far_section: b.far_section },
+        after: { status: a.status, far_issue: a.far_issue, far_section: a.far_section },
+      });
+    }
+  }
+  return changed;
+}
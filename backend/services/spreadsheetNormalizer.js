@@ -3,15 +3,18 @@
  *
  * Features
  * - Accepts CSV/XLSX buffers – header row may be anywhere
+ * - Reads QuickBooks IIF, OFX/QFX/QBO statements and Costpoint extracts via exportParsers.js
+ * - Reads every worksheet of a workbook with per-sheet header detection and mapping
  * - Uses Azure GPT-4o (via Azure OpenAI Chat Completions) to detect header row and map to a standard schema
  * - Robust local fallbacks for header detection and mapping when LLM unavailable
  * - Normalizes dates to ISO (yyyy-MM-dd) and amounts to floats with international format handling
+ * - Keeps each row's currency (currency column, or a symbol/code in the amount cell)
  * - Exposes modular functions and an end-to-end normalizeSpreadsheet() workflow
  * - Export helpers for CSV, XLSX, JSON
  *
  * Minimal Usage
  *   import { normalizeSpreadsheet, exportToCSV } from './backend/services/spreadsheetNormalizer.js';
- *   const { rows, mapping, headerRowIndex, logs } = await normalizeSpreadsheet(buffer, { filename: 'gl.xlsx' });
+ *   const { rows, mapping, headerRowIndex, logs, sheets } = await normalizeSpreadsheet(buffer, { filename: 'gl.xlsx' });
  *   const csv = exportToCSV(rows);
  */
 
@@ -19,6 +22,8 @@ import { parse as parseCSV } from 'csv-parse/sync';
 import ExcelJS from 'exceljs';
 import { parse as parseDateFns, isValid as isValidDate, format as formatDate } from 'date-fns';
 import currency from 'currency.js';
+import { findExportParser } from './exportParsers.js';
+import { currencyCode, detectCurrency } from './fxRates.js';
 
 // ============== Config / Azure LLM helper =================
 function getAzureConfig() {
@@ -62,41 +67,52 @@ async function azureChat(messages, { temperature = 0, max_tokens = 600, jsonMode
 
 // ============== Parsing helpers =================
 
-function detectFileKind(filename = '') {
+function detectFileKind(filename = '', buffer = null) {
   const lower = String(filename || '').toLowerCase();
+  const parser = findExportParser(lower, buffer);
+  if (parser) return parser.kind;
   if (lower.endsWith('.csv')) return 'csv';
   if (lower.endsWith('.xlsx') || lower.endsWith('.xls')) return 'xlsx';
   return 'unknown';
 }
 
-async function bufferToRows(buffer, { filename } = {}) {
+// One entry per worksheet: { name, index, hidden, rows (AOA), rowNumbers }.
+// rowNumbers[i] is the 1-based spreadsheet row (CSV line) of rows[i], since
+// empty rows are dropped. Sheets from an export parser also carry its
+// `headerRowIndex` and `mapping`.
+async function bufferToSheets(buffer, { filename } = {}) {
+  const parser = findExportParser(filename, buffer);
+  if (parser) return parser.parse(buffer, { filename });
   const kind = detectFileKind(filename);
   if (kind === 'csv') {
     const text = new TextDecoder().decode(buffer);
-    const records = parseCSV(text, { relaxColumnCount: true, skip_empty_lines: true });
-    return records; // AOA
+    const records = parseCSV(text, { relaxColumnCount: true, skip_empty_lines: true, info: true });
+    const name = String(filename || 'upload.csv').replace(/^.*[\\/]/, '');
+    return [{ name, index: 0, hidden: false, rows: records.map(r => r.record), rowNumbers: records.map(r => r.info.lines) }];
   }
   // Default to XLSX parsing with ExcelJS
   const workbook = new ExcelJS.Workbook();
   await workbook.xlsx.load(buffer);
-  const worksheet = workbook.worksheets[0];
-  if (!worksheet) return [];
-
-  const rows = [];
-  worksheet.eachRow((row, rowIndex) => {
-    const values = [];
-    row.eachCell((cell, colIndex) => {
-      values[colIndex - 1] = cell.value;
+  return workbook.worksheets.map((worksheet, index) => {
+    const rows = [];
+    const rowNumbers = [];
+    worksheet.eachRow((row, rowIndex) => {
+      const values = [];
+      row.eachCell((cell, colIndex) => {
+        values[colIndex - 1] = cell.value;
+      });
+      rows.push(values);
+      rowNumbers.push(rowIndex);
     });
-    rows.push(values);
+    return { name: worksheet.name, index, hidden: worksheet.state !== 'visible', rows, rowNumbers };
   });
-  return rows; // AOA
 }
 
 // ============== Header detection =================
 
-const STANDARD_FIELDS = [
-  'date', 'accountNumber', 'description', 'amount', 'category', 'vendor', 'contractNumber'
+export const STANDARD_FIELDS = [
+  'date', 'accountNumber', 'description', 'amount', 'category', 'vendor', 'contractNumber', 'employeeId',
+  'project', 'task', 'org', 'documentNumber', 'lineNumber', 'poNumber', 'debit', 'credit', 'currency'
 ];
 
 const SYNONYMS = {
@@ -107,9 +123,9 @@ const SYNONYMS = {
   description: ['description', 'memo', 'details', 'detail', 'item description', 'narration']
     .map(s => s.toLowerCase()),
   amount: ['amount', 'amount$', 'amountusd', 'total', 'totalamount', 'lineamount', 'extendedamount',
-    'netamount', 'grossamount', 'amt', 'transactionamount', 'amountus$', 'amount($)', 'debit', 'credit']
+    'netamount', 'grossamount', 'amt', 'transactionamount', 'amountus$', 'amount($)']
     .map(s => s.toLowerCase()),
-  category: ['category', 'gl category', 'account type', 'type', 'expense type']
+  category: ['category', 'gl category', 'account type', 'type', 'expense type', 'cost element', 'cost element code']
     .map(s => s.toLowerCase()),
   vendor: ['vendor', 'vendor name', 'supplier', 'payee', 'merchant']
     .map(s => s.toLowerCase()),
@@ -118,6 +134,28 @@ const SYNONYMS = {
     'contract id', 'contract_id', 'contract identifier', 'job number', 'job_number',
     'project number', 'project_number', 'award number', 'award_number']
     .map(s => s.toLowerCase()),
+  employeeId: ['employee id', 'employee', 'employee number', 'employee no', 'emp id', 'emp no', 'empid',
+    'employee_id', 'employee name', 'personnel number', 'staff id', 'badge number']
+    .map(s => s.toLowerCase()),
+  project: ['project', 'project id', 'project code', 'project number', 'project no', 'proj', 'proj id', 'project_id']
+    .map(s => s.toLowerCase()),
+  task: ['task', 'task id', 'task number', 'task no', 'task code', 'wbs', 'wbs element']
+    .map(s => s.toLowerCase()),
+  org: ['org', 'org id', 'org code', 'organization', 'organization id', 'department', 'dept', 'cost center']
+    .map(s => s.toLowerCase()),
+  documentNumber: ['document number', 'document no', 'doc number', 'doc no', 'journal', 'journal number', 'journal id',
+    'journal entry', 'je', 'je number', 'voucher', 'voucher number', 'voucher no', 'voucher id']
+    .map(s => s.toLowerCase()),
+  lineNumber: ['line', 'line number', 'line no', 'line #', 'line id', 'je line', 'journal line', 'line_number', 'seq', 'sequence']
+    .map(s => s.toLowerCase()),
+  poNumber: ['po number', 'po', 'po no', 'po #', 'po#', 'ponumber', 'purchase order', 'purchase order number', 'po_number']
+    .map(s => s.toLowerCase()),
+  debit: ['debit', 'debits', 'debit amount', 'dr', 'dr amount']
+    .map(s => s.toLowerCase()),
+  credit: ['credit', 'credits', 'credit amount', 'cr', 'cr amount']
+    .map(s => s.toLowerCase()),
+  currency: ['currency', 'currency code', 'curr', 'ccy', 'transaction currency', 'txn currency', 'iso currency', 'currency_code']
+    .map(s => s.toLowerCase()),
 };
 
 const LOWER_ALNUM = s => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
@@ -166,23 +204,22 @@ function mapHeadersLocal(headers) {
   const idx = {};
   const hnorm = headers.map(h => LOWER_ALNUM(h));
   for (const field of STANDARD_FIELDS) {
-    const syn = SYNONYMS[field].map(LOWER_ALNUM);
-    let i = hnorm.findIndex(h => syn.includes(h));
-    // amount fallback for separate debit/credit
-    if (i < 0 && field === 'amount') {
-      const di = hnorm.findIndex(h => SYNONYMS.amount.includes('debit') && h.includes('debit'));
-      const ci = hnorm.findIndex(h => SYNONYMS.amount.includes('credit') && h.includes('credit'));
-      if (di >= 0 || ci >= 0) i = Math.max(di, ci);
+    // Synonyms are in priority order, so "Contract" wins over "Project Number"
+    let i = -1;
+    for (const syn of SYNONYMS[field].map(LOWER_ALNUM)) {
+      i = hnorm.indexOf(syn);
+      if (i >= 0) break;
     }
     idx[field] = i;
   }
-  return idx; // e.g., {date: 2, amount: 5, ...}
+  return idx; // e.g., {date: 2, amount: 5, debit: -1, ...}; amount -1 with debit/credit means debit - credit
 }
 
 async function mapHeadersWithGPT(headers) {
   const system = { role: 'system', content: 'You map spreadsheet headers to a fixed schema.' };
   const user = { role: 'user', content: `Headers: ${JSON.stringify(headers)}
-Return JSON: {"mapping": {"date": <idx or -1>, "accountNumber": <idx or -1>, "description": <idx or -1>, "amount": <idx or -1>, "category": <idx or -1>, "vendor": <idx or -1>, "contractNumber": <idx or -1>}}` };
+Return JSON: {"mapping": {${STANDARD_FIELDS.map(f => `"${f}": <idx or -1>`).join(', ')}}}
+"documentNumber" is the journal/voucher number. Map "amount" only to a single signed amount column; separate debit and credit columns go to "debit" and "credit". "currency" is a column of currency codes such as EUR.` };
   try {
     const content = await azureChat([system, user], { jsonMode: true, max_tokens: 300 });
     if (!content) return null;
@@ -235,7 +272,8 @@ function normalizeAmountValue(val) {
     s = s.slice(1, -1).trim(); 
   }
   
-  // Remove currency symbols and apostrophes/space separators
+  // Remove currency codes and symbols ("EUR 12", "CA$12") and apostrophes/space separators
+  s = s.replace(/\b[A-Za-z]{3}\b/g, m => (currencyCode(m) ? '' : m)).replace(/[A-Za-z]{1,3}\$/, '');
   s = s.replace(/[\$€£¥₹₩₽₺¢ CHFUSDINRJPYKRWSEKEURGBP]|[\s\']+/gi, '');
   
   // Try currency.js tolerant parse by cleaning separators heuristically
@@ -248,76 +286,175 @@ function normalizeAmountValue(val) {
   } else if (hasComma && !hasDot) {
     const m = s.match(/,\d{2}$/); s = m ? s.replace(',', '.') : s.replace(/,/g, '');
   }
+  // Anything left besides a sign, digits and one decimal point is not an amount
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(s)) return null;
   try {
     const c = currency(s);
     const n = c.value;
-    return negative ? -Math.abs(n) : Math.abs(n);
+    return negative || s.startsWith('-') ? -Math.abs(n) : Math.abs(n);
   } catch { return null; }
 }
 
 // ============== Core normalization =================
 
+const TEXT_FIELDS = ['accountNumber', 'description', 'category', 'vendor', 'contractNumber', 'employeeId', 'project', 'task', 'org', 'documentNumber', 'lineNumber', 'poNumber'];
+
+// ExcelJS formula, rich-text and hyperlink cells arrive as objects
+function cellValue(v) {
+  if (v == null || typeof v !== 'object' || v instanceof Date) return v;
+  if ('result' in v) return v.result;
+  if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+  if ('text' in v) return v.text;
+  return v;
+}
+
+const filled = v => v != null && String(v).trim() !== '';
+
+// Returns the schema row plus `parseErrors` for filled date/amount cells that
+// could not be read, so validation can report them instead of seeing blanks
 function normalizeRow(row, mapping) {
-  const out = {
-    date: null,
-    accountNumber: null,
-    description: null,
-    amount: null,
-    category: null,
-    vendor: null,
-    contractNumber: null,
-  };
-  const pick = (idx) => (Number.isInteger(idx) && idx >= 0 && idx < row.length) ? row[idx] : null;
+  const out = Object.fromEntries(STANDARD_FIELDS.map(f => [f, null]));
+  const parseErrors = [];
+  const pick = (idx) => (Number.isInteger(idx) && idx >= 0 && idx < row.length) ? cellValue(row[idx]) : null;
   out.date = normalizeDateValue(pick(mapping.date));
-  out.accountNumber = pick(mapping.accountNumber) != null ? String(pick(mapping.accountNumber)).trim() : null;
-  out.description = pick(mapping.description) != null ? String(pick(mapping.description)).trim() : null;
-  const amtRaw = pick(mapping.amount);
-  out.amount = normalizeAmountValue(amtRaw != null ? amtRaw : ( // fallback debit - credit
-    (mapping.debit >= 0 || mapping.credit >= 0)
-      ? (normalizeAmountValue(pick(mapping.debit)) || 0) - (normalizeAmountValue(pick(mapping.credit)) || 0)
-      : null
-  ));
-  out.category = pick(mapping.category) != null ? String(pick(mapping.category)).trim() : null;
-  out.vendor = pick(mapping.vendor) != null ? String(pick(mapping.vendor)).trim() : null;
-  out.contractNumber = pick(mapping.contractNumber) != null ? String(pick(mapping.contractNumber)).trim() : null;
-  return out;
+  if (out.date == null && filled(pick(mapping.date))) parseErrors.push({ field: 'date', value: String(pick(mapping.date)) });
+  for (const field of TEXT_FIELDS) {
+    const v = pick(mapping[field]);
+    out[field] = v != null && String(v).trim() !== '' ? String(v).trim() : null;
+  }
+  for (const field of ['debit', 'credit', 'amount']) {
+    out[field] = normalizeAmountValue(pick(mapping[field]));
+    if (out[field] == null && filled(pick(mapping[field]))) parseErrors.push({ field, value: String(pick(mapping[field])) });
+  }
+  // Currency column, else a symbol or code in the amount cell; null means USD.
+  // An unrecognized currency value is kept so validation can report it.
+  const cur = pick(mapping.currency);
+  out.currency = filled(cur)
+    ? currencyCode(cur) || detectCurrency(cur) || String(cur).trim()
+    : detectCurrency(pick(mapping.amount) ?? pick(mapping.debit) ?? pick(mapping.credit));
+  // Fallback debit - credit when there is no amount column or the cell is empty
+  if (out.amount == null && !filled(pick(mapping.amount)) && (out.debit != null || out.credit != null)) {
+    out.amount = (out.debit || 0) - (out.credit || 0);
+  }
+  return { out, parseErrors };
+}
+
+// Header detection and mapping for one worksheet. A saved mapping profile
+// matching one of the first rows wins (no LLM calls); otherwise tabs that
+// share a header row (one tab per cost center) reuse the first tab's mapping
+// via `cache`. Sheets from an export parser come with their layout's mapping.
+async function normalizeSheet(sheet, { useLLM, profileFor, cache, logs, warnings }) {
+  const aoa = sheet.rows;
+  const label = `Sheet "${sheet.name}"`;
+  if (!aoa.length) return { headerRowIndex: 0, headers: [], mapping: {}, profile: null, rows: [] };
+
+  let headerRowIndex = null;
+  let profile = null;
+  if (profileFor) {
+    for (let r = 0; r < Math.min(aoa.length, 30) && !profile; r++) {
+      profile = profileFor((aoa[r] || []).map(v => String(v || '')));
+      if (profile) headerRowIndex = r;
+    }
+    if (profile) logs.push(`${label}: mapping profile "${profile.name}" applied to header row ${headerRowIndex}`);
+  }
+  const layout = !profile && sheet.mapping ? Object.fromEntries(STANDARD_FIELDS.map(f => [f, sheet.mapping[f] ?? -1])) : null;
+  if (layout) {
+    headerRowIndex = sheet.headerRowIndex ?? 0;
+    logs.push(`${label}: ${sheet.format || 'export'} layout mapping used`);
+  }
+  if (headerRowIndex == null && useLLM) {
+    try { headerRowIndex = await detectHeaderRowWithGPT(aoa); logs.push(`${label}: LLM header detection attempted`); } catch (e) { warnings.push(`${label}: LLM header detection failed`); }
+  }
+  if (headerRowIndex == null) { headerRowIndex = detectHeaderRowLocal(aoa); logs.push(`${label}: local header detection used: row ${headerRowIndex}`); }
+
+  const headers = (aoa[headerRowIndex] || []).map(v => String(v || ''));
+  const key = headers.map(LOWER_ALNUM).join('|');
+  let mapping = profile ? { ...profile.mapping } : layout || (cache.get(key) ? { ...cache.get(key) } : null);
+  if (mapping && !profile && !layout) logs.push(`${label}: reused mapping from a sheet with the same headers`);
+  if (!mapping && useLLM) { mapping = await mapHeadersWithGPT(headers).catch(() => null); }
+  if (!mapping) { mapping = mapHeadersLocal(headers); logs.push(`${label}: local header mapping used`); }
+  if (!profile && !layout) {
+    // Debit/credit columns under other names ("Debit USD", "Cr") still feed the amount
+    if (!(mapping.debit >= 0)) mapping.debit = headers.findIndex(h => /(^|\b)(debit|dr)(\b|$)/i.test(h));
+    if (!(mapping.credit >= 0)) mapping.credit = headers.findIndex(h => /(^|\b)(credit|cr)(\b|$)/i.test(h));
+    cache.set(key, mapping);
+  }
+
+  const rows = [];
+  for (let i = headerRowIndex + 1; i < aoa.length; i++) {
+    const { out, parseErrors } = normalizeRow(aoa[i], mapping);
+    // skip empty rows with no core data
+    const hasAny = parseErrors.length || Object.values(out).some(v => v !== null && String(v).trim() !== '');
+    if (hasAny) rows.push({ ...out, sourceSheet: sheet.name, sourceRow: sheet.rowNumbers[i], ...(parseErrors.length ? { parseErrors } : {}) });
+  }
+  return { headerRowIndex, headers, mapping, profile: profile ? { id: profile.id, name: profile.name } : null, rows };
 }
 
 /**
  * Normalize an uploaded spreadsheet buffer into standard GL schema.
+ * Every worksheet is read and mapped on its own. Without `sheets`, rows come
+ * from each visible sheet with a recognizable amount column (`suggested`);
+ * pass sheet names or 0-based indexes to choose, or 'all'. `sheets` in the
+ * result describes every worksheet so callers can offer a selection, and each
+ * row carries its `sourceSheet` and 1-based `sourceRow`. `mapping` and
+ * `headerRowIndex` are those of the first selected sheet. `profileFor(headers)`
+ * may return a saved mapping profile `{ id, name, mapping }` (column indexes)
+ * for a candidate header row. `format` names the parser used: 'csv', 'xlsx',
+ * or an export kind from exportParsers.js ('iif', 'ofx', 'costpoint').
  * @param {Buffer|Uint8Array} buffer
- * @param {{ filename?: string, useLLM?: boolean }} options
- * @returns {Promise<{rows: Array, mapping: Object, headerRowIndex: number, logs: Array<string>, warnings: Array<string>, errors: Array<string>}>>
+ * @param {{ filename?: string, useLLM?: boolean, sheets?: Array<string|number>|'all', profileFor?: Function }} options
+ * @returns {Promise<{rows: Array, mapping: Object, headerRowIndex: number, sheets: Array<Object>, format: string, logs: Array<string>, warnings: Array<string>, errors: Array<string>}>>
  */
-export async function normalizeSpreadsheet(buffer, { filename = 'upload.xlsx', useLLM = true } = {}) {
+export async function normalizeSpreadsheet(buffer, { filename = 'upload.xlsx', useLLM = true, sheets: selection = null, profileFor = null } = {}) {
   const logs = []; const warnings = []; const errors = [];
-  const aoa = await bufferToRows(buffer, { filename });
-  if (!Array.isArray(aoa) || aoa.length === 0) return { rows: [], mapping: {}, headerRowIndex: 0, logs, warnings, errors: ['Empty spreadsheet'] };
-
-  let headerRowIndex = null;
-  if (useLLM) {
-    try { headerRowIndex = await detectHeaderRowWithGPT(aoa); logs.push('LLM header detection attempted'); } catch (e) { warnings.push('LLM header detection failed'); }
+  const format = detectFileKind(filename, buffer);
+  const workbook = (await bufferToSheets(buffer, { filename })).map(s => ({ ...s, format }));
+  if (format !== 'csv' && format !== 'xlsx' && format !== 'unknown') logs.push(`Read as ${format} export`);
+  if (!workbook.some(s => s.rows.length)) return { rows: [], mapping: {}, headerRowIndex: 0, sheets: [], format, logs, warnings, errors: ['Empty spreadsheet'] };
+
+  const wanted = Array.isArray(selection) ? selection.map(v => String(v).trim()) : null;
+  if (wanted) {
+    const missing = wanted.filter(w => !workbook.some(s => s.name === w || String(s.index) === w));
+    if (missing.length) throw Object.assign(new Error(`Unknown worksheet(s): ${missing.join(', ')}`), { code: 'INVALID_SHEET' });
   }
-  if (headerRowIndex == null) { headerRowIndex = detectHeaderRowLocal(aoa); logs.push(`Local header detection used: row ${headerRowIndex}`); }
 
-  const headers = (aoa[headerRowIndex] || []).map(v => String(v || ''));
-  let mapping = null;
-  if (useLLM) { mapping = await mapHeadersWithGPT(headers).catch(() => null); }
-  if (!mapping) { mapping = mapHeadersLocal(headers); logs.push('Local header mapping used'); }
-  // Include debit/credit indices if present for fallback math
-  mapping.debit = headers.findIndex(h => /(^|\b)(debit|dr)(\b|$)/i.test(h));
-  mapping.credit = headers.findIndex(h => /(^|\b)(credit|cr)(\b|$)/i.test(h));
-
-  const dataRows = aoa.slice(headerRowIndex + 1);
-  const normalized = [];
-  for (const row of dataRows) {
-    const out = normalizeRow(row, mapping);
-    // skip empty rows with no core data
-    const hasAny = Object.values(out).some(v => v !== null && String(v).trim() !== '');
-    if (hasAny) normalized.push(out);
+  const cache = new Map();
+  const rows = [];
+  const sheets = [];
+  let first = null;
+  for (const sheet of workbook) {
+    const result = await normalizeSheet(sheet, { useLLM, profileFor, cache, logs, warnings });
+    const hasAmount = result.mapping.amount >= 0 || result.mapping.debit >= 0 || result.mapping.credit >= 0;
+    let reason = null;
+    if (!result.rows.length) reason = 'No data rows';
+    else if (sheet.hidden) reason = 'Hidden sheet';
+    else if (!hasAmount) reason = 'No amount column recognized';
+    let selected = !reason;
+    if (wanted) selected = wanted.includes(sheet.name) || wanted.includes(String(sheet.index));
+    else if (selection === 'all') selected = true;
+    if (!selected && result.rows.length) warnings.push(`Sheet "${sheet.name}" skipped${reason ? `: ${reason}` : ''}`);
+
+    sheets.push({
+      name: sheet.name,
+      index: sheet.index,
+      hidden: sheet.hidden,
+      headerRowIndex: result.headerRowIndex,
+      headers: result.headers,
+      mapping: result.mapping,
+      profile: result.profile,
+      entryCount: result.rows.length,
+      suggested: !reason,
+      selected,
+      reason,
+    });
+    if (selected) {
+      rows.push(...result.rows);
+      first = first || result;
+    }
   }
+  if (!first) errors.push('No worksheet with GL data was selected');
 
-  return { rows: normalized, mapping, headerRowIndex, logs, warnings, errors };
+  return { rows, mapping: first?.mapping || {}, headerRowIndex: first?.headerRowIndex ?? 0, sheets, format, logs, warnings, errors };
 }
 
 // ============== Export helpers =================
@@ -373,6 +510,10 @@ export const normalize = {
   row: normalizeRow,
 };
 
+export const parse = {
+  sheets: bufferToSheets,
+};
+
 export default {
   normalizeSpreadsheet,
   exportToCSV,
@@ -380,5 +521,6 @@ export default {
   exportToJSON,
   header,
   normalize,
+  parse,
 };
 
@@ -0,0 +1,411 @@
+// Labor timesheets: employee / date / hours / charge code records parsed from
+// timesheet spreadsheets or the text of timesheet documents, then reconciled
+// (hours x rate) against labor GL entries per contract and month. Floor-check
+// style flags cover unapproved time, days over the hour limit and charges to
+// contracts whose period of performance has ended.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { parse as parseCSV } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+import { extractApprovalsFromText } from './approvals.js';
+import { findContract } from '../../modules/services/contractRules.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TIMESHEET_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'timesheetRules.json');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const norm = (s) => String(s ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+const normalizeNumber = (n) => String(n ?? '').trim().toUpperCase();
+
+function readDefaults() {
+  try {
+    return JSON.parse(fs.readFileSync(TIMESHEET_CONFIG_PATH, 'utf-8'));
+  } catch (e) {
+    console.warn('⚠️ Could not read config/timesheetRules.json:', e.message);
+    return { max_daily_hours: 12, variance_tolerance_percent: 2, labor: { account_prefixes: [], keywords: ['labor'] }, rates: [] };
+  }
+}
+
+// Stored config (PUT /api/timesheets/config) or the shipped defaults
+export function timesheetConfig(memory) {
+  return memory.timesheetConfig || normalizeTimesheetConfig(readDefaults()).config;
+}
+
+/**
+ * Validate a config body: { max_daily_hours, variance_tolerance_percent,
+ * labor: { account_prefixes, keywords }, rates: [{ employee_id, rate, effective_from }] }.
+ * Returns { config, errors }.
+ */
+export function normalizeTimesheetConfig(body = {}) {
+  const errors = [];
+  const maxDaily = Number(body.max_daily_hours ?? 12);
+  if (!(maxDaily > 0 && maxDaily <= 24)) errors.push('max_daily_hours must be between 0 and 24');
+  const tolerance = Number(body.variance_tolerance_percent ?? 2);
+  if (!(tolerance >= 0 && tolerance <= 100)) errors.push('variance_tolerance_percent must be 0-100');
+  const list = (v) => (Array.isArray(v) ? v : []).map(s => String(s).trim()).filter(Boolean);
+  const labor = {
+    account_prefixes: list(body.labor?.account_prefixes),
+    keywords: list(body.labor?.keywords).map(k => k.toLowerCase()),
+  };
+  if (!labor.account_prefixes.length && !labor.keywords.length) errors.push('labor needs account_prefixes or keywords');
+  const rates = (Array.isArray(body.rates) ? body.rates : []).map((r, i) => {
+    const employeeId = String(r?.employee_id ?? '').trim();
+    const rate = Number(r?.rate);
+    const from = r?.effective_from ? String(r.effective_from).slice(0, 10) : null;
+    if (!employeeId) errors.push(`rates[${i}].employee_id is required`);
+    if (!(rate > 0)) errors.push(`rates[${i}].rate must be a positive number`);
+    if (from && Number.isNaN(Date.parse(from))) errors.push(`rates[${i}].effective_from must be YYYY-MM-DD`);
+    return { employee_id: employeeId, rate, effective_from: from };
+  });
+  return { config: { max_daily_hours: maxDaily, variance_tolerance_percent: tolerance, labor, rates }, errors };
+}
+
+export function saveTimesheetConfig(memory, sqlite, config) {
+  memory.timesheetConfig = config;
+  try {
+    if (sqlite) sqlite.saveConfig('timesheet_config', config);
+    else saveFileConfig('timesheet_config', config);
+  } catch (persistError) {
+    console.error('Failed to persist timesheet config:', persistError);
+  }
+  return config;
+}
+
+// ============== Parsing =================
+
+// Date cell (ExcelJS Date, Excel serial, ISO, m/d/yyyy) -> YYYY-MM-DD
+export function parseDay(value) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  if (typeof value === 'number' && value > 20000 && value < 80000) {
+    return new Date(Date.UTC(1899, 11, 30) + value * 86400000).toISOString().slice(0, 10);
+  }
+  const s = String(value).trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (!m) {
+    const us = s.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})$/);
+    if (us) m = [null, us[3].length === 2 ? `20${us[3]}` : us[3], us[1], us[2]];
+  }
+  if (!m) return null;
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  if (date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// Plain value of an ExcelJS cell (rich text, hyperlink and formula cells hold objects)
+export const cellText = (v) => {
+  if (v && typeof v === 'object' && !(v instanceof Date)) return String(v.text ?? v.result ?? v.richText?.map(t => t.text).join('') ?? '');
+  return v;
+};
+
+const HEADER_PATTERNS = {
+  employee_id: /^(employee|emp|staff|personnel)\s*(id|no|number|#)$|^employee_id$|^badge/,
+  employee_name: /^(employee\s*)?name$|^employee$/,
+  date: /^(work\s*)?date$|^day$|^date worked$/,
+  hours: /^(hours|hrs|hours worked|total hours)$/,
+  charge_code: /charge|contract|project|job|task|^wbs/,
+  labor_category: /labor\s*cat|^lcat$|^category$/,
+  rate: /rate/,
+  approved: /^(approved|approval|status|approval status)$/,
+  approver: /approver|approved by|supervisor/,
+};
+
+/**
+ * Parse a timesheet table (array of rows, first matching row is the header).
+ * One row per employee, day and charge code; weekly grids with a column per
+ * day must be unpivoted first. Returns { records, skipped }.
+ */
+export function parseTimesheetTable(aoa) {
+  const rows = (aoa || []).map(r => (r || []).map(cellText));
+  const headerIdx = rows.findIndex(r => {
+    const h = r.map(norm);
+    return h.some(c => HEADER_PATTERNS.hours.test(c)) && h.some(c => HEADER_PATTERNS.date.test(c));
+  });
+  if (headerIdx < 0) throw new Error('Timesheet must have date and hours columns');
+  const headers = rows[headerIdx].map(norm);
+  const idx = {};
+  for (const [field, re] of Object.entries(HEADER_PATTERNS)) {
+    idx[field] = headers.findIndex((h, i) => re.test(h) && !Object.values(idx).includes(i));
+  }
+  if (idx.employee_id < 0 && idx.employee_name < 0) throw new Error('Timesheet must have an employee column');
+  if (idx.charge_code < 0) throw new Error('Timesheet must have a charge code, contract or project column');
+
+  const at = (r, field) => (idx[field] >= 0 ? r[idx[field]] : undefined);
+  const records = [];
+  let skipped = 0;
+  for (const r of rows.slice(headerIdx + 1)) {
+    const date = parseDay(at(r, 'date'));
+    const hours = Number(String(at(r, 'hours') ?? '').replace(/[^\d.-]/g, ''));
+    const employeeId = String(at(r, 'employee_id') ?? '').trim();
+    const employeeName = String(at(r, 'employee_name') ?? '').trim();
+    const chargeCode = String(at(r, 'charge_code') ?? '').trim();
+    if (!date || !(hours > 0 && hours <= 24) || !(employeeId || employeeName) || !chargeCode) {
+      if (r.some(c => String(c ?? '').trim())) skipped++;
+      continue;
+    }
+    const status = norm(at(r, 'approved'));
+    const rate = Number(String(at(r, 'rate') ?? '').replace(/[$,\s]/g, ''));
+    records.push({
+      employee_id: employeeId || employeeName,
+      employee_name: employeeName || null,
+      date,
+      hours,
+      charge_code: chargeCode,
+      labor_category: String(at(r, 'labor_category') ?? '').trim() || null,
+      rate: rate > 0 ? rate : null,
+      // An approver name alone counts when there is no approval status column
+      approved: idx.approved >= 0 ? /^(y|yes|true|1|approved|signed)$/.test(status) : !!String(at(r, 'approver') ?? '').trim(),
+      approver: String(at(r, 'approver') ?? '').trim() || null,
+    });
+  }
+  return { records, skipped };
+}
+
+// Read a CSV or XLSX timesheet into rows
+export async function readTimesheetFile(buffer, filename = '') {
+  const lower = String(filename).toLowerCase();
+  if (lower.endsWith('.csv') || lower.endsWith('.txt')) {
+    return parseCSV(buffer.toString('utf-8').replace(/^﻿/, ''), { relaxColumnCount: true, skip_empty_lines: true });
+  }
+  if (lower.endsWith('.xlsx')) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    const rows = [];
+    sheet?.eachRow((row) => {
+      const values = [];
+      row.eachCell({ includeEmpty: true }, (cell, col) => { values[col - 1] = cell.value; });
+      rows.push(values);
+    });
+    return rows;
+  }
+  throw new Error('Timesheet files must be .csv or .xlsx; upload PDFs and scans through document ingest');
+}
+
+const TEXT_LINE_RE = /(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\/\d{1,2}\/\d{2,4})\s+(?:[A-Za-z]{3}\s+)?([A-Za-z0-9][\w./&-]*)\s+(\d{1,2}(?:\.\d{1,2})?)\s*(?:h|hrs?|hours)?\s*$/i;
+
+/**
+ * Parse the text of a timesheet document (OCR or extracted text): an
+ * "Employee:" / "Employee ID:" header and lines of "date charge-code hours".
+ * Approval comes from the document's approval block. Returns { records, skipped }.
+ */
+export function parseTimesheetText(text, approvals = null) {
+  const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const header = (re) => lines.map(l => l.match(re)).find(Boolean)?.[1]?.trim() || '';
+  const employeeId = header(/employee\s*(?:id|no|number|#)\s*[:#]\s*([\w-]+)/i);
+  const employeeName = header(/employee(?:\s*name)?\s*:\s*([A-Za-z][A-Za-z .,'-]+?)(?:\s{2,}|\s+employee\b|$)/i);
+  const approval = (approvals || extractApprovalsFromText(text)).find(a => a.decision === 'approved');
+  const records = [];
+  let skipped = 0;
+  for (const line of lines) {
+    const m = line.match(TEXT_LINE_RE);
+    if (!m || /^(total|subtotal)$/i.test(m[2])) continue;
+    const date = parseDay(m[1]);
+    const hours = Number(m[3]);
+    if (!date || !(hours > 0 && hours <= 24) || !(employeeId || employeeName)) { skipped++; continue; }
+    records.push({
+      employee_id: employeeId || employeeName,
+      employee_name: employeeName || null,
+      date,
+      hours,
+      charge_code: m[2],
+      labor_category: null,
+      rate: null,
+      approved: !!approval,
+      approver: approval?.approver || null,
+    });
+  }
+  return { records, skipped };
+}
+
+// ============== Storage =================
+
+// One employee's hours on one charge code and day
+const entryKey = (t) => `${String(t.employee_id || t.employee_name || '').trim().toLowerCase()}|${t.date}|${String(t.charge_code || '').trim().toLowerCase()}`;
+
+/**
+ * Store parsed records, so importing a timesheet twice does not double-count
+ * hours. Records from a document replace that document's earlier rows; file
+ * and row imports skip records whose employee, date and charge code are already
+ * stored. Returns { rows, duplicates }.
+ */
+export function importTimesheets(memory, sqlite, records, { document_id = null, source = 'import' } = {}) {
+  const now = new Date().toISOString();
+  if (document_id) memory.timesheets = (memory.timesheets || []).filter(t => t.document_id !== String(document_id));
+  const existing = new Set(document_id ? [] : (memory.timesheets || []).map(entryKey));
+  const fresh = records.filter(r => !existing.has(entryKey(r)));
+  const rows = fresh.map(r => ({
+    id: crypto.randomUUID(),
+    document_id: document_id ? String(document_id) : null,
+    source,
+    ...r,
+    approved_at: r.approved ? now : null,
+    created_at: now,
+  }));
+  memory.timesheets = [...(memory.timesheets || []), ...rows];
+  try {
+    if (sqlite) {
+      if (document_id) sqlite.deleteTimesheetsForDocument(String(document_id));
+      sqlite.saveTimesheetEntries(rows);
+    } else {
+      saveFileConfig('timesheets', memory.timesheets);
+    }
+  } catch (persistError) {
+    console.error('Failed to persist timesheets:', persistError);
+  }
+  return { rows, duplicates: records.length - fresh.length };
+}
+
+function persistRow(memory, sqlite, row, removed = false) {
+  try {
+    if (sqlite) removed ? sqlite.deleteTimesheetEntry(row.id) : sqlite.saveTimesheetEntries([row]);
+    else saveFileConfig('timesheets', memory.timesheets);
+  } catch (persistError) {
+    console.error('Failed to persist timesheet entry:', persistError);
+  }
+}
+
+export function setTimesheetApproval(memory, sqlite, row, { approved, approver }) {
+  row.approved = !!approved;
+  row.approver = approved ? (approver || row.approver || null) : null;
+  row.approved_at = approved ? new Date().toISOString() : null;
+  persistRow(memory, sqlite, row);
+  return row;
+}
+
+export function deleteTimesheetEntry(memory, sqlite, row) {
+  memory.timesheets = (memory.timesheets || []).filter(t => t.id !== row.id);
+  persistRow(memory, sqlite, row, true);
+  return row;
+}
+
+// ============== Checks and reconciliation =================
+
+/**
+ * Floor-check flags: UNAPPROVED rows, OVER_DAILY_LIMIT employee-days and
+ * CLOSED_CONTRACT charges dated after the contract's period of performance.
+ */
+export function timesheetFlags(memory, config = timesheetConfig(memory)) {
+  const rows = memory.timesheets || [];
+  const flags = [];
+  for (const t of rows) {
+    if (!t.approved) {
+      flags.push({ type: 'UNAPPROVED', employee_id: t.employee_id, date: t.date, charge_code: t.charge_code, hours: t.hours, timesheet_ids: [t.id], message: `${t.hours}h on ${t.charge_code} not approved` });
+    }
+    const contract = findContract(memory.contracts, t.charge_code);
+    if (contract?.pop_end && t.date > contract.pop_end) {
+      flags.push({ type: 'CLOSED_CONTRACT', employee_id: t.employee_id, date: t.date, charge_code: t.charge_code, hours: t.hours, timesheet_ids: [t.id], message: `${contract.contract_number} ended ${contract.pop_end}` });
+    }
+  }
+  const days = new Map();
+  for (const t of rows) {
+    const key = `${t.employee_id}|${t.date}`;
+    const d = days.get(key) || { employee_id: t.employee_id, date: t.date, hours: 0, ids: [], codes: new Set() };
+    d.hours += Number(t.hours) || 0;
+    d.ids.push(t.id);
+    d.codes.add(t.charge_code);
+    days.set(key, d);
+  }
+  for (const d of days.values()) {
+    if (d.hours > config.max_daily_hours) {
+      flags.push({ type: 'OVER_DAILY_LIMIT', employee_id: d.employee_id, date: d.date, charge_code: [...d.codes].join(', '), hours: round2(d.hours), timesheet_ids: d.ids, message: `${round2(d.hours)}h exceeds the ${config.max_daily_hours}h daily limit` });
+    }
+  }
+  return flags.sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.type.localeCompare(b.type));
+}
+
+export function isLaborEntry(entry, labor = {}) {
+  const account = String(entry.account_number || '');
+  if ((labor.account_prefixes || []).some(p => account.startsWith(p))) return true;
+  const text = ` ${entry.description || ''} ${entry.category || ''} `.toLowerCase();
+  return (labor.keywords || []).some(k => new RegExp(`[^a-z]${k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[^a-z]`).test(text));
+}
+
+// Row rate, else the employee's configured rate in effect on the date
+function rateFor(row, rates) {
+  if (row.rate > 0) return row.rate;
+  const match = (rates || [])
+    .filter(r => r.employee_id === row.employee_id && (!r.effective_from || r.effective_from <= row.date))
+    .sort((a, b) => String(b.effective_from || '').localeCompare(String(a.effective_from || '')))[0];
+  return match ? match.rate : null;
+}
+
+const inPeriod = (day, from, to) => !!day && (!from || day >= from) && (!to || day <= to);
+
+/**
+ * Timesheet labor cost (hours x rate) against labor GL dollars per contract
+ * and month. options: { from, to } (YYYY-MM-DD). Status per row: MATCHED
+ * (within variance_tolerance_percent), VARIANCE, NO_GL, NO_TIMESHEET, or
+ * UNPRICED when hours have no rate.
+ */
+export function reconcileLabor(memory, { from = null, to = null, config = timesheetConfig(memory) } = {}) {
+  const buckets = new Map();
+  const bucket = (contract, month) => {
+    const key = `${normalizeNumber(contract) || '(none)'}|${month}`;
+    if (!buckets.has(key)) {
+      buckets.set(key, { contract_number: contract || '(none)', month, hours: 0, unpriced_hours: 0, timesheet_cost: 0, gl_amount: 0, gl_entries: 0, employees: new Set() });
+    }
+    return buckets.get(key);
+  };
+
+  for (const t of memory.timesheets || []) {
+    if (!inPeriod(t.date, from, to)) continue;
+    const b = bucket(findContract(memory.contracts, t.charge_code)?.contract_number || t.charge_code, t.date.slice(0, 7));
+    const rate = rateFor(t, config.rates);
+    b.hours += Number(t.hours) || 0;
+    if (rate) b.timesheet_cost += t.hours * rate;
+    else b.unpriced_hours += Number(t.hours) || 0;
+    b.employees.add(t.employee_id);
+  }
+  for (const e of memory.glEntries || []) {
+    const d = e.date ? new Date(e.date) : null;
+    const day = d && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : null;
+    if (!inPeriod(day, from, to) || !isLaborEntry(e, config.labor)) continue;
+    const b = bucket(findContract(memory.contracts, e.contract_number)?.contract_number || String(e.contract_number || '').trim(), day.slice(0, 7));
+    b.gl_amount += Number(e.amount) || 0;
+    b.gl_entries++;
+  }
+
+  const rows = [...buckets.values()].map((b) => {
+    const variance = b.timesheet_cost - b.gl_amount;
+    const base = Math.abs(b.gl_amount) || Math.abs(b.timesheet_cost);
+    const variancePercent = base ? Math.round((variance / base) * 10000) / 100 : 0;
+    let status = 'MATCHED';
+    if (!b.gl_entries) status = 'NO_GL';
+    else if (!b.hours) status = 'NO_TIMESHEET';
+    else if (b.unpriced_hours && !b.timesheet_cost) status = 'UNPRICED';
+    else if (Math.abs(variancePercent) > config.variance_tolerance_percent) status = 'VARIANCE';
+    return {
+      contract_number: b.contract_number,
+      month: b.month,
+      employees: b.employees.size,
+      hours: round2(b.hours),
+      unpriced_hours: round2(b.unpriced_hours),
+      timesheet_cost: round2(b.timesheet_cost),
+      gl_amount: round2(b.gl_amount),
+      gl_entries: b.gl_entries,
+      variance: round2(variance),
+      variance_percent: variancePercent,
+      status,
+    };
+  }).sort((a, b) => a.contract_number.localeCompare(b.contract_number) || a.month.localeCompare(b.month));
+
+  const summary = { rows: rows.length, hours: 0, timesheet_cost: 0, gl_amount: 0, by_status: {} };
+  for (const r of rows) {
+    summary.hours += r.hours;
+    summary.timesheet_cost += r.timesheet_cost;
+    summary.gl_amount += r.gl_amount;
+    summary.by_status[r.status] = (summary.by_status[r.status] || 0) + 1;
+  }
+  summary.hours = round2(summary.hours);
+  summary.timesheet_cost = round2(summary.timesheet_cost);
+  summary.gl_amount = round2(summary.gl_amount);
+  summary.variance = round2(summary.timesheet_cost - summary.gl_amount);
+  return { period: { from, to }, summary, rows };
+}
@@ -0,0 +1,263 @@
+// FAR 31.205-46 travel ceilings: lodging and M&IE costs are allowable only up to
+// the Federal Travel Regulation per-diem rate for the locality. Rates come from a
+// GSA per-diem CSV imported locally (no network); this module parses that table,
+// finds the locality for lodging / M&IE GL entries and reports the excess.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse as parseCSV } from 'csv-parse/sync';
+import { saveConfig as saveFileConfig } from '../persistence/fileStore.js';
+import { itemLinesUSD } from '../../modules/services/auditService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Loaded at startup when no rates are stored yet
+export const PER_DIEM_CSV_PATH = path.join(__dirname, '..', '..', 'config', 'perDiemRates.csv');
+
+const STATES = new Set(('AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY PR GU VI').split(' '));
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const LODGING_RE = /\b(hotel|lodging|motel|inn|resort|suites?|marriott|hilton|hyatt|sheraton|westin|airbnb|room night)\b/i;
+const MIE_RE = /\b(per[\s-]?diem|m&ie|m & ie|meals? (?:and|&) incidentals?|incidental expenses?)\b/i;
+const TRAVEL_MEAL_RE = /\b(meals?|breakfast|lunch|dinner)\b/i;
+const ROOM_LINE_RE = /\b(room|night|lodging|accommodation|rate)\b/i;
+const TAX_LINE_RE = /\b(tax|taxes|fee|resort fee|occupancy)\b/i;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const norm = (s) => String(s ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Federal fiscal year: October 1 starts the next year's FY
+export function fiscalYearOf(date) {
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.getUTCMonth() >= 9 ? d.getUTCFullYear() + 1 : d.getUTCFullYear();
+}
+
+// "October", "Oct", "10/01", "10" -> 10; empty -> null (all year)
+function parseMonth(value) {
+  const s = norm(value);
+  if (!s) return null;
+  const byName = MONTHS.findIndex(m => m.startsWith(s.slice(0, 3)));
+  if (/^[a-z]/.test(s) && byName >= 0) return byName + 1;
+  const n = parseInt(s, 10);
+  return n >= 1 && n <= 12 ? n : null;
+}
+
+function parseMoney(value) {
+  const n = Number(String(value ?? '').replace(/[$,\s]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parse a GSA per-diem CSV. Headers are matched loosely, so both the GSA
+ * download ("STATE, DESTINATION, COUNTY, SEASON BEGIN, SEASON END,
+ * FY25 LODGING RATE, FY25 M&IE") and hand-made files work. A row whose
+ * destination is "Standard Rate" is the fallback for unlisted localities.
+ * Returns { rates, skipped }.
+ */
+export function parsePerDiemCSV(text, { fiscalYear } = {}) {
+  const records = parseCSV(String(text || '').replace(/^﻿/, ''), { relaxColumnCount: true, skip_empty_lines: true });
+  const headerIdx = records.findIndex(r => r.some(c => /state/i.test(c)) && r.some(c => /lodging/i.test(c)));
+  if (headerIdx < 0) throw new Error('CSV must have STATE and LODGING columns');
+  const headers = records[headerIdx].map(norm);
+  const col = (re) => headers.findIndex(h => re.test(h));
+  const idx = {
+    state: col(/^state/),
+    destination: col(/destination|city|location$/),
+    county: col(/county/),
+    begin: col(/season begin|begin|start/),
+    end: col(/season end|end$/),
+    lodging: col(/lodging/),
+    mie: col(/m ?& ?ie|m&ie|mie|meals/),
+    fy: col(/fiscal|^fy$/),
+  };
+  if (idx.mie < 0) throw new Error('CSV must have an M&IE column');
+  // "FY25 LODGING RATE" carries the year when there is no fiscal year column
+  const headerFy = (records[headerIdx][idx.lodging].match(/FY\s*'?(\d{2,4})/i) || [])[1];
+  const defaultFy = Number(fiscalYear) || (headerFy ? Number(headerFy.length === 2 ? `20${headerFy}` : headerFy) : null);
+
+  const rates = [];
+  let skipped = 0;
+  for (const row of records.slice(headerIdx + 1)) {
+    const cell = (i) => (i >= 0 ? row[i] : '');
+    const lodging = parseMoney(cell(idx.lodging));
+    const mie = parseMoney(cell(idx.mie));
+    const destination = String(cell(idx.destination) || '').trim();
+    const state = String(cell(idx.state) || '').trim().toUpperCase();
+    if (lodging == null || mie == null || (!state && !/standard/i.test(destination))) { skipped++; continue; }
+    rates.push({
+      fiscal_year: Number(cell(idx.fy)) || defaultFy,
+      state,
+      destination,
+      county: String(cell(idx.county) || '').trim(),
+      season_begin: parseMonth(cell(idx.begin)),
+      season_end: parseMonth(cell(idx.end)),
+      lodging,
+      mie,
+    });
+  }
+  return { rates, skipped };
+}
+
+function inSeason(rate, month) {
+  if (!rate.season_begin || !rate.season_end || !month) return true;
+  return rate.season_begin <= rate.season_end
+    ? month >= rate.season_begin && month <= rate.season_end
+    : month >= rate.season_begin || month <= rate.season_end; // e.g. Oct - Jan
+}
+
+/**
+ * Rate for a city/state on a date: the destination row (any "/"-separated part
+ * of DESTINATION or COUNTY) in season, else the standard rate. Uses the travel
+ * date's fiscal year, or the latest loaded year when that one is missing.
+ */
+export function findRate(rates, { city, state, date }) {
+  const all = rates || [];
+  if (!all.length) return null;
+  const years = [...new Set(all.map(r => r.fiscal_year).filter(Boolean))].sort((a, b) => b - a);
+  const wanted = fiscalYearOf(date);
+  const year = years.includes(wanted) ? wanted : years[0] ?? null;
+  const month = date && !Number.isNaN(new Date(date).getTime()) ? new Date(date).getUTCMonth() + 1 : null;
+  const pool = all.filter(r => !year || !r.fiscal_year || r.fiscal_year === year);
+  const st = String(state || '').toUpperCase();
+  const parts = (s) => norm(s).split(/\s*[/,;]\s*/).map(p => p.replace(/^(city of|county of)\s+/, '').replace(/\s+county$/, ''));
+  // "Marriott Downtown Boston" -> try "marriott downtown boston", "downtown boston", "boston"
+  const words = norm(city).split(' ').filter(Boolean);
+  let local = [];
+  for (let i = 0; i < words.length && st && !local.length; i++) {
+    const target = words.slice(i).join(' ');
+    const hit = (p) => p === target || p.startsWith(`${target} `);
+    local = pool.filter(r => r.state === st && (parts(r.destination).some(hit) || parts(r.county).some(hit)));
+  }
+  const match = local.find(r => inSeason(r, month)) || local[0];
+  if (match) return { ...match, standard: false, fiscal_year_fallback: !!(wanted && year !== wanted) };
+  const standard = pool.find(r => /standard/i.test(r.destination));
+  return standard ? { ...standard, standard: true, fiscal_year_fallback: !!(wanted && year !== wanted) } : null;
+}
+
+// 'lodging' | 'mie' | null
+export function travelKind(entry) {
+  const text = `${entry.category || ''} ${entry.description || ''} ${entry.vendor || ''}`;
+  if (MIE_RE.test(text)) return 'mie';
+  if (LODGING_RE.test(text)) return 'lodging';
+  if (/travel/i.test(String(entry.category || '')) && TRAVEL_MEAL_RE.test(text)) return 'mie';
+  return null;
+}
+
+// First "City, ST" in the given texts, with a valid state code
+export function findLocality(texts) {
+  const re = /(?<![&\w])([A-Z][A-Za-z.'-]+(?:\s+[A-Z][A-Za-z.'-]+){0,3}),?\s+([A-Z]{2})\b/g;
+  for (const { text, source } of texts) {
+    if (!text) continue;
+    for (const m of String(text).matchAll(re)) {
+      if (STATES.has(m[2])) return { city: m[1].trim(), state: m[2], source };
+    }
+  }
+  return null;
+}
+
+function countFrom(text, unitRe) {
+  const m = String(text || '').match(new RegExp(`(\\d+)\\s*${unitRe}`, 'i'));
+  const n = m ? parseInt(m[1], 10) : NaN;
+  return n > 0 && n < 366 ? n : null;
+}
+
+// M&IE ceiling per FTR: first and last travel day at 75%
+export function mieCeiling(rate, days) {
+  return round2(days <= 1 ? rate * 0.75 : rate * (days - 0.5));
+}
+
+/**
+ * Check one GL entry. linked: [{ item, document }] from its document links.
+ * Returns null for non-travel entries, else
+ * { kind, status: OVER|WITHIN|NO_LOCALITY|NO_RATE|NO_UNITS, locality, rate, units, claimed, ceiling, excess }.
+ * NO_UNITS means neither the description nor the folio gives the number of
+ * nights (or M&IE days), so no ceiling is computed.
+ */
+export function checkTravelEntry(entry, rates, linked = []) {
+  const kind = travelKind(entry);
+  if (!kind) return null;
+  const amount = Math.abs(Number(entry.amount) || 0);
+  const lines = linked.flatMap(({ item }) => itemLinesUSD(item))
+    .map(l => ({ desc: String(l?.desc ?? l?.description ?? ''), qty: Number(l?.qty ?? l?.quantity) || null, total: Number(l?.total ?? l?.totalPrice ?? l?.amount) }))
+    .filter(l => Number.isFinite(l.total));
+  const texts = [
+    { text: entry.description, source: 'description' },
+    { text: entry.vendor, source: 'vendor' },
+    ...linked.map(({ item }) => ({ text: item?.text_excerpt, source: 'receipt' })),
+    ...linked.map(({ document }) => ({ text: String(document?.text_content || '').slice(0, 4000), source: 'receipt' })),
+  ];
+  const locality = findLocality(texts);
+  const base = { gl_entry_id: String(entry.id), kind, locality, claimed: round2(amount) };
+  if (!locality) return { ...base, status: 'NO_LOCALITY', excess: 0 };
+  const rate = findRate(rates, { ...locality, date: entry.date });
+  if (!rate) return { ...base, status: 'NO_RATE', excess: 0 };
+  const rateInfo = { fiscal_year: rate.fiscal_year, state: rate.state, destination: rate.destination, lodging: rate.lodging, mie: rate.mie, standard: rate.standard, fiscal_year_fallback: rate.fiscal_year_fallback };
+
+  let units;
+  let claimed = amount;
+  if (kind === 'lodging') {
+    // Room charges only: lodging taxes and fees are reimbursed separately
+    const roomLines = lines.filter(l => ROOM_LINE_RE.test(l.desc) && !TAX_LINE_RE.test(l.desc));
+    if (roomLines.length) claimed = Math.min(amount, roomLines.reduce((s, l) => s + Math.abs(l.total), 0));
+    units = countFrom(entry.description, 'n(?:igh)?ts?\\b')
+      || (roomLines.length ? roomLines.reduce((s, l) => s + (l.qty || 1), 0) : null);
+  } else {
+    units = countFrom(entry.description, 'days?\\b');
+  }
+  if (!units) return { ...base, status: 'NO_UNITS', rate: rateInfo, excess: 0 };
+  const ceiling = kind === 'lodging' ? round2(rate.lodging * units) : mieCeiling(rate.mie, units);
+  const excess = round2(Math.max(0, claimed - ceiling));
+  return {
+    ...base,
+    status: excess > 0 ? 'OVER' : 'WITHIN',
+    rate: rateInfo,
+    units,
+    claimed: round2(claimed),
+    ceiling,
+    excess,
+  };
+}
+
+// (entry) => check | null, with document links indexed once
+export function travelChecker(memory) {
+  const itemsById = new Map((memory.docItems || []).map(i => [String(i.id), i]));
+  const docsById = new Map((memory.documents || []).map(d => [String(d.id), d]));
+  const linkedByGl = new Map();
+  for (const link of memory.glDocLinks || []) {
+    const item = itemsById.get(String(link.document_item_id));
+    if (!item) continue;
+    const key = String(link.gl_entry_id);
+    linkedByGl.set(key, [...(linkedByGl.get(key) || []), { item, document: docsById.get(String(item.document_id)) }]);
+  }
+  const rates = memory.perDiemRates || [];
+  return (entry) => checkTravelEntry(entry, rates, linkedByGl.get(String(entry.id)) || []);
+}
+
+// Replace the rates for the imported fiscal year(s)
+export function importRates(memory, sqlite, rates) {
+  const years = new Set(rates.map(r => r.fiscal_year ?? null));
+  memory.perDiemRates = [...(memory.perDiemRates || []).filter(r => !years.has(r.fiscal_year ?? null)), ...rates];
+  try {
+    if (sqlite) sqlite.replacePerDiemRates([...years], rates);
+    else saveFileConfig('per_diem_rates', memory.perDiemRates);
+  } catch (persistError) {
+    console.error('Failed to persist per-diem rates:', persistError);
+  }
+  return { imported: rates.length, fiscal_years: [...years] };
+}
+
+// Startup: load config/perDiemRates.csv when no rates are stored yet
+export function loadDefaultRates(memory, sqlite) {
+  if ((memory.perDiemRates || []).length || !fs.existsSync(PER_DIEM_CSV_PATH)) return null;
+  try {
+    const { rates } = parsePerDiemCSV(fs.readFileSync(PER_DIEM_CSV_PATH, 'utf-8'));
+    const result = importRates(memory, sqlite, rates);
+    console.log(`🧳 Loaded ${result.imported} per-diem rates from config/perDiemRates.csv`);
+    return result;
+  } catch (e) {
+    console.warn('⚠️ Could not load config/perDiemRates.csv:', e.message);
+    return null;
+  }
+}
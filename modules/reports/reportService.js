@@ -1,3 +1,5 @@
+import { esc } from "../utils/html.js";
+
 export function generateReport(options) {
   const {
     auditResults,
@@ -16,6 +18,8 @@ export function generateReport(options) {
   reportContent += `<p><strong>Report Date:</strong> ${new Date().toLocaleDateString('en-US')}</p>`;
 
   const dataToAnalyze = (auditResults && auditResults.length > 0) ? auditResults : (glData || []);
+  const money = (n) => `$${(Number(n) || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+  const questioned = dataToAnalyze.reduce((sum, i) => sum + (Number(i.unallowableAmount) || 0), 0);
 
   if (includeSummary) {
     const total = dataToAnalyze.length;
@@ -29,12 +33,15 @@ export function generateReport(options) {
         <li><strong>Expressly Unallowable:</strong> ${red}</li>
         <li><strong>Requires Review:</strong> ${yellow}</li>
         <li><strong>Compliant:</strong> ${green}</li>
+        <li><strong>Auditor Overrides:</strong> ${dataToAnalyze.filter(i => i.override).length}</li>
+        <li><strong>Questioned Costs:</strong> ${money(questioned)} of ${money(dataToAnalyze.reduce((sum, i) => sum + (Number(i.amount) || 0), 0))}</li>
       </ul>
     `;
   }
 
   if (includeViolations) {
-    const violations = dataToAnalyze.filter(item => item.status === 'RED');
+    // RED rows plus rows where only some line items are unallowable
+    const violations = dataToAnalyze.filter(item => item.status === 'RED' || Number(item.unallowableAmount) > 0);
     reportContent += `<h2>Detailed Violations</h2>`;
     if (violations.length === 0) {
       reportContent += `<p>No expressly unallowable costs were identified in the current dataset.</p>`;
@@ -48,12 +55,48 @@ export function generateReport(options) {
             <p><strong>Amount:</strong> $${(item.amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</p>
             <p><strong>Vendor:</strong> ${item.vendor || 'N/A'}</p>
             <p><strong>FAR Issue:</strong> ${item.farIssue || 'N/A'}</p>
+            <p><strong>Questioned Amount:</strong> ${money(item.unallowableAmount)}${item.unallowableBasis === 'lines' ? ` (line items: ${(item.unallowableLines || []).map(l => `${l.description} ${money(l.amount)}`).join(', ')})` : ''}</p>
           </div>
         `;
       });
     }
   }
 
+  // Employees whose payroll for a fiscal year passed the 31.205-6(p) cap
+  const compensation = new Map();
+  for (const item of dataToAnalyze) {
+    const c = item.compensation;
+    if (c && Number(c.excess) > 0) compensation.set(`${c.employee_id}|${c.fiscal_year}`, c);
+  }
+  if (includeViolations && compensation.size > 0) {
+    reportContent += `<h2>Executive Compensation (FAR 31.205-6(p))</h2>
+      <table class="data-table">
+        <thead><tr><th>Employee</th><th>Fiscal Year</th><th>Compensation</th><th>Cap</th><th>Excess</th></tr></thead>
+        <tbody>
+          ${Array.from(compensation.values()).map(c => `<tr><td>${c.employee_id}</td><td>FY${c.fiscal_year}</td><td>${money(c.total)}</td><td>${money(c.cap)}</td><td>${money(c.total - c.cap)}</td></tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  // Reviewed exceptions: the rule result and the auditor's decision, side by side
+  const overridden = dataToAnalyze.filter(i => i.override);
+  if (includeViolations && overridden.length > 0) {
+    reportContent += `<h2>Auditor Overrides</h2>`;
+    overridden.forEach((item) => {
+      const o = item.override;
+      reportContent += `
+        <div class="violation-item">
+          <p><strong>Description:</strong> ${esc(item.description || 'N/A')}</p>
+          <p><strong>Amount:</strong> $${(item.amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</p>
+          <p><strong>Rule Result:</strong> ${esc(item.ruleStatus || o.rule_status || 'N/A')} (${esc(item.farIssue || 'N/A')})</p>
+          <p><strong>Override:</strong> ${esc(o.status)} by ${esc(o.user)} on ${new Date(o.created_at).toLocaleDateString('en-US')}</p>
+          <p><strong>Justification:</strong> ${esc(o.reason)}</p>
+          ${o.document ? `<p><strong>Supporting Document:</strong> ${esc(o.document.filename)}</p>` : ''}
+        </div>
+      `;
+    });
+  }
+
   if (includeRecommendations) {
     reportContent += `
       <h2>Recommendations</h2>
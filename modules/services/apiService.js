@@ -23,7 +23,9 @@ export async function normalizeGLSpreadsheet(apiBaseUrl, file, options = {}) {
   form.append('file', file);
   const useLLM = options.useLLM !== false;
   const allowDuplicate = options.allowDuplicate || false;
-  const url = buildUrl(apiBaseUrl, `/api/gl/normalize?useLLM=${useLLM ? 'true' : 'false'}&allowDuplicate=${allowDuplicate ? 'true' : 'false'}`);
+  const sheets = Array.isArray(options.sheets) ? options.sheets.join(',') : options.sheets;
+  const sheetParam = sheets ? `&sheets=${encodeURIComponent(sheets)}` : '';
+  const url = buildUrl(apiBaseUrl, `/api/gl/normalize?useLLM=${useLLM ? 'true' : 'false'}&allowDuplicate=${allowDuplicate ? 'true' : 'false'}${sheetParam}`);
 
   const res = await fetch(url, { method: 'POST', body: form });
   const text = await res.text();
@@ -40,7 +42,7 @@ export async function normalizeGLSpreadsheet(apiBaseUrl, file, options = {}) {
     }
     throw new Error(data.error || `Normalization failed (${res.status})`);
   }
-  return data; // { ok, rows, mapping, headerRowIndex, logs, warnings, errors }
+  return data; // { ok, rows, mapping, headerRowIndex, sheets, logs, warnings, errors }
 }
 
 export async function loadServerConfig(apiBaseUrl) {
@@ -192,3 +194,304 @@ export async function fetchGLEntries(apiBaseUrl, limit = 500, offset = 0) {
   if (!res.ok) return { rows: [] };
   return res.json();
 }
+
+// Server-side FAR audit
+export async function runServerAudit(apiBaseUrl, ids) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/audit/run`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(Array.isArray(ids) ? { ids } : {}),
+  });
+  if (!res.ok) {
+    const t = await res.text().catch(() => '');
+    throw new Error(t || `Failed to run audit (${res.status})`);
+  }
+  return res.json();
+}
+
+// FAR rule management
+async function parseApiResponse(res, fallback) {
+  const text = await res.text();
+  let data = {};
+  try { data = JSON.parse(text); } catch { data = { ok: false, error: text || 'Invalid response' }; }
+  if (!res.ok || data.ok === false) {
+    const error = new Error(data.error || `${fallback} (${res.status})`);
+    error.code = data.code;
+    error.details = data.details;
+    error.failures = data.failures;
+    throw error;
+  }
+  return data;
+}
+
+export async function fetchRules(apiBaseUrl) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/rules`));
+  if (!res.ok) throw new Error(`Failed to load rules (${res.status})`);
+  return res.json();
+}
+
+export async function saveRule(apiBaseUrl, rule, options = {}) {
+  const path = options.isNew ? `/api/rules` : `/api/rules/${encodeURIComponent(rule.section)}`;
+  const res = await fetch(buildUrl(apiBaseUrl, path + (options.force ? '?force=true' : '')), {
+    method: options.isNew ? 'POST' : 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rule),
+  });
+  return parseApiResponse(res, 'Failed to save rule');
+}
+
+export async function setRuleEnabled(apiBaseUrl, section, enabled, options = {}) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/rules/${encodeURIComponent(section)}${options.force ? '?force=true' : ''}`), {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ enabled: !!enabled }),
+  });
+  return parseApiResponse(res, 'Failed to update rule');
+}
+
+// Dry-run a proposed rule set against the fixtures and loaded GL (see POST /api/rules/test)
+export async function testRules(apiBaseUrl, proposal) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/rules/test`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(proposal || {}),
+  });
+  return parseApiResponse(res, 'Failed to test rules');
+}
+
+export async function deleteRule(apiBaseUrl, section) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/rules/${encodeURIComponent(section)}`), { method: 'DELETE' });
+  return parseApiResponse(res, 'Failed to delete rule');
+}
+
+// Auditor overrides for one GL entry (/api/gl/:id/overrides)
+// Lineage of a GL entry: source file, sheet, row and the original raw cells
+export async function fetchGLSource(apiBaseUrl, glId) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/gl/${encodeURIComponent(glId)}/source`));
+  return parseApiResponse(res, 'Failed to load source row');
+}
+
+export function glFileDownloadUrl(apiBaseUrl, fileId) {
+  return buildUrl(apiBaseUrl, `/api/gl/files/${encodeURIComponent(fileId)}/download`);
+}
+
+export async function fetchOverrides(apiBaseUrl, glId) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/gl/${encodeURIComponent(glId)}/overrides`));
+  return parseApiResponse(res, 'Failed to load overrides');
+}
+
+export async function saveOverride(apiBaseUrl, glId, { status, reason, user, document_id }) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/gl/${encodeURIComponent(glId)}/overrides`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ status, reason, user, document_id: document_id || undefined }),
+  });
+  return parseApiResponse(res, 'Failed to save override');
+}
+
+export async function revokeOverride(apiBaseUrl, glId, { user, reason } = {}) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/gl/${encodeURIComponent(glId)}/overrides`), {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ user, reason }),
+  });
+  return parseApiResponse(res, 'Failed to revoke override');
+}
+
+// Per-diem ceiling checks for travel GL entries (/api/travel)
+export async function fetchTravelChecks(apiBaseUrl) {
+  const res = await fetch(buildUrl(apiBaseUrl, '/api/travel/checks'));
+  return parseApiResponse(res, 'Failed to load per-diem checks');
+}
+
+export async function importPerDiemRates(apiBaseUrl, file, fiscalYear) {
+  const form = new FormData();
+  form.append('file', file);
+  if (fiscalYear) form.append('fiscal_year', String(fiscalYear));
+  const res = await fetch(buildUrl(apiBaseUrl, '/api/travel/per-diem/import'), { method: 'POST', body: form });
+  return parseApiResponse(res, 'Failed to import per-diem rates');
+}
+
+export async function fetchPerDiemRates(apiBaseUrl) {
+  const res = await fetch(buildUrl(apiBaseUrl, '/api/travel/per-diem'));
+  return parseApiResponse(res, 'Failed to load per-diem rates');
+}
+
+// Local FX rate table used to convert foreign-currency amounts to USD (/api/fx)
+export async function importFxRates(apiBaseUrl, file) {
+  const form = new FormData();
+  form.append('file', file);
+  const res = await fetch(buildUrl(apiBaseUrl, '/api/fx/rates/import'), { method: 'POST', body: form });
+  return parseApiResponse(res, 'Failed to import FX rates');
+}
+
+export async function fetchFxRates(apiBaseUrl, { currency } = {}) {
+  const params = new URLSearchParams();
+  if (currency) params.set('currency', currency);
+  const qs = params.toString();
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/fx/rates${qs ? `?${qs}` : ''}`));
+  return parseApiResponse(res, 'Failed to load FX rates');
+}
+
+// Payroll totals against the 31.205-6(p) compensation cap (/api/compensation)
+export async function fetchCompensation(apiBaseUrl) {
+  const res = await fetch(buildUrl(apiBaseUrl, '/api/compensation'));
+  return parseApiResponse(res, 'Failed to load compensation analysis');
+}
+
+// Indirect pool totals, bases and provisional rates (/api/indirect)
+export async function fetchIndirectRates(apiBaseUrl, { from, to } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  const qs = params.toString();
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/indirect/rates${qs ? `?${qs}` : ''}`));
+  return parseApiResponse(res, 'Failed to compute indirect rates');
+}
+
+// Download URL for the ICE schedule workbook (Schedules H and I)
+export function iceScheduleUrl(apiBaseUrl, { from, to } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  const qs = params.toString();
+  return buildUrl(apiBaseUrl, `/api/ice/schedules.xlsx${qs ? `?${qs}` : ''}`);
+}
+
+// Contract registry (/api/contracts)
+export async function fetchContracts(apiBaseUrl) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/contracts`));
+  return parseApiResponse(res, 'Failed to load contracts');
+}
+
+export async function fetchUnknownContracts(apiBaseUrl) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/contracts/unknown`));
+  return parseApiResponse(res, 'Failed to load unregistered contracts');
+}
+
+export async function saveContract(apiBaseUrl, contract, id = null) {
+  const res = await fetch(buildUrl(apiBaseUrl, id ? `/api/contracts/${encodeURIComponent(id)}` : `/api/contracts`), {
+    method: id ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(contract || {}),
+  });
+  return parseApiResponse(res, 'Failed to save contract');
+}
+
+export async function deleteContract(apiBaseUrl, id) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/contracts/${encodeURIComponent(id)}`), { method: 'DELETE' });
+  return parseApiResponse(res, 'Failed to delete contract');
+}
+
+// Funding burn per registered contract (/api/contracts/burn)
+export async function fetchContractBurn(apiBaseUrl, { asOf } = {}) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/contracts/burn${asOf ? `?as_of=${encodeURIComponent(asOf)}` : ''}`));
+  return parseApiResponse(res, 'Failed to load contract burn');
+}
+
+// Labor timesheets and the labor-to-GL reconciliation (/api/timesheets)
+export async function importTimesheets(apiBaseUrl, file, { approved = false, approver } = {}) {
+  const form = new FormData();
+  form.append('file', file);
+  if (approved) form.append('approved', 'true');
+  if (approver) form.append('approver', approver);
+  const res = await fetch(buildUrl(apiBaseUrl, '/api/timesheets/import'), { method: 'POST', body: form });
+  return parseApiResponse(res, 'Failed to import timesheets');
+}
+
+export async function fetchTimesheetFlags(apiBaseUrl) {
+  const res = await fetch(buildUrl(apiBaseUrl, '/api/timesheets/flags'));
+  return parseApiResponse(res, 'Failed to load timesheet flags');
+}
+
+export async function fetchLaborReconciliation(apiBaseUrl, { from, to } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  const qs = params.toString();
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/timesheets/reconciliation${qs ? `?${qs}` : ''}`));
+  return parseApiResponse(res, 'Failed to reconcile labor');
+}
+
+export async function importCardStatement(apiBaseUrl, file) {
+  const form = new FormData();
+  form.append('file', file);
+  const res = await fetch(buildUrl(apiBaseUrl, '/api/cards/import'), { method: 'POST', body: form });
+  return parseApiResponse(res, 'Failed to import card statement');
+}
+
+export async function fetchCardReconciliation(apiBaseUrl, { from, to } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  const qs = params.toString();
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/cards/reconciliation${qs ? `?${qs}` : ''}`));
+  return parseApiResponse(res, 'Failed to reconcile card transactions');
+}
+
+export async function setTimesheetApproval(apiBaseUrl, id, { approved, approver }) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/timesheets/${encodeURIComponent(id)}/approval`), {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ approved: !!approved, approver }),
+  });
+  return parseApiResponse(res, 'Failed to update timesheet approval');
+}
+
+// Saved GL column-mapping profiles (/api/mapping-profiles)
+export async function fetchMappingProfiles(apiBaseUrl) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/mapping-profiles`));
+  return parseApiResponse(res, 'Failed to load mapping profiles');
+}
+
+export async function saveMappingProfile(apiBaseUrl, profile, id = null) {
+  const res = await fetch(buildUrl(apiBaseUrl, id ? `/api/mapping-profiles/${encodeURIComponent(id)}` : `/api/mapping-profiles`), {
+    method: id ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(profile || {}),
+  });
+  return parseApiResponse(res, 'Failed to save mapping profile');
+}
+
+export async function deleteMappingProfile(apiBaseUrl, id) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/mapping-profiles/${encodeURIComponent(id)}`), { method: 'DELETE' });
+  return parseApiResponse(res, 'Failed to delete mapping profile');
+}
+
+// Staged GL import: validate normalized rows, then commit the accepted ones
+export async function stageGLImport(apiBaseUrl, entries, filename = null, mode = null) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/gl/imports`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ entries, filename, ...(mode ? { mode } : {}) }),
+  });
+  return parseApiResponse(res, 'Failed to stage GL import');
+}
+
+export async function commitGLImport(apiBaseUrl, id, options = {}) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/gl/imports/${encodeURIComponent(id)}/commit`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options),
+  });
+  return parseApiResponse(res, 'Failed to commit GL import');
+}
+
+export async function fetchGLImportConfig(apiBaseUrl) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/gl/imports/config`));
+  return parseApiResponse(res, 'Failed to load GL import settings');
+}
+
+export async function saveGLImportConfig(apiBaseUrl, config) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/gl/imports/config`), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(config || {}),
+  });
+  return parseApiResponse(res, 'Failed to save GL import settings');
+}
+
+export async function discardGLImport(apiBaseUrl, id) {
+  const res = await fetch(buildUrl(apiBaseUrl, `/api/gl/imports/${encodeURIComponent(id)}`), { method: 'DELETE' });
+  return parseApiResponse(res, 'Failed to discard GL import');
+}
@@ -1,32 +1,256 @@
+import { evaluateRule } from "./ruleConditions.js";
+import { applicableRules, contractFindings, contractContext } from "./contractRules.js";
+
+const SEVERITY_RANK = { EXPRESSLY_UNALLOWABLE: 2, LIMITED_ALLOWABLE: 1 };
+const SEVERITY_STATUS = { EXPRESSLY_UNALLOWABLE: "RED", LIMITED_ALLOWABLE: "YELLOW" };
+
+/**
+ * Evaluate every rule against a GL item and roll the hits up into one status.
+ * Rules match on their `conditions` tree or keyword list (see ruleConditions.js).
+ * Status is the most severe matching rule; the primary finding (farIssue /
+ * farSection) is the matching rule with the highest severity, then score.
+ * Score counts distinct matched keywords by word count plus satisfied
+ * structured predicates, times the optional rule.weight.
+ */
 export function auditItem(item, farRules, options = {}) {
-  const description = (item.description || "").toLowerCase();
-  let status = "GREEN";
-  let farIssue = "Compliant";
-  let farSection = "";
-
-  for (const rule of farRules) {
-    for (const keyword of rule.keywords) {
-      if (description.includes(keyword.toLowerCase())) {
-        if (rule.severity === "EXPRESSLY_UNALLOWABLE") {
-          status = "RED";
-        } else if (rule.severity === "LIMITED_ALLOWABLE") {
-          status = "YELLOW";
-        }
-        farIssue = `${rule.title} (${rule.section})`;
-        farSection = rule.section;
-        break;
-      }
-    }
-    if (status !== "GREEN") break;
+  const matches = [];
+
+  for (const rule of farRules || []) {
+    if (!rule || !SEVERITY_RANK[rule.severity]) continue;
+    const { matched, spans, evidence } = evaluateRule(rule, item);
+    if (!matched) continue;
+    const distinct = new Set(spans.map(s => s.keyword.toLowerCase()));
+    let score = evidence.length;
+    for (const k of distinct) score += k.split(/\s+/).length;
+    const weight = Number.isFinite(Number(rule.weight)) ? Number(rule.weight) : 1;
+    matches.push({
+      section: rule.section,
+      title: rule.title,
+      severity: rule.severity,
+      status: SEVERITY_STATUS[rule.severity],
+      score: Math.round(Math.max(score, 1) * weight * 100) / 100,
+      spans,
+      evidence,
+    });
+  }
+
+  return rollUp(matches);
+}
+
+function rollUp(matches) {
+  if (!matches.length) {
+    // Removed amount-based threshold classification. GL review is rule-driven only.
+    return { status: "GREEN", farIssue: "Compliant", farSection: "", farSections: [], matches: [] };
   }
 
-  // Removed amount-based threshold classification. GL review is rule-driven only.
+  matches.sort((a, b) =>
+    (SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]) || (b.score - a.score));
+  const primary = matches[0];
 
-  return { status, farIssue, farSection };
+  return {
+    status: primary.status,
+    farIssue: matches.map(m => `${m.title} (${m.section})`).join("; "),
+    farSection: primary.section,
+    farSections: matches.map(m => m.section),
+    matches,
+  };
+}
+
+/**
+ * Add a FAR 31.205-46 finding when a travel per-diem check (see
+ * backend/services/travelPerDiem.js) found lodging or M&IE above the ceiling.
+ */
+export function applyPerDiemCheck(result, check) {
+  if (!check || check.status !== "OVER") return result;
+  const unit = check.kind === "lodging" ? "night" : "day";
+  const where = check.rate?.standard ? "standard rate" : `${check.rate?.destination}, ${check.rate?.state}`;
+  const match = {
+    section: "31.205-46",
+    title: check.kind === "lodging" ? "Lodging Above Per Diem" : "M&IE Above Per Diem",
+    severity: "LIMITED_ALLOWABLE",
+    status: "YELLOW",
+    score: 1,
+    spans: [],
+    evidence: [`$${check.claimed} for ${check.units} ${unit}(s) vs $${check.ceiling} ceiling (${where}, FY${check.rate?.fiscal_year ?? "?"})`],
+  };
+  const matches = (result.matches || []).filter(m => m.section !== match.section || m.title !== match.title);
+  return { ...result, ...rollUp([...matches, match]) };
+}
+
+/**
+ * Add a FAR 31.205-6(p) finding when an employee's payroll for the fiscal
+ * year passed the compensation cap (see backend/services/compensation.js)
+ * and this entry carries part of the excess.
+ */
+export function applyCompensationCheck(result, check) {
+  if (!check || check.status !== "OVER") return result;
+  const money = (n) => `$${Number(n).toLocaleString("en-US")}`;
+  const match = {
+    section: "31.205-6(p)",
+    title: "Compensation Above Statutory Cap",
+    severity: "LIMITED_ALLOWABLE",
+    status: "YELLOW",
+    score: 1,
+    spans: [],
+    evidence: [`employee ${check.employee_id} FY${check.fiscal_year}: ${money(check.total)} vs ${money(check.cap)} cap`],
+  };
+  const matches = (result.matches || []).filter(m => m.section !== match.section);
+  return { ...result, ...rollUp([...matches, match]) };
+}
+
+/**
+ * auditItem() limited to the rules that apply to the entry's contract
+ * (options.contracts: the contract registry), plus the registry's own
+ * findings: unknown contract number, date outside the period of performance.
+ */
+export function auditItemForContract(item, farRules, options = {}) {
+  const contracts = options.contracts || [];
+  const r = auditItem(item, applicableRules(farRules, item, contracts), options);
+  const findings = contractFindings(item, contracts);
+  const contract = contractContext(item, contracts);
+  return findings.length
+    ? { ...r, ...rollUp([...r.matches, ...findings]), contract }
+    : { ...r, contract };
 }
 
 export function auditAll(glData, farRules, options = {}) {
-  return (glData || []).map((item) => ({ ...item, ...auditItem(item, farRules, options) }));
+  return (glData || []).map((item) => ({ ...item, ...auditItemForContract(item, farRules, options) }));
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Document line items in either shape we store: Document Intelligence parses
+ * ({ desc, qty, unit, total }) or extractLineItems() in dataExtraction.js
+ * ({ description, quantity, unitPrice, totalPrice }). Returns { description, amount }.
+ */
+export function normalizeLineItems(lines) {
+  return (Array.isArray(lines) ? lines : []).map((l) => {
+    const description = String(l?.desc ?? l?.description ?? "").trim();
+    const qty = Number(l?.qty ?? l?.quantity);
+    const unit = Number(l?.unit ?? l?.unitPrice);
+    let amount = Number(l?.total ?? l?.totalPrice ?? l?.amount);
+    if (!Number.isFinite(amount) && Number.isFinite(qty) && Number.isFinite(unit)) amount = qty * unit;
+    return { description, amount: Number.isFinite(amount) ? round2(amount) : null };
+  }).filter(l => l.description && l.amount != null);
+}
+
+/**
+ * Unallowable portion of a GL entry. Each supporting line item is run through
+ * the rules on its own; RED lines are unallowable, capped at the entry amount.
+ * With no RED line, a RED entry is unallowable in full. An excess over a
+ * ceiling (per diem, compensation cap) is added on top; ceilingBasis names it.
+ * Amounts keep the entry's sign.
+ * basis: "lines" | "row" | "per_diem" | "comp_cap" | "none".
+ */
+export function computeUnallowable(item, status, lines, farRules, ceilingExcess = 0, ceilingBasis = "per_diem") {
+  const amount = Number(item.amount) || 0;
+  const sign = amount < 0 ? -1 : 1;
+  const flagged = normalizeLineItems(lines)
+    .map((l) => {
+      const r = auditItem({ description: l.description, amount: l.amount }, farRules);
+      return { ...l, status: r.status, section: r.farSection || null };
+    })
+    .filter(l => l.status === "RED");
+  let unallowable = 0;
+  let basis = "none";
+  if (flagged.length) {
+    unallowable = Math.min(Math.abs(amount), flagged.reduce((sum, l) => sum + Math.abs(l.amount), 0));
+    basis = "lines";
+  } else if (status === "RED") {
+    unallowable = Math.abs(amount);
+    basis = "row";
+  }
+  if (ceilingExcess > 0 && basis !== "row") {
+    unallowable = Math.min(Math.abs(amount), unallowable + ceilingExcess);
+    if (basis === "none") basis = ceilingBasis;
+  }
+  unallowable = round2(sign * unallowable);
+  return {
+    allowableAmount: round2(amount - unallowable),
+    unallowableAmount: unallowable,
+    unallowableBasis: basis,
+    unallowableLines: flagged,
+  };
+}
+
+// Unallowable amount once an auditor override applies: GREEN clears it,
+// RED claims the whole entry unless line items already priced the portion
+export function overrideUnallowable(overrideStatus, ruleUnallowable, amount) {
+  if (overrideStatus === "GREEN") return 0;
+  if (overrideStatus === "RED" && !ruleUnallowable) return round2(Number(amount) || 0);
+  return ruleUnallowable || 0;
+}
+
+/**
+ * Apply auditor overrides carried on GL rows (row.override from /api/gl) on
+ * top of rule results: status and unallowableAmount become the effective
+ * values, ruleStatus / ruleUnallowableAmount keep the rule outcome. Safe to
+ * call again on results that already have overrides applied.
+ */
+export function applyOverrides(results) {
+  return (results || []).map((r) => {
+    const ruleStatus = r.ruleStatus || r.status;
+    const ruleUnallowableAmount = r.ruleUnallowableAmount ?? r.unallowableAmount ?? 0;
+    const unallowableAmount = r.override
+      ? overrideUnallowable(r.override.status, ruleUnallowableAmount, r.amount)
+      : ruleUnallowableAmount;
+    return {
+      ...r,
+      ruleStatus,
+      ruleUnallowableAmount,
+      status: r.override ? r.override.status : ruleStatus,
+      unallowableAmount,
+      allowableAmount: round2((Number(r.amount) || 0) - unallowableAmount),
+    };
+  });
+}
+
+/**
+ * Document line items with their amounts in USD, at the item's recorded rate
+ * (fx_rate, USD per unit). Items already in USD come back unchanged.
+ */
+export function itemLinesUSD(item) {
+  const lines = Array.isArray(item?.details?.lines) ? item.details.lines : [];
+  const rate = Number(item?.fx_rate);
+  if (!rate || !item.currency || item.currency === "USD") return lines;
+  return lines.map(l => {
+    const out = { ...l };
+    for (const k of ["unit", "total", "amount", "totalPrice"]) {
+      if (l[k] != null && l[k] !== "" && Number.isFinite(Number(l[k]))) out[k] = round2(Number(l[k]) * rate);
+    }
+    return out;
+  });
+}
+
+// Add allowable/unallowable amounts to audit results using the line items of
+// documents linked to each row (docs: { items, links } from /api/docs/items,
+// lines converted to USD as on the server)
+// and the server's ceiling checks: per diem and compensation cap
+// ({ travelChecks, compensationChecks }: [{ gl_entry_id, excess, ... }]);
+// line items are judged only by the rules that apply to the row's contract
+export function applyQuestionedCosts(results, docs, farRules, { travelChecks = [], compensationChecks = [], contracts = [] } = {}) {
+  const checksById = new Map((travelChecks || []).map(c => [String(c.gl_entry_id), c]));
+  const compById = new Map((compensationChecks || []).map(c => [String(c.gl_entry_id), c]));
+  const itemsById = new Map((docs?.items || []).map(i => [String(i.id), i]));
+  const linesByGl = new Map();
+  for (const link of docs?.links || []) {
+    const item = itemsById.get(String(link.document_item_id));
+    if (!Array.isArray(item?.details?.lines)) continue;
+    // Foreign receipts are questioned in USD, like the GL amount they back
+    const lines = itemLinesUSD(item);
+    const key = String(link.gl_entry_id);
+    linesByGl.set(key, [...(linesByGl.get(key) || []), ...lines]);
+  }
+  return (results || []).map((row) => {
+    const check = checksById.get(String(row.id)) || null;
+    const comp = compById.get(String(row.id)) || null;
+    const r = applyCompensationCheck(applyPerDiemCheck(row, check), comp);
+    const excess = (check?.excess || 0) + (comp?.excess || 0);
+    const costs = computeUnallowable(r, r.ruleStatus || r.status, linesByGl.get(String(r.id)) || [], applicableRules(farRules, r, contracts),
+      excess, comp?.excess ? "comp_cap" : "per_diem");
+    return { ...r, ...costs, ruleUnallowableAmount: costs.unallowableAmount, perDiem: check, compensation: comp };
+  });
 }
 
 /**
@@ -40,7 +264,7 @@ export async function auditWithApprovalDetection(glData, farRules, docsData, opt
 
   for (const glItem of glData) {
     // First, run the standard audit
-    let auditResult = { ...glItem, ...auditItem(glItem, farRules, options) };
+    let auditResult = { ...glItem, ...auditItemForContract(glItem, farRules, options) };
 
     // Find all documents linked to this GL item
     const linkedDocs = findLinkedDocuments(glItem.id, docsData);
@@ -0,0 +1,99 @@
+// Contract-aware rule applicability, shared by the browser audit and the server
+// (backend/services/auditEngine.js). Contracts come from /api/contracts:
+// { contract_number, contract_type, pop_start, pop_end, ceiling, funded_amount, customer_agency }.
+
+// cost_principles: FAR Part 31 governs what may be billed. Fixed-price billing
+// is not cost-based, so cost-principle findings there are noise.
+export const CONTRACT_TYPES = [
+  { code: "FFP", label: "Firm-Fixed-Price", cost_principles: false },
+  { code: "FPIF", label: "Fixed-Price Incentive (Firm Target)", cost_principles: true },
+  { code: "FP-EPA", label: "Fixed-Price with Economic Price Adjustment", cost_principles: false },
+  { code: "T&M", label: "Time-and-Materials", cost_principles: true },
+  { code: "LH", label: "Labor-Hour", cost_principles: true },
+  { code: "CPFF", label: "Cost-Plus-Fixed-Fee", cost_principles: true },
+  { code: "CPIF", label: "Cost-Plus-Incentive-Fee", cost_principles: true },
+  { code: "CPAF", label: "Cost-Plus-Award-Fee", cost_principles: true },
+  { code: "CR", label: "Cost-Reimbursement (no fee)", cost_principles: true },
+  { code: "CS", label: "Cost-Sharing", cost_principles: true },
+];
+
+const TYPE_BY_CODE = new Map(CONTRACT_TYPES.map(t => [t.code, t]));
+export const CONTRACT_TYPE_CODES = CONTRACT_TYPES.map(t => t.code);
+
+const normalizeNumber = (n) => String(n ?? "").trim().toUpperCase();
+
+export function findContract(contracts, contractNumber) {
+  const key = normalizeNumber(contractNumber);
+  if (!key) return null;
+  return (contracts || []).find(c => normalizeNumber(c.contract_number) === key) || null;
+}
+
+/**
+ * Does a rule apply to an entry billed to this contract? A rule's own
+ * `contract_types` list wins; otherwise cost principles apply unless the
+ * contract type is one where they do not govern billing. Entries with no
+ * registered contract get every rule.
+ */
+export function ruleApplies(rule, contract) {
+  if (!contract?.contract_type) return true;
+  if (Array.isArray(rule?.contract_types) && rule.contract_types.length) {
+    return rule.contract_types.includes(contract.contract_type);
+  }
+  return TYPE_BY_CODE.get(contract.contract_type)?.cost_principles !== false;
+}
+
+export function applicableRules(farRules, item, contracts) {
+  const contract = findContract(contracts, item?.contractNumber);
+  return contract ? (farRules || []).filter(r => ruleApplies(r, contract)) : (farRules || []);
+}
+
+const dayOf = (date) => {
+  const d = date ? new Date(date) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : null;
+};
+
+// Findings that depend on the registry alone (not on rule text)
+export function contractFindings(item, contracts) {
+  const number = String(item?.contractNumber ?? "").trim();
+  if (!number || !(contracts || []).length) return [];
+  const contract = findContract(contracts, number);
+  if (!contract) {
+    return [{
+      section: "Contract",
+      title: "Unknown Contract Number",
+      severity: "LIMITED_ALLOWABLE",
+      status: "YELLOW",
+      score: 1,
+      spans: [],
+      evidence: [`${number} is not in the contract registry`],
+    }];
+  }
+  const day = dayOf(item.date);
+  const start = contract.pop_start || null;
+  const end = contract.pop_end || null;
+  if (day && ((start && day < start) || (end && day > end))) {
+    return [{
+      section: "31.201-4",
+      title: "Outside Period of Performance",
+      severity: "LIMITED_ALLOWABLE",
+      status: "YELLOW",
+      score: 1,
+      spans: [],
+      evidence: [`${day} is outside ${contract.contract_number} performance ${start || "…"} to ${end || "…"}`],
+    }];
+  }
+  return [];
+}
+
+// Contract number/type the audit used, for display next to the findings
+export function contractContext(item, contracts) {
+  const number = String(item?.contractNumber ?? "").trim();
+  if (!number) return null;
+  const contract = findContract(contracts, number);
+  return {
+    contract_number: contract?.contract_number || number,
+    contract_type: contract?.contract_type || null,
+    registered: !!contract,
+    cost_principles: contract ? TYPE_BY_CODE.get(contract.contract_type)?.cost_principles !== false : true,
+  };
+}
@@ -1,5 +1,8 @@
 // Excel processing helpers (XLSX is provided globally by CDN)
 
+// Rows from every worksheet, each keyed by that sheet's own header row. Rows
+// carry non-enumerable __sheet__ and __rowNum__ (0-based, set by SheetJS) so
+// mapExcelRows can record where they came from.
 export function readExcelFile(file) {
   return new Promise((resolve, reject) => {
     // Better XLSX detection with timeout
@@ -32,9 +35,13 @@ export function readExcelFile(file) {
           if (!workbook.SheetNames || !workbook.SheetNames.length) {
             throw new Error('No worksheets found in Excel file');
           }
-          const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-          const jsonData = XLSX.utils.sheet_to_json(firstSheet, { defval: "" });
-          console.log(`✅ Excel processed: ${jsonData.length} rows`);
+          const jsonData = [];
+          for (const name of workbook.SheetNames) {
+            const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: "" });
+            rows.forEach(row => Object.defineProperty(row, '__sheet__', { value: name, enumerable: false }));
+            jsonData.push(...rows);
+          }
+          console.log(`✅ Excel processed: ${jsonData.length} rows from ${workbook.SheetNames.length} sheet(s)`);
           resolve(jsonData);
         } catch (err) {
           reject(new Error(`Excel processing failed: ${err.message}`));
@@ -120,14 +127,23 @@ export function mapExcelRows(jsonData) {
   const categoryKeys = ['category', 'gl category', 'account type', 'type', 'expense type'];
   const vendorKeys = ['vendor', 'vendor name', 'supplier', 'payee'];
   const contractKeys = ['contract number', 'contract', 'contract #', 'contract#', 'contractno'];
+  const employeeKeys = ['employee id', 'employee', 'employee number', 'emp id', 'emp no', 'employee name'];
+  const projectKeys = ['project', 'project id', 'project code', 'project number', 'proj'];
+  const taskKeys = ['task', 'task id', 'task number', 'task code', 'wbs'];
+  const orgKeys = ['org', 'org id', 'org code', 'organization', 'department', 'cost center'];
+  const documentKeys = ['document number', 'doc number', 'doc no', 'journal', 'journal number', 'je', 'voucher', 'voucher number', 'voucher no'];
+  const lineKeys = ['line', 'line number', 'line no', 'journal line', 'sequence'];
+  const poKeys = ['po number', 'po', 'po no', 'po #', 'purchase order', 'purchase order number'];
 
   return (jsonData || []).map((row, index) => {
+    const rawDebit = firstByKeys(row, debitKeys);
+    const rawCredit = firstByKeys(row, creditKeys);
     // Find amount
     let amount = 0;
     let rawAmount = firstByKeys(row, amountKeys);
     if (rawAmount === undefined) {
-      const debit = parseNumber(firstByKeys(row, debitKeys));
-      const credit = parseNumber(firstByKeys(row, creditKeys));
+      const debit = parseNumber(rawDebit);
+      const credit = parseNumber(rawCredit);
       if (debit !== 0 || credit !== 0) {
         // Treat debit as positive, credit as negative
         amount = debit - credit;
@@ -162,6 +178,17 @@ export function mapExcelRows(jsonData) {
       category: firstByKeys(row, categoryKeys) || '',
       vendor: firstByKeys(row, vendorKeys) || '',
       contractNumber: firstByKeys(row, contractKeys) || '',
+      employeeId: firstByKeys(row, employeeKeys) || '',
+      project: firstByKeys(row, projectKeys) || '',
+      task: firstByKeys(row, taskKeys) || '',
+      org: firstByKeys(row, orgKeys) || '',
+      documentNumber: firstByKeys(row, documentKeys) || '',
+      lineNumber: firstByKeys(row, lineKeys) || '',
+      poNumber: firstByKeys(row, poKeys) || '',
+      debit: rawDebit !== undefined ? parseNumber(rawDebit) : null,
+      credit: rawCredit !== undefined ? parseNumber(rawCredit) : null,
+      sourceSheet: row.__sheet__ ?? null,
+      sourceRow: Number.isInteger(row.__rowNum__) ? row.__rowNum__ + 1 : null,
     };
   });
 }
@@ -188,6 +215,13 @@ export function mapRowsFromAOA(aoa, mapping, headerRowIndex = 0) {
     category: findIndex(mapping.category),
     vendor: findIndex(mapping.vendor),
     contract: findIndex(mapping.contractNumber),
+    employee: findIndex(mapping.employeeId),
+    project: findIndex(mapping.project),
+    task: findIndex(mapping.task),
+    org: findIndex(mapping.org),
+    document: findIndex(mapping.documentNumber),
+    line: findIndex(mapping.lineNumber),
+    po: findIndex(mapping.poNumber),
     debit: findIndex(mapping.debit),
     credit: findIndex(mapping.credit),
   };
@@ -224,6 +258,15 @@ export function mapRowsFromAOA(aoa, mapping, headerRowIndex = 0) {
       category: idx.category >= 0 ? String(row[idx.category] || '') : '',
       vendor: idx.vendor >= 0 ? String(row[idx.vendor] || '') : '',
       contractNumber: idx.contract >= 0 ? String(row[idx.contract] || '') : '',
+      employeeId: idx.employee >= 0 ? String(row[idx.employee] || '') : '',
+      project: idx.project >= 0 ? String(row[idx.project] || '') : '',
+      task: idx.task >= 0 ? String(row[idx.task] || '') : '',
+      org: idx.org >= 0 ? String(row[idx.org] || '') : '',
+      documentNumber: idx.document >= 0 ? String(row[idx.document] || '') : '',
+      lineNumber: idx.line >= 0 ? String(row[idx.line] || '') : '',
+      poNumber: idx.po >= 0 ? String(row[idx.po] || '') : '',
+      debit: debitVal !== undefined ? parseNumber(debitVal) : null,
+      credit: creditVal !== undefined ? parseNumber(creditVal) : null,
     });
   }
   return rows;
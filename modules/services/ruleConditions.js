@@ -0,0 +1,318 @@
+// FAR rule condition evaluation (shared by the browser and the server audit engine)
+//
+// A rule matches through its `conditions` tree when present, otherwise through
+// its `keywords` list. Condition nodes:
+//   { all: [cond, ...] }                 every child matches
+//   { any: [cond, ...] }                 at least one child matches
+//   { not: cond }                        child does not match
+//   { keywords: ["bar tab", "wine"] }    whole-word/phrase hit in the description
+//   { regex: "\\bper diem\\b", flags: "i", field: "description" }
+//   { accountRange: { from: "6000", to: "6999" } }   inclusive
+//   { category: ["Travel", "Meals"] }    case-insensitive exact match
+//   { vendor: ["marriott", "hilton"] }   case-insensitive substring match
+//   { amount: { gt, gte, lt, lte } }     numeric bounds on the GL amount
+
+import { CONTRACT_TYPE_CODES } from "./contractRules.js";
+
+const LEAF_KEYS = ["keywords", "regex", "accountRange", "category", "vendor", "amount"];
+const AMOUNT_OPS = ["gt", "gte", "lt", "lte"];
+const TEXT_FIELDS = ["description", "vendor", "category", "accountNumber", "contractNumber",
+  "employeeId", "project", "task", "org", "documentNumber", "lineNumber", "poNumber"];
+
+// Compiled keyword patterns, cached per keywords array
+const keywordPatternCache = new WeakMap();
+// Compiled regex conditions, least recently used dropped past the limit
+const regexCache = new Map();
+const REGEX_CACHE_SIZE = 500;
+// Rule regexes run on every GL entry, so they are kept short and simple
+const MAX_REGEX_LENGTH = 200;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a whole-word/phrase pattern for a keyword: "bar" must not match
+ * "barcode", and "happy hour" tolerates any whitespace between the words.
+ * A trailing plural "s"/"es" is accepted so "cocktails" still hits "cocktail".
+ */
+function compileKeyword(keyword) {
+  const words = String(keyword || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+  const body = words.map(escapeRegExp).join("\\s+");
+  const plural = /[a-z]$/.test(words[words.length - 1]) ? "(?:e?s)?" : "";
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}${plural}(?![\\p{L}\\p{N}])`, "giu");
+}
+
+function keywordPatterns(keywords) {
+  let patterns = keywordPatternCache.get(keywords);
+  if (!patterns) {
+    patterns = (keywords || [])
+      .map(keyword => ({ keyword, re: compileKeyword(keyword) }))
+      .filter(p => p.re);
+    keywordPatternCache.set(keywords, patterns);
+  }
+  return patterns;
+}
+
+function compileRegex(pattern, flags) {
+  const key = `${flags ?? "i"}/${pattern}`;
+  let re = regexCache.get(key);
+  if (re) {
+    regexCache.delete(key);
+  } else {
+    const f = String(flags ?? "i").replace(/g/g, "");
+    re = new RegExp(pattern, `${f}g`);
+    if (regexCache.size >= REGEX_CACHE_SIZE) regexCache.delete(regexCache.keys().next().value);
+  }
+  regexCache.set(key, re);
+  return re;
+}
+
+/**
+ * True when a group holding a repeated token is itself repeated, e.g. (a+)+,
+ * (\w*)* or (x+y){2,}. These backtrack exponentially on near-miss input.
+ */
+function hasNestedQuantifier(pattern) {
+  // Drop escapes and character classes so their brackets and quantifier
+  // characters are not read as syntax
+  const src = String(pattern).replace(/\\./g, "x").replace(/\[(?:[^\]\\]|\\.)*\]/g, "x");
+  const groups = [];
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (c === "(") {
+      groups.push(false);
+    } else if (c === ")") {
+      const repeatedInside = groups.pop();
+      const next = src[i + 1];
+      const repeated = next === "*" || next === "+" || (next === "{" && /^\{\d*,?\d*\}/.test(src.slice(i + 1)));
+      if (repeatedInside && repeated) return true;
+      if (groups.length && (repeatedInside || repeated)) groups[groups.length - 1] = true;
+    } else if ((c === "*" || c === "+" || c === "{") && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find every keyword hit in the text. Overlapping hits keep the longest
+ * span, so "wine tasting" wins over "wine" at the same position.
+ */
+export function findKeywordSpans(text, keywords) {
+  const hits = [];
+  for (const { keyword, re } of keywordPatterns(keywords)) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      hits.push({ keyword, start: m.index, end: m.index + m[0].length, text: m[0] });
+    }
+  }
+  return dedupeSpans(hits);
+}
+
+function dedupeSpans(hits) {
+  hits.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const spans = [];
+  for (const h of hits) {
+    const last = spans[spans.length - 1];
+    if (last && h.start < last.end) continue;
+    spans.push(h);
+  }
+  return spans;
+}
+
+function toList(v) {
+  return (Array.isArray(v) ? v : [v]).map(x => String(x ?? "").trim().toLowerCase()).filter(Boolean);
+}
+
+function leadingNumber(s) {
+  const m = String(s ?? "").trim().match(/^\d+/);
+  return m ? Number(m[0]) : null;
+}
+
+// Numeric bounds compare the leading digits ("6100-01" is in 6000..6999);
+// anything else falls back to a natural string comparison.
+function inAccountRange(account, range) {
+  const acct = String(account ?? "").trim();
+  if (!acct) return false;
+  const { from, to } = range || {};
+  const n = leadingNumber(acct);
+  const numericBounds = (from == null || /^\d+$/.test(String(from))) && (to == null || /^\d+$/.test(String(to)));
+  if (numericBounds && n !== null) {
+    if (from != null && n < Number(from)) return false;
+    if (to != null && n > Number(to)) return false;
+    return true;
+  }
+  const cmp = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+  if (from != null && cmp(acct, String(from)) < 0) return false;
+  if (to != null && cmp(acct, String(to)) > 0) return false;
+  return true;
+}
+
+function describeAmount(bounds) {
+  const sym = { gt: ">", gte: ">=", lt: "<", lte: "<=" };
+  return AMOUNT_OPS.filter(op => bounds[op] != null).map(op => `amount ${sym[op]} ${bounds[op]}`).join(" and ");
+}
+
+/**
+ * Evaluate a condition tree against a GL item (camelCase shape).
+ * Returns { matched, spans, evidence } where spans are description keyword/regex
+ * hits and evidence lists the structured predicates that held. Anything under
+ * a `not` contributes no evidence.
+ */
+export function evaluateCondition(cond, item) {
+  const none = { matched: false, spans: [], evidence: [] };
+  if (!cond || typeof cond !== "object") return none;
+
+  if (Array.isArray(cond.all)) {
+    const parts = cond.all.map(c => evaluateCondition(c, item));
+    if (!parts.length || parts.some(p => !p.matched)) return none;
+    return { matched: true, spans: parts.flatMap(p => p.spans), evidence: parts.flatMap(p => p.evidence) };
+  }
+  if (Array.isArray(cond.any)) {
+    const parts = cond.any.map(c => evaluateCondition(c, item)).filter(p => p.matched);
+    if (!parts.length) return none;
+    return { matched: true, spans: parts.flatMap(p => p.spans), evidence: parts.flatMap(p => p.evidence) };
+  }
+  if (cond.not !== undefined) {
+    return { matched: !evaluateCondition(cond.not, item).matched, spans: [], evidence: [] };
+  }
+
+  const description = String(item.description || "");
+  if (cond.keywords !== undefined) {
+    const spans = findKeywordSpans(description, cond.keywords);
+    return { matched: spans.length > 0, spans, evidence: [] };
+  }
+  if (cond.regex !== undefined) {
+    const field = cond.field || "description";
+    const text = String(item[field] ?? "");
+    const re = compileRegex(cond.regex, cond.flags);
+    re.lastIndex = 0;
+    const hits = [];
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      if (m[0] === "") { re.lastIndex++; continue; }
+      hits.push({ keyword: `/${cond.regex}/`, start: m.index, end: m.index + m[0].length, text: m[0] });
+    }
+    if (!hits.length) return none;
+    return field === "description"
+      ? { matched: true, spans: dedupeSpans(hits), evidence: [] }
+      : { matched: true, spans: [], evidence: [`${field} matches /${cond.regex}/`] };
+  }
+  if (cond.accountRange !== undefined) {
+    const r = cond.accountRange;
+    const ok = inAccountRange(item.accountNumber, r);
+    return ok ? { matched: true, spans: [], evidence: [`account ${item.accountNumber} in ${r.from ?? "*"}..${r.to ?? "*"}`] } : none;
+  }
+  if (cond.category !== undefined) {
+    const cat = String(item.category ?? "").trim().toLowerCase();
+    const ok = !!cat && toList(cond.category).includes(cat);
+    return ok ? { matched: true, spans: [], evidence: [`category is ${item.category}`] } : none;
+  }
+  if (cond.vendor !== undefined) {
+    const vendor = String(item.vendor ?? "").toLowerCase();
+    const hit = vendor && toList(cond.vendor).find(v => vendor.includes(v));
+    return hit ? { matched: true, spans: [], evidence: [`vendor ${item.vendor} matches "${hit}"`] } : none;
+  }
+  if (cond.amount !== undefined) {
+    const amt = Number(item.amount);
+    const b = cond.amount || {};
+    if (!Number.isFinite(amt)) return none;
+    const ok = (b.gt == null || amt > Number(b.gt)) && (b.gte == null || amt >= Number(b.gte))
+      && (b.lt == null || amt < Number(b.lt)) && (b.lte == null || amt <= Number(b.lte));
+    return ok ? { matched: true, spans: [], evidence: [describeAmount(b)] } : none;
+  }
+  return none;
+}
+
+/**
+ * Evaluate a whole rule: its conditions tree, or its keyword list when it has none.
+ */
+export function evaluateRule(rule, item) {
+  const cond = rule.conditions || { keywords: rule.keywords || [] };
+  const result = evaluateCondition(cond, item);
+  return result.matched ? { ...result, spans: dedupeSpans(result.spans) } : result;
+}
+
+function validateCondition(cond, path, errors) {
+  if (!cond || typeof cond !== "object" || Array.isArray(cond)) {
+    errors.push(`${path}: condition must be an object`);
+    return;
+  }
+  const keys = Object.keys(cond).filter(k => k !== "flags" && k !== "field");
+  if (keys.length !== 1) {
+    errors.push(`${path}: condition must have exactly one of all, any, not, ${LEAF_KEYS.join(", ")}`);
+    return;
+  }
+  const key = keys[0];
+  const v = cond[key];
+  switch (key) {
+    case "all":
+    case "any":
+      if (!Array.isArray(v) || !v.length) errors.push(`${path}.${key}: must be a non-empty array`);
+      else v.forEach((c, i) => validateCondition(c, `${path}.${key}[${i}]`, errors));
+      break;
+    case "not":
+      validateCondition(v, `${path}.not`, errors);
+      break;
+    case "keywords":
+      if (!Array.isArray(v) || !v.length || v.some(k => typeof k !== "string" || !k.trim())) {
+        errors.push(`${path}.keywords: must be a non-empty array of strings`);
+      }
+      break;
+    case "regex":
+      if (String(v).length > MAX_REGEX_LENGTH) {
+        errors.push(`${path}.regex: must be at most ${MAX_REGEX_LENGTH} characters`);
+        break;
+      }
+      try { new RegExp(String(v), String(cond.flags ?? "i").replace(/g/g, "")); }
+      catch (e) { errors.push(`${path}.regex: ${e.message}`); break; }
+      if (hasNestedQuantifier(v)) errors.push(`${path}.regex: nested quantifiers such as (a+)+ are not allowed`);
+      if (cond.field && !TEXT_FIELDS.includes(cond.field)) errors.push(`${path}.field: must be one of ${TEXT_FIELDS.join(", ")}`);
+      break;
+    case "accountRange":
+      if (!v || typeof v !== "object" || (v.from == null && v.to == null)) errors.push(`${path}.accountRange: needs from and/or to`);
+      break;
+    case "category":
+    case "vendor":
+      if (!toList(v).length) errors.push(`${path}.${key}: must be a string or non-empty array of strings`);
+      break;
+    case "amount":
+      if (!v || typeof v !== "object" || !AMOUNT_OPS.some(op => v[op] != null)) {
+        errors.push(`${path}.amount: needs at least one of ${AMOUNT_OPS.join(", ")}`);
+      } else {
+        for (const op of AMOUNT_OPS) {
+          if (v[op] != null && !Number.isFinite(Number(v[op]))) errors.push(`${path}.amount.${op}: must be a number`);
+        }
+      }
+      break;
+    default:
+      errors.push(`${path}: unknown condition "${key}"`);
+  }
+}
+
+/**
+ * Validate a rule definition. Returns a list of error strings (empty when valid).
+ */
+export function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== "object") return ["rule must be an object"];
+  if (!rule.section || typeof rule.section !== "string") errors.push("section is required");
+  if (!rule.title || typeof rule.title !== "string") errors.push("title is required");
+  if (!["EXPRESSLY_UNALLOWABLE", "LIMITED_ALLOWABLE"].includes(rule.severity)) {
+    errors.push("severity must be EXPRESSLY_UNALLOWABLE or LIMITED_ALLOWABLE");
+  }
+  if (rule.weight != null && !Number.isFinite(Number(rule.weight))) errors.push("weight must be a number");
+  if (rule.conditions !== undefined) {
+    validateCondition(rule.conditions, "conditions", errors);
+  } else if (!Array.isArray(rule.keywords) || !rule.keywords.length) {
+    errors.push("keywords or conditions is required");
+  }
+  if (rule.keywords !== undefined && !Array.isArray(rule.keywords)) errors.push("keywords must be an array");
+  if (rule.contract_types !== undefined) {
+    if (!Array.isArray(rule.contract_types)) errors.push("contract_types must be an array");
+    else rule.contract_types.filter(t => !CONTRACT_TYPE_CODES.includes(t)).forEach(t => errors.push(`unknown contract type "${t}"`));
+  }
+  return errors;
+}
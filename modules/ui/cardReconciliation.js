@@ -0,0 +1,99 @@
+// Reports-tab card: corporate card statement import and the card-to-receipt
+// and card-to-GL reconciliation (/api/cards). Lists charges with no receipt,
+// receipts with no card charge and charges never posted to the GL.
+import { importCardStatement, fetchCardReconciliation } from "../services/apiService.js";
+import { esc } from "../utils/html.js";
+
+const money = (n) => `$${(Number(n) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const MAX_ROWS = 50;
+
+function chargeTable(rows, empty) {
+  if (!rows.length) return `<p class="gl-details-muted">${esc(empty)}</p>`;
+  const body = rows.slice(0, MAX_ROWS).map(t => `
+    <tr><td>${esc(t.date)}</td><td>${esc(t.merchant)}${t.description && t.description !== t.merchant ? `<div class="gl-details-muted">${esc(t.description)}</div>` : ''}</td>
+      <td>${esc(t.card ? `…${t.card}` : '')}${t.cardholder ? `<div class="gl-details-muted">${esc(t.cardholder)}</div>` : ''}</td><td>${money(t.amount)}</td></tr>`).join('');
+  return `
+    <table class="data-table">
+      <thead><tr><th>Date</th><th>Merchant</th><th>Card</th><th>Amount</th></tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+    ${rows.length > MAX_ROWS ? `<p class="gl-details-muted">Showing ${MAX_ROWS} of ${rows.length}.</p>` : ''}`;
+}
+
+function receiptTable(rows) {
+  if (!rows.length) return '<p class="gl-details-muted">Every receipt in the statement period matches a card charge.</p>';
+  const body = rows.slice(0, MAX_ROWS).map(r => `<tr><td>${esc(r.date)}</td><td>${esc(r.vendor)}</td><td>${money(r.amount)}</td></tr>`).join('');
+  return `
+    <table class="data-table">
+      <thead><tr><th>Date</th><th>Vendor</th><th>Amount</th></tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+    ${rows.length > MAX_ROWS ? `<p class="gl-details-muted">Showing ${MAX_ROWS} of ${rows.length}.</p>` : ''}`;
+}
+
+function renderReconciliation(data) {
+  const s = data.summary;
+  if (!s.charges) return '<p class="gl-details-muted">No card charges in this period.</p>';
+  return `
+    <p style="font-size:13px;">${s.charges} charges (${money(s.charge_amount)}): ${s.with_receipt} with a receipt, ${s.with_gl} posted to the GL.
+      ${s.credits ? `${s.credits} credits/payments (${money(s.credit_amount)}) not reconciled.` : ''}</p>
+    <h3 style="margin-top:12px;">Charges without a receipt (${s.no_receipt}, ${money(s.no_receipt_amount)})</h3>
+    ${chargeTable(data.no_receipt, 'Every charge has a receipt.')}
+    <h3 style="margin-top:12px;">Receipts without a card charge (${s.receipts_without_charge}, ${money(s.receipts_without_charge_amount)})</h3>
+    ${receiptTable(data.receipts_without_charge)}
+    <h3 style="margin-top:12px;">Charges not posted to the GL (${s.not_in_gl}, ${money(s.not_in_gl_amount)})</h3>
+    ${chargeTable(data.not_in_gl, 'Every charge has a GL entry.')}`;
+}
+
+export function initCardReconciliation(app) {
+  const root = document.getElementById('card-reconciliation');
+  if (!root || root.dataset.bound === 'true' || !app.apiBaseUrl) return;
+  root.dataset.bound = 'true';
+
+  root.innerHTML = `
+    <p class="gl-details-muted" style="margin-bottom:8px;">Import card statements (CSV/XLSX export or OFX/QFX download). Charges are matched one-to-one to uploaded receipts and to GL entries by amount, date and merchant.</p>
+    <div class="flex gap-4 mb-4" style="align-items:center;flex-wrap:wrap;">
+      <input type="file" id="card-file" accept=".csv,.xlsx,.ofx,.qfx,.qbo,text/csv" />
+      <button id="card-import" class="btn btn--primary">Import Statement</button>
+    </div>
+    <div id="card-status" style="margin-bottom:8px;font-size:13px;"></div>
+    <div class="flex gap-4 mb-4" style="align-items:center;">
+      <label>From <input type="date" id="card-from" class="form-input" /></label>
+      <label>To <input type="date" id="card-to" class="form-input" /></label>
+      <button id="card-reconcile" class="btn btn--outline">Reconcile Cards</button>
+    </div>
+    <div id="card-output"></div>
+  `;
+
+  const status = (msg, isError = false) => {
+    const el = root.querySelector('#card-status');
+    el.textContent = msg || '';
+    el.style.color = isError ? '#dc2626' : '#6b7280';
+  };
+  const reconcile = async () => {
+    const out = root.querySelector('#card-output');
+    try {
+      out.innerHTML = '<p class="gl-details-muted">Reconciling...</p>';
+      out.innerHTML = renderReconciliation(await fetchCardReconciliation(app.apiBaseUrl, {
+        from: root.querySelector('#card-from').value,
+        to: root.querySelector('#card-to').value,
+      }));
+    } catch (err) {
+      out.innerHTML = `<p style="color:#dc2626;">${esc(err.message)}</p>`;
+    }
+  };
+
+  root.querySelector('#card-import').addEventListener('click', async () => {
+    const file = root.querySelector('#card-file').files?.[0];
+    if (!file) return status('Choose a statement file first.', true);
+    try {
+      status('Importing...');
+      const result = await importCardStatement(app.apiBaseUrl, file);
+      status(`Imported ${result.imported} transactions (${result.charges} charges, ${money(result.amount)})${result.duplicates ? `, ${result.duplicates} already imported` : ''}${result.skipped ? `, ${result.skipped} skipped` : ''}.`);
+      await reconcile();
+    } catch (err) {
+      status(err.message, true);
+    }
+  });
+  root.querySelector('#card-reconcile').addEventListener('click', reconcile);
+}
@@ -142,3 +142,112 @@ export function updateAmountChart(canvasId, prevChart, auditResults, glData) {
     },
   });
 }
+
+const CONTRACT_COLORS = ["#1FB8CD", "#B4413C", "#5D878F", "#DB4545", "#D2BA4C", "#964325", "#944454", "#13343B"];
+
+// Limit a contract's burn is measured against: funding, else ceiling
+function burnLimit(contract) {
+  return contract.funded?.limit ? contract.funded.limit : contract.ceiling?.limit || 0;
+}
+
+// Cumulative allowable cost per contract as a percentage of its funding
+// (or ceiling when unfunded), by month (burn from /api/contracts/burn)
+export function updateBurnChart(canvasId, prevChart, burn) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) return prevChart || null;
+
+  // Check if Chart.js is available
+  if (typeof Chart === 'undefined') {
+    console.warn('Chart.js not loaded - charts will not display');
+    return prevChart || null;
+  }
+
+  const contracts = (burn?.contracts || []).filter(c => c.months.length && burnLimit(c) > 0);
+  if (contracts.length === 0) {
+    if (prevChart) prevChart.destroy();
+    return null;
+  }
+  const months = [...new Set(contracts.flatMap(c => c.months.map(m => m.month)))].sort();
+
+  const ctx = canvas.getContext("2d");
+  if (prevChart) prevChart.destroy();
+  return new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: months,
+      datasets: contracts.map((c, i) => {
+        const byMonth = new Map(c.months.map(m => [m.month, m.cumulative]));
+        let last = null;
+        return {
+          label: c.contract_number,
+          data: months.map(m => {
+            if (byMonth.has(m)) last = byMonth.get(m);
+            return last == null ? null : Math.round((last / burnLimit(c)) * 1000) / 10;
+          }),
+          borderColor: CONTRACT_COLORS[i % CONTRACT_COLORS.length],
+          backgroundColor: CONTRACT_COLORS[i % CONTRACT_COLORS.length],
+          tension: 0.2,
+          spanGaps: false,
+        };
+      }),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: { y: { beginAtZero: true, ticks: { callback: (value) => `${value}%` } } },
+      plugins: {
+        legend: { position: "bottom" },
+        tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${context.parsed.y}% of funding` } },
+      },
+    },
+  });
+}
+
+// Spent vs remaining funding vs unfunded ceiling, one bar per contract
+export function updateFundingChart(canvasId, prevChart, burn) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) return prevChart || null;
+
+  // Check if Chart.js is available
+  if (typeof Chart === 'undefined') {
+    console.warn('Chart.js not loaded - charts will not display');
+    return prevChart || null;
+  }
+
+  const contracts = (burn?.contracts || []).filter(c => c.funded || c.ceiling);
+  if (contracts.length === 0) {
+    if (prevChart) prevChart.destroy();
+    return null;
+  }
+
+  const ctx = canvas.getContext("2d");
+  if (prevChart) prevChart.destroy();
+  return new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: contracts.map(c => c.contract_number),
+      datasets: [
+        { label: "Spent", data: contracts.map(c => c.allowable), backgroundColor: "#B4413C" },
+        { label: "Remaining Funding", data: contracts.map(c => Math.max(c.funded?.remaining || 0, 0)), backgroundColor: "#1FB8CD" },
+        {
+          label: "Unfunded Ceiling",
+          data: contracts.map(c => Math.max((c.ceiling?.limit || 0) - Math.max(c.funded?.limit || 0, c.allowable), 0)),
+          backgroundColor: "#FFC185",
+        },
+      ],
+    },
+    options: {
+      indexAxis: "y",
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { stacked: true, beginAtZero: true, ticks: { callback: (value) => "$" + value.toLocaleString() } },
+        y: { stacked: true },
+      },
+      plugins: {
+        legend: { position: "bottom" },
+        tooltip: { callbacks: { label: (context) => context.dataset.label + ": $" + context.parsed.x.toLocaleString() } },
+      },
+    },
+  });
+}
@@ -0,0 +1,135 @@
+// Admin-tab card for the contract registry (/api/contracts). Each contract's
+// type decides which FAR rules apply to its GL entries; the period of
+// performance flags charges dated outside it. Saving re-audits on the server.
+import { fetchContracts, fetchUnknownContracts, saveContract, deleteContract } from "../services/apiService.js";
+import { esc } from "../utils/html.js";
+
+const money = (n) => (n == null ? '' : `$${Number(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+function setStatus(msg, isError = false) {
+  const el = document.getElementById('contract-status');
+  if (!el) return;
+  el.textContent = msg || '';
+  el.style.color = isError ? '#dc2626' : '#6b7280';
+}
+
+function renderForm(types, c = {}) {
+  const options = types.map(t => `<option value="${esc(t.code)}" ${c.contract_type === t.code ? 'selected' : ''}>${esc(t.code)} - ${esc(t.label)}</option>`).join('');
+  return `
+    <div class="flex gap-4" style="flex-wrap:wrap;align-items:flex-end;">
+      <div class="form-group"><label class="form-label" for="contract-number">Contract Number</label>
+        <input id="contract-number" class="form-input" value="${esc(c.contract_number || '')}" /></div>
+      <div class="form-group"><label class="form-label" for="contract-type">Type</label>
+        <select id="contract-type" class="form-select">${options}</select></div>
+      <div class="form-group"><label class="form-label" for="contract-pop-start">PoP Start</label>
+        <input id="contract-pop-start" type="date" class="form-input" value="${esc(c.pop_start || '')}" /></div>
+      <div class="form-group"><label class="form-label" for="contract-pop-end">PoP End</label>
+        <input id="contract-pop-end" type="date" class="form-input" value="${esc(c.pop_end || '')}" /></div>
+      <div class="form-group"><label class="form-label" for="contract-ceiling">Ceiling</label>
+        <input id="contract-ceiling" type="number" step="0.01" class="form-input" value="${c.ceiling ?? ''}" /></div>
+      <div class="form-group"><label class="form-label" for="contract-funded">Funded</label>
+        <input id="contract-funded" type="number" step="0.01" class="form-input" value="${c.funded_amount ?? ''}" /></div>
+      <div class="form-group"><label class="form-label" for="contract-agency">Customer Agency</label>
+        <input id="contract-agency" class="form-input" value="${esc(c.customer_agency || '')}" /></div>
+      <div class="form-group">
+        <button id="contract-save" class="btn btn--primary">${c.id ? 'Update' : 'Add Contract'}</button>
+        ${c.id ? '<button id="contract-cancel" class="btn btn--outline">Cancel</button>' : ''}
+      </div>
+    </div>`;
+}
+
+function readForm(root) {
+  const val = (id) => root.querySelector(`#${id}`)?.value.trim() ?? '';
+  return {
+    contract_number: val('contract-number'),
+    contract_type: val('contract-type'),
+    pop_start: val('contract-pop-start') || null,
+    pop_end: val('contract-pop-end') || null,
+    ceiling: val('contract-ceiling') || null,
+    funded_amount: val('contract-funded') || null,
+    customer_agency: val('contract-agency') || null,
+  };
+}
+
+function renderTable(contracts, unknown) {
+  const rows = contracts.map(c => `
+    <tr>
+      <td><strong>${esc(c.contract_number)}</strong><div class="gl-details-muted">${esc(c.customer_agency || '')}</div></td>
+      <td>${esc(c.contract_type)}</td>
+      <td>${esc(c.pop_start || '…')} to ${esc(c.pop_end || '…')}</td>
+      <td>${money(c.ceiling)}</td>
+      <td>${money(c.funded_amount)}</td>
+      <td>${c.gl_entries} (${money(c.gl_total)})</td>
+      <td>
+        <button class="btn btn--small btn--outline" data-contract-edit="${esc(c.id)}">Edit</button>
+        <button class="btn btn--small btn--outline" data-contract-delete="${esc(c.id)}">Delete</button>
+      </td>
+    </tr>`).join('');
+  const missing = unknown.length
+    ? `<p class="gl-details-muted">Billed but not registered: ${unknown.slice(0, 10).map(u => `${esc(u.contract_number)} (${u.gl_entries})`).join(', ')}</p>`
+    : '';
+  return `
+    <table class="data-table">
+      <thead><tr><th>Contract</th><th>Type</th><th>Period of Performance</th><th>Ceiling</th><th>Funded</th><th>GL Entries</th><th></th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="7">No contracts registered; every FAR rule applies to every entry.</td></tr>'}</tbody>
+    </table>
+    ${missing}`;
+}
+
+export async function initContractAdmin(app) {
+  const root = document.getElementById('contract-admin');
+  if (!root || root.dataset.bound === 'true' || !app.apiBaseUrl) return;
+  root.dataset.bound = 'true';
+
+  root.innerHTML = `
+    <p class="gl-details-muted" style="margin-bottom:8px;">Cost principles (FAR Part 31) are skipped for fixed-price contracts unless a rule names their type.
+      Charges outside the period of performance and unregistered contract numbers are flagged for review.</p>
+    <div id="contract-form"></div>
+    <div id="contract-status" style="margin:8px 0;font-size:13px;"></div>
+    <div id="contract-list"></div>
+  `;
+
+  let data = { contracts: [], types: [] };
+
+  const showForm = (contract = {}) => {
+    const form = root.querySelector('#contract-form');
+    form.innerHTML = renderForm(data.types, contract);
+    form.querySelector('#contract-save').addEventListener('click', async () => {
+      try {
+        const result = await saveContract(app.apiBaseUrl, readForm(form), contract.id);
+        setStatus(`Saved ${result.contract.contract_number}; ${result.reaudited} GL entries re-audited.`);
+        await refresh();
+        if (result.reaudited && typeof app.runAudit === 'function' && app.glData?.length) await app.runAudit();
+      } catch (err) {
+        setStatus(err.message, true);
+      }
+    });
+    form.querySelector('#contract-cancel')?.addEventListener('click', () => showForm());
+  };
+
+  const refresh = async () => {
+    const [list, unknown] = await Promise.all([fetchContracts(app.apiBaseUrl), fetchUnknownContracts(app.apiBaseUrl)]);
+    data = list;
+    root.querySelector('#contract-list').innerHTML = renderTable(list.contracts, unknown.unknown);
+    showForm();
+  };
+
+  root.querySelector('#contract-list').addEventListener('click', async (e) => {
+    const editId = e.target.closest('[data-contract-edit]')?.dataset.contractEdit;
+    const deleteId = e.target.closest('[data-contract-delete]')?.dataset.contractDelete;
+    if (editId) return showForm(data.contracts.find(c => c.id === editId));
+    if (!deleteId) return;
+    const contract = data.contracts.find(c => c.id === deleteId);
+    if (!contract || !confirm(`Remove ${contract.contract_number} from the registry?`)) return;
+    try {
+      const result = await deleteContract(app.apiBaseUrl, deleteId);
+      setStatus(`Removed ${contract.contract_number}; ${result.reaudited} GL entries re-audited.`);
+      await refresh();
+      if (result.reaudited && typeof app.runAudit === 'function' && app.glData?.length) await app.runAudit();
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  });
+
+  await refresh();
+}
@@ -1,11 +1,22 @@
-import { updateComplianceChart, updateViolationsChart, updateAmountChart } from "./charts.js";
+import { updateComplianceChart, updateViolationsChart, updateAmountChart, updateBurnChart, updateFundingChart } from "./charts.js";
 
 function setText(id, text) {
   const el = document.getElementById(id);
   if (el) el.textContent = text;
 }
 
-export function updateDashboard(auditResults, glData, charts) {
+// Contracts past an alert percentage of funding or ceiling, with projected run-out
+function renderBurnAlerts(burn) {
+  const el = document.getElementById("contract-burn-alerts");
+  if (!el) return;
+  const rows = (burn?.contracts || []).flatMap(c => [["funding", c.funded], ["ceiling", c.ceiling]]
+    .filter(([, m]) => m?.threshold_crossed != null)
+    .map(([label, m]) => `${c.contract_number}: ${m.percent}% of ${label} spent` +
+      (m.projected_exhaustion ? `, runs out ${m.projected_exhaustion}${c.pop_end && !m.after_pop_end ? " (before period of performance ends)" : ""}` : "")));
+  el.textContent = rows.length ? rows.join(" · ") : "";
+}
+
+export function updateDashboard(auditResults, glData, charts, burn = null) {
   const data = Array.isArray(auditResults) && auditResults.length > 0 ? auditResults : (glData || []);
 
   const total = data.length;
@@ -14,6 +25,8 @@ export function updateDashboard(auditResults, glData, charts) {
   const green = data.filter((i) => i.status === "GREEN").length;
   const violations = red + yellow;
   const amountTotal = (data || []).reduce((sum, x) => sum + (Number(x.amount) || 0), 0);
+  // Unallowable dollars only (partial lines count their portion, not the whole row)
+  const questioned = (data || []).reduce((sum, x) => sum + (Number(x.unallowableAmount) || 0), 0);
   const complianceRate = total > 0 ? Math.round((green / total) * 100) : 100;
 
   // Match IDs present in index.html
@@ -21,11 +34,16 @@ export function updateDashboard(auditResults, glData, charts) {
   setText("violations-count", violations.toLocaleString());
   setText("compliance-rate", `${complianceRate}%`);
   setText("total-amount", `$${amountTotal.toLocaleString(undefined, { maximumFractionDigits: 0 })}`);
+  setText("questioned-costs", `$${questioned.toLocaleString(undefined, { maximumFractionDigits: 0 })}`);
 
   // Charts present: compliance-chart, violations-chart
   charts.complianceChart = updateComplianceChart("compliance-chart", charts.complianceChart, red, yellow, green);
   charts.violationsChart = updateViolationsChart("violations-chart", charts.violationsChart, data);
   // amount chart is optional in the current HTML; safe call keeps null if canvas missing
   charts.amountChart = updateAmountChart("amount-chart", charts.amountChart, auditResults, glData);
+  // Contract funding burn comes from the server (/api/contracts/burn)
+  charts.burnChart = updateBurnChart("burn-chart", charts.burnChart, burn);
+  charts.fundingChart = updateFundingChart("funding-chart", charts.fundingChart, burn);
+  renderBurnAlerts(burn);
   return charts;
 }
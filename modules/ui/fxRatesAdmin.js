@@ -0,0 +1,57 @@
+// Admin-tab card for the local FX rate table (/api/fx). Importing a CSV replaces
+// the rate for each currency and date it contains and converts receipts that
+// were waiting for a rate, then re-audits.
+import { fetchFxRates, importFxRates } from "../services/apiService.js";
+
+function setStatus(msg, isError = false) {
+  const el = document.getElementById('fx-rates-status');
+  if (!el) return;
+  el.textContent = msg || '';
+  el.style.color = isError ? '#dc2626' : '#6b7280';
+}
+
+async function refreshSummary(app) {
+  const el = document.getElementById('fx-rates-summary');
+  if (!el) return;
+  const { total, currencies, rates } = await fetchFxRates(app.apiBaseUrl);
+  if (!total) {
+    el.textContent = 'No rates loaded. Foreign-currency GL rows are rejected until a rate covers their date.';
+    return;
+  }
+  const days = rates.map(r => r.date).sort();
+  el.textContent = `${total} rates loaded for ${currencies.join(', ')} (${days[0]} to ${days[days.length - 1]})`;
+}
+
+export async function initFxRatesAdmin(app) {
+  const root = document.getElementById('fx-rates-admin');
+  if (!root || root.dataset.bound === 'true' || !app.apiBaseUrl) return;
+  root.dataset.bound = 'true';
+
+  root.innerHTML = `
+    <p class="gl-details-muted" style="margin-bottom:8px;">Import a rate CSV (DATE, CURRENCY, RATE in USD per unit, or PER_USD).
+      Foreign-currency receipts and GL rows are converted to USD at the latest rate on or before their date.</p>
+    <div class="flex gap-4 mb-4" style="align-items:center;">
+      <input type="file" id="fx-rates-file" accept=".csv,text/csv" />
+      <button id="fx-rates-import" class="btn btn--primary">Import Rates</button>
+    </div>
+    <div id="fx-rates-summary" style="font-size:13px;"></div>
+    <div id="fx-rates-status" style="margin-top:8px;font-size:13px;"></div>
+  `;
+
+  root.querySelector('#fx-rates-import').addEventListener('click', async () => {
+    const file = root.querySelector('#fx-rates-file').files?.[0];
+    if (!file) return setStatus('Choose a CSV file first.', true);
+    try {
+      setStatus('Importing...');
+      const result = await importFxRates(app.apiBaseUrl, file);
+      const { doc_items: items = 0, gl_entries: entries = 0 } = result.reconverted || {};
+      setStatus(`Imported ${result.imported} rates for ${result.currencies.join(', ')} (${result.from} to ${result.to})${result.skipped ? `, ${result.skipped} rows skipped` : ''}.${items || entries ? ` Converted ${items} receipts and ${entries} GL rows that were waiting for a rate.` : ''}`);
+      await refreshSummary(app);
+      if (typeof app.runAudit === 'function' && app.glData?.length) await app.runAudit();
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  });
+
+  await refreshSummary(app);
+}
@@ -0,0 +1,117 @@
+// Validation step of a staged GL import (/api/gl/imports). Shows the report's
+// rejected rows and warnings with their sheet and row numbers, and lets the
+// user skip rows by warning type. Incremental (upsert) loads also list the
+// inserted/updated/unchanged/removed counts and let the user delete the
+// removed entries. Resolves with the commit options ({ skip_codes,
+// remove_missing }), or null when the user cancels.
+import { esc } from "../utils/html.js";
+
+const CODE_LABELS = {
+  INVALID_DATE: 'Unreadable date',
+  INVALID_AMOUNT: 'Unreadable amount',
+  MISSING_AMOUNT: 'Blank amount',
+  MISSING_DESCRIPTION: 'No description',
+  MISSING_DATE: 'No date',
+  FUTURE_DATE: 'Future date',
+  ZERO_AMOUNT: 'Zero amount',
+  NON_NUMERIC_ACCOUNT: 'Non-numeric account',
+  DUPLICATE_ROW: 'Duplicate within file',
+  DUPLICATE_ENTRY: 'Already in the GL',
+  JOURNAL_IMBALANCE: 'Journal out of balance',
+  DUPLICATE_KEY: 'Natural key repeated in file',
+  MISSING_KEY: 'Incomplete natural key',
+};
+
+const FIELD_LABELS = {
+  account_number: 'account', description: 'description', amount: 'amount', date: 'date', category: 'category', vendor: 'vendor',
+  contract_number: 'contract', employee_id: 'employee', project: 'project', task: 'task', org: 'org',
+  document_number: 'journal', line_number: 'line', po_number: 'PO', debit: 'debit', credit: 'credit',
+};
+
+function renderChanges(changes, where) {
+  const money = (n) => (Number(n) || 0).toLocaleString('en-US', { minimumFractionDigits: 2 });
+  return `
+    <p style="margin:8px 0 4px;">Compared with the GL${changes.range ? ` for ${esc(changes.range.from)} to ${esc(changes.range.to)}` : ''}:
+      <strong>${changes.inserted}</strong> new, <strong>${changes.updated}</strong> changed, ${changes.unchanged} unchanged,
+      <strong>${changes.removed}</strong> no longer in the source${changes.untouched ? `; ${changes.untouched} entries from other files left as they are` : ''}.</p>
+    ${changes.updates.length ? `
+      <p class="gl-details-muted" style="margin:8px 0 4px;">Changed entries:</p>
+      <ul style="margin:0 0 8px 18px;max-height:120px;overflow:auto;">${changes.updates.slice(0, MAX_LISTED).map(u =>
+        `<li>${where(u)}: ${u.fields.map(f => esc(FIELD_LABELS[f] || f)).join(', ')}</li>`).join('')}</ul>` : ''}
+    ${changes.removals.length ? `
+      <label style="display:flex;gap:8px;align-items:baseline;padding:2px 0;">
+        <input type="checkbox" data-remove-missing />
+        <span>Delete the ${changes.removed} GL entries missing from this load</span>
+      </label>
+      <ul style="margin:0 0 8px 18px;max-height:120px;overflow:auto;">${changes.removals.slice(0, MAX_LISTED).map(g =>
+        `<li>${esc(g.date || '')} ${esc(g.document_number || '')}${g.line_number ? `/${esc(g.line_number)}` : ''} ${esc(g.account_number || '')} ${esc(g.description || '')} ${money(g.amount)}</li>`).join('')}</ul>` : ''}`;
+}
+
+// Skipped unless unchecked: importing the same line twice double-counts cost
+const DEFAULT_SKIPS = ['DUPLICATE_ENTRY'];
+
+const MAX_LISTED = 200;
+
+export function reviewImport(report, { filename = '', issueCodes = {} } = {}) {
+  return new Promise((resolve) => {
+    const warningCodes = Object.keys(report.counts).filter(c => issueCodes[c] === 'warning');
+    const errorCodes = Object.keys(report.counts).filter(c => issueCodes[c] === 'error');
+    const money = (n) => (Number(n) || 0).toLocaleString('en-US', { minimumFractionDigits: 2 });
+    const where = (i) => `${i.sheet ? `${esc(i.sheet)} ` : ''}row ${esc(i.row)}`;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay show';
+    overlay.innerHTML = `
+      <div class="modal-container" style="max-width:760px;">
+        <div class="modal-header">
+          <h3>Import validation${filename ? ` – ${esc(filename)}` : ''}</h3>
+          <button type="button" class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p style="margin-bottom:8px;"><strong>${report.accepted}</strong> of ${report.total} rows can be imported.
+            ${report.rejected ? `<span style="color:#dc2626;">${report.rejected} rejected</span> (${errorCodes.map(c => `${esc(CODE_LABELS[c] || c)}: ${report.counts[c]}`).join(', ')}).` : ''}
+            ${report.with_warnings ? `${report.with_warnings} accepted rows have warnings.` : ''}</p>
+          ${report.changes ? renderChanges(report.changes, where) : ''}
+          ${warningCodes.length ? `
+            <p class="gl-details-muted" style="margin:8px 0 4px;">Skip accepted rows flagged:</p>
+            ${warningCodes.map(c => `
+              <label style="display:flex;gap:8px;align-items:baseline;padding:2px 0;">
+                <input type="checkbox" data-skip-code="${esc(c)}" ${DEFAULT_SKIPS.includes(c) ? 'checked' : ''} />
+                <span>${esc(CODE_LABELS[c] || c)} (${report.counts[c]})</span>
+              </label>`).join('')}` : ''}
+          ${report.journals.length ? `
+            <p class="gl-details-muted" style="margin:8px 0 4px;">Journals out of balance:</p>
+            <ul style="margin:0 0 8px 18px;">${report.journals.map(j => `<li>${esc(j.document_number)}: debits ${money(j.debit)}, credits ${money(j.credit)}, difference ${money(j.difference)} (rows ${j.rows.map(esc).join(', ')})</li>`).join('')}</ul>` : ''}
+          <div style="max-height:320px;overflow:auto;">
+            <table class="data-table">
+              <thead><tr><th>Row</th><th>Issue</th><th>Detail</th></tr></thead>
+              <tbody>${report.issues.slice(0, MAX_LISTED).map(i => `
+                <tr>
+                  <td>${where(i)}</td>
+                  <td style="color:${i.severity === 'error' ? '#dc2626' : '#b45309'};">${esc(CODE_LABELS[i.code] || i.code)}</td>
+                  <td>${esc(i.message)}</td>
+                </tr>`).join('')}</tbody>
+            </table>
+            ${report.issues.length > MAX_LISTED ? `<p class="gl-details-muted">${report.issues.length - MAX_LISTED} more issues not shown.</p>` : ''}
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button type="button" class="btn btn--outline" data-action="cancel">Cancel Import</button>
+          <button type="button" class="btn btn--primary" data-action="commit" ${report.accepted ? '' : 'disabled'}>Import Accepted Rows</button>
+        </div>
+      </div>
+    `;
+    const close = (result) => {
+      overlay.remove();
+      resolve(result);
+    };
+    overlay.querySelector('.modal-close').addEventListener('click', () => close(null));
+    overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+    overlay.querySelector('[data-action="commit"]').addEventListener('click', () => {
+      const skip_codes = [...overlay.querySelectorAll('input[data-skip-code]:checked')].map(el => el.dataset.skipCode);
+      const remove_missing = !!overlay.querySelector('input[data-remove-missing]')?.checked;
+      close(report.changes ? { skip_codes, remove_missing } : { skip_codes });
+    });
+    document.body.appendChild(overlay);
+  });
+}
@@ -0,0 +1,64 @@
+// Admin-tab card for incremental GL loads (/api/gl/imports/config). In upsert
+// mode an upload is matched to the GL by the chosen natural-key fields: changed
+// lines are updated in place and the import review lists lines that are no
+// longer in the source, instead of the file being blocked as a duplicate.
+import { fetchGLImportConfig, saveGLImportConfig } from "../services/apiService.js";
+import { esc } from "../utils/html.js";
+
+const KEY_LABELS = {
+  documentNumber: 'Journal/Voucher', lineNumber: 'Line', date: 'Date', amount: 'Amount', accountNumber: 'Account',
+  description: 'Description', vendor: 'Vendor', project: 'Project', task: 'Task', org: 'Org', employeeId: 'Employee ID',
+  poNumber: 'PO Number', contractNumber: 'Contract',
+};
+
+function setStatus(msg, isError = false) {
+  const el = document.getElementById('import-settings-status');
+  if (!el) return;
+  el.textContent = msg || '';
+  el.style.color = isError ? '#dc2626' : '#6b7280';
+}
+
+function render(data) {
+  const { config } = data;
+  const keys = data.key_fields.map(f => `
+    <label style="display:inline-flex;gap:6px;align-items:baseline;margin-right:12px;">
+      <input type="checkbox" data-key-field="${esc(f)}" ${config.natural_key.includes(f) ? 'checked' : ''} />
+      <span>${esc(KEY_LABELS[f] || f)}</span>
+    </label>`).join('');
+  return `
+    <div class="form-group">
+      <label class="form-label" for="import-mode">Import Mode</label>
+      <select id="import-mode" class="form-select">
+        <option value="append" ${config.mode === 'append' ? 'selected' : ''}>Append – every upload adds new entries</option>
+        <option value="upsert" ${config.mode === 'upsert' ? 'selected' : ''}>Upsert – re-pulls update matching entries</option>
+      </select>
+    </div>
+    <div class="form-group">
+      <label class="form-label">Natural Key</label>
+      <div>${keys}</div>
+    </div>
+    <div class="form-group"><button id="import-settings-save" class="btn btn--primary">Save Import Settings</button></div>`;
+}
+
+export async function initImportSettings(app) {
+  const root = document.getElementById('import-settings');
+  if (!root || root.dataset.bound === 'true' || !app.apiBaseUrl) return;
+  root.dataset.bound = 'true';
+
+  const data = await fetchGLImportConfig(app.apiBaseUrl);
+  root.innerHTML = `
+    <p class="gl-details-muted" style="margin-bottom:8px;">For weekly re-pulls of the same ledger, use upsert mode with a key that identifies a GL line in the source system (e.g. journal number, line, date and amount).</p>
+    <div id="import-settings-form">${render(data)}</div>
+    <div id="import-settings-status" style="margin:8px 0;font-size:13px;"></div>
+  `;
+
+  root.querySelector('#import-settings-save').addEventListener('click', async () => {
+    const natural_key = [...root.querySelectorAll('[data-key-field]:checked')].map(el => el.dataset.keyField);
+    try {
+      const result = await saveGLImportConfig(app.apiBaseUrl, { mode: root.querySelector('#import-mode').value, natural_key });
+      setStatus(`Saved: ${result.config.mode} mode, key ${result.config.natural_key.map(f => KEY_LABELS[f] || f).join(' + ')}.`);
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  });
+}
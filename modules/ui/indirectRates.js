@@ -0,0 +1,76 @@
+// Reports-tab card: fringe / overhead / G&A pools and provisional rates for a
+// period (/api/indirect/rates) and the ICE schedule workbook for the same period.
+// Unallowable costs are already excluded server-side.
+import { fetchIndirectRates, iceScheduleUrl } from "../services/apiService.js";
+import { esc } from "../utils/html.js";
+
+const money = (n) => `$${(Number(n) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+function render(data) {
+  const groupName = new Map(data.groups.map(g => [g.id, g.name]));
+  const names = (ids) => ids.map(id => esc(groupName.get(id) || id)).join(', ');
+  const pools = data.pools.map(p => `
+    <tr>
+      <td><strong>${esc(p.name)}</strong></td>
+      <td>${money(p.pool_total)}<div class="gl-details-muted">${names(p.groups)}</div></td>
+      <td>${money(p.unallowable_excluded)}</td>
+      <td>${money(p.base_total)}<div class="gl-details-muted">${names(p.base)}${p.burdened_base ? ' (burdened)' : ''}</div></td>
+      <td><strong>${p.rate_percent == null ? 'n/a' : `${p.rate_percent.toFixed(2)}%`}</strong></td>
+    </tr>`).join('');
+  const groups = data.groups.filter(g => g.entries).map(g => `
+    <tr><td>${esc(g.name)}</td><td>${g.entries}</td><td>${money(g.total)}</td><td>${money(g.unallowable)}</td><td>${money(g.allowable)}</td></tr>`).join('');
+  const notes = [
+    data.unmapped.entries ? `${data.unmapped.entries} entries (${money(data.unmapped.total)}) match no cost group: ${data.unmapped.accounts.slice(0, 5).map(a => `${esc(a.account)} ${money(a.total)}`).join(', ')}` : '',
+    data.unaudited ? `${data.unaudited} mapped entries have not been audited; their full amount is included.` : '',
+  ].filter(Boolean).map(n => `<p class="gl-details-muted">${n}</p>`).join('');
+
+  return `
+    <table class="data-table">
+      <thead><tr><th>Pool</th><th>Pool Costs</th><th>Unallowable Excluded</th><th>Allocation Base</th><th>Rate</th></tr></thead>
+      <tbody>${pools || '<tr><td colspan="5">No pools configured.</td></tr>'}</tbody>
+    </table>
+    <h3 style="margin-top:16px;">Cost Groups</h3>
+    <table class="data-table">
+      <thead><tr><th>Group</th><th>Entries</th><th>Total</th><th>Unallowable</th><th>Allowable</th></tr></thead>
+      <tbody>${groups || '<tr><td colspan="5">No GL entries in this period.</td></tr>'}</tbody>
+    </table>
+    ${notes}`;
+}
+
+export function initIndirectRates(app) {
+  const root = document.getElementById('indirect-rates');
+  if (!root || root.dataset.bound === 'true' || !app.apiBaseUrl) return;
+  root.dataset.bound = 'true';
+
+  root.innerHTML = `
+    <div class="flex gap-4 mb-4" style="align-items:center;">
+      <label>From <input type="date" id="indirect-from" class="form-input" /></label>
+      <label>To <input type="date" id="indirect-to" class="form-input" /></label>
+      <button id="indirect-compute" class="btn btn--primary">Compute Rates</button>
+      <button id="indirect-ice-export" class="btn btn--outline">Export ICE Schedules (XLSX)</button>
+    </div>
+    <div id="indirect-output"></div>
+  `;
+
+  // Schedules H and I for the same period, downloaded straight from the server
+  root.querySelector('#indirect-ice-export').addEventListener('click', () => {
+    window.location.href = iceScheduleUrl(app.apiBaseUrl, {
+      from: root.querySelector('#indirect-from').value,
+      to: root.querySelector('#indirect-to').value,
+    });
+  });
+
+  root.querySelector('#indirect-compute').addEventListener('click', async () => {
+    const out = root.querySelector('#indirect-output');
+    try {
+      out.innerHTML = '<p class="gl-details-muted">Computing...</p>';
+      const data = await fetchIndirectRates(app.apiBaseUrl, {
+        from: root.querySelector('#indirect-from').value,
+        to: root.querySelector('#indirect-to').value,
+      });
+      out.innerHTML = render(data);
+    } catch (err) {
+      out.innerHTML = `<p style="color:#dc2626;">${esc(err.message)}</p>`;
+    }
+  });
+}
@@ -0,0 +1,125 @@
+// Reports-tab card: timesheet import, floor-check flags and the labor-to-GL
+// reconciliation (/api/timesheets). Timesheet documents uploaded through
+// document ingest are parsed server-side and show up here too.
+import { importTimesheets, fetchTimesheetFlags, fetchLaborReconciliation, setTimesheetApproval } from "../services/apiService.js";
+import { esc } from "../utils/html.js";
+
+const money = (n) => `$${(Number(n) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const STATUS_COLORS = { MATCHED: '#16a34a', VARIANCE: '#dc2626', NO_GL: '#d97706', NO_TIMESHEET: '#d97706', UNPRICED: '#6b7280' };
+const FLAG_LABELS = { UNAPPROVED: 'Unapproved', OVER_DAILY_LIMIT: 'Over daily limit', CLOSED_CONTRACT: 'Closed contract' };
+
+function renderFlags(data) {
+  if (!data.flags.length) return '<p class="gl-details-muted">No timesheet flags.</p>';
+  const counts = Object.entries(data.summary).map(([type, n]) => `${FLAG_LABELS[type] || type}: ${n}`).join(' · ');
+  const rows = data.flags.slice(0, 50).map(f => `
+    <tr><td>${esc(FLAG_LABELS[f.type] || f.type)}</td><td>${esc(f.employee_id)}</td><td>${esc(f.date)}</td><td>${esc(f.charge_code)}</td><td>${f.hours}</td><td>${esc(f.message)}</td>
+      <td>${f.type === 'UNAPPROVED' ? `<button class="btn btn--outline btn--small" data-approve="${esc(f.timesheet_ids[0])}">Approve</button>` : ''}</td></tr>`).join('');
+  return `
+    <p style="font-size:13px;">${esc(counts)}</p>
+    <table class="data-table">
+      <thead><tr><th>Flag</th><th>Employee</th><th>Date</th><th>Charge Code</th><th>Hours</th><th>Detail</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${data.flags.length > 50 ? `<p class="gl-details-muted">Showing 50 of ${data.flags.length} flags.</p>` : ''}`;
+}
+
+function renderReconciliation(data) {
+  const rows = data.rows.map(r => `
+    <tr>
+      <td>${esc(r.contract_number)}</td><td>${esc(r.month)}</td><td>${r.employees}</td>
+      <td>${r.hours}${r.unpriced_hours ? `<div class="gl-details-muted">${r.unpriced_hours}h without a rate</div>` : ''}</td>
+      <td>${money(r.timesheet_cost)}</td><td>${money(r.gl_amount)}</td><td>${money(r.variance)} (${r.variance_percent}%)</td>
+      <td style="color:${STATUS_COLORS[r.status] || 'inherit'};font-weight:600;">${esc(r.status)}</td>
+    </tr>`).join('');
+  const s = data.summary;
+  return `
+    <table class="data-table">
+      <thead><tr><th>Contract</th><th>Month</th><th>Employees</th><th>Hours</th><th>Timesheet Cost</th><th>Labor GL</th><th>Variance</th><th>Status</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="8">No timesheets or labor GL entries in this period.</td></tr>'}</tbody>
+    </table>
+    <p class="gl-details-muted">Total: ${s.hours}h, ${money(s.timesheet_cost)} from timesheets vs ${money(s.gl_amount)} labor GL (${money(s.variance)}).</p>`;
+}
+
+export function initLaborReconciliation(app) {
+  const root = document.getElementById('labor-reconciliation');
+  if (!root || root.dataset.bound === 'true' || !app.apiBaseUrl) return;
+  root.dataset.bound = 'true';
+
+  root.innerHTML = `
+    <p class="gl-details-muted" style="margin-bottom:8px;">Import timesheets (CSV/XLSX: employee, date, charge code, hours, optional rate and approver).
+      Hours x rate are reconciled against labor GL entries per contract and month.</p>
+    <div class="flex gap-4 mb-4" style="align-items:center;flex-wrap:wrap;">
+      <input type="file" id="timesheet-file" accept=".csv,.xlsx,text/csv" />
+      <label><input type="checkbox" id="timesheet-approved" /> All rows approved</label>
+      <input id="timesheet-approver" class="form-input" placeholder="Approver" style="width:180px;" />
+      <button id="timesheet-import" class="btn btn--primary">Import Timesheets</button>
+    </div>
+    <div id="timesheet-status" style="margin-bottom:8px;font-size:13px;"></div>
+    <div class="flex gap-4 mb-4" style="align-items:center;">
+      <label>From <input type="date" id="labor-from" class="form-input" /></label>
+      <label>To <input type="date" id="labor-to" class="form-input" /></label>
+      <button id="labor-reconcile" class="btn btn--outline">Reconcile Labor</button>
+    </div>
+    <div id="labor-output"></div>
+    <h3 style="margin-top:16px;">Timesheet Flags</h3>
+    <div id="timesheet-flags"></div>
+  `;
+
+  const status = (msg, isError = false) => {
+    const el = root.querySelector('#timesheet-status');
+    el.textContent = msg || '';
+    el.style.color = isError ? '#dc2626' : '#6b7280';
+  };
+  const refreshFlags = async () => {
+    const out = root.querySelector('#timesheet-flags');
+    try {
+      out.innerHTML = renderFlags(await fetchTimesheetFlags(app.apiBaseUrl));
+    } catch (err) {
+      out.innerHTML = `<p style="color:#dc2626;">${esc(err.message)}</p>`;
+    }
+  };
+  const reconcile = async () => {
+    const out = root.querySelector('#labor-output');
+    try {
+      out.innerHTML = '<p class="gl-details-muted">Reconciling...</p>';
+      out.innerHTML = renderReconciliation(await fetchLaborReconciliation(app.apiBaseUrl, {
+        from: root.querySelector('#labor-from').value,
+        to: root.querySelector('#labor-to').value,
+      }));
+    } catch (err) {
+      out.innerHTML = `<p style="color:#dc2626;">${esc(err.message)}</p>`;
+    }
+  };
+
+  root.querySelector('#timesheet-import').addEventListener('click', async () => {
+    const file = root.querySelector('#timesheet-file').files?.[0];
+    if (!file) return status('Choose a timesheet file first.', true);
+    try {
+      status('Importing...');
+      const result = await importTimesheets(app.apiBaseUrl, file, {
+        approved: root.querySelector('#timesheet-approved').checked,
+        approver: root.querySelector('#timesheet-approver').value.trim(),
+      });
+      status(`Imported ${result.imported} rows (${result.hours}h)${result.duplicates ? `, ${result.duplicates} already imported` : ''}${result.skipped ? `, ${result.skipped} skipped` : ''}.`);
+      await Promise.all([refreshFlags(), reconcile()]);
+    } catch (err) {
+      status(err.message, true);
+    }
+  });
+  root.querySelector('#labor-reconcile').addEventListener('click', reconcile);
+  root.querySelector('#timesheet-flags').addEventListener('click', async (e) => {
+    const id = e.target?.dataset?.approve;
+    if (!id) return;
+    const approver = root.querySelector('#timesheet-approver').value.trim();
+    if (!approver) return status('Enter an approver name before approving timesheets.', true);
+    try {
+      await setTimesheetApproval(app.apiBaseUrl, id, { approved: true, approver });
+      status(`Timesheet approved by ${approver}.`);
+      await refreshFlags();
+    } catch (err) {
+      status(err.message, true);
+    }
+  });
+
+  refreshFlags();
+}
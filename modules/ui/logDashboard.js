@@ -92,6 +92,7 @@ export function renderLogDashboard() {
                             <option value="FAR_AUDIT">FAR Audit</option>
                             <option value="API_REQUEST">API Requests</option>
                             <option value="SECURITY">Security</option>
+                            <option value="CONTRACT_FUNDING">Contract Funding</option>
                         </select>
                         <input type="text" id="search-logs" placeholder="Search logs..." onkeyup="filterLogs()">
                     </div>
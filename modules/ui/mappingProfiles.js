@@ -0,0 +1,141 @@
+// Admin-tab card for saved GL column-mapping profiles (/api/mapping-profiles).
+// A profile maps one source system's export headers to GL fields; uploads
+// whose header row has the same column names are mapped from it on the server
+// without LLM calls. New profiles start from the last uploaded file's mapping.
+import { fetchMappingProfiles, saveMappingProfile, deleteMappingProfile } from "../services/apiService.js";
+import { esc } from "../utils/html.js";
+
+const FIELD_LABELS = {
+  date: 'Date', accountNumber: 'Account', description: 'Description', amount: 'Amount', category: 'Category',
+  vendor: 'Vendor', contractNumber: 'Contract', employeeId: 'Employee ID', project: 'Project', task: 'Task', org: 'Org',
+  documentNumber: 'Journal/Voucher', lineNumber: 'Line', poNumber: 'PO Number', debit: 'Debit', credit: 'Credit', currency: 'Currency',
+};
+
+function setStatus(msg, isError = false) {
+  const el = document.getElementById('mapping-profile-status');
+  if (!el) return;
+  el.textContent = msg || '';
+  el.style.color = isError ? '#dc2626' : '#6b7280';
+}
+
+function renderForm(fields, p) {
+  const headers = (p.headers || []).filter(Boolean);
+  const selects = fields.map(f => {
+    const options = ['<option value="">(not mapped)</option>', ...headers.map(h => `<option value="${esc(h)}" ${p.mapping?.[f] === h ? 'selected' : ''}>${esc(h)}</option>`)].join('');
+    return `<div class="form-group"><label class="form-label">${esc(FIELD_LABELS[f] || f)}</label>
+      <select class="form-select" data-profile-field="${esc(f)}">${options}</select></div>`;
+  }).join('');
+  return `
+    <div class="flex gap-4" style="flex-wrap:wrap;align-items:flex-end;">
+      <div class="form-group"><label class="form-label" for="profile-name">Profile Name</label>
+        <input id="profile-name" class="form-input" value="${esc(p.name || '')}" placeholder="e.g. Deltek Costpoint export" /></div>
+      <div class="form-group"><label class="form-label" for="profile-source">Source System</label>
+        <input id="profile-source" class="form-input" value="${esc(p.source_system || '')}" /></div>
+    </div>
+    <p class="gl-details-muted" style="margin:6px 0;">Headers: ${headers.map(esc).join(' · ')}</p>
+    <div class="flex gap-4" style="flex-wrap:wrap;">${selects}</div>
+    <div class="form-group">
+      <button id="profile-save" class="btn btn--primary">${p.id ? 'Update Profile' : 'Save Profile'}</button>
+      <button id="profile-cancel" class="btn btn--outline">Cancel</button>
+    </div>`;
+}
+
+function renderTable(profiles) {
+  const rows = profiles.map(p => {
+    const mapped = Object.entries(p.mapping || {}).filter(([, h]) => h).map(([f, h]) => `${esc(FIELD_LABELS[f] || f)} ← ${esc(h)}`).join(', ');
+    return `
+    <tr>
+      <td><strong>${esc(p.name)}</strong><div class="gl-details-muted">${esc(p.source_system || '')}</div></td>
+      <td>${p.headers.filter(Boolean).length} columns<div class="gl-details-muted">${mapped}</div></td>
+      <td>${p.use_count || 0}${p.last_used_at ? `<div class="gl-details-muted">last ${esc(new Date(p.last_used_at).toLocaleDateString('en-US'))}</div>` : ''}</td>
+      <td>
+        <button class="btn btn--small btn--outline" data-profile-edit="${esc(p.id)}">Edit</button>
+        <button class="btn btn--small btn--outline" data-profile-delete="${esc(p.id)}">Delete</button>
+      </td>
+    </tr>`;
+  }).join('');
+  return `
+    <table class="data-table">
+      <thead><tr><th>Profile</th><th>Mapping</th><th>Uses</th><th></th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="4">No mapping profiles saved; uploads are mapped automatically each time.</td></tr>'}</tbody>
+    </table>`;
+}
+
+// Profile draft from the last upload's header row and column-index mapping
+function draftFromUpload(last, fields) {
+  const mapping = {};
+  for (const f of fields) {
+    const idx = last.mapping?.[f];
+    mapping[f] = Number.isInteger(idx) && idx >= 0 ? last.headers[idx] || '' : '';
+  }
+  return { name: '', source_system: '', headers: last.headers, mapping };
+}
+
+export async function initMappingProfiles(app) {
+  const root = document.getElementById('mapping-profiles');
+  if (!root || root.dataset.bound === 'true' || !app.apiBaseUrl) return;
+  root.dataset.bound = 'true';
+
+  root.innerHTML = `
+    <p class="gl-details-muted" style="margin-bottom:8px;">Uploads whose header row matches a saved profile (same column names, any order) are mapped from the profile instead of by detection or the LLM.</p>
+    <button id="profile-from-upload" class="btn btn--outline">New Profile from Last Upload</button>
+    <div id="mapping-profile-form" style="margin-top:8px;"></div>
+    <div id="mapping-profile-status" style="margin:8px 0;font-size:13px;"></div>
+    <div id="mapping-profile-list"></div>
+  `;
+
+  let data = { profiles: [], fields: Object.keys(FIELD_LABELS) };
+  const form = root.querySelector('#mapping-profile-form');
+
+  const showForm = (profile) => {
+    form.innerHTML = renderForm(data.fields, profile);
+    form.querySelector('#profile-cancel').addEventListener('click', () => { form.innerHTML = ''; });
+    form.querySelector('#profile-save').addEventListener('click', async () => {
+      const mapping = {};
+      form.querySelectorAll('[data-profile-field]').forEach(sel => { mapping[sel.dataset.profileField] = sel.value || null; });
+      try {
+        const result = await saveMappingProfile(app.apiBaseUrl, {
+          name: form.querySelector('#profile-name').value.trim(),
+          source_system: form.querySelector('#profile-source').value.trim() || null,
+          headers: profile.headers,
+          mapping,
+        }, profile.id);
+        setStatus(`Saved profile "${result.profile.name}".`);
+        form.innerHTML = '';
+        await refresh();
+      } catch (err) {
+        setStatus(err.message, true);
+      }
+    });
+  };
+
+  const refresh = async () => {
+    data = await fetchMappingProfiles(app.apiBaseUrl);
+    root.querySelector('#mapping-profile-list').innerHTML = renderTable(data.profiles);
+  };
+
+  root.querySelector('#profile-from-upload').addEventListener('click', () => {
+    const last = app.lastNormalization;
+    if (!last?.headers?.length) return setStatus('Upload a GL file first; its header row and mapping start the new profile.', true);
+    if (last.profile) setStatus(`The last upload already matched profile "${last.profile.name}".`);
+    showForm(draftFromUpload(last, data.fields));
+  });
+
+  root.querySelector('#mapping-profile-list').addEventListener('click', async (e) => {
+    const editId = e.target.closest('[data-profile-edit]')?.dataset.profileEdit;
+    const deleteId = e.target.closest('[data-profile-delete]')?.dataset.profileDelete;
+    if (editId) return showForm(data.profiles.find(p => p.id === editId));
+    if (!deleteId) return;
+    const profile = data.profiles.find(p => p.id === deleteId);
+    if (!profile || !confirm(`Delete mapping profile "${profile.name}"?`)) return;
+    try {
+      await deleteMappingProfile(app.apiBaseUrl, deleteId);
+      setStatus(`Deleted profile "${profile.name}".`);
+      await refresh();
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  });
+
+  await refresh();
+}
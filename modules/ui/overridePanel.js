@@ -0,0 +1,117 @@
+// Auditor override panel inside an expanded GL row: shows the override in
+// force, records a new one (status, reason, user, supporting document) or
+// revokes it, and lists the history. Rule results themselves are never edited.
+import { fetchOverrides, saveOverride, revokeOverride } from "../services/apiService.js";
+import { esc } from "../utils/html.js";
+
+const USER_KEY = "auditOverrideUser";
+
+function formatWhen(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleString('en-US');
+}
+
+function documentLink(o) {
+  if (!o.document) return '';
+  const base = (window.app?.apiBaseUrl || '').replace(/\/$/, '');
+  const href = o.document.file_url ? `${o.document.file_url.startsWith('http') ? '' : base}${o.document.file_url}` : '';
+  return href
+    ? ` · <a href="${esc(href)}" target="_blank" rel="noopener">${esc(o.document.filename)}</a>`
+    : ` · ${esc(o.document.filename)}`;
+}
+
+function describe(o) {
+  const from = o.rule_status ? `${esc(o.rule_status)} &rarr; ` : '';
+  return `${from}<span class="status-badge status-badge--${esc(o.status.toLowerCase())}">${esc(o.status)}</span> by ${esc(o.user)} on ${esc(formatWhen(o.created_at))}: ${esc(o.reason)}${documentLink(o)}`;
+}
+
+// Documents linked to this GL row, offered as supporting evidence
+function linkedDocuments(glId) {
+  const docs = window.app?.docs;
+  if (!docs) return [];
+  const itemIds = new Set((docs.links || []).filter(l => String(l.gl_entry_id) === String(glId)).map(l => String(l.document_item_id)));
+  const docIds = new Set((docs.items || []).filter(i => itemIds.has(String(i.id))).map(i => String(i.document_id)));
+  return (docs.documents || []).filter(d => docIds.has(String(d.id)));
+}
+
+export function buildOverrideContent(glId) {
+  const item = (window.app?.auditResults || []).find(r => String(r.id) === String(glId));
+  if (!item || !window.app?.apiBaseUrl || !['RED', 'YELLOW', 'GREEN'].includes(item.ruleStatus || item.status)) return '';
+  const o = item.override;
+  const user = (() => { try { return localStorage.getItem(USER_KEY) || ''; } catch (_) { return ''; } })();
+  const docs = linkedDocuments(glId);
+  const statusOptions = ['GREEN', 'YELLOW', 'RED']
+    .map(s => `<option value="${s}" ${s === (o?.status || 'GREEN') ? 'selected' : ''}>${s}</option>`).join('');
+
+  return `
+    <div class="gl-findings gl-override" data-gl-id="${esc(glId)}">
+      <strong>Auditor Override:</strong>
+      ${o
+        ? `<div class="gl-finding">${describe(o)} <button class="btn btn--outline btn--small" data-override-action="revoke">Revoke</button></div>`
+        : `<span class="gl-details-muted">none · rule result ${esc(item.ruleStatus || item.status)}</span>`}
+      <div class="flex gap-4" style="margin-top:6px;align-items:center;">
+        <select class="form-select" data-override-field="status" style="width:110px;">${statusOptions}</select>
+        <input class="form-input" data-override-field="reason" placeholder="Reason (required)" style="flex:1;" />
+        <input class="form-input" data-override-field="user" placeholder="Your name" value="${esc(user)}" style="width:140px;" />
+        <select class="form-select" data-override-field="document_id" style="width:180px;">
+          <option value="">No supporting document</option>
+          ${docs.map(d => `<option value="${esc(d.id)}">${esc(d.filename)}</option>`).join('')}
+        </select>
+        <button class="btn btn--primary btn--small" data-override-action="save">Save</button>
+        <button class="btn btn--outline btn--small" data-override-action="history">History</button>
+      </div>
+      <div class="gl-override-message gl-details-muted"></div>
+      <div class="gl-override-history"></div>
+    </div>`;
+}
+
+async function handleClick(e) {
+  const btn = e.target.closest('button[data-override-action]');
+  if (!btn) return;
+  const panel = btn.closest('.gl-override');
+  if (!panel || !window.app) return;
+  e.preventDefault();
+  e.stopPropagation();
+  const app = window.app;
+  const glId = panel.getAttribute('data-gl-id');
+  const field = (name) => panel.querySelector(`[data-override-field="${name}"]`)?.value?.trim() || '';
+  const message = (text, isError = false) => {
+    const el = panel.querySelector('.gl-override-message');
+    if (el) { el.textContent = text; el.style.color = isError ? '#dc2626' : ''; }
+  };
+
+  try {
+    if (btn.dataset.overrideAction === 'save') {
+      const payload = { status: field('status'), reason: field('reason'), user: field('user'), document_id: field('document_id') };
+      if (!payload.reason || !payload.user) return message('Reason and name are required.', true);
+      try { localStorage.setItem(USER_KEY, payload.user); } catch (_) {}
+      const { override } = await saveOverride(app.apiBaseUrl, glId, payload);
+      app.setRowOverride(glId, override);
+    } else if (btn.dataset.overrideAction === 'revoke') {
+      const user = field('user');
+      if (!user) return message('Enter your name to revoke the override.', true);
+      const ok = await app.confirmAsync('Revoke this override? The FAR rule result will apply again.');
+      if (!ok) return;
+      await revokeOverride(app.apiBaseUrl, glId, { user, reason: field('reason') });
+      app.setRowOverride(glId, null);
+    } else if (btn.dataset.overrideAction === 'history') {
+      const data = await fetchOverrides(app.apiBaseUrl, glId);
+      const el = panel.querySelector('.gl-override-history');
+      if (!el) return;
+      el.innerHTML = data.history.length
+        ? data.history.map(h => `<div class="gl-finding${h.revoked_at ? ' gl-details-muted' : ''}">${describe(h)}${h.revoked_at
+            ? ` <em>(revoked by ${esc(h.revoked_by || 'unknown')} on ${esc(formatWhen(h.revoked_at))}${h.revoke_reason ? `: ${esc(h.revoke_reason)}` : ''})</em>`
+            : ''}</div>`).join('')
+        : '<div class="gl-details-muted">No overrides recorded.</div>';
+    }
+  } catch (err) {
+    message(err.message, true);
+  }
+}
+
+// One delegated listener for every panel; the GL table re-renders often
+export function bindOverridePanel() {
+  if (document.body.dataset.overridePanelBound === 'true') return;
+  document.body.dataset.overridePanelBound = 'true';
+  document.addEventListener('click', handleClick);
+}
@@ -0,0 +1,53 @@
+// Admin-tab card for the GSA per-diem rate table (/api/travel). Importing a
+// CSV replaces the rates for the fiscal year(s) it contains, then re-audits.
+import { fetchPerDiemRates, importPerDiemRates, fetchTravelChecks } from "../services/apiService.js";
+
+function setStatus(msg, isError = false) {
+  const el = document.getElementById('per-diem-status');
+  if (!el) return;
+  el.textContent = msg || '';
+  el.style.color = isError ? '#dc2626' : '#6b7280';
+}
+
+async function refreshSummary(app) {
+  const el = document.getElementById('per-diem-summary');
+  if (!el) return;
+  const [rates, checks] = await Promise.all([fetchPerDiemRates(app.apiBaseUrl), fetchTravelChecks(app.apiBaseUrl)]);
+  const years = rates.fiscal_years.length ? rates.fiscal_years.map(y => `FY${y}`).join(', ') : 'none';
+  const s = checks.summary;
+  el.textContent = `${rates.total} rates loaded (${years}) · ${s.checked} travel entries checked, ${s.over} above per diem ($${s.excess_total.toLocaleString('en-US', { minimumFractionDigits: 2 })} excess)`;
+}
+
+export async function initPerDiemAdmin(app) {
+  const root = document.getElementById('per-diem-admin');
+  if (!root || root.dataset.bound === 'true' || !app.apiBaseUrl) return;
+  root.dataset.bound = 'true';
+
+  root.innerHTML = `
+    <p class="gl-details-muted" style="margin-bottom:8px;">Import the GSA per-diem CSV (STATE, DESTINATION, COUNTY, season dates, LODGING, M&amp;IE).
+      Lodging and M&amp;IE charges above the ceiling for the traveled locality are flagged under 31.205-46.</p>
+    <div class="flex gap-4 mb-4" style="align-items:center;">
+      <input type="file" id="per-diem-file" accept=".csv,text/csv" />
+      <input type="number" id="per-diem-fy" class="form-input" placeholder="Fiscal year (if not in file)" style="width:220px;" />
+      <button id="per-diem-import" class="btn btn--primary">Import Rates</button>
+    </div>
+    <div id="per-diem-summary" style="font-size:13px;"></div>
+    <div id="per-diem-status" style="margin-top:8px;font-size:13px;"></div>
+  `;
+
+  root.querySelector('#per-diem-import').addEventListener('click', async () => {
+    const file = root.querySelector('#per-diem-file').files?.[0];
+    if (!file) return setStatus('Choose a CSV file first.', true);
+    try {
+      setStatus('Importing...');
+      const result = await importPerDiemRates(app.apiBaseUrl, file, root.querySelector('#per-diem-fy').value);
+      setStatus(`Imported ${result.imported} rates for ${result.fiscal_years.map(y => (y ? `FY${y}` : 'unspecified year')).join(', ')}${result.skipped ? ` (${result.skipped} rows skipped)` : ''}.`);
+      await refreshSummary(app);
+      if (typeof app.runAudit === 'function' && app.glData?.length) await app.runAudit();
+    } catch (err) {
+      setStatus(err.message, true);
+    }
+  });
+
+  await refreshSummary(app);
+}
@@ -0,0 +1,292 @@
+// Admin-tab editor for FAR rules (/api/rules). Built-in rules are read-only
+// defaults: saving one stores a per-section override, "Revert" drops it.
+import { fetchRules, saveRule, setRuleEnabled, deleteRule, testRules } from "../services/apiService.js";
+import { validateRule } from "../services/ruleConditions.js";
+import { esc } from "../utils/html.js";
+
+let state = { app: null, rules: [], filter: "" };
+
+function setStatus(msg, isError = false) {
+  const el = document.getElementById('rule-editor-status');
+  if (!el) return;
+  el.textContent = msg || '';
+  el.style.color = isError ? '#dc2626' : '#6b7280';
+}
+
+function describeFailures(failures) {
+  return (failures || []).map(f =>
+    `${f.id}: expected ${f.expected.status}${f.expected.section ? ` (${f.expected.section})` : ''}, got ${f.actual.status}${f.actual.section ? ` (${f.actual.section})` : ''}`);
+}
+
+// A save refused by the fixture gate can be forced after the user confirms
+async function confirmForce(err) {
+  if (err.code !== 'RULE_TEST_FAILED') return false;
+  const lines = describeFailures(err.failures).slice(0, 5).join('\n');
+  return state.app.confirmAsync(`${err.message}\n\n${lines}\n\nSave anyway?`);
+}
+
+// Keep the app's client-side rule set in line with the server
+function syncAppRules() {
+  if (state.app) state.app.farRules = state.rules.filter(r => r.enabled);
+}
+
+export async function initRuleEditor(app) {
+  state.app = app;
+  const root = document.getElementById('rule-editor');
+  if (!root || root.dataset.bound === 'true') return;
+  root.dataset.bound = 'true';
+
+  root.innerHTML = `
+    <div class="flex gap-4 mb-4">
+      <input type="text" id="rule-filter" class="form-input" placeholder="Filter by section, title or keyword..." />
+      <button id="rule-new-btn" class="btn btn--primary">New Rule</button>
+    </div>
+    <div id="rule-form-container"></div>
+    <div class="table-container" style="max-height:420px;overflow:auto;">
+      <table class="data-table">
+        <thead>
+          <tr><th>Enabled</th><th>Section</th><th>Title</th><th>Severity</th><th>Source</th><th>Match</th><th></th></tr>
+        </thead>
+        <tbody id="rule-table-body"></tbody>
+      </table>
+    </div>
+    <div id="rule-editor-status" style="margin-top:8px;font-size:13px;"></div>
+  `;
+
+  root.querySelector('#rule-filter').addEventListener('input', (e) => {
+    state.filter = e.target.value.toLowerCase();
+    renderRuleTable();
+  });
+  root.querySelector('#rule-new-btn').addEventListener('click', () => openForm(null));
+
+  root.querySelector('#rule-table-body').addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const section = btn.getAttribute('data-section');
+    if (btn.dataset.action === 'edit') {
+      openForm(state.rules.find(r => r.section === section) || null);
+    } else if (btn.dataset.action === 'revert') {
+      const rule = state.rules.find(r => r.section === section);
+      const verb = rule?.source === 'custom' ? 'Delete' : 'Revert';
+      const ok = await app.confirmAsync(rule?.source === 'custom'
+        ? `Delete custom rule ${section}?`
+        : `Revert ${section}? The saved override will be discarded and the default rule restored.`);
+      if (!ok) return;
+      try {
+        await deleteRule(app.apiBaseUrl, section);
+        setStatus(`${verb === 'Delete' ? 'Deleted' : 'Reverted'} ${section}. Re-run the audit to apply.`);
+        await refreshRuleEditor();
+      } catch (err) {
+        setStatus(err.message, true);
+      }
+    }
+  });
+
+  root.querySelector('#rule-table-body').addEventListener('change', async (e) => {
+    const cb = e.target.closest('input[data-action="toggle"]');
+    if (!cb) return;
+    const section = cb.getAttribute('data-section');
+    try {
+      try {
+        await setRuleEnabled(app.apiBaseUrl, section, cb.checked);
+      } catch (err) {
+        if (!(await confirmForce(err))) throw err;
+        await setRuleEnabled(app.apiBaseUrl, section, cb.checked, { force: true });
+      }
+      setStatus(`${section} ${cb.checked ? 'enabled' : 'disabled'}. Re-run the audit to apply.`);
+      await refreshRuleEditor();
+    } catch (err) {
+      cb.checked = !cb.checked;
+      setStatus(err.message, true);
+    }
+  });
+
+  await refreshRuleEditor();
+}
+
+export async function refreshRuleEditor() {
+  if (!state.app?.apiBaseUrl) return;
+  try {
+    const data = await fetchRules(state.app.apiBaseUrl);
+    state.rules = Array.isArray(data.rules) ? data.rules : [];
+    syncAppRules();
+    renderRuleTable();
+  } catch (err) {
+    setStatus(`Rules unavailable: ${err.message}`, true);
+  }
+}
+
+function renderRuleTable() {
+  const tbody = document.getElementById('rule-table-body');
+  if (!tbody) return;
+  const term = state.filter;
+  const rows = state.rules.filter(r => !term
+    || r.section.toLowerCase().includes(term)
+    || String(r.title || '').toLowerCase().includes(term)
+    || (r.keywords || []).some(k => String(k).toLowerCase().includes(term)));
+
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="7" style="text-align:center;color:#6b7280;">No rules</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = rows.map(r => {
+    const statusClass = r.severity === 'EXPRESSLY_UNALLOWABLE' ? 'red' : 'yellow';
+    const match = r.conditions ? 'conditions' : `${(r.keywords || []).length} keyword(s)`;
+    const source = r.overridden ? `${r.source} (overridden)` : r.source;
+    const revert = r.overridden || r.source === 'custom'
+      ? `<button class="btn btn--outline btn--small" data-action="revert" data-section="${esc(r.section)}">${r.source === 'custom' ? 'Delete' : 'Revert'}</button>`
+      : '';
+    return `
+      <tr>
+        <td class="center"><input type="checkbox" data-action="toggle" data-section="${esc(r.section)}" ${r.enabled ? 'checked' : ''} /></td>
+        <td>${esc(r.section)}</td>
+        <td>${esc(r.title)}</td>
+        <td><span class="status-badge status-badge--${statusClass}">${esc(r.severity)}</span></td>
+        <td>${esc(source)}</td>
+        <td>${esc(match)}</td>
+        <td><button class="btn btn--outline btn--small" data-action="edit" data-section="${esc(r.section)}">Edit</button> ${revert}</td>
+      </tr>`;
+  }).join('');
+}
+
+function openForm(rule) {
+  const container = document.getElementById('rule-form-container');
+  if (!container) return;
+  const isNew = !rule;
+  const r = rule || { section: '', title: '', severity: 'EXPRESSLY_UNALLOWABLE', keywords: [], description: '' };
+
+  container.innerHTML = `
+    <div class="card" style="margin-bottom:16px;">
+      <h3 style="margin-top:0;">${isNew ? 'New Rule' : `Edit ${esc(r.section)}`}</h3>
+      ${!isNew && r.source !== 'custom' ? `<div class="gl-details-muted" style="margin-bottom:8px;">Saving stores an override for this section; the ${esc(r.source)} default stays available via Revert.</div>` : ''}
+      <div class="flex gap-4">
+        <div class="form-group flex-1">
+          <label class="form-label" for="rule-section">Section</label>
+          <input id="rule-section" class="form-input" value="${esc(r.section)}" ${isNew ? '' : 'readonly'} />
+        </div>
+        <div class="form-group flex-1">
+          <label class="form-label" for="rule-severity">Severity</label>
+          <select id="rule-severity" class="form-select">
+            <option value="EXPRESSLY_UNALLOWABLE" ${r.severity === 'EXPRESSLY_UNALLOWABLE' ? 'selected' : ''}>EXPRESSLY_UNALLOWABLE (RED)</option>
+            <option value="LIMITED_ALLOWABLE" ${r.severity === 'LIMITED_ALLOWABLE' ? 'selected' : ''}>LIMITED_ALLOWABLE (YELLOW)</option>
+          </select>
+        </div>
+        <div class="form-group" style="width:100px;">
+          <label class="form-label" for="rule-weight">Weight</label>
+          <input id="rule-weight" class="form-input" type="number" step="0.1" value="${r.weight ?? ''}" placeholder="1" />
+        </div>
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="rule-title">Title</label>
+        <input id="rule-title" class="form-input" value="${esc(r.title)}" />
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="rule-keywords">Keywords (one per line)</label>
+        <textarea id="rule-keywords" class="form-input" rows="4">${esc((r.keywords || []).join('\n'))}</textarea>
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="rule-conditions">Conditions (optional JSON; replaces keyword matching when set)</label>
+        <textarea id="rule-conditions" class="form-input" rows="4" style="font-family:monospace;">${r.conditions ? esc(JSON.stringify(r.conditions, null, 2)) : ''}</textarea>
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="rule-contract-types">Contract types (optional, comma-separated, e.g. CPFF, T&amp;M; blank = every cost-type contract)</label>
+        <input id="rule-contract-types" class="form-input" value="${esc((r.contract_types || []).join(', '))}" />
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="rule-description">Description</label>
+        <textarea id="rule-description" class="form-input" rows="2">${esc(r.description || '')}</textarea>
+      </div>
+      <div id="rule-form-errors" style="color:#dc2626;font-size:13px;margin-bottom:8px;"></div>
+      <div id="rule-test-results" style="font-size:13px;margin-bottom:8px;"></div>
+      <div class="flex gap-4">
+        <button id="rule-save-btn" class="btn btn--primary">Save</button>
+        <button id="rule-test-btn" class="btn btn--outline">Test</button>
+        <button id="rule-cancel-btn" class="btn btn--outline">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  container.querySelector('#rule-cancel-btn').addEventListener('click', closeForm);
+  container.querySelector('#rule-save-btn').addEventListener('click', () => submitForm(isNew));
+  container.querySelector('#rule-test-btn').addEventListener('click', () => testForm());
+}
+
+function closeForm() {
+  const container = document.getElementById('rule-form-container');
+  if (container) container.innerHTML = '';
+}
+
+function readForm() {
+  const val = (id) => document.getElementById(id)?.value ?? '';
+  const errors = [];
+  const rule = {
+    section: val('rule-section').trim(),
+    title: val('rule-title').trim(),
+    severity: val('rule-severity'),
+    keywords: val('rule-keywords').split(/\n|,/).map(k => k.trim()).filter(Boolean),
+    description: val('rule-description').trim(),
+  };
+  const weight = val('rule-weight').trim();
+  if (weight) rule.weight = Number(weight);
+  const contractTypes = val('rule-contract-types').split(',').map(t => t.trim().toUpperCase()).filter(Boolean);
+  if (contractTypes.length) rule.contract_types = contractTypes;
+  const conditions = val('rule-conditions').trim();
+  if (conditions) {
+    try { rule.conditions = JSON.parse(conditions); }
+    catch (e) { errors.push(`conditions: ${e.message}`); }
+  }
+  return { rule, errors };
+}
+
+function readValidForm() {
+  const errorsEl = document.getElementById('rule-form-errors');
+  const { rule, errors } = readForm();
+  const allErrors = [...errors, ...(errors.length ? [] : validateRule(rule))];
+  if (errorsEl) errorsEl.innerHTML = allErrors.map(esc).join('<br>');
+  return allErrors.length ? null : rule;
+}
+
+// Dry-run the form's rule: fixture outcomes plus GL rows whose status would change
+async function testForm() {
+  const out = document.getElementById('rule-test-results');
+  const rule = readValidForm();
+  if (!rule || !out) return;
+  out.textContent = 'Testing...';
+  try {
+    const data = await testRules(state.app.apiBaseUrl, { rule });
+    const fx = data.fixtures;
+    const failed = fx.results.filter(r => !r.passed);
+    const changed = data.gl.changed.slice(0, 10).map(c =>
+      `${esc(c.description || c.gl_entry_id)}: ${esc(c.before.status)} &rarr; ${esc(c.after.status)}${c.after.far_section ? ` (${esc(c.after.far_section)})` : ''}`);
+    out.innerHTML = `
+      <div style="color:${failed.length ? '#dc2626' : '#16a34a'};">Fixtures: ${fx.passed}/${fx.total} passed</div>
+      ${describeFailures(failed).map(l => `<div style="color:#dc2626;">${esc(l)}</div>`).join('')}
+      <div class="gl-details-muted">GL rows changed: ${data.gl.changedCount} of ${data.gl.audited}</div>
+      ${changed.map(l => `<div class="gl-details-muted">${l}</div>`).join('')}
+      ${data.gl.changedCount > changed.length ? `<div class="gl-details-muted">...and ${data.gl.changedCount - changed.length} more</div>` : ''}`;
+  } catch (err) {
+    const details = Array.isArray(err.details) && err.details.length ? err.details : [err.message];
+    out.innerHTML = details.map(d => `<div style="color:#dc2626;">${esc(d)}</div>`).join('');
+  }
+}
+
+async function submitForm(isNew) {
+  const errorsEl = document.getElementById('rule-form-errors');
+  const rule = readValidForm();
+  if (!rule) return;
+  try {
+    try {
+      await saveRule(state.app.apiBaseUrl, rule, { isNew });
+    } catch (err) {
+      if (!(await confirmForce(err))) throw err;
+      await saveRule(state.app.apiBaseUrl, rule, { isNew, force: true });
+    }
+    closeForm();
+    setStatus(`Saved ${rule.section}. Re-run the audit to apply.`);
+    await refreshRuleEditor();
+  } catch (err) {
+    const details = Array.isArray(err.details) && err.details.length ? err.details : [err.message, ...describeFailures(err.failures)];
+    if (errorsEl) errorsEl.innerHTML = details.map(esc).join('<br>');
+  }
+}
@@ -0,0 +1,47 @@
+// Worksheet selection step for multi-sheet GL workbooks. `sheets` is the
+// /api/gl/normalize `sheets` list (or the client fallback's equivalent):
+// [{ name, entryCount, suggested, reason }]. Resolves with the chosen sheet
+// names, or null when the user cancels.
+import { esc } from "../utils/html.js";
+
+export function chooseSheets(sheets, filename = '') {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay show';
+    overlay.innerHTML = `
+      <div class="modal-container" style="max-width:560px;">
+        <div class="modal-header">
+          <h3>Select worksheets${filename ? ` – ${esc(filename)}` : ''}</h3>
+          <button type="button" class="modal-close">&times;</button>
+        </div>
+        <div class="modal-body">
+          <p class="gl-details-muted" style="margin-bottom:8px;">Each worksheet was mapped separately. Choose which ones to import.</p>
+          ${sheets.map((s, i) => `
+            <label style="display:flex;gap:8px;align-items:baseline;padding:4px 0;">
+              <input type="checkbox" data-sheet="${i}" ${s.suggested ? 'checked' : ''} ${s.entryCount ? '' : 'disabled'} />
+              <span><strong>${esc(s.name)}</strong> – ${s.entryCount} rows${s.reason ? ` <span class="gl-details-muted">(${esc(s.reason)})</span>` : ''}</span>
+            </label>`).join('')}
+        </div>
+        <div class="modal-footer">
+          <button type="button" class="btn btn--outline" data-action="cancel">Cancel</button>
+          <button type="button" class="btn btn--primary" data-action="import">Import Selected</button>
+        </div>
+      </div>
+    `;
+    const close = (result) => {
+      overlay.remove();
+      resolve(result);
+    };
+    overlay.querySelector('.modal-close').addEventListener('click', () => close(null));
+    overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+    overlay.querySelector('[data-action="import"]').addEventListener('click', () => {
+      const chosen = [...overlay.querySelectorAll('input[data-sheet]:checked')].map(el => sheets[Number(el.dataset.sheet)].name);
+      if (!chosen.length) {
+        alert('Select at least one worksheet.');
+        return;
+      }
+      close(chosen);
+    });
+    document.body.appendChild(overlay);
+  });
+}
@@ -0,0 +1,54 @@
+// Source lineage inside an expanded GL row: the uploaded file, sheet and row
+// an entry came from, with the original cells on request and a link to the
+// workbook itself.
+import { fetchGLSource, glFileDownloadUrl } from "../services/apiService.js";
+import { esc } from "../utils/html.js";
+
+// Formula/rich-text cells arrive as ExcelJS objects
+function cellText(v) {
+  if (v == null) return '';
+  if (typeof v !== 'object') return String(v);
+  if (v.formula) return `=${v.formula} → ${v.result ?? ''}`;
+  if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+  if (v.text) return String(v.text);
+  return JSON.stringify(v);
+}
+
+export function buildSourceContent(glId) {
+  const row = (window.app?.glData || []).find(r => String(r.id) === String(glId));
+  if (!row?.sourceFileId || !window.app?.apiBaseUrl) return '';
+  const where = [row.sourceSheet ? `sheet "${esc(row.sourceSheet)}"` : '', row.sourceRow ? `row ${esc(row.sourceRow)}` : ''].filter(Boolean).join(', ');
+  return `
+    <div class="gl-findings gl-source" data-gl-id="${esc(glId)}">
+      <strong>Source:</strong> <span class="gl-details-muted">${where || 'uploaded file'}</span>
+      <button class="btn btn--outline btn--small" data-source-action="cells">Show original cells</button>
+      <a class="btn btn--outline btn--small" href="${esc(glFileDownloadUrl(window.app.apiBaseUrl, row.sourceFileId))}">Download workbook</a>
+      <div class="gl-source-cells"></div>
+    </div>`;
+}
+
+async function handleClick(ev) {
+  const btn = ev.target.closest('[data-source-action]');
+  if (!btn) return;
+  const panel = btn.closest('.gl-source');
+  const out = panel?.querySelector('.gl-source-cells');
+  if (!out) return;
+  ev.stopPropagation();
+  try {
+    const src = await fetchGLSource(window.app.apiBaseUrl, panel.dataset.glId);
+    const cols = src.headers.map((h, i) => `<th>${esc(cellText(h) || `Column ${i + 1}`)}</th>`).join('');
+    const cells = src.cells.map(c => `<td>${esc(cellText(c))}</td>`).join('');
+    out.innerHTML = `
+      <div class="gl-details-muted" style="margin-top:6px;">${esc(src.file.filename)} · sheet "${esc(src.sheet)}" · row ${src.row}${src.header_row ? ` (headers on row ${src.header_row})` : ''} · uploaded ${esc(new Date(src.file.uploadedAt).toLocaleString('en-US'))}</div>
+      <div style="overflow-x:auto;"><table class="data-table"><thead><tr>${cols}</tr></thead><tbody><tr>${cells}</tr></tbody></table></div>`;
+  } catch (err) {
+    out.innerHTML = `<div style="color:#dc2626;">${esc(err.message)}</div>`;
+  }
+}
+
+// One delegated listener for every panel; the GL table re-renders often
+export function bindSourcePanel() {
+  if (document.body.dataset.sourcePanelBound === 'true') return;
+  document.body.dataset.sourcePanelBound = 'true';
+  document.addEventListener('click', handleClick);
+}
@@ -1,3 +1,7 @@
+import { buildOverrideContent, bindOverridePanel } from "./overridePanel.js";
+import { buildSourceContent, bindSourcePanel } from "./sourcePanel.js";
+import { esc } from "../utils/html.js";
+
 // Safe, minimal table renderer
 export function renderGLTable(data) {
   console.log('📊 Rendering GL table with', data?.length || 0, 'items');
@@ -10,7 +14,7 @@ export function renderGLTable(data) {
   if (!Array.isArray(data) || data.length === 0) {
     tbody.innerHTML = `
       <tr>
-        <td colspan="11" style="text-align: center; padding: 40px; color: #6b7280;">
+        <td colspan="12" style="text-align: center; padding: 40px; color: #6b7280;">
           <div style="margin-bottom: 8px;">📄 No GL data available</div>
           <div style="font-size: 14px;">Upload an Excel file to get started</div>
         </td>
@@ -51,6 +55,7 @@ export function renderGLTable(data) {
       id: item.id || index,
       status: item.status || 'PENDING',
       accountNumber: String(item.accountNumber || ''),
+      project: [item.project, item.task].filter(Boolean).join(' / '),
       description: String(item.description || ''),
       amount: parseClientAmount(item.amount),
       date: String(item.date || ''),
@@ -75,8 +80,9 @@ export function renderGLTable(data) {
     const hasApproval = approvalsCount > 0;
     return `
       <tr class="gl-row" data-row-id="${index}" data-gl-id="${safeItem.id}">
-        <td><span class="status-badge status-badge--${statusClass}">${escape(safeItem.status)}</span></td>
+        <td><span class="status-badge status-badge--${statusClass}">${escape(safeItem.status)}</span>${item.override ? ` <span class="gl-override-flag" title="Auditor override (rule result: ${escape(item.ruleStatus || '')})">&#9998;</span>` : ''}</td>
         <td>${escape(safeItem.accountNumber)}</td>
+        <td>${escape(safeItem.project)}</td>
         <td title="${escape(safeItem.description)}">${escape(safeItem.description.substring(0, 50))}${safeItem.description.length > 50 ? '...' : ''}</td>
         <td class="amount">$${safeItem.amount.toLocaleString('en-US', { minimumFractionDigits: 2 })}</td>
         <td>${escape(formatDate(safeItem.date))}</td>
@@ -99,6 +105,8 @@ export function renderGLTable(data) {
 
   // Bind row expand/collapse to show linked docs details
   try {
+    bindOverridePanel();
+    bindSourcePanel();
     tbody.querySelectorAll('tr.gl-row').forEach((tr) => {
       tr.addEventListener('click', (ev) => {
         if (ev.target.closest('button')) return; // ignore button clicks
@@ -113,7 +121,7 @@ export function renderGLTable(data) {
         detailsTr.className = 'gl-row-details';
         const td = document.createElement('td');
         td.colSpan = tr.children.length;
-        td.innerHTML = buildDetailsContent(glId);
+        td.innerHTML = buildFindingsContent(glId) + buildOverrideContent(glId) + buildCodingContent(glId) + buildSourceContent(glId) + buildDetailsContent(glId);
         detailsTr.appendChild(td);
         tr.insertAdjacentElement('afterend', detailsTr);
         tr.classList.add('active');
@@ -303,6 +311,12 @@ body.compact .gl-thumb { width:56px; min-width:56px; height:56px; }
 .gl-tabs-content { position: relative; }
 .gl-tab-panel { display: none; }
 .gl-tab-panel.active { display: block; }
+
+/* FAR findings with matched keyword evidence */
+.gl-findings { padding: 16px 16px 0; }
+.gl-finding { margin-top: 6px; font-size: 13px; }
+.gl-finding-evidence { margin-top: 8px; padding: 6px 8px; background: #fff; border: 1px solid #e5e7eb; border-radius: 4px; font-size: 13px; }
+.gl-finding-evidence mark { background: #fde68a; padding: 0 1px; border-radius: 2px; }
 `;
 
 // Inject the additional CSS if not already present
@@ -363,6 +377,76 @@ function checkDocumentForApproval(docData) {
   return false;
 }
 
+/**
+ * FAR findings for a row: every matching rule with the keywords that hit,
+ * and the description with the matched spans highlighted.
+ */
+// Cost-accounting coding beyond the table columns (org, employee, journal/voucher, PO, debit/credit, currency)
+function buildCodingContent(glId) {
+  const row = (window.app?.glData || []).find(r => String(r.id) === String(glId));
+  if (!row) return '';
+  const money = (n) => `$${(Number(n) || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+  const parts = [
+    ['Org', row.org],
+    ['Employee', row.employeeId],
+    ['Journal/Voucher', row.documentNumber],
+    ['Line', row.lineNumber],
+    ['PO', row.poNumber],
+    ['Contract', row.contractNumber],
+    ['Debit', row.debit != null && row.debit !== '' ? money(row.debit) : ''],
+    ['Credit', row.credit != null && row.credit !== '' ? money(row.credit) : ''],
+    ['Currency', row.currency && row.currency !== 'USD' && row.originalAmount != null
+      ? `${row.currency} ${Number(row.originalAmount).toFixed(2)}${row.fxRate ? ` @ ${row.fxRate} (${row.fxDate})` : ''}`
+      : ''],
+  ].filter(([, v]) => v != null && String(v).trim() !== '');
+  if (!parts.length) return '';
+  return `<div class="gl-findings"><strong>GL Coding:</strong> ${parts.map(([label, v]) => `<span class="gl-details-muted">${label}:</span> ${esc(v)}`).join(' · ')}</div>`;
+}
+
+function buildFindingsContent(glId) {
+  const item = (window.app?.auditResults || []).find(r => String(r.id) === String(glId));
+  if (!item) return '';
+  const money = (n) => `$${(Number(n) || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+  const questioned = Number(item.unallowableAmount) || 0;
+  const questionedHtml = questioned
+    ? `<div class="gl-finding"><strong>Unallowable:</strong> ${money(questioned)} of ${money(item.amount)}${item.unallowableBasis === 'lines'
+        ? ` <span class="gl-details-muted">from line items: ${(item.unallowableLines || []).map(l => `${esc(l.description)} ${money(l.amount)}${l.section ? ` (${esc(l.section)})` : ''}`).join(', ')}</span>`
+        : item.unallowableBasis === 'per_diem'
+          ? ` <span class="gl-details-muted">above the per-diem ceiling of ${money(item.perDiem?.ceiling)}</span>`
+          : item.unallowableBasis === 'comp_cap'
+            ? ` <span class="gl-details-muted">employee ${esc(item.compensation?.employee_id)} above the FY${esc(item.compensation?.fiscal_year)} compensation cap of ${money(item.compensation?.cap)}</span>`
+            : ''}</div>`
+    : '';
+  if (!Array.isArray(item.matches) || item.matches.length === 0) {
+    return questionedHtml ? `<div class="gl-findings"><strong>FAR Findings:</strong>${questionedHtml}</div>` : '';
+  }
+
+  const description = String(item.description || '');
+  const spans = item.matches
+    .flatMap(m => (m.spans || []).map(sp => ({ ...sp, status: m.status })))
+    .sort((a, b) => a.start - b.start);
+  let highlighted = '';
+  let pos = 0;
+  for (const sp of spans) {
+    if (sp.start < pos) continue;
+    highlighted += esc(description.slice(pos, sp.start));
+    highlighted += `<mark title="${esc(sp.keyword)}">${esc(description.slice(sp.start, sp.end))}</mark>`;
+    pos = sp.end;
+  }
+  highlighted += esc(description.slice(pos));
+
+  const rows = item.matches.map(m => {
+    const hits = [
+      ...Array.from(new Set((m.spans || []).map(sp => sp.text))),
+      ...(m.evidence || [])
+    ].map(esc).join(', ');
+    return `<div class="gl-finding"><span class="status-badge status-badge--${String(m.status || '').toLowerCase()}">${esc(m.status)}</span> <strong>${esc(m.title)}</strong> (${esc(m.section)}) <span class="gl-details-muted">matched: ${hits}</span></div>`;
+  }).join('');
+
+  const version = item.ruleVersion != null ? ` · rule set v${esc(item.ruleVersion)}` : '';
+  return `<div class="gl-findings"><strong>FAR Findings:</strong> <span class="gl-details-muted">${item.matches.length} rule(s)${version}</span>${rows}${questionedHtml}<div class="gl-finding-evidence">${highlighted}</div></div>`;
+}
+
 function buildDetailsContent(glId) {
   try {
     // Add detailed logging to debug the issue
@@ -0,0 +1,10 @@
+// HTML escaping for template-literal rendering. Quotes are escaped too, so the
+// result is safe inside attribute values (value="...", title="...") as well as text.
+export function esc(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Accounting Export Parser Check
+ *
+ * Normalizes each sample in config/exportSamples (QuickBooks IIF, OFX/QFX,
+ * Costpoint delimited and fixed-width) without the LLM and compares the
+ * detected format and GL rows with the expected ones below. Samples are also
+ * read under a neutral filename where the parser has to sniff the content.
+ * Exits non-zero if any check fails.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeSpreadsheet } from '../backend/services/spreadsheetNormalizer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SAMPLES_DIR = path.join(__dirname, '..', 'config', 'exportSamples');
+
+// Fields compared on each row, in the order used by `rows` below
+const FIELDS = ['date', 'accountNumber', 'description', 'amount', 'debit', 'credit', 'documentNumber', 'lineNumber'];
+
+const SAMPLES = [
+  {
+    file: 'quickbooks.iif',
+    format: 'iif',
+    // TRNSID or DOCNUM is the journal number; SPL lines without a memo take the transaction's
+    rows: [
+      ['2026-09-15', 'Checking', 'Hotel stay', -1250, null, 1250, '101', '1'],
+      ['2026-09-15', '6100 Travel', 'Lodging', 1000, 1000, null, '101', '2'],
+      ['2026-09-15', '6150 Meals', 'Hotel stay', 250, 250, null, '101', '3'],
+      ['2026-09-30', 'Accrued Payroll', 'September accrual', -800, null, 800, 'JE-77', '1'],
+      ['2026-09-30', '5000 Salaries', 'September accrual', 800, 800, null, 'JE-77', '2'],
+    ],
+  },
+  {
+    file: 'card-statement.ofx',
+    format: 'ofx',
+    sheet: 'Card 4321',
+    // Charges turn positive, refunds negative
+    rows: [
+      ['2026-09-12', null, 'DELTA AIR LINES - Baggage fee', 45.67, null, null, '2026091201', null],
+      ['2026-09-20', null, 'HILTON REFUND', -20, null, null, '2026092001', null],
+    ],
+  },
+  {
+    file: 'bank-statement.xml',
+    as: 'statement.txt',
+    format: 'ofx',
+    sheet: 'Account 9876',
+    rows: [
+      ['2026-09-05', null, 'Acme Office Supply', 1200, null, null, 'B-0001', null],
+      ['2026-09-10', null, 'Customer deposit', -5000, null, null, 'B-0002', null],
+    ],
+  },
+  {
+    file: 'costpoint-extract.csv',
+    format: 'costpoint',
+    // Title rows above the Costpoint header are skipped; debit minus credit is the amount
+    rows: [
+      ['2026-09-02', '6100-01', 'Hotel Chicago', 450, 450, null, 'JE-9001', '1'],
+      ['2026-09-02', '2000-00', 'Hotel Chicago', -450, null, 450, 'JE-9001', '2'],
+      ['2026-09-15', '6400-00', 'Office chairs', 1980, 1980, null, 'JE-9002', '1'],
+    ],
+  },
+  {
+    file: 'costpoint-gl-detail.prn',
+    format: 'costpoint',
+    // Cut at the dashed rule; page titles and headers repeat after the form feed;
+    // "1,200.00-" and "35.00 CR" are negatives
+    rows: [
+      ['2026-09-03', '6100-01', 'Airfare DCA-LAX', 812.4, null, null, null, null],
+      ['2026-09-04', '6150-02', 'Team dinner', -1200, null, null, null, null],
+      ['2026-09-08', '6200-00', 'Vendor credit', -35, null, null, null, null],
+    ],
+  },
+  { file: 'costpoint-gl-detail.prn', as: 'gl-detail.txt', format: 'costpoint', rowCount: 3 },
+  { file: 'quickbooks.iif', as: 'export.txt', format: 'iif', rowCount: 5 },
+];
+
+const failures = [];
+let failed = 0;
+for (const sample of SAMPLES) {
+  const label = sample.as ? `${sample.file} as ${sample.as}` : sample.file;
+  const before = failures.length;
+  const fail = (msg) => failures.push(`${label}: ${msg}`);
+  let result;
+  try {
+    const buffer = fs.readFileSync(path.join(SAMPLES_DIR, sample.file));
+    result = await normalizeSpreadsheet(buffer, { filename: sample.as || sample.file, useLLM: false });
+  } catch (e) {
+    fail(`threw ${e.message}`);
+    failed++;
+    continue;
+  }
+  if (result.format !== sample.format) fail(`format ${result.format}, expected ${sample.format}`);
+  if (result.errors.length) fail(`errors ${result.errors.join('; ')}`);
+  const expectedCount = sample.rows ? sample.rows.length : sample.rowCount;
+  if (result.rows.length !== expectedCount) fail(`${result.rows.length} rows, expected ${expectedCount}`);
+  if (sample.sheet && result.rows.some(r => r.sourceSheet !== sample.sheet)) fail(`rows not from sheet "${sample.sheet}"`);
+  (sample.rows || []).forEach((expected, i) => {
+    const row = result.rows[i];
+    if (!row) return;
+    FIELDS.forEach((field, f) => {
+      const actual = row[field] ?? null;
+      if (actual !== expected[f]) fail(`row ${i + 1} ${field} ${JSON.stringify(actual)}, expected ${JSON.stringify(expected[f])}`);
+    });
+  });
+  if (failures.length > before) failed++;
+}
+
+console.log(`🧪 Export parser samples: ${SAMPLES.length - failed}/${SAMPLES.length} passed`);
+for (const f of failures) console.log(`❌ ${f}`);
+
+process.exit(failures.length ? 1 : 0);
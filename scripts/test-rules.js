@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+
+/**
+ * FAR Rule Fixture Check
+ *
+ * Runs config/ruleFixtures.json against the default rule set (built-in rules
+ * plus config/farRules.json) and exits non-zero if any fixture fails.
+ * Saved overrides live in the database and are checked by POST /api/rules/test.
+ */
+
+import { getActiveRules } from '../backend/services/ruleStore.js';
+import { loadFixtures, runFixtures } from '../backend/services/ruleTester.js';
+
+const rules = getActiveRules({ ruleOverrides: [] });
+const fixtures = loadFixtures();
+const result = runFixtures(rules, fixtures);
+
+console.log(`🧪 FAR rule fixtures: ${result.passed}/${result.total} passed (${rules.length} rules)`);
+for (const f of result.failures) {
+  const expected = `${f.expected.status}${f.expected.section ? ` (${f.expected.section})` : ''}`;
+  const actual = `${f.actual.status}${f.actual.section ? ` (${f.actual.section})` : ''}`;
+  console.log(`❌ ${f.id}: "${f.description}" expected ${expected}, got ${actual}`);
+}
+
+process.exit(result.failed ? 1 : 0);